@@ -0,0 +1,57 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+public static class ArchCellStates
+{
+    public const string Present = "present";
+    public const string Missing = "missing";
+    public const string Empty = "empty"; // файл нулевой длины
+    public const string Corrupt = "corrupt"; // не прошёл проверку целостности
+    public const string Unavailable = "unavailable"; // MikroTik не выпускает версию под эту архитектуру
+}
+
+/// <summary>
+///     Файлы одной версии под одну архитектуру
+/// </summary>
+public class ArchCell
+{
+    public string State { get; set; } = ArchCellStates.Present;
+    public List<string> Files { get; set; } = []; // основной файл и выбранные дополнительные пакеты
+    public List<string> Missing { get; set; } = []; // что докачает repair: нет, пустые или битые
+    public long SizeBytes { get; set; }
+}
+
+public class ArchCoverageRow
+{
+    public string Version { get; set; } = "";
+    public string Branch { get; set; } = ""; // v6 / v7
+    public Dictionary<string, ArchCell> Cells { get; set; } = [];
+}
+
+public class ArchCoverage
+{
+    // Столбцы: выбранные архитектуры, затем встречающиеся в кэше
+    public List<string> Arches { get; set; } = [];
+    public List<string> AllowedArches { get; set; } = [];
+    public List<ArchCoverageRow> Versions { get; set; } = [];
+
+    // Ячейки выбранных архитектур, которые repair может докачать
+    public int MissingCells => Versions.Sum(r =>
+        AllowedArches.Count(a => r.Cells.TryGetValue(a, out var cell) && cell.Missing.Count > 0));
+}
+
+public class ArchRepairResult
+{
+    public List<string> Versions { get; set; } = [];
+    public int Downloaded { get; set; }
+    public int Failed { get; set; }
+    public int RemainingCells { get; set; }
+}
+
+/// <summary>
+///     Архитектуры, под которые выпускается RouterOS, и откуда взят список
+/// </summary>
+public class UpstreamArches
+{
+    public List<string> Arches { get; set; } = [];
+    public string Source { get; set; } = "";
+}
@@ -0,0 +1,22 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Сессия веб-интерфейса после входа (хранится только в памяти)
+/// </summary>
+public class AuthSession
+{
+    public string Token { get; set; } = "";
+    public string Username { get; set; } = "";
+    public string Method { get; set; } = AuthMethods.Password;
+    public DateTime CreatedUtc { get; set; } = DateTime.UtcNow;
+    public DateTime ExpiresUtc { get; set; }
+}
+
+/// <summary>
+///     Чем подтверждён доступ к API
+/// </summary>
+public static class AuthMethods
+{
+    public const string Password = "password";
+    public const string ApiKey = "apiKey";
+}
@@ -0,0 +1,31 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     bundle.json в корне архива-сборки версии: файлы с контрольными суммами
+///     и pointer-файлы, которые указывали на версию в момент выгрузки
+/// </summary>
+public class BundleManifest
+{
+    public const string FileName = "bundle.json";
+
+    public int Format { get; set; } = 1;
+    public string Version { get; set; } = "";
+    public string Branch { get; set; } = ""; // v6 / v7
+    public DateTime CreatedUtc { get; set; } = DateTime.UtcNow;
+    public List<BundleFile> Files { get; set; } = [];
+    public List<BundlePointer> Pointers { get; set; } = [];
+}
+
+public class BundleFile
+{
+    public string Path { get; set; } = ""; // путь внутри архива: routeros/v7/7.16.1/routeros-7.16.1-arm64.npk
+    public long Size { get; set; }
+    public string Sha256 { get; set; } = "";
+    public string? Source { get; set; }
+}
+
+public class BundlePointer
+{
+    public string FileName { get; set; } = "";
+    public string Content { get; set; } = "";
+}
@@ -0,0 +1,58 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Раздел CHANGELOG: "What's new in 7.16.1 (2024-Oct-10 11:03):" и строки "*) component - text"
+/// </summary>
+public class ChangelogRelease
+{
+    public string Version { get; set; } = "";
+    public DateTime? ReleasedAt { get; set; } // время из заголовка, как его пишет MikroTik (без пояса)
+    public List<ChangelogChange> Changes { get; set; } = [];
+}
+
+public class ChangelogChange
+{
+    public string Version { get; set; } = "";
+    public string Component { get; set; } = ""; // bgp, wifi, container... или other
+    public string Text { get; set; } = "";
+    public bool Important { get; set; } // "!)" — важные изменения в начале раздела
+}
+
+public class ChangelogGroup
+{
+    public string Component { get; set; } = "";
+    public List<ChangelogChange> Changes { get; set; } = [];
+}
+
+/// <summary>
+///     Всё, что изменилось после From до To включительно
+/// </summary>
+public class ChangelogComparison
+{
+    public string From { get; set; } = "";
+    public string To { get; set; } = "";
+    public List<ChangelogRelease> Releases { get; set; } = []; // без Changes, от старых к новым
+    public List<ChangelogGroup> Groups { get; set; } = [];
+    public List<string> Warnings { get; set; } = [];
+}
+
+/// <summary>
+///     Найденное изменение. Source — версия, в чьём CHANGELOG открыть раздел Version, null — только в общем CHANGELOG
+/// </summary>
+public class ChangelogSearchHit
+{
+    public string Version { get; set; } = "";
+    public DateTime? ReleasedAt { get; set; }
+    public string? Source { get; set; }
+    public int Index { get; set; } // номер изменения в разделе Version файла Source
+    public string Component { get; set; } = "";
+    public string Text { get; set; } = "";
+    public bool Important { get; set; }
+}
+
+public class ChangelogSearchResult
+{
+    public string Query { get; set; } = "";
+    public int Total { get; set; }
+    public List<ChangelogSearchHit> Hits { get; set; } = [];
+}
@@ -0,0 +1,34 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Запись журнала проверок обновлений (check_runs.json): одна на каждый запуск, удачный или нет
+/// </summary>
+public class CheckRun
+{
+    public string Id { get; set; } = "";
+    public string Trigger { get; set; } = ""; // UpdateTriggers
+    public string Status { get; set; } = ""; // статус из CheckAndDownloadUpdatesAsync / FetchVersionAsync
+    public DateTime StartedUtc { get; set; }
+    public DateTime FinishedUtc { get; set; }
+    public long DurationMs { get; set; }
+
+    public int FilesDownloaded { get; set; }
+    public int FilesSkipped { get; set; }
+    public int FilesFailed { get; set; }
+    public long BytesDownloaded { get; set; }
+
+    // Что отдали апстримы: v6 / v7 -> версия; v7Fixed — выбранный трек
+    public Dictionary<string, string> UpstreamVersions { get; set; } = [];
+
+    // Обработанные версии: v6:6.49.17, v7-latest:7.16.1(existing)
+    public List<string> Versions { get; set; } = [];
+
+    public List<CheckRunFile> Failures { get; set; } = [];
+}
+
+public class CheckRunFile
+{
+    public string Version { get; set; } = "";
+    public string FileName { get; set; } = "";
+    public string? Error { get; set; }
+}
@@ -0,0 +1,24 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Роутер, который обращался к /routeros/*
+/// </summary>
+public class DeviceRecord
+{
+    public string Ip { get; set; } = "";
+    public DateTime FirstSeenUtc { get; set; }
+    public DateTime LastSeenUtc { get; set; }
+    public long RequestCount { get; set; }
+    public string? UserAgent { get; set; }
+
+    // Последний запрошенный pointer-файл (NEWESTa7.stable, LATEST.6, ...)
+    public string? Channel { get; set; }
+    public DateTime? LastChannelRequestUtc { get; set; }
+
+    // Из имени последнего скачанного npk/zip
+    public string? Arch { get; set; }
+    public string? LastVersionFetched { get; set; }
+    public string? LastFileFetched { get; set; }
+    public DateTime? LastDownloadUtc { get; set; }
+    public bool LastDownloadCompleted { get; set; }
+}
@@ -0,0 +1,18 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Фоновая загрузка произвольной версии RouterOS по запросу из UI
+/// </summary>
+public class FetchJob
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N");
+    public string Version { get; set; } = "";
+    public string Status { get; set; } = "queued"; // queued / waiting / running / completed / failed
+    public int Downloaded { get; set; }
+    public string? Error { get; set; }
+    public DateTime CreatedUtc { get; set; } = DateTime.UtcNow;
+    public DateTime? StartedUtc { get; set; }
+    public DateTime? FinishedUtc { get; set; }
+
+    public bool IsActive => Status is "queued" or "waiting" or "running";
+}
@@ -0,0 +1,27 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Итог офлайн-импорта: что разложено по версиям, что пропущено
+/// </summary>
+public class ImportResult
+{
+    public List<ImportedFile> Files { get; set; } = [];
+    public List<string> Versions { get; set; } = []; // версии, в которые что-то легло
+    public List<string> RestoredPointers { get; set; } = []; // pointer-файлы, закреплённые из bundle.json
+
+    public int Imported => Files.Count(f => f.Status == ImportedFile.StatusImported);
+    public int Failed => Files.Count(f => f.Status == ImportedFile.StatusFailed);
+}
+
+public class ImportedFile
+{
+    public const string StatusImported = "imported";
+    public const string StatusSkipped = "skipped";
+    public const string StatusFailed = "failed";
+
+    public string FileName { get; set; } = "";
+    public string? Version { get; set; }
+    public string? Arch { get; set; }
+    public string Status { get; set; } = StatusImported;
+    public string? Error { get; set; }
+}
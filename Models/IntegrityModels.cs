@@ -0,0 +1,46 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Статусы проверки целостности файла
+/// </summary>
+public static class IntegrityStatus
+{
+    public const string Ok = "ok";
+    public const string Failed = "failed";
+    public const string Unverified = "unverified";
+}
+
+/// <summary>
+///     manifest.json в папке версии: контрольные суммы и результат проверки каждого файла
+/// </summary>
+public class VersionManifest
+{
+    public string Version { get; set; } = "";
+    public List<ManifestFile> Files { get; set; } = [];
+}
+
+public class ManifestFile
+{
+    public string FileName { get; set; } = "";
+    public long Size { get; set; }
+    public long? ExpectedSize { get; set; } // Content-Length апстрима или размер записи в zip
+    public string Sha256 { get; set; } = "";
+    public string Status { get; set; } = IntegrityStatus.Unverified;
+    public string? Error { get; set; }
+    public string? Source { get; set; } // Id источника из upstreams.json или import для офлайн-импорта
+    public string? SourceUrl { get; set; }
+    public DateTime RecordedUtc { get; set; }
+    public DateTime? VerifiedUtc { get; set; }
+}
+
+public class VersionIntegrity
+{
+    public string Version { get; set; } = "";
+    public string Status { get; set; } = IntegrityStatus.Unverified;
+    public int Ok { get; set; }
+    public int Failed { get; set; }
+    public int Unverified { get; set; }
+    public DateTime? VerifiedUtc { get; set; }
+    public List<string> Sources { get; set; } = [];
+    public List<ManifestFile> Files { get; set; } = [];
+}
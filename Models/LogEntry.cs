@@ -2,6 +2,7 @@
 
 public class LogEntry
 {
+    public long Id { get; set; } // Возрастает с каждой записью, используется как курсор
     public DateTime Timestamp { get; set; } = DateTime.UtcNow;
     public string Level { get; set; } = "Information"; // Information / Warning / Error / Debug
     public string Source { get; set; } = "";
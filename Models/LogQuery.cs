@@ -0,0 +1,60 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Фильтр журнала. Записи отдаются от новых к старым, Before — курсор предыдущей страницы.
+/// </summary>
+public class LogQuery
+{
+    public string? Level { get; set; }
+    public string? Search { get; set; }
+    public string? Source { get; set; } // Подстрока категории логгера
+    public bool? HasException { get; set; }
+    public DateTime? FromUtc { get; set; }
+    public DateTime? ToUtc { get; set; }
+    public long? Before { get; set; }
+    public int Take { get; set; } = 100;
+
+    // Проверка всех фильтров, кроме курсора
+    public bool Matches(LogEntry e)
+    {
+        if (!string.IsNullOrWhiteSpace(Level) &&
+            !string.Equals(e.Level, Level, StringComparison.OrdinalIgnoreCase))
+            return false;
+
+        if (!string.IsNullOrWhiteSpace(Source) &&
+            !e.Source.Contains(Source, StringComparison.OrdinalIgnoreCase))
+            return false;
+
+        if (HasException.HasValue && HasException.Value == string.IsNullOrEmpty(e.Exception))
+            return false;
+
+        if (FromUtc.HasValue && e.Timestamp < FromUtc.Value)
+            return false;
+
+        if (ToUtc.HasValue && e.Timestamp > ToUtc.Value)
+            return false;
+
+        return string.IsNullOrWhiteSpace(Search) || MatchesSearch(e, Search);
+    }
+
+    private static bool MatchesSearch(LogEntry e, string search)
+    {
+        if (!string.IsNullOrEmpty(e.Source) &&
+            e.Source.Contains(search, StringComparison.OrdinalIgnoreCase))
+            return true;
+
+        if (!string.IsNullOrEmpty(e.Message) &&
+            e.Message.Contains(search, StringComparison.OrdinalIgnoreCase))
+            return true;
+
+        return !string.IsNullOrEmpty(e.Exception) &&
+               e.Exception.Contains(search, StringComparison.OrdinalIgnoreCase);
+    }
+}
+
+public class LogPage
+{
+    public List<LogEntry> Entries { get; set; } = [];
+    public long? NextCursor { get; set; } // null — старше записей нет
+    public bool HasMore => NextCursor.HasValue;
+}
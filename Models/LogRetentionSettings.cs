@@ -0,0 +1,11 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Хранение журнала на диске: сколько дней держим и сколько места отдаём
+/// </summary>
+public class LogRetentionSettings
+{
+    public int RetentionDays { get; set; } = 30;
+    public int MaxTotalSizeMb { get; set; } = 500;
+    public int MaxFileSizeMb { get; set; } = 20;
+}
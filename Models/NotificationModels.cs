@@ -0,0 +1,82 @@
+﻿using System.Text.Json.Serialization;
+
+namespace MikroTik.UpdateServer.Models;
+
+public static class NotificationChannelTypes
+{
+    public const string Webhook = "webhook"; // POST JSON с событием
+    public const string Smtp = "smtp"; // письмо через SMTP-релей
+    public const string Bot = "bot"; // POST {chat_id, text} — Telegram sendMessage, Slack/Mattermost incoming webhook
+}
+
+public static class NotificationEvents
+{
+    public const string CheckSucceeded = "check_succeeded";
+    public const string CheckFailed = "check_failed";
+    public const string VersionsDownloaded = "versions_downloaded";
+    public const string LowDisk = "low_disk";
+    public const string Test = "test";
+}
+
+/// <summary>
+///     Канал уведомлений. Какие поля нужны, зависит от Type.
+/// </summary>
+public class NotificationChannel
+{
+    public string Id { get; set; } = "";
+    public string Name { get; set; } = "";
+    public string Type { get; set; } = NotificationChannelTypes.Webhook;
+    public bool Enabled { get; set; } = true;
+
+    // webhook / bot
+    public string? Url { get; set; }
+    public string? ChatId { get; set; }
+
+    // smtp
+    public string? SmtpHost { get; set; }
+    public int SmtpPort { get; set; } = 25;
+    public bool SmtpSsl { get; set; }
+    public string? SmtpUser { get; set; }
+    public string? SmtpPassword { get; set; }
+    public string? From { get; set; }
+    public List<string> To { get; set; } = [];
+
+    // Только в ответах API: Url (в нём бывает токен) и пароль не отдаются, вместо них — подсказка и признак
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? UrlHint { get; set; }
+
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
+    public bool SmtpPasswordSet { get; set; }
+}
+
+public class NotificationSettings
+{
+    public List<NotificationChannel> Channels { get; set; } = [];
+
+    // Свободного места на диске с routeros/ меньше порога — уведомление. 0 — не проверять
+    public int LowDiskThresholdMb { get; set; } = 1024;
+}
+
+public class NotificationMessage
+{
+    public string Event { get; set; } = "";
+    public string Title { get; set; } = "";
+    public string Text { get; set; } = "";
+    public DateTime TimeUtc { get; set; } = DateTime.UtcNow;
+    public object? Data { get; set; }
+}
+
+/// <summary>
+///     Запись журнала доставки: одно событие в один канал
+/// </summary>
+public class NotificationDelivery
+{
+    public DateTime TimeUtc { get; set; } = DateTime.UtcNow;
+    public string ChannelId { get; set; } = "";
+    public string ChannelName { get; set; } = "";
+    public string Event { get; set; } = "";
+    public string Title { get; set; } = "";
+    public bool Success { get; set; }
+    public string? Error { get; set; }
+    public long DurationMs { get; set; }
+}
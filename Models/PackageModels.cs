@@ -0,0 +1,29 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Пакет из packages.csv версии RouterOS 7
+/// </summary>
+public class PackageInfo
+{
+    public string Package { get; set; } = "";
+    public string Arch { get; set; } = "";
+    public string FileName { get; set; } = "";
+    public long? SizeBytes { get; set; }
+
+    // Скачан в папку версии / входит в то, что мы зеркалируем (routeros и выбранные дополнительные пакеты)
+    public bool Cached { get; set; }
+    public bool Mirrored { get; set; }
+}
+
+public class VersionPackages
+{
+    public string Version { get; set; } = "";
+    public bool CsvAvailable { get; set; }
+    public List<PackageInfo> Packages { get; set; } = [];
+}
+
+public class ExtraPackageSettings
+{
+    // Пакеты v7 (wifi-qcom, container, zerotier…), которые качаются вместе с routeros-<ver>-<arch>.npk
+    public List<string> Packages { get; set; } = [];
+}
@@ -0,0 +1,16 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Закреплённая версия: всегда сверху в списках, очистка её не трогает
+/// </summary>
+public class PinnedVersion
+{
+    public string Version { get; set; } = "";
+    public string Note { get; set; } = ""; // "golden image for CCR fleet"
+    public DateTime PinnedUtc { get; set; } = DateTime.UtcNow;
+}
+
+public class PinRequest
+{
+    public string? Note { get; set; }
+}
@@ -0,0 +1,37 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Цели pointer-файлов: активная версия одного из треков или явная версия из кэша
+/// </summary>
+public static class PointerTargets
+{
+    public const string V6 = "v6";
+    public const string V7Fixed = "v7-fixed";
+    public const string V7Latest = "v7-latest";
+
+    public static readonly string[] Tracks = [V6, V7Fixed, V7Latest];
+
+    public static bool IsTrack(string? target)
+    {
+        return Tracks.Contains(target, StringComparer.OrdinalIgnoreCase);
+    }
+}
+
+public class PointerMapConfig
+{
+    // Канал ("6.stable", "7.testing", ...) -> цель
+    public Dictionary<string, string> Channels { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+
+    // Конкретный pointer-файл ("NEWEST7.stable") -> цель, перекрывает канал
+    public Dictionary<string, string> Overrides { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+}
+
+public class PointerFileInfo
+{
+    public string FileName { get; set; } = "";
+    public string Channel { get; set; } = "";
+    public string Target { get; set; } = "";
+    public bool IsOverride { get; set; }
+    public string? Version { get; set; }
+    public string? Content { get; set; }
+}
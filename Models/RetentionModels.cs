@@ -0,0 +1,50 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Сколько версий ветки держать в кэше
+/// </summary>
+public class BranchRetention
+{
+    // Сколько новейших версий хранить; 0 — без ограничения
+    public int KeepCount { get; set; } = 3;
+
+    // Версии, скачанные позже, чем столько дней назад, ограничение по количеству не трогает; 0 — выкл.
+    // При KeepCount = 0 более старые версии удаляются
+    public int KeepNewerThanDays { get; set; }
+
+    // Предел размера ветки на диске; 0 — без ограничения. Сверх него удаляются самые старые версии
+    public int MaxTotalSizeMb { get; set; }
+}
+
+public class RetentionSettings
+{
+    public BranchRetention V6 { get; set; } = new();
+    public BranchRetention V7 { get; set; } = new();
+
+    // Никогда не удаляются (активные, из карты pointer-файлов и правил rollout защищены и так)
+    public List<string> ProtectedVersions { get; set; } = [];
+}
+
+/// <summary>
+///     Решение по одной версии в кэше
+/// </summary>
+public class RetentionItem
+{
+    public string Branch { get; set; } = ""; // v6 / v7
+    public string Version { get; set; } = "";
+    public long SizeBytes { get; set; }
+    public DateTime CachedUtc { get; set; }
+    public bool Protected { get; set; }
+    public bool Remove { get; set; }
+    public string Reason { get; set; } = "";
+}
+
+public class RetentionPlan
+{
+    public bool DryRun { get; set; }
+    public List<RetentionItem> Items { get; set; } = [];
+    public List<string> Warnings { get; set; } = [];
+
+    public int RemoveCount => Items.Count(i => i.Remove);
+    public long FreedBytes => Items.Where(i => i.Remove).Sum(i => i.SizeBytes);
+}
@@ -0,0 +1,32 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Правило поэтапного обновления: группе клиентов pointer-файлы отдают свою версию.
+///     Правила проверяются по порядку, срабатывает первое подходящее.
+/// </summary>
+public class RolloutRule
+{
+    public string Id { get; set; } = "";
+    public string Name { get; set; } = "";
+    public bool Enabled { get; set; } = true;
+
+    // IP или CIDR (192.168.88.10, 10.0.0.0/24). Пусто — все клиенты
+    public List<string> Addresses { get; set; } = [];
+
+    // Доля клиентов из Addresses (по хэшу IP, стабильно между запросами). 100 — все
+    public int Percent { get; set; } = 100;
+
+    // Версия для pointer-файлов ветки; null — как у всех
+    public string? V6Version { get; set; }
+    public string? V7Version { get; set; }
+}
+
+/// <summary>
+///     Сколько известных роутеров попадает в группу правила
+/// </summary>
+public class RolloutGroup
+{
+    public string? RuleId { get; set; } // null — остальные клиенты (глобальные pointer-файлы)
+    public string Name { get; set; } = "";
+    public List<string> Clients { get; set; } = [];
+}
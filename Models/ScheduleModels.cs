@@ -1,25 +1,64 @@
-﻿namespace MikroTik.UpdateServer.Models;
+﻿using System.Text.Json.Serialization;
+
+namespace MikroTik.UpdateServer.Models;
+
+public static class ScheduleModes
+{
+    public const string Interval = "interval"; // каждые IntervalMinutes в выбранные дни
+    public const string Windows = "windows"; // одна проверка в начале каждого окна
+    public const string Both = "both"; // каждые IntervalMinutes, но только внутри окон
+}
+
+/// <summary>
+///     Окно проверки во времени TimeZoneService. End не позже Start — окно переходит через полночь
+///     и относится к дню, в который началось.
+/// </summary>
+public class ScheduleWindow
+{
+    public TimeSpan Start { get; set; } = new(2, 0, 0);
+    public TimeSpan End { get; set; } = new(4, 0, 0);
+}
 
 public class ScheduleConfig
 {
     public bool Enabled { get; set; } = true;
 
+    // null — файл старого формата, режим выбирается при загрузке
+    public string? Mode { get; set; }
+
     public string[] DaysOfWeek { get; set; } =
     [
         "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"
     ];
 
-    public TimeSpan CheckTime { get; set; } = new(2, 0, 0); // 2:00 AM
+    public List<ScheduleWindow> Windows { get; set; } = [];
+
+    // Старый формат — одно время проверки. При загрузке превращается в окно
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public TimeSpan? CheckTime { get; set; }
+
     public DateTime? PausedUntil { get; set; }
     public int IntervalMinutes { get; set; } = 60;
     public bool NotifyOnCompletion { get; set; } = true;
     public bool NotifyOnError { get; set; } = true;
 }
 
+/// <summary>
+///     Запуск по расписанию: время и с каким триггером он пройдёт
+/// </summary>
+public class ScheduledRun
+{
+    public DateTime TimeUtc { get; set; }
+    public DateTime LocalTime { get; set; } // во времени TimeZoneService
+    public string Trigger { get; set; } = "";
+}
+
 public class ScheduleStatus(ScheduleConfig config)
 {
     private ScheduleConfig Config { get; } = config;
     public DateTime NextScheduledCheck { get; set; }
+    public string TimeZone { get; set; } = "";
+    public List<ScheduledRun> UpcomingRuns { get; set; } = [];
 
     public string Status
     {
@@ -0,0 +1,46 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Источники запуска проверки обновлений
+/// </summary>
+public static class UpdateTriggers
+{
+    public const string Manual = "manual";
+    public const string Startup = "startup";
+    public const string Scheduled = "scheduled";
+    public const string Interval = "interval";
+    public const string Fetch = "fetch";
+    public const string Repair = "repair";
+}
+
+public class UpdateProgressSnapshot
+{
+    public bool IsRunning { get; set; }
+    public string? RunId { get; set; }
+    public string Trigger { get; set; } = "";
+    public string Stage { get; set; } = "idle"; // idle / connecting / resolving / downloading / finalizing / completed
+    public string? CurrentVersion { get; set; }
+    public string? Status { get; set; }
+    public DateTime? StartedUtc { get; set; }
+    public DateTime? FinishedUtc { get; set; }
+    public int Downloaded { get; set; }
+    public int FilesTotal { get; set; }
+    public int FilesCompleted { get; set; }
+    public int FilesSkipped { get; set; }
+    public int FilesFailed { get; set; }
+    public long BytesDownloaded { get; set; }
+    public List<FileProgress> Files { get; set; } = [];
+}
+
+public class FileProgress
+{
+    public string Version { get; set; } = "";
+    public string FileName { get; set; } = "";
+    public string Status { get; set; } = "pending"; // pending / downloading / completed / skipped / failed
+    public long BytesReceived { get; set; }
+    public long? TotalBytes { get; set; }
+    public double SpeedBytesPerSecond { get; set; }
+    public string? Error { get; set; }
+    public DateTime? StartedUtc { get; set; }
+    public DateTime? FinishedUtc { get; set; }
+}
@@ -0,0 +1,48 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Источник обновлений: официальный сервер MikroTik, дерево /routeros/ другого
+///     экземпляра этого сервера или локальная HTTP-заглушка
+/// </summary>
+public class UpstreamSource
+{
+    public string Id { get; set; } = "";
+    public string Name { get; set; } = "";
+
+    // Pointer-файлы, CHANGELOG и packages.csv: {BaseUrl}/LATEST.6, {BaseUrl}/7.16.1/CHANGELOG
+    public string BaseUrl { get; set; } = "";
+
+    // npk/zip; пусто — берём с BaseUrl (у зеркала всё лежит в одном дереве)
+    public string? DownloadUrl { get; set; }
+
+    public bool Enabled { get; set; } = true;
+
+    public string GetUrl(string relativePath)
+    {
+        return $"{BaseUrl.TrimEnd('/')}/{relativePath}";
+    }
+
+    public string GetDownloadUrl(string relativePath)
+    {
+        var baseUrl = string.IsNullOrWhiteSpace(DownloadUrl) ? BaseUrl : DownloadUrl;
+        return $"{baseUrl.TrimEnd('/')}/{relativePath}";
+    }
+}
+
+public static class UpstreamStatus
+{
+    public const string Unknown = "unknown";
+    public const string Healthy = "healthy";
+    public const string Unhealthy = "unhealthy";
+}
+
+public class UpstreamHealth
+{
+    public string SourceId { get; set; } = "";
+    public string Status { get; set; } = UpstreamStatus.Unknown;
+    public int ConsecutiveFailures { get; set; }
+    public long? LatencyMs { get; set; }
+    public string? LastError { get; set; }
+    public DateTime? LastSuccessUtc { get; set; }
+    public DateTime? LastFailureUtc { get; set; }
+}
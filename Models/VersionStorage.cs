@@ -0,0 +1,17 @@
+﻿namespace MikroTik.UpdateServer.Models;
+
+/// <summary>
+///     Сколько места на диске занимает версия и когда её файлы скачаны
+/// </summary>
+public class VersionStorage
+{
+    public const string OtherArch = "other"; // CHANGELOG, packages.csv, manifest.json и прочее без архитектуры
+
+    public long SizeBytes { get; set; }
+    public int Files { get; set; }
+    public Dictionary<string, long> Arches { get; set; } = [];
+
+    // Самый ранний и самый поздний файл версии; для пустой папки — время самой папки
+    public DateTime DownloadedUtc { get; set; }
+    public DateTime ModifiedUtc { get; set; }
+}
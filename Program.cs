@@ -1,18 +1,28 @@
-using Microsoft.AspNetCore.Builder;
+﻿using Microsoft.AspNetCore.Builder;
+using Microsoft.AspNetCore.Http.Features;
 using Microsoft.AspNetCore.HttpOverrides;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.ResponseCompression;
 using Microsoft.Extensions.FileProviders;
+using Microsoft.Net.Http.Headers;
 
 using MikroTik.UpdateServer.Models;
 using MikroTik.UpdateServer.Services;
 
+using System.Net;
 using System.Runtime.InteropServices;
+using System.Text.Json;
 
 namespace MikroTik.UpdateServer;
 
 public static class Program
 {
+    // Офлайн-импорт: архив-сборка со всеми архитектурами весит сотни мегабайт
+    private const long MaxImportBytes = 4L * 1024 * 1024 * 1024;
+
+    private static readonly TimeSpan SseKeepAliveInterval = TimeSpan.FromSeconds(15);
+    private static readonly JsonSerializerOptions SseJsonOptions = new(JsonSerializerDefaults.Web);
+
     public static void Main(string[] args)
     {
         var builder = WebApplication.CreateBuilder(args);
@@ -22,27 +32,51 @@ public static class Program
             options.ForwardedHeaders =
                 ForwardedHeaders.XForwardedFor | ForwardedHeaders.XForwardedProto;
 
-            // сюда добавь внешний прокси, если он есть
-            // options.KnownProxies.Add(IPAddress.Parse("172.27.0.1"));
+            // X-Forwarded-For принимаем только от своих прокси (по умолчанию — loopback)
+            foreach (var proxy in builder.Configuration.GetSection("KnownProxies").Get<string[]>() ?? [])
+                if (IPAddress.TryParse(proxy, out var address))
+                    options.KnownProxies.Add(address);
         });
 
         // DI
+        builder.Services.AddSingleton<UpdateProgressService>();
         builder.Services.AddSingleton<MikroTikUpdateService>();
         builder.Services.AddSingleton<ScheduleService>();
+        builder.Services.AddSingleton<DeviceInventoryService>();
+        builder.Services.AddSingleton<PointerMapService>();
+        builder.Services.AddSingleton<IntegrityService>();
+        builder.Services.AddSingleton<UpstreamService>();
+        builder.Services.AddSingleton<RolloutService>();
+        builder.Services.AddSingleton<NotificationService>();
+        builder.Services.AddSingleton<RetentionService>();
+        builder.Services.AddSingleton<PinService>();
+        builder.Services.AddSingleton<MetricsService>();
+        builder.Services.AddSingleton<RunJournalService>();
+        builder.Services.AddSingleton<ExtraPackageService>();
+        builder.Services.AddSingleton<ChangelogService>();
+        builder.Services.AddSingleton<AuthService>();
         builder.Services.AddHostedService<UpdateCheckService>();
-        builder.Services.AddSingleton<ILogStore, InMemoryLogStore>();
+        builder.Services.AddSingleton<VersionFetchService>();
+        builder.Services.AddHostedService(sp => sp.GetRequiredService<VersionFetchService>());
+        builder.Services.AddSingleton<FileLogStore>();
+        builder.Services.AddSingleton<ILogStore>(sp => sp.GetRequiredService<FileLogStore>());
         builder.Services.AddSingleton<ILoggerProvider, LogStoreLoggerProvider>();
 
         // Новый сервис часового пояса
         builder.Services.AddSingleton<TimeZoneService>();
 
         builder.Services.AddHttpClient("MikroTikDiagnostics", client => { client.Timeout = TimeSpan.FromSeconds(5); });
+        builder.Services.AddHttpClient(
+            NotificationService.HttpClientName,
+            client => { client.Timeout = TimeSpan.FromSeconds(15); });
 
+        // UI открывается с того же origin; чужим сайтам доступ только по явному списку
+        var corsOrigins = builder.Configuration.GetSection("Cors:AllowedOrigins").Get<string[]>() ?? [];
         builder.Services.AddCors(options =>
         {
             options.AddDefaultPolicy(policy =>
             {
-                policy.AllowAnyOrigin()
+                policy.WithOrigins(corsOrigins)
                     .AllowAnyMethod()
                     .AllowAnyHeader();
             });
@@ -58,6 +92,8 @@ public static class Program
         var app = builder.Build();
         app.UseForwardedHeaders();
         var logStore = app.Services.GetRequiredService<ILogStore>();
+        // Проверка ApiKey при старте, а не на первом запросе
+        app.Services.GetRequiredService<AuthService>();
         app.UseExceptionHandler("/error");
 
         var baseFolder = Path.Combine(AppContext.BaseDirectory, "routeros");
@@ -80,22 +116,7 @@ public static class Program
             var path = context.Request.Path;
             var method = context.Request.Method;
 
-            // Пытаемся взять оригинальный IP из X-Forwarded-For, если есть
-            var realIp = context.Request.Headers["X-Forwarded-For"].ToString();
-            if (string.IsNullOrWhiteSpace(realIp))
-            {
-                realIp = context.Connection.RemoteIpAddress?.ToString() ?? "unknown";
-            }
-            else
-            {
-                // Если несколько, берём первый
-                var commaIndex = realIp.IndexOf(',');
-                if (commaIndex > 0)
-                    realIp = realIp[..commaIndex].Trim();
-                else
-                    realIp = realIp.Trim();
-            }
-
+            var realIp = GetClientIp(context);
             var remotePort = context.Connection.RemotePort;
 
             // Логический "серверный" IP — можно зашить или взять из конфигурации
@@ -193,32 +214,113 @@ public static class Program
             await next();
         });
 
+        // Авторизация: /api/* только с ключом или сессией. /routeros/*, /health, /metrics и статика UI остаются открытыми
+        app.Use(async (context, next) =>
+        {
+            var path = context.Request.Path;
+            if (!path.StartsWithSegments("/api") || path.StartsWithSegments("/api/auth"))
+            {
+                await next();
+                return;
+            }
+
+            var auth = context.RequestServices.GetRequiredService<AuthService>();
+            if (auth.Authenticate(context) is not null)
+            {
+                await next();
+                return;
+            }
+
+            context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+            await context.Response.WriteAsJsonAsync(new
+            {
+                code = "unauthorized",
+                message = "Authentication required"
+            });
+        });
+
         #region Api
 
         // API
         var api = app.MapGroup("/api");
 
+        api.MapGet("/auth/me", GetCurrentUser);
+        api.MapPost("/auth/login", Login);
+        api.MapPost("/auth/logout", Logout);
+
         api.MapGet("/versions", GetVersions);
         api.MapGet("/status", GetStatus);
         api.MapPost("/update-check", TriggerUpdateCheck);
+        api.MapGet("/update-check/progress", GetUpdateProgress);
+        api.MapGet("/update-check/progress/stream", StreamUpdateProgress);
+        api.MapGet("/update-check/runs", GetCheckRuns);
+        api.MapGet("/update-check/runs/{id}", GetCheckRun);
         api.MapPost("/set-active-version/{version}", SetActiveVersion);
         api.MapDelete("/remove-version/{version}", RemoveVersion);
         api.MapGet("/download/{version}/{filename}", DownloadFile);
         api.MapGet("/versions/history", GetVersionHistory);
+        api.MapPost("/versions/{version}/fetch", FetchVersion);
+        api.MapGet("/versions/{version}/bundle", DownloadBundle);
+        api.MapPost("/versions/import", ImportVersions)
+            .WithMetadata(new RequestSizeLimitAttribute(MaxImportBytes))
+            .WithMetadata(new RequestFormLimitsAttribute {MultipartBodyLengthLimit = MaxImportBytes});
+        api.MapGet("/versions/{version}/integrity", GetVersionIntegrity);
+        api.MapPost("/versions/{version}/verify", VerifyVersion);
+        api.MapPost("/versions/{version}/pin", PinVersion);
+        api.MapDelete("/versions/{version}/pin", UnpinVersion);
+        api.MapGet("/versions/{version}/packages", GetVersionPackages);
+        api.MapGet("/versions/coverage", GetArchCoverage);
+        api.MapPost("/versions/coverage/repair", RepairArchCoverage);
+        api.MapGet("/versions/fetch-jobs", GetFetchJobs);
+        api.MapGet("/versions/fetch-jobs/{id}", GetFetchJob);
+        api.MapGet("/versions/cleanup/preview", PreviewCleanup);
+        api.MapPost("/versions/cleanup", RunCleanup);
         api.MapGet("/changelog", GetGlobalChangelog);
+        api.MapGet("/changelog/compare", CompareChangelog);
+        api.MapGet("/changelog/search", SearchChangelog);
         api.MapGet("/changelog/{version}", GetVersionChangelog);
+        api.MapGet("/changelog/{version}/entries", GetVersionChangelogEntries);
+
+        // ===== Devices =====
+        api.MapGet("/devices", GetDevices);
+        api.MapDelete("/devices/{ip}", RemoveDevice);
+
+        // ===== Rollout =====
+        api.MapGet("/rollout", GetRollout);
+        api.MapPost("/rollout", UpdateRollout);
 
         // ===== ДИАГНОСТИКА =====
         api.MapGet("/diagnostics", GetDiagnostics);
 
         // ===== LOGS =====
-        api.MapGet("/logs", (string? level, string? search, int? take, ILogStore store, TimeZoneService tz) =>
+        api.MapGet("/logs", (
+            string? level,
+            string? search,
+            string? source,
+            bool? hasException,
+            DateTimeOffset? from,
+            DateTimeOffset? to,
+            long? before,
+            int? take,
+            ILogStore store,
+            TimeZoneService tz) =>
         {
-            var logs = store.Query(level, search, take ?? 100);
+            var page = store.Query(new LogQuery
+            {
+                Level = level,
+                Search = search,
+                Source = source,
+                HasException = hasException,
+                FromUtc = from?.UtcDateTime,
+                ToUtc = to?.UtcDateTime,
+                Before = before,
+                Take = take ?? 100
+            });
 
             // Добавляем локальное время по текущему часовому поясу
-            var projected = logs.Select(l => new
+            var projected = page.Entries.Select(l => new
             {
+                l.Id,
                 l.Level,
                 l.Source,
                 l.Message,
@@ -227,7 +329,12 @@ public static class Program
                 timestampLocal = tz.ConvertFromUtc(l.Timestamp)
             });
 
-            return Results.Ok(new {logs = projected});
+            return Results.Ok(new
+            {
+                logs = projected,
+                nextCursor = page.NextCursor,
+                hasMore = page.HasMore
+            });
         });
 
         api.MapGet("/logs/stats", (ILogStore store, TimeZoneService tz) =>
@@ -269,11 +376,17 @@ public static class Program
             });
         });
 
-        api.MapGet("/logs/download", (ILogStore store) =>
+        api.MapGet("/logs/download", (ILogStore store, HttpContext context) =>
         {
-            var zipBytes = store.ExportAsZip();
-            var fileName = $"logs-{DateTime.UtcNow:yyyyMMdd-HHmmss}.zip";
-            return Results.File(zipBytes, "application/zip", fileName);
+            // ZipArchive дописывает central directory синхронно в Dispose
+            var bodyControl = context.Features.Get<IHttpBodyControlFeature>();
+            if (bodyControl is not null)
+                bodyControl.AllowSynchronousIO = true;
+
+            return Results.Stream(
+                store.ExportAsZipAsync,
+                "application/zip",
+                $"logs-{DateTime.UtcNow:yyyyMMdd-HHmmss}.zip");
         });
 
         // ===== Schedule =====
@@ -292,9 +405,14 @@ public static class Program
             timeZone = tz.Current.Id
         }));
 
+        // Prometheus
+        app.MapGet("/metrics", (MetricsService metrics, MikroTikUpdateService service) =>
+            Results.Text(metrics.Render(service.GetCacheSizes()), "text/plain; version=0.0.4; charset=utf-8"));
+
         // ===== Settings / Architectures =====
         api.MapGet("/settings/arches", GetAllowedArches);
         api.MapPost("/settings/arches", UpdateAllowedArches);
+        api.MapGet("/settings/arches/upstream", GetUpstreamArches);
 
         // ===== Settings / TimeZone =====
         api.MapGet("/settings/timezone", GetTimeZone);
@@ -305,6 +423,37 @@ public static class Program
         api.MapGet("/settings/delete-prefixes", GetDeletePrefixes);
         api.MapPost("/settings/delete-prefixes", UpdateDeletePrefixes);
 
+        // ===== Settings / Fixed v7 track =====
+        api.MapGet("/settings/v7-fixed", GetV7FixedTrack);
+        api.MapPost("/settings/v7-fixed/{version}", UpdateV7FixedTrack);
+
+        // ===== Settings / Pointer map =====
+        api.MapGet("/settings/pointers", GetPointerMap);
+        api.MapPost("/settings/pointers", UpdatePointerMap);
+
+        // ===== Settings / Log retention =====
+        api.MapGet("/settings/log-retention", GetLogRetention);
+        api.MapPost("/settings/log-retention", UpdateLogRetention);
+
+        // ===== Settings / Extra v7 packages =====
+        api.MapGet("/settings/extra-packages", GetExtraPackages);
+        api.MapPost("/settings/extra-packages", UpdateExtraPackages);
+
+        // ===== Settings / Version retention =====
+        api.MapGet("/settings/retention", GetVersionRetention);
+        api.MapPost("/settings/retention", UpdateVersionRetention);
+
+        // ===== Settings / Upstream sources =====
+        api.MapGet("/settings/upstreams", GetUpstreams);
+        api.MapPost("/settings/upstreams", UpdateUpstreams);
+        api.MapPost("/settings/upstreams/check", CheckUpstreams);
+
+        // ===== Settings / Notifications =====
+        api.MapGet("/settings/notifications", GetNotifications);
+        api.MapPost("/settings/notifications", UpdateNotifications);
+        api.MapPost("/settings/notifications/test", TestNotification);
+        api.MapGet("/settings/notifications/log", GetNotificationLog);
+
         // Специальные маршруты для MikroTik обновлений (эмулируют официальные пути)
         app.MapMethods("/routeros/{filename}", ["GET", "HEAD"], ServeMikroTikFile);
         app.MapMethods("/routeros/{version}/{filename}", ["GET", "HEAD"], ServeMikroTikFile);
@@ -346,6 +495,286 @@ public static class Program
         }
     }
 
+    private static IResult GetCurrentUser(AuthService auth, HttpContext context)
+    {
+        var session = auth.GetSession(context.Request.Cookies[AuthService.SessionCookie]);
+        var user = auth.Authenticate(context);
+
+        return Results.Ok(new
+        {
+            authEnabled = auth.IsEnabled,
+            passwordLogin = auth.PasswordLoginEnabled,
+            apiKeyLogin = auth.ApiKeyLoginEnabled,
+            authenticated = user is not null,
+            username = user,
+            method = session?.Method,
+            expiresUtc = session?.ExpiresUtc
+        });
+    }
+
+    private static IResult Login(AuthService auth, HttpContext context, [FromBody] LoginDto? dto)
+    {
+        var clientIp = GetClientIp(context);
+        var retryAfter = auth.GetLoginRetryAfter(clientIp);
+        if (retryAfter is not null)
+        {
+            context.Response.Headers.RetryAfter = ((int) Math.Ceiling(retryAfter.Value.TotalSeconds)).ToString();
+            return Results.Json(
+                new {code = "too_many_attempts", message = "Too many failed login attempts, try again later"},
+                statusCode: 429);
+        }
+
+        if (dto is null ||
+            (string.IsNullOrWhiteSpace(dto.ApiKey) &&
+             (string.IsNullOrWhiteSpace(dto.Username) || string.IsNullOrEmpty(dto.Password))))
+            return Results.Json(
+                new {code = "bad_request", message = "Username and password or API key are required"},
+                statusCode: 400);
+
+        AuthSession session;
+        if (!string.IsNullOrWhiteSpace(dto.ApiKey) && auth.IsValidApiKey(dto.ApiKey))
+            session = auth.CreateSession("api-key", AuthMethods.ApiKey);
+        else if (auth.IsValidPassword(dto.Username, dto.Password))
+            session = auth.CreateSession(dto.Username!, AuthMethods.Password);
+        else
+        {
+            auth.RecordFailedLogin(clientIp);
+            return Results.Json(
+                new {code = "invalid_credentials", message = "Invalid credentials"},
+                statusCode: 401);
+        }
+
+        auth.ResetFailedLogins(clientIp);
+        context.Response.Cookies.Append(AuthService.SessionCookie, session.Token, new CookieOptions
+        {
+            HttpOnly = true,
+            Secure = context.Request.IsHttps,
+            SameSite = Microsoft.AspNetCore.Http.SameSiteMode.Strict,
+            Path = "/",
+            Expires = session.ExpiresUtc
+        });
+
+        return Results.Ok(new
+        {
+            username = session.Username,
+            method = session.Method,
+            expiresUtc = session.ExpiresUtc
+        });
+    }
+
+    private static IResult Logout(AuthService auth, HttpContext context)
+    {
+        auth.RemoveSession(context.Request.Cookies[AuthService.SessionCookie]);
+        context.Response.Cookies.Delete(AuthService.SessionCookie, new CookieOptions {Path = "/"});
+        return Results.Ok(new {message = "Signed out"});
+    }
+
+    private static IResult GetLogRetention(FileLogStore store)
+    {
+        var settings = store.GetRetention();
+        var (files, sizeBytes) = store.GetDiskUsage();
+
+        return Results.Ok(new
+        {
+            settings.RetentionDays,
+            settings.MaxTotalSizeMb,
+            settings.MaxFileSizeMb,
+            files,
+            sizeBytes
+        });
+    }
+
+    private static async Task<IResult> UpdateLogRetention(FileLogStore store, [FromBody] LogRetentionSettings? settings)
+    {
+        if (settings is null)
+            return Results.Json(
+                new {code = "bad_request", message = "Retention settings are required"},
+                statusCode: 400);
+
+        try
+        {
+            await store.UpdateRetentionAsync(settings);
+            return Results.Ok(new {message = "Log retention updated"});
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_retention", message = ex.Message},
+                statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(
+                $"Error updating log retention: {ex.Message}",
+                statusCode: 500);
+        }
+    }
+
+    private static IResult GetExtraPackages(ExtraPackageService extraPackages)
+    {
+        return Results.Ok(new ExtraPackageSettings {Packages = extraPackages.GetPackages()});
+    }
+
+    private static async Task<IResult> UpdateExtraPackages(
+        ExtraPackageService extraPackages,
+        [FromBody] ExtraPackageSettings? settings)
+    {
+        try
+        {
+            await extraPackages.UpdateAsync(settings);
+            return Results.Ok(new {message = "Extra packages updated"});
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_extra_packages", message = ex.Message},
+                statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(
+                $"Error updating extra packages: {ex.Message}",
+                statusCode: 500);
+        }
+    }
+
+    private static IResult GetVersionRetention(RetentionService retention)
+    {
+        return Results.Ok(retention.GetSettings());
+    }
+
+    private static async Task<IResult> UpdateVersionRetention(
+        RetentionService retention,
+        [FromBody] RetentionSettings? settings)
+    {
+        try
+        {
+            await retention.UpdateSettingsAsync(settings);
+            return Results.Ok(new {message = "Version retention updated"});
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_version_retention", message = ex.Message},
+                statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(
+                $"Error updating version retention: {ex.Message}",
+                statusCode: 500);
+        }
+    }
+
+    private static IResult PreviewCleanup(MikroTikUpdateService service)
+    {
+        return Results.Ok(service.PreviewRetention());
+    }
+
+    private static IResult RunCleanup(MikroTikUpdateService service)
+    {
+        var plan = service.ApplyRetention();
+
+        return plan is null
+            ? Results.Json(
+                new {code = "update_in_progress", message = "Update check or download is in progress, try again later"},
+                statusCode: 409)
+            : Results.Ok(plan);
+    }
+
+    private static IResult GetUpstreams(UpstreamService upstreams)
+    {
+        return Results.Ok(new
+        {
+            sources = upstreams.GetSources(),
+            health = upstreams.GetHealth()
+        });
+    }
+
+    private static async Task<IResult> UpdateUpstreams(
+        UpstreamService upstreams,
+        [FromBody] List<UpstreamSource>? sources)
+    {
+        try
+        {
+            await upstreams.UpdateSourcesAsync(sources);
+            return Results.Ok(new {message = "Upstream sources updated"});
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_upstreams", message = ex.Message},
+                statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(
+                $"Error updating upstream sources: {ex.Message}",
+                statusCode: 500);
+        }
+    }
+
+    private static async Task<IResult> CheckUpstreams(UpstreamService upstreams)
+    {
+        var reachable = await upstreams.CheckHealthAsync();
+
+        return Results.Ok(new
+        {
+            reachable,
+            health = upstreams.GetHealth()
+        });
+    }
+
+    private static IResult GetNotifications(NotificationService notifications)
+    {
+        return Results.Ok(notifications.GetSettings());
+    }
+
+    private static async Task<IResult> UpdateNotifications(
+        NotificationService notifications,
+        [FromBody] NotificationSettings? settings)
+    {
+        try
+        {
+            await notifications.UpdateSettingsAsync(settings);
+            return Results.Ok(new {message = "Notification channels updated"});
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_notifications", message = ex.Message},
+                statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(
+                $"Error updating notification channels: {ex.Message}",
+                statusCode: 500);
+        }
+    }
+
+    private static async Task<IResult> TestNotification(
+        NotificationService notifications,
+        [FromBody] NotificationChannel? channel)
+    {
+        try
+        {
+            // Ошибка доставки — не ошибка запроса: она в самой записи журнала
+            return Results.Ok(await notifications.SendTestAsync(channel));
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_notifications", message = ex.Message},
+                statusCode: 400);
+        }
+    }
+
+    private static IResult GetNotificationLog(NotificationService notifications)
+    {
+        return Results.Ok(notifications.GetDeliveries());
+    }
+
     private static IResult GetDeletePrefixes(MikroTikUpdateService service)
     {
         var prefixes = service.GetDeletePrefixes();
@@ -369,6 +798,70 @@ public static class Program
         }
     }
 
+    private static async Task<IResult> GetV7FixedTrack(MikroTikUpdateService service)
+    {
+        var candidates = await service.GetV7FixedCandidatesAsync();
+        return Results.Ok(candidates);
+    }
+
+    private static async Task<IResult> UpdateV7FixedTrack(string version, MikroTikUpdateService service)
+    {
+        try
+        {
+            await service.SetV7FixedTrackAsync(version);
+            return Results.Ok(new {message = "Fixed v7 track updated successfully", version});
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_version", message = ex.Message},
+                statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem($"Error updating fixed v7 track: {ex.Message}");
+        }
+    }
+
+    private static IResult GetPointerMap(MikroTikUpdateService service, PointerMapService pointerMap)
+    {
+        return Results.Ok(new
+        {
+            config = pointerMap.GetConfig(),
+            defaults = PointerMapService.CreateDefaultConfig(),
+            channels = PointerMapService.Channels,
+            tracks = PointerTargets.Tracks,
+            files = service.GetPointerFilesInfo()
+        });
+    }
+
+    private static async Task<IResult> UpdatePointerMap(
+        MikroTikUpdateService service,
+        PointerMapService pointerMap,
+        PointerMapConfig config)
+    {
+        try
+        {
+            await service.UpdatePointerMapAsync(config);
+            return Results.Ok(new
+            {
+                message = "Pointer map updated successfully",
+                config = pointerMap.GetConfig(),
+                files = service.GetPointerFilesInfo()
+            });
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_pointer_map", message = ex.Message},
+                statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem($"Error updating pointer map: {ex.Message}");
+        }
+    }
+
     private static IResult GetAllowedArches(MikroTikUpdateService service)
     {
         var arches = service.GetAllowedArches();
@@ -390,6 +883,11 @@ public static class Program
         }
     }
 
+    private static async Task<IResult> GetUpstreamArches(MikroTikUpdateService service)
+    {
+        return Results.Ok(await service.GetUpstreamArchesAsync());
+    }
+
     // Schedule
     private static IResult GetSchedule(ScheduleService scheduleService)
     {
@@ -410,6 +908,12 @@ public static class Program
             await scheduleService.UpdateConfigAsync(config);
             return Results.Ok(new {message = "Schedule updated successfully"});
         }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_schedule", message = ex.Message},
+                statusCode: 400);
+        }
         catch (Exception ex)
         {
             return Results.Problem($"Error updating schedule: {ex.Message}");
@@ -444,46 +948,32 @@ public static class Program
 
     private static async Task<IResult> GetDiagnostics(
         MikroTikUpdateService service,
-        IHttpClientFactory httpClientFactory,
+        UpstreamService upstreams,
         TimeZoneService tz)
     {
         try
         {
-            // Пытаемся подключиться к MikroTik серверам
-            var client = httpClientFactory.CreateClient("MikroTikDiagnostics");
+            // Опрашиваем все включённые источники обновлений
+            var reachable = await upstreams.CheckHealthAsync();
+            var health = upstreams.GetHealth();
+            var sources = upstreams.GetSources();
 
             var connectivity = new
             {
-                mikrotikServer = "unknown",
-                details = "Not tested"
-            };
-
-            try
-            {
-                using var request = new HttpRequestMessage(HttpMethod.Head, "https://upgrade.mikrotik.com/");
-                var response = await client.SendAsync(request);
-                connectivity = new
-                {
-                    mikrotikServer = response.IsSuccessStatusCode ? "✓ Connected" : "✗ Failed",
-                    details = $"HTTP {(int) response.StatusCode}"
-                };
-            }
-            catch (HttpRequestException ex)
-            {
-                connectivity = new
+                mikrotikServer = reachable ? "✓ Connected" : "✗ Failed",
+                details = string.Join(", ", health.Select(h =>
+                    h.Status == UpstreamStatus.Healthy
+                        ? $"{h.SourceId}: {h.LatencyMs} ms"
+                        : $"{h.SourceId}: {h.LastError ?? h.Status}")),
+                upstreams = sources.Select(s => new
                 {
-                    mikrotikServer = "✗ Network Error",
-                    details = ex.Message
-                };
-            }
-            catch (TaskCanceledException)
-            {
-                connectivity = new
-                {
-                    mikrotikServer = "✗ Timeout",
-                    details = "Connection timed out (5 seconds)"
-                };
-            }
+                    s.Id,
+                    s.Name,
+                    s.BaseUrl,
+                    s.Enabled,
+                    health = health.FirstOrDefault(h => h.SourceId == s.Id)
+                })
+            };
 
             var diagnostics = new
             {
@@ -517,10 +1007,111 @@ public static class Program
         }
     }
 
+    private static bool RangeReachesEnd(HttpResponse response)
+    {
+        return ContentRangeHeaderValue.TryParse(response.Headers.ContentRange.ToString(), out var range) &&
+               range is {To: not null, Length: not null} &&
+               range.To.Value == range.Length.Value - 1;
+    }
+
+    // Адрес клиента: X-Forwarded-For уже разобран UseForwardedHeaders, и только от KnownProxies
+    private static string GetClientIp(HttpContext context)
+    {
+        var address = context.Connection.RemoteIpAddress;
+        if (address is null)
+            return "unknown";
+
+        return (address.IsIPv4MappedToIPv6 ? address.MapToIPv4() : address).ToString();
+    }
+
+    private static IResult GetDevices(DeviceInventoryService inventory)
+    {
+        var devices = inventory.GetAll();
+        return Results.Ok(new
+        {
+            count = devices.Count,
+            devices
+        });
+    }
+
+    private static IResult GetRollout(RolloutService rollout, DeviceInventoryService inventory)
+    {
+        return Results.Ok(new
+        {
+            rules = rollout.GetRules(),
+            groups = rollout.GetGroups(inventory.GetAll().Select(d => d.Ip))
+        });
+    }
+
+    private static async Task<IResult> UpdateRollout(
+        RolloutService rollout,
+        DeviceInventoryService inventory,
+        MikroTikUpdateService service,
+        [FromBody] List<RolloutRule>? rules)
+    {
+        try
+        {
+            var normalized = RolloutService.Normalize(rules);
+
+            // Роутеры должны смочь скачать то, что им объявили
+            var missing = normalized
+                .SelectMany(r => new[] {r.V6Version, r.V7Version})
+                .OfType<string>()
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .Where(v => !service.IsVersionCached(v))
+                .ToList();
+
+            if (missing.Count > 0)
+                return Results.Json(
+                    new {code = "invalid_rollout", message = $"Versions not cached: {string.Join(", ", missing)}"},
+                    statusCode: 400);
+
+            await rollout.UpdateRulesAsync(normalized);
+
+            return Results.Ok(new
+            {
+                message = "Rollout rules updated",
+                rules = rollout.GetRules(),
+                groups = rollout.GetGroups(inventory.GetAll().Select(d => d.Ip))
+            });
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_rollout", message = ex.Message},
+                statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(
+                $"Error updating rollout rules: {ex.Message}",
+                statusCode: 500);
+        }
+    }
+
+    private static IResult RemoveDevice(string ip, DeviceInventoryService inventory)
+    {
+        if (string.IsNullOrWhiteSpace(ip))
+            return Results.Json(
+                new {code = "bad_request", message = "IP parameter is required"},
+                statusCode: 400);
+
+        if (!inventory.Remove(ip))
+            return Results.Json(
+                new {code = "device_not_found", message = $"Device {ip} not found"},
+                statusCode: 404);
+
+        return Results.Ok(new {message = "Device removed", ip});
+    }
+
     private static async Task<IResult> ServeMikroTikFile(
         string? version,
         string? filename,
         MikroTikUpdateService service,
+        DeviceInventoryService inventory,
+        IntegrityService integrity,
+        RolloutService rollout,
+        MetricsService metrics,
         HttpContext context)
     {
         Console.WriteLine($"[DEBUG] ServeMikroTikFile called: version='{version}', filename='{filename}'");
@@ -532,13 +1123,23 @@ public static class Program
             return Results.BadRequest("Filename required");
         }
 
+        var clientIp = GetClientIp(context);
+        var userAgent = context.Request.Headers.UserAgent.ToString();
+
         // 1. Pointer-файлы (LATEST.6, NEWEST6.stable, NEWESTa6.long-term и т.п.)
         // ОБРАБАТЫВАЕМ ВНЕ ЗАВИСИМОСТИ ОТ ВЕРСИИ В URL!
         if (IsPointerFile(filename))
         {
             Console.WriteLine($"[DEBUG] Processing pointer file request: {filename}");
-
-            var content = service.GetPointerFileContent(filename);
+            inventory.RecordPointerRequest(clientIp, filename, userAgent);
+            // Неизвестные имена сводим в одну метку, иначе клиент раздует набор серий
+            var canonicalPointer = PointerMapService.GetCanonicalFileName(filename);
+            metrics.RecordPointerRequest(canonicalPointer is null
+                ? MetricsService.UnknownChannel
+                : PointerMapService.GetChannel(canonicalPointer));
+
+            // Правила поэтапного обновления могут отдать клиенту другую версию
+            var content = rollout.ApplyToPointer(filename, service.GetPointerFileContent(filename), clientIp);
             if (content is null)
             {
                 var req = version is null
@@ -600,6 +1201,35 @@ public static class Program
                 });
             }
 
+            // Файл не прошёл проверку целостности — лучше отказать, чем прошить роутер битым пакетом
+            if (!integrity.IsServable(filePath))
+            {
+                Console.WriteLine($"[DEBUG] File failed integrity check: routeros/{version}/{filename}");
+                return Results.Json(new
+                {
+                    error = "File failed integrity verification",
+                    requested = $"routeros/{version}/{filename}"
+                }, statusCode: StatusCodes.Status503ServiceUnavailable);
+            }
+
+            if (HttpMethods.IsGet(context.Request.Method) && FirmwareFileName.TryParse(filename, out _))
+            {
+                inventory.RecordFileRequest(clientIp, version, filename, userAgent);
+
+                // Скачивание считаем завершённым, если клиент не оборвал соединение и получил файл до конца
+                // (докачка через Range тоже считается, если диапазон доходит до конца файла)
+                context.Response.OnCompleted(() =>
+                {
+                    var completed = !context.RequestAborted.IsCancellationRequested &&
+                                    (context.Response.StatusCode == StatusCodes.Status200OK ||
+                                     (context.Response.StatusCode == StatusCodes.Status206PartialContent &&
+                                      RangeReachesEnd(context.Response)));
+                    inventory.RecordDownloadFinished(clientIp, filename, completed);
+                    return Task.CompletedTask;
+                });
+            }
+
+            TrackServedFile(context, metrics, filename, version);
             return await ServePhysicalFile(filePath, filename);
         }
 
@@ -639,9 +1269,30 @@ public static class Program
             });
         }
 
+        TrackServedFile(context, metrics, filename);
         return await ServePhysicalFile(filePathRegular, filename);
     }
 
+    // Отданный файл попадает в /metrics, только если клиент дочитал ответ
+    private static void TrackServedFile(HttpContext context, MetricsService metrics, string filename, string? version = null)
+    {
+        if (!HttpMethods.IsGet(context.Request.Method))
+            return;
+
+        var parsed = FirmwareFileName.TryParse(filename, out var info);
+        var arch = parsed ? info!.Arch : VersionStorage.OtherArch;
+        version ??= parsed ? info!.Version : "none";
+
+        context.Response.OnCompleted(() =>
+        {
+            if (!context.RequestAborted.IsCancellationRequested &&
+                context.Response.StatusCode is StatusCodes.Status200OK or StatusCodes.Status206PartialContent)
+                metrics.RecordServedFile(version, arch, context.Response.ContentLength ?? 0);
+
+            return Task.CompletedTask;
+        });
+    }
+
     // Вспомогательный метод для определения pointer-файлов
     private static bool IsPointerFile(string filename)
     {
@@ -678,11 +1329,25 @@ public static class Program
             : Path.GetFileName(filePath);
 
         Console.WriteLine($"[DEBUG] Serving file: {filePath} with contentType: {contentType}");
-        var stream = File.OpenRead(filePath);
-        var result = Results.File(stream, contentType, downloadName);
+
+        // Range/If-Range, ETag и Last-Modified (304/206/416) обрабатывает сам Results.File
+        var fileInfo = new FileInfo(filePath);
+        var result = Results.File(
+            fileInfo.FullName,
+            contentType,
+            downloadName,
+            fileInfo.LastWriteTimeUtc,
+            CreateETag(fileInfo),
+            true);
         return Task.FromResult(result);
     }
 
+    // Сильный ETag из размера и времени изменения — меняется при перекачке файла
+    private static EntityTagHeaderValue CreateETag(FileInfo fileInfo)
+    {
+        return new EntityTagHeaderValue($"\"{fileInfo.Length:x}-{fileInfo.LastWriteTimeUtc.Ticks:x}\"");
+    }
+
     // ===== Handlers =====
 
     private static async Task<IResult> GetVersions(MikroTikUpdateService service)
@@ -699,7 +1364,7 @@ public static class Program
 
     private static async Task<IResult> TriggerUpdateCheck(MikroTikUpdateService service)
     {
-        var (downloaded, versions, status) = await service.CheckAndDownloadUpdatesAsync();
+        var (downloaded, versions, status) = await service.CheckAndDownloadUpdatesAsync(UpdateTriggers.Manual);
 
         return status switch
         {
@@ -715,8 +1380,8 @@ public static class Program
                 new
                 {
                     code = "network_unavailable",
-                    message = "Cannot reach MikroTik servers. Check internet connection or firewall settings.",
-                    details = "Server cannot connect to upgrade.mikrotik.com"
+                    message = "Cannot reach any upstream source. Check internet connection or firewall settings.",
+                    details = "None of the enabled upstream sources responded"
                 },
                 statusCode: 503),
 
@@ -743,7 +1408,7 @@ public static class Program
                 {
                     code = "fetch_failed",
                     message = "Failed to fetch latest version information from MikroTik servers",
-                    details = "Ensure upgrade.mikrotik.com is accessible"
+                    details = "Check upstream sources in Configuration"
                 },
                 statusCode: 503),
 
@@ -773,8 +1438,65 @@ public static class Program
         };
     }
 
+    private static IResult GetUpdateProgress(UpdateProgressService progress)
+    {
+        return Results.Ok(progress.GetSnapshot());
+    }
+
+    // Server-Sent Events: первым сообщением — текущий снапшот, дальше — каждое изменение
+    private static async Task StreamUpdateProgress(HttpContext context, UpdateProgressService progress)
+    {
+        var cancellationToken = context.RequestAborted;
+
+        context.Response.ContentType = "text/event-stream";
+        context.Response.Headers["X-Accel-Buffering"] = "no";
+
+        var (id, reader) = progress.Subscribe();
+
+        try
+        {
+            await WriteSseEventAsync(context.Response, progress.GetSnapshot(), cancellationToken);
+
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                var waitTask = reader.WaitToReadAsync(cancellationToken).AsTask();
+                var completed = await Task.WhenAny(waitTask, Task.Delay(SseKeepAliveInterval, cancellationToken));
+
+                if (completed != waitTask)
+                {
+                    // keep-alive, чтобы прокси не рвали соединение
+                    await context.Response.WriteAsync(": ping\n\n", cancellationToken);
+                    await context.Response.Body.FlushAsync(cancellationToken);
+                    continue;
+                }
+
+                if (!await waitTask)
+                    break;
+
+                while (reader.TryRead(out var snapshot))
+                    await WriteSseEventAsync(context.Response, snapshot, cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // клиент закрыл вкладку
+        }
+        finally
+        {
+            progress.Unsubscribe(id);
+        }
+    }
+
+    private static async Task WriteSseEventAsync(HttpResponse response, object payload, CancellationToken ct)
+    {
+        var json = JsonSerializer.Serialize(payload, SseJsonOptions);
+        await response.WriteAsync($"data: {json}\n\n", ct);
+        await response.Body.FlushAsync(ct);
+    }
+
     private static async Task<IResult> SetActiveVersion(
         string version,
+        [FromQuery] string? track,
         MikroTikUpdateService service)
     {
         if (string.IsNullOrWhiteSpace(version))
@@ -784,13 +1506,19 @@ public static class Program
 
         try
         {
-            var result = await service.SetActiveVersionAsync(version);
+            var result = await service.SetActiveVersionAsync(version, track);
             if (!result)
                 return Results.Json(
                     new {code = "version_not_found", message = $"Version {version} not found"},
                     statusCode: 404);
 
-            return Results.Ok(new {message = "Active version updated", version});
+            return Results.Ok(new {message = "Active version updated", version, track});
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(
+                new {code = "invalid_track", message = ex.Message},
+                statusCode: 400);
         }
         catch
         {
@@ -800,6 +1528,129 @@ public static class Program
         }
     }
 
+    private static async Task<IResult> FetchVersion(
+        string version,
+        MikroTikUpdateService service,
+        VersionFetchService fetchService)
+    {
+        version = version.Trim();
+
+        if (!FirmwareFileName.IsVersion(version) || !(version.StartsWith("6.") || version.StartsWith("7.")))
+            return Results.Json(
+                new {code = "bad_request", message = $"Invalid RouterOS version: {version}"},
+                statusCode: 400);
+
+        var exists = await service.VersionExistsUpstreamAsync(version);
+        if (exists is null)
+            return Results.Json(
+                new {code = "upstream_unavailable", message = "Cannot reach MikroTik servers"},
+                statusCode: 502);
+
+        if (exists == false)
+            return Results.Json(
+                new {code = "version_not_found", message = $"Version {version} not found upstream"},
+                statusCode: 404);
+
+        var job = fetchService.Enqueue(version);
+        return Results.Accepted($"/api/versions/fetch-jobs/{job.Id}", job);
+    }
+
+    private static IResult DownloadBundle(string version, HttpContext context, MikroTikUpdateService service)
+    {
+        if (!service.IsVersionCached(version))
+            return Results.Json(new {code = "version_not_found", message = $"Version {version} not found"},
+                statusCode: 404);
+
+        // ZipArchive дописывает central directory синхронно в Dispose
+        var bodyControl = context.Features.Get<IHttpBodyControlFeature>();
+        if (bodyControl is not null)
+            bodyControl.AllowSynchronousIO = true;
+
+        return Results.Stream(
+            stream => service.WriteBundleAsync(version, stream),
+            "application/zip",
+            $"routeros-{version}-bundle.zip");
+    }
+
+    private static async Task<IResult> ImportVersions(HttpRequest request, MikroTikUpdateService service)
+    {
+        if (!request.HasFormContentType)
+            return Results.Json(
+                new {code = "bad_request", message = "Expected multipart/form-data upload"},
+                statusCode: 400);
+
+        var form = await request.ReadFormAsync();
+        if (form.Files.Count == 0)
+            return Results.Json(
+                new {code = "bad_request", message = "No files uploaded"},
+                statusCode: 400);
+
+        var version = form["version"].ToString().Trim();
+        if (version.Length > 0 && !FirmwareFileName.IsVersion(version))
+            return Results.Json(
+                new {code = "bad_request", message = $"Invalid RouterOS version: {version}"},
+                statusCode: 400);
+
+        var restorePointers = bool.TryParse(form["restorePointers"], out var restore) && restore;
+
+        var streams = form.Files.Select(f => (f.FileName, f.OpenReadStream())).ToList();
+        try
+        {
+            var result = await service.ImportFilesAsync(
+                streams,
+                version.Length > 0 ? version : null,
+                restorePointers);
+
+            return result is null
+                ? Results.Json(
+                    new {code = "update_in_progress", message = "Update check or download is in progress, try again later"},
+                    statusCode: 409)
+                : Results.Ok(result);
+        }
+        finally
+        {
+            foreach (var (_, stream) in streams)
+                await stream.DisposeAsync();
+        }
+    }
+
+    private static IResult GetVersionIntegrity(string version, MikroTikUpdateService service)
+    {
+        var result = service.GetVersionIntegrity(version);
+        return result is null
+            ? Results.Json(new {code = "version_not_found", message = $"Version {version} not found"}, statusCode: 404)
+            : Results.Ok(result);
+    }
+
+    private static async Task<IResult> VerifyVersion(string version, MikroTikUpdateService service)
+    {
+        try
+        {
+            var result = await service.VerifyVersionAsync(version);
+            return result is null
+                ? Results.Json(new {code = "version_not_found", message = $"Version {version} not found"},
+                    statusCode: 404)
+                : Results.Ok(result);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem($"Error verifying version: {ex.Message}");
+        }
+    }
+
+    private static IResult GetFetchJobs(VersionFetchService fetchService)
+    {
+        return Results.Ok(fetchService.GetJobs());
+    }
+
+    private static IResult GetFetchJob(string id, VersionFetchService fetchService)
+    {
+        var job = fetchService.GetJob(id);
+        return job is null
+            ? Results.Json(new {code = "job_not_found", message = $"Fetch job {id} not found"}, statusCode: 404)
+            : Results.Ok(job);
+    }
+
     private static async Task<IResult> RemoveVersion(
         string version,
         MikroTikUpdateService service)
@@ -827,11 +1678,73 @@ public static class Program
         }
     }
 
+    private static IResult GetVersionPackages(string version, MikroTikUpdateService service)
+    {
+        var packages = service.GetVersionPackages(version);
+        return packages is null
+            ? Results.Json(new {code = "version_not_found", message = $"Version {version} not found"}, statusCode: 404)
+            : Results.Ok(packages);
+    }
+
+    private static IResult GetArchCoverage(MikroTikUpdateService service)
+    {
+        return Results.Ok(service.GetArchCoverage());
+    }
+
+    private static async Task<IResult> RepairArchCoverage(
+        MikroTikUpdateService service,
+        [FromQuery] string? version)
+    {
+        if (version is not null && !service.IsVersionCached(version))
+            return Results.Json(new {code = "version_not_found", message = $"Version {version} not found"},
+                statusCode: 404);
+
+        var result = await service.RepairArchCoverageAsync(version);
+        return result is null
+            ? Results.Json(new {code = "update_in_progress", message = "Update check is already in progress"},
+                statusCode: 409)
+            : Results.Ok(result);
+    }
+
+    private static async Task<IResult> PinVersion(
+        string version,
+        MikroTikUpdateService service,
+        PinService pins,
+        [FromBody] PinRequest? request)
+    {
+        if (!service.IsVersionCached(version))
+            return Results.Json(new {code = "version_not_found", message = $"Version {version} not found"},
+                statusCode: 404);
+
+        try
+        {
+            var pin = await pins.PinAsync(version, request?.Note);
+            return Results.Ok(pin);
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(new {code = "invalid_pin", message = ex.Message}, statusCode: 400);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem($"Error pinning version: {ex.Message}", statusCode: 500);
+        }
+    }
+
+    private static async Task<IResult> UnpinVersion(string version, PinService pins)
+    {
+        if (!await pins.UnpinAsync(version))
+            return Results.Json(new {code = "version_not_pinned", message = $"Version {version} is not pinned"},
+                statusCode: 404);
+
+        return Results.Ok(new {message = "Version unpinned", version});
+    }
+
     private static async Task<IResult> DownloadFile(
         string version,
         string filename,
         MikroTikUpdateService service,
-        HttpContext context)
+        IntegrityService integrity)
     {
         if (string.IsNullOrWhiteSpace(version) || string.IsNullOrWhiteSpace(filename))
             return Results.Json(
@@ -844,18 +1757,21 @@ public static class Program
                 new {code = "file_not_found", message = $"File not found: {version}/{filename}"},
                 statusCode: 404);
 
+        if (!integrity.IsServable(filePath))
+            return Results.Json(
+                new {code = "integrity_failed", message = $"File failed integrity verification: {version}/{filename}"},
+                statusCode: 503);
+
         try
         {
             var fileInfo = new FileInfo(filePath);
-            var etag = $"\"{fileInfo.LastWriteTimeUtc.Ticks}\"";
-            context.Response.Headers["ETag"] = etag;
-
-            if (context.Request.Headers.TryGetValue("If-None-Match", out var clientEtag) &&
-                clientEtag == etag)
-                return Results.StatusCode(304);
-
-            var stream = File.OpenRead(filePath);
-            return Results.File(stream, "application/octet-stream", filename);
+            return Results.File(
+                fileInfo.FullName,
+                "application/octet-stream",
+                filename,
+                fileInfo.LastWriteTimeUtc,
+                CreateETag(fileInfo),
+                true);
         }
         catch
         {
@@ -889,6 +1805,28 @@ public static class Program
         });
     }
 
+    private static IResult GetCheckRuns(
+        RunJournalService journal,
+        [FromQuery] string? trigger,
+        [FromQuery] string? status,
+        [FromQuery] int take = 100)
+    {
+        var runs = journal.GetRuns(trigger, status, take);
+        return Results.Ok(new
+        {
+            count = runs.Count,
+            data = runs
+        });
+    }
+
+    private static IResult GetCheckRun(string id, RunJournalService journal)
+    {
+        var run = journal.GetRun(id);
+        return run is null
+            ? Results.Json(new {code = "run_not_found", message = $"Check run {id} not found"}, statusCode: 404)
+            : Results.Ok(run);
+    }
+
     private static async Task<IResult> GetGlobalChangelog(MikroTikUpdateService service)
     {
         var content = await service.GetGlobalChangelogContentAsync();
@@ -918,6 +1856,51 @@ public static class Program
         return Results.Text(content, "text/plain; charset=utf-8");
     }
 
+    private static async Task<IResult> GetVersionChangelogEntries(string version, ChangelogService changelog)
+    {
+        var releases = await changelog.GetReleasesAsync(version);
+        if (releases is null)
+            return Results.Json(
+                new {code = "not_found", message = $"CHANGELOG for version {version} not found"},
+                statusCode: 404);
+
+        return Results.Ok(new
+        {
+            version,
+            releases
+        });
+    }
+
+    private static async Task<IResult> CompareChangelog(
+        ChangelogService changelog,
+        [FromQuery] string? from,
+        [FromQuery] string? to)
+    {
+        try
+        {
+            return Results.Ok(await changelog.CompareAsync(from, to));
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(new {code = "invalid_version", message = ex.Message}, statusCode: 400);
+        }
+    }
+
+    private static async Task<IResult> SearchChangelog(
+        ChangelogService changelog,
+        [FromQuery] string? q,
+        [FromQuery] int take = 200)
+    {
+        try
+        {
+            return Results.Ok(await changelog.SearchAsync(q, take));
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.Json(new {code = "invalid_query", message = ex.Message}, statusCode: 400);
+        }
+    }
+
     private static IResult GetTimeZone(TimeZoneService tz)
     {
         var current = tz.Current;
@@ -964,4 +1947,7 @@ public static class Program
 
     // DTO для смены часового пояса
     private sealed record TimeZoneUpdateDto(string TimeZoneId);
+
+    // DTO для входа: логин/пароль или API-ключ
+    private sealed record LoginDto(string? Username, string? Password, string? ApiKey);
 }
\ No newline at end of file
@@ -0,0 +1,222 @@
+﻿using System.Security.Cryptography;
+using System.Text;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Доступ к /api/*: заголовок X-Api-Key (ApiKey из appsettings.json) или cookie-сессия после входа в UI.
+///     Если не заданы ни ApiKey, ни Auth:Password — на время работы генерируется одноразовый ключ.
+///     Выключить авторизацию можно только явно: Auth:Disabled=true.
+/// </summary>
+public class AuthService
+{
+    public const string ApiKeyHeader = "X-Api-Key";
+    public const string SessionCookie = "mtus_session";
+
+    private const string ApiKeyUser = "api-key";
+
+    // Неудачные входы с одного IP: после MaxFailedLogins за окно — 429 до конца окна
+    private const int MaxFailedLogins = 5;
+    private static readonly TimeSpan FailedLoginWindow = TimeSpan.FromMinutes(15);
+
+    // Ключи из старых примеров конфигурации — с ними сервер не запускается
+    private static readonly HashSet<string> KnownDefaultApiKeys = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "supersecret123", "changeme", "apikey", "secret"
+    };
+
+    private readonly bool _disabled;
+    private readonly string? _apiKey;
+    private readonly string _username;
+    private readonly string? _password;
+    private readonly TimeSpan _sessionLifetime;
+    private readonly ILogger<AuthService> _logger;
+
+    private readonly Lock _lock = new();
+    private readonly Dictionary<string, AuthSession> _sessions = new(StringComparer.Ordinal);
+    private readonly Dictionary<string, (int Count, DateTime WindowStartUtc)> _failedLogins = new(StringComparer.Ordinal);
+
+    public AuthService(IConfiguration config, ILogger<AuthService> logger)
+    {
+        _logger = logger;
+
+        _apiKey = NullIfEmpty(config["ApiKey"]);
+        if (_apiKey is not null && KnownDefaultApiKeys.Contains(_apiKey))
+        {
+            _logger.LogCritical("ApiKey is set to a well-known default value; set a unique key in appsettings.json");
+            throw new InvalidOperationException(
+                "ApiKey is set to a well-known default value. Set a unique key (e.g. `openssl rand -hex 32`) or leave it empty.");
+        }
+
+        _username = NullIfEmpty(config["Auth:Username"]) ?? "admin";
+        _password = NullIfEmpty(config["Auth:Password"]);
+
+        var hours = config.GetValue("Auth:SessionLifetimeHours", 12);
+        _sessionLifetime = TimeSpan.FromHours(Math.Clamp(hours, 1, 24 * 30));
+
+        _disabled = config.GetValue("Auth:Disabled", false);
+        if (_disabled)
+        {
+            _logger.LogWarning("Authentication is disabled by Auth:Disabled=true; /api is open to everyone");
+        }
+        else if (_apiKey is null && _password is null)
+        {
+            // Не открываем /api молча: ключ живёт до перезапуска
+            _apiKey = Convert.ToHexString(RandomNumberGenerator.GetBytes(32)).ToLowerInvariant();
+            _logger.LogWarning(
+                "Neither ApiKey nor Auth:Password is configured; generated a one-time API key for this run: {ApiKey}. " +
+                "Set ApiKey or Auth:Password in appsettings.json, or Auth:Disabled=true to turn authentication off",
+                _apiKey);
+        }
+    }
+
+    public bool IsEnabled => !_disabled;
+    public bool PasswordLoginEnabled => _password is not null;
+    public bool ApiKeyLoginEnabled => _apiKey is not null;
+
+    /// <summary>
+    ///     Проверяет запрос: X-Api-Key или cookie сессии. Возвращает имя пользователя или null.
+    /// </summary>
+    public string? Authenticate(HttpContext context)
+    {
+        if (!IsEnabled)
+            return "anonymous";
+
+        if (context.Request.Headers.TryGetValue(ApiKeyHeader, out var key) && IsValidApiKey(key))
+            return ApiKeyUser;
+
+        return GetSession(context.Request.Cookies[SessionCookie])?.Username;
+    }
+
+    public bool IsValidApiKey(string? key)
+    {
+        return _apiKey is not null && key is not null && FixedTimeEquals(key, _apiKey);
+    }
+
+    public bool IsValidPassword(string? username, string? password)
+    {
+        return _password is not null &&
+               username is not null &&
+               password is not null &&
+               // Оба сравнения выполняем всегда, чтобы время ответа не выдавало верный логин
+               FixedTimeEquals(username, _username) & FixedTimeEquals(password, _password);
+    }
+
+    public AuthSession CreateSession(string username, string method)
+    {
+        var session = new AuthSession
+        {
+            Token = Convert.ToHexString(RandomNumberGenerator.GetBytes(32)).ToLowerInvariant(),
+            Username = username,
+            Method = method,
+            ExpiresUtc = DateTime.UtcNow + _sessionLifetime
+        };
+
+        lock (_lock)
+        {
+            RemoveExpiredLocked();
+            _sessions[session.Token] = session;
+        }
+
+        _logger.LogInformation("User {User} signed in ({Method})", username, method);
+        return session;
+    }
+
+    public AuthSession? GetSession(string? token)
+    {
+        if (string.IsNullOrEmpty(token))
+            return null;
+
+        lock (_lock)
+        {
+            if (!_sessions.TryGetValue(token, out var session))
+                return null;
+
+            if (session.ExpiresUtc > DateTime.UtcNow)
+                return session;
+
+            _sessions.Remove(token);
+            return null;
+        }
+    }
+
+    public void RemoveSession(string? token)
+    {
+        if (string.IsNullOrEmpty(token))
+            return;
+
+        lock (_lock)
+        {
+            if (_sessions.Remove(token, out var session))
+                _logger.LogInformation("User {User} signed out", session.Username);
+        }
+    }
+
+    /// <summary>
+    ///     Сколько ещё ждать IP, исчерпавшему попытки входа; null — вход разрешён.
+    /// </summary>
+    public TimeSpan? GetLoginRetryAfter(string ip)
+    {
+        lock (_lock)
+        {
+            if (!_failedLogins.TryGetValue(ip, out var entry))
+                return null;
+
+            var remaining = entry.WindowStartUtc + FailedLoginWindow - DateTime.UtcNow;
+            if (remaining <= TimeSpan.Zero)
+            {
+                _failedLogins.Remove(ip);
+                return null;
+            }
+
+            return entry.Count >= MaxFailedLogins ? remaining : null;
+        }
+    }
+
+    public void RecordFailedLogin(string ip)
+    {
+        int count;
+        lock (_lock)
+        {
+            RemoveExpiredLocked();
+
+            var now = DateTime.UtcNow;
+            count = _failedLogins.TryGetValue(ip, out var entry) ? entry.Count + 1 : 1;
+            _failedLogins[ip] = (count, count == 1 ? now : entry.WindowStartUtc);
+        }
+
+        _logger.LogWarning("Failed login attempt from {Ip} ({Count}/{Max})", ip, count, MaxFailedLogins);
+    }
+
+    public void ResetFailedLogins(string ip)
+    {
+        lock (_lock)
+            _failedLogins.Remove(ip);
+    }
+
+    // Вызывается только под _lock
+    private void RemoveExpiredLocked()
+    {
+        var now = DateTime.UtcNow;
+        foreach (var token in _sessions.Where(s => s.Value.ExpiresUtc <= now).Select(s => s.Key).ToList())
+            _sessions.Remove(token);
+
+        foreach (var ip in _failedLogins.Where(f => f.Value.WindowStartUtc + FailedLoginWindow <= now)
+                     .Select(f => f.Key).ToList())
+            _failedLogins.Remove(ip);
+    }
+
+    private static bool FixedTimeEquals(string a, string b)
+    {
+        // Сравниваем хэши, чтобы длина строк тоже не влияла на время
+        return CryptographicOperations.FixedTimeEquals(
+            SHA256.HashData(Encoding.UTF8.GetBytes(a)),
+            SHA256.HashData(Encoding.UTF8.GetBytes(b)));
+    }
+
+    private static string? NullIfEmpty(string? value)
+    {
+        return string.IsNullOrWhiteSpace(value) ? null : value;
+    }
+}
@@ -0,0 +1,138 @@
+﻿using System.Globalization;
+using System.Text.RegularExpressions;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Разбор CHANGELOG MikroTik. Файл версии содержит и все предыдущие релизы ветки, новые сверху:
+///     What's new in 7.16.1 (2024-Oct-10 11:03):
+///
+///     *) bgp - fixed ...
+/// </summary>
+public static partial class ChangelogParser
+{
+    public const string OtherComponent = "other";
+
+    public static List<ChangelogRelease> Parse(string text)
+    {
+        var releases = new List<ChangelogRelease>();
+        ChangelogRelease? current = null;
+
+        foreach (var rawLine in text.Split('\n'))
+        {
+            var line = rawLine.TrimEnd('\r');
+
+            var header = HeaderRegex().Match(line);
+            if (header.Success)
+            {
+                current = new ChangelogRelease
+                {
+                    Version = header.Groups["ver"].Value,
+                    ReleasedAt = ParseDate(header.Groups["date"].Value)
+                };
+                releases.Add(current);
+                continue;
+            }
+
+            if (current is null)
+                continue;
+
+            var change = ChangeRegex().Match(line);
+            if (change.Success)
+            {
+                var (component, body) = SplitComponent(change.Groups["body"].Value.Trim());
+                current.Changes.Add(new ChangelogChange
+                {
+                    Version = current.Version,
+                    Component = component,
+                    Text = body,
+                    Important = change.Groups["mark"].Value == "!"
+                });
+                continue;
+            }
+
+            // Перенос длинной строки — продолжение предыдущего изменения
+            if (line.Length > 0 && char.IsWhiteSpace(line[0]) && current.Changes.Count > 0)
+                current.Changes[^1].Text += " " + line.Trim();
+        }
+
+        return releases;
+    }
+
+    /// <summary>
+    ///     Порядок версий с учётом beta/rc: 7.16beta1 &lt; 7.16rc1 &lt; 7.16 &lt; 7.16.1.
+    ///     Неразбираемые версии (или с числами больше int) идут раньше всех остальных,
+    ///     между собой — по строке.
+    /// </summary>
+    public static int CompareVersions(string left, string right)
+    {
+        var result = ParseVersion(left).CompareTo(ParseVersion(right));
+        return result != 0 ? result : string.CompareOrdinal(left, right);
+    }
+
+    public static bool IsPrerelease(string version)
+    {
+        var parsed = ParseVersion(version);
+        return parsed.valid && parsed.stage < 2;
+    }
+
+    private static (bool valid, int major, int minor, int patch, int stage, int build) ParseVersion(string version)
+    {
+        var match = VersionPartsRegex().Match(version);
+        if (!match.Success)
+            return default;
+
+        var stage = match.Groups["stage"].Value switch
+        {
+            "beta" => 0,
+            "rc" => 1,
+            _ => 2
+        };
+
+        if (!int.TryParse(match.Groups["major"].Value, out var major) ||
+            !int.TryParse(match.Groups["minor"].Value, out var minor) ||
+            !TryParseOptional(match.Groups["patch"], out var patch) ||
+            !TryParseOptional(match.Groups["build"], out var build))
+            return default;
+
+        return (true, major, minor, patch, stage, build);
+    }
+
+    private static bool TryParseOptional(Group group, out int value)
+    {
+        value = 0;
+        return !group.Success || int.TryParse(group.Value, out value);
+    }
+
+    // "bgp - fixed ..." -> (bgp, fixed ...). Короткий префикс без " - " в тексте считаем компонентом
+    private static (string component, string text) SplitComponent(string body)
+    {
+        var index = body.IndexOf(" - ", StringComparison.Ordinal);
+        if (index is <= 0 or > 40)
+            return (OtherComponent, body);
+
+        return (body[..index].Trim().ToLowerInvariant(), body[(index + 3)..].Trim());
+    }
+
+    private static DateTime? ParseDate(string value)
+    {
+        return DateTime.TryParseExact(
+            value.Trim(),
+            ["yyyy-MMM-dd HH:mm", "yyyy-MMM-dd"],
+            CultureInfo.InvariantCulture,
+            DateTimeStyles.None,
+            out var date)
+            ? date
+            : null;
+    }
+
+    [GeneratedRegex(@"^What's new in (?<ver>\S+) \((?<date>[^)]*)\):?\s*$", RegexOptions.IgnoreCase)]
+    private static partial Regex HeaderRegex();
+
+    [GeneratedRegex(@"^(?<mark>[*!])\)\s*(?<body>.+)$")]
+    private static partial Regex ChangeRegex();
+
+    [GeneratedRegex(@"^(?<major>\d+)\.(?<minor>\d+)(?:\.(?<patch>\d+))?(?:(?<stage>beta|rc)(?<build>\d+))?$")]
+    private static partial Regex VersionPartsRegex();
+}
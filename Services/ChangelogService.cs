@@ -0,0 +1,153 @@
+﻿using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Структурированный CHANGELOG скачанных версий и список изменений между двумя версиями
+/// </summary>
+public class ChangelogService(MikroTikUpdateService service)
+{
+    /// <summary>
+    ///     Релизы из CHANGELOG версии, новые первыми. null — CHANGELOG не скачан.
+    /// </summary>
+    public async Task<List<ChangelogRelease>?> GetReleasesAsync(string version)
+    {
+        var text = await service.GetChangelogContentAsync(version);
+        return text is null ? null : ChangelogParser.Parse(text);
+    }
+
+    /// <summary>
+    ///     Поиск по всем скачанным CHANGELOG и общему CHANGELOG. Все слова запроса должны встретиться
+    ///     в строке изменения. Бросает ArgumentException при слишком коротком запросе.
+    /// </summary>
+    public async Task<ChangelogSearchResult> SearchAsync(string? query, int take)
+    {
+        var terms = (query ?? "").Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        if (terms.Sum(t => t.Length) < 2)
+            throw new ArgumentException("Search query must be at least 2 characters");
+
+        // Каждый CHANGELOG повторяет историю ветки, поэтому одно изменение встречается во многих файлах
+        var hits = new Dictionary<(string version, string text), ChangelogSearchHit>();
+
+        void Collect(string? source, List<ChangelogRelease> releases)
+        {
+            foreach (var release in releases)
+                for (var i = 0; i < release.Changes.Count; i++)
+                {
+                    var change = release.Changes[i];
+                    var line = $"{change.Component} - {change.Text}";
+                    if (!terms.All(t => line.Contains(t, StringComparison.OrdinalIgnoreCase)))
+                        continue;
+
+                    var key = (release.Version, change.Text);
+                    if (hits.TryGetValue(key, out var known) && !IsBetterSource(source, known.Source, release.Version))
+                        continue;
+
+                    hits[key] = new ChangelogSearchHit
+                    {
+                        Version = release.Version,
+                        ReleasedAt = release.ReleasedAt,
+                        Source = source,
+                        Index = i,
+                        Component = change.Component,
+                        Text = change.Text,
+                        Important = change.Important
+                    };
+                }
+        }
+
+        foreach (var version in service.GetChangelogVersions())
+            if (await GetReleasesAsync(version) is { } releases)
+                Collect(version, releases);
+
+        var global = await service.GetGlobalChangelogContentAsync();
+        if (global is not null)
+            Collect(null, ChangelogParser.Parse(global));
+
+        var ordered = hits.Values
+            .OrderByDescending(h => h.Version, Comparer<string>.Create(ChangelogParser.CompareVersions))
+            .ThenBy(h => h.Index)
+            .ToList();
+
+        return new ChangelogSearchResult
+        {
+            Query = string.Join(' ', terms),
+            Total = ordered.Count,
+            Hits = ordered.Take(Math.Clamp(take, 1, 1000)).ToList()
+        };
+    }
+
+    // Лучше всего открыть собственный CHANGELOG релиза, затем самый новый файл версии, общий — в последнюю очередь
+    private static bool IsBetterSource(string? candidate, string? current, string release)
+    {
+        if (candidate is null || current == release)
+            return false;
+
+        return current is null || candidate == release || ChangelogParser.CompareVersions(candidate, current) > 0;
+    }
+
+    /// <summary>
+    ///     Изменения после from до to включительно, по компонентам.
+    ///     Бросает ArgumentException, если версии заданы неверно.
+    /// </summary>
+    public async Task<ChangelogComparison> CompareAsync(string? from, string? to)
+    {
+        if (!FirmwareFileName.IsVersion(from) || !FirmwareFileName.IsVersion(to))
+            throw new ArgumentException("Both versions are required, e.g. from=7.15.3&to=7.16.1");
+
+        if (from.Split('.')[0] != to.Split('.')[0])
+            throw new ArgumentException("Versions must be on the same major branch");
+
+        if (ChangelogParser.CompareVersions(from, to) > 0)
+            (from, to) = (to, from);
+
+        var comparison = new ChangelogComparison {From = from, To = to};
+
+        // Обычно хватает CHANGELOG новой версии; старую читаем на случай неполной истории
+        var releases = new Dictionary<string, ChangelogRelease>(StringComparer.OrdinalIgnoreCase);
+        foreach (var version in new[] {to, from})
+        {
+            var parsed = await GetReleasesAsync(version);
+            if (parsed is null)
+            {
+                if (version == to)
+                    comparison.Warnings.Add($"CHANGELOG for {version} is not cached");
+                continue;
+            }
+
+            foreach (var release in parsed)
+                if (!releases.TryGetValue(release.Version, out var known) ||
+                    known.Changes.Count < release.Changes.Count)
+                    releases[release.Version] = release;
+        }
+
+        // beta/rc повторяются в итоговом релизе, показываем их, только если сравнивают сами pre-release
+        var includePrerelease = ChangelogParser.IsPrerelease(from) || ChangelogParser.IsPrerelease(to);
+
+        var inRange = releases.Values
+            .Where(r => ChangelogParser.CompareVersions(r.Version, from) > 0 &&
+                        ChangelogParser.CompareVersions(r.Version, to) <= 0)
+            .Where(r => includePrerelease || !ChangelogParser.IsPrerelease(r.Version))
+            .OrderBy(r => r.Version, Comparer<string>.Create(ChangelogParser.CompareVersions))
+            .ToList();
+
+        if (inRange.Count == 0)
+            comparison.Warnings.Add($"No releases found between {from} and {to}");
+        else if (!releases.ContainsKey(to))
+            comparison.Warnings.Add($"{to} is missing from the cached changelogs, the list may be incomplete");
+
+        comparison.Releases = inRange
+            .Select(r => new ChangelogRelease {Version = r.Version, ReleasedAt = r.ReleasedAt})
+            .ToList();
+
+        comparison.Groups = inRange
+            .SelectMany(r => r.Changes)
+            .GroupBy(c => c.Component)
+            .OrderBy(g => g.Key == ChangelogParser.OtherComponent)
+            .ThenBy(g => g.Key, StringComparer.OrdinalIgnoreCase)
+            .Select(g => new ChangelogGroup {Component = g.Key, Changes = g.ToList()})
+            .ToList();
+
+        return comparison;
+    }
+}
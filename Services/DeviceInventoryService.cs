@@ -0,0 +1,217 @@
+﻿using System.Net;
+using System.Text.Json;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Инвентарь роутеров по запросам к /routeros/*.
+///     Пишется в devices.json не на каждый запрос, а пачкой раз в несколько секунд.
+/// </summary>
+public class DeviceInventoryService : IDisposable
+{
+    // Сверх лимита забываем устройство, которое дольше всех не появлялось
+    public const int MaxDevices = 5000;
+
+    private static readonly TimeSpan FlushInterval = TimeSpan.FromSeconds(15);
+
+    private readonly Dictionary<string, DeviceRecord> _devices = new(StringComparer.OrdinalIgnoreCase);
+    private readonly string _devicesFile;
+    private readonly Lock _flushLock = new();
+    private readonly Timer _flushTimer;
+    private readonly Lock _lock = new();
+    private readonly ILogger<DeviceInventoryService> _logger;
+
+    private bool _dirty;
+
+    public DeviceInventoryService(ILogger<DeviceInventoryService> logger)
+    {
+        _logger = logger;
+        _devicesFile = Path.Combine(AppContext.BaseDirectory, "devices.json");
+
+        LoadDevices();
+
+        _flushTimer = new Timer(_ => Flush(), null, FlushInterval, FlushInterval);
+    }
+
+    public void Dispose()
+    {
+        _flushTimer.Dispose();
+        Flush();
+    }
+
+    public IReadOnlyList<DeviceRecord> GetAll()
+    {
+        lock (_lock)
+        {
+            return _devices.Values
+                .OrderByDescending(d => d.LastSeenUtc)
+                .Select(Clone)
+                .ToList();
+        }
+    }
+
+    public void RecordPointerRequest(string ip, string pointerFile, string? userAgent)
+    {
+        if (!IsValidIp(ip))
+            return;
+
+        lock (_lock)
+        {
+            var device = Touch(ip, userAgent);
+            device.Channel = pointerFile;
+            device.LastChannelRequestUtc = device.LastSeenUtc;
+        }
+    }
+
+    public void RecordFileRequest(string ip, string? version, string fileName, string? userAgent)
+    {
+        if (!IsValidIp(ip))
+            return;
+
+        lock (_lock)
+        {
+            var device = Touch(ip, userAgent);
+
+            if (!FirmwareFileName.TryParse(fileName, out var info))
+                return;
+
+            device.Arch = info.Arch;
+            device.LastVersionFetched = string.IsNullOrEmpty(version) ? info.Version : version;
+            device.LastFileFetched = fileName;
+            device.LastDownloadUtc = device.LastSeenUtc;
+            device.LastDownloadCompleted = false;
+        }
+    }
+
+    public void RecordDownloadFinished(string ip, string fileName, bool completed)
+    {
+        lock (_lock)
+        {
+            if (!_devices.TryGetValue(ip, out var device))
+                return;
+
+            // Роутер мог уже запросить следующий файл — отмечаем только свой
+            if (!string.Equals(device.LastFileFetched, fileName, StringComparison.OrdinalIgnoreCase))
+                return;
+
+            device.LastDownloadCompleted = completed;
+            _dirty = true;
+        }
+    }
+
+    public bool Remove(string ip)
+    {
+        lock (_lock)
+        {
+            if (!_devices.Remove(ip))
+                return false;
+
+            _dirty = true;
+        }
+
+        Flush();
+        return true;
+    }
+
+    // Вызывается только под _lock
+    private DeviceRecord Touch(string ip, string? userAgent)
+    {
+        var now = DateTime.UtcNow;
+
+        if (!_devices.TryGetValue(ip, out var device))
+        {
+            if (_devices.Count >= MaxDevices)
+                _devices.Remove(_devices.Values.MinBy(d => d.LastSeenUtc)!.Ip);
+
+            device = new DeviceRecord {Ip = ip, FirstSeenUtc = now};
+            _devices[ip] = device;
+            _logger.LogInformation("New device seen: {Ip}", ip);
+        }
+
+        device.LastSeenUtc = now;
+        device.RequestCount++;
+        if (!string.IsNullOrWhiteSpace(userAgent))
+            device.UserAgent = userAgent;
+
+        _dirty = true;
+        return device;
+    }
+
+    private static bool IsValidIp(string? ip)
+    {
+        return IPAddress.TryParse(ip, out _);
+    }
+
+    private void LoadDevices()
+    {
+        try
+        {
+            if (!File.Exists(_devicesFile))
+                return;
+
+            var json = File.ReadAllText(_devicesFile);
+            var devices = JsonSerializer.Deserialize<List<DeviceRecord>>(json) ?? [];
+
+            foreach (var device in devices
+                         .Where(d => IsValidIp(d.Ip))
+                         .OrderByDescending(d => d.LastSeenUtc)
+                         .Take(MaxDevices))
+                _devices[device.Ip] = device;
+
+            _logger.LogInformation("Loaded {Count} devices from {File}", _devices.Count, _devicesFile);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load device inventory from {File}", _devicesFile);
+        }
+    }
+
+    private void Flush()
+    {
+        // Таймер и Remove могут сбрасывать одновременно — пишем файл строго по очереди
+        lock (_flushLock)
+        {
+            string json;
+
+            lock (_lock)
+            {
+                if (!_dirty)
+                    return;
+
+                json = JsonSerializer.Serialize(
+                    _devices.Values.OrderBy(d => d.Ip).ToList(),
+                    new JsonSerializerOptions {WriteIndented = true});
+                _dirty = false;
+            }
+
+            try
+            {
+                File.WriteAllText(_devicesFile, json);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to save device inventory to {File}", _devicesFile);
+            }
+        }
+    }
+
+    private static DeviceRecord Clone(DeviceRecord d)
+    {
+        return new DeviceRecord
+        {
+            Ip = d.Ip,
+            FirstSeenUtc = d.FirstSeenUtc,
+            LastSeenUtc = d.LastSeenUtc,
+            RequestCount = d.RequestCount,
+            UserAgent = d.UserAgent,
+            Channel = d.Channel,
+            LastChannelRequestUtc = d.LastChannelRequestUtc,
+            Arch = d.Arch,
+            LastVersionFetched = d.LastVersionFetched,
+            LastFileFetched = d.LastFileFetched,
+            LastDownloadUtc = d.LastDownloadUtc,
+            LastDownloadCompleted = d.LastDownloadCompleted
+        };
+    }
+}
@@ -0,0 +1,104 @@
+﻿using System.Text.Json;
+using System.Text.RegularExpressions;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Дополнительные пакеты v7, которые зеркалируются вместе с основным npk (extra_packages.json)
+/// </summary>
+public partial class ExtraPackageService
+{
+    public const int MaxPackages = 50;
+
+    private readonly string _configPath;
+    private readonly Lock _lock = new();
+    private readonly ILogger<ExtraPackageService> _logger;
+
+    private List<string> _packages;
+
+    public ExtraPackageService(ILogger<ExtraPackageService> logger)
+    {
+        _logger = logger;
+        _configPath = Path.Combine(AppContext.BaseDirectory, "extra_packages.json");
+        _packages = LoadPackages();
+    }
+
+    public List<string> GetPackages()
+    {
+        lock (_lock)
+        {
+            return _packages.ToList();
+        }
+    }
+
+    public async Task UpdateAsync(ExtraPackageSettings? settings)
+    {
+        var normalized = Normalize(settings);
+
+        var json = JsonSerializer.Serialize(
+            new ExtraPackageSettings {Packages = normalized},
+            new JsonSerializerOptions {WriteIndented = true});
+        await File.WriteAllTextAsync(_configPath, json);
+
+        lock (_lock)
+        {
+            _packages = normalized;
+        }
+
+        _logger.LogInformation(
+            "Extra v7 packages updated: {Packages}",
+            normalized.Count > 0 ? string.Join(", ", normalized) : "none");
+    }
+
+    /// <summary>
+    ///     Проверяет имена пакетов. Бросает ArgumentException при ошибке.
+    /// </summary>
+    public static List<string> Normalize(ExtraPackageSettings? settings)
+    {
+        var packages = (settings?.Packages ?? [])
+            .Select(p => p.Trim().ToLowerInvariant())
+            .Where(p => p.Length > 0)
+            .Distinct()
+            .OrderBy(p => p, StringComparer.Ordinal)
+            .ToList();
+
+        if (packages.Count > MaxPackages)
+            throw new ArgumentException($"At most {MaxPackages} extra packages can be mirrored");
+
+        foreach (var package in packages)
+        {
+            if (!IsValidPackageName(package))
+                throw new ArgumentException($"Invalid package name: '{package}'");
+
+            if (package == "routeros")
+                throw new ArgumentException("routeros is always mirrored");
+        }
+
+        return packages;
+    }
+
+    private List<string> LoadPackages()
+    {
+        try
+        {
+            if (File.Exists(_configPath))
+                return Normalize(JsonSerializer.Deserialize<ExtraPackageSettings>(File.ReadAllText(_configPath)));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load {Path}, no extra packages", _configPath);
+        }
+
+        return [];
+    }
+
+    // Имя пакета или архитектуры RouterOS: попадает в имена файлов и в UI
+    public static bool IsValidPackageName(string? name)
+    {
+        return name is not null && PackageNameRegex().IsMatch(name);
+    }
+
+    [GeneratedRegex("^[a-z0-9][a-z0-9_-]*$")]
+    private static partial Regex PackageNameRegex();
+}
@@ -0,0 +1,582 @@
+﻿using System.Globalization;
+using System.IO.Compression;
+using System.Text;
+using System.Text.Json;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Журнал на диске: NDJSON-файлы logs/log-yyyyMMdd-NNN.ndjson с ротацией по дню и размеру.
+///     Старые файлы удаляются по сроку хранения и общему объёму (log_retention.json).
+/// </summary>
+public sealed class FileLogStore : ILogStore, IDisposable
+{
+    private const string FilePrefix = "log-";
+    private const string FileExtension = ".ndjson";
+    private const long BytesPerMb = 1024 * 1024;
+
+    private static readonly TimeSpan FlushInterval = TimeSpan.FromSeconds(2);
+    private static readonly TimeSpan RetentionInterval = TimeSpan.FromHours(1);
+
+    // Счётчики закрытых файлов, чтобы не перечитывать их на каждый /api/logs/stats
+    private readonly Dictionary<string, LogStats> _fileStats = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Timer _flushTimer;
+    private readonly Lock _lock = new();
+    private readonly string _logDir;
+    private readonly MetricsService _metrics;
+    private readonly string _settingsFile;
+
+    private LogStats _currentStats = new();
+    private string? _currentFile;
+    private DateTime _currentDate;
+    private long _currentSize;
+    private bool _disposed;
+    private long _lastId;
+    private DateTime _lastRetentionRun;
+    private LogRetentionSettings _settings;
+    private StreamWriter? _writer;
+
+    public FileLogStore(IConfiguration config, MetricsService metrics)
+    {
+        _metrics = metrics;
+        _logDir = Path.Combine(AppContext.BaseDirectory, config["LogStore:Directory"] ?? "logs");
+        _settingsFile = Path.Combine(AppContext.BaseDirectory, "log_retention.json");
+
+        Directory.CreateDirectory(_logDir);
+
+        _settings = LoadSettings(config);
+        OpenExistingFile();
+
+        lock (_lock)
+        {
+            ApplyRetentionLocked();
+        }
+
+        _flushTimer = new Timer(_ => Flush(), null, FlushInterval, FlushInterval);
+    }
+
+    public void Dispose()
+    {
+        _flushTimer.Dispose();
+
+        lock (_lock)
+        {
+            _disposed = true;
+            CloseWriterLocked();
+        }
+    }
+
+    public void Add(LogEntry entry)
+    {
+        if (entry is null)
+            throw new ArgumentNullException(nameof(entry));
+
+        _metrics.RecordLogEntry(entry.Level);
+
+        lock (_lock)
+        {
+            if (_disposed)
+                return;
+
+            try
+            {
+                entry.Id = ++_lastId;
+                var line = JsonSerializer.Serialize(entry);
+
+                EnsureWriterLocked();
+                _writer!.WriteLine(line);
+                _currentSize += Encoding.UTF8.GetByteCount(line) + 1;
+
+                CountEntry(_currentStats, entry);
+            }
+            catch (Exception ex)
+            {
+                // Через ILogger писать нельзя — попадём сюда же
+                Console.WriteLine($"[LOGSTORE] Failed to write log entry: {ex.Message}");
+            }
+        }
+    }
+
+    public LogPage Query(LogQuery query)
+    {
+        var take = query.Take <= 0 ? 100 : Math.Min(query.Take, 1000);
+        var page = new LogPage();
+
+        foreach (var file in GetFilesForReading().AsEnumerable().Reverse())
+        {
+            var fileDate = GetFileDate(file);
+
+            // В файле за день D записи примерно от D до D+1
+            if (query.ToUtc.HasValue && fileDate > query.ToUtc.Value)
+                continue;
+            if (query.FromUtc.HasValue && fileDate.AddDays(1) < query.FromUtc.Value)
+                break;
+
+            // Весь файл новее курсора — пропускаем, не читая
+            if (query.Before.HasValue && ReadFirstId(file) >= query.Before.Value)
+                continue;
+
+            // Читаем файл потоком и держим только самые новые совпадения, которые ещё войдут в страницу
+            var needed = take + 1 - page.Entries.Count;
+            var matches = new Queue<LogEntry>(needed);
+            foreach (var e in EnumerateEntries(file))
+            {
+                if (query.Before.HasValue && e.Id >= query.Before.Value)
+                    continue;
+
+                if (!query.Matches(e))
+                    continue;
+
+                if (matches.Count == needed)
+                    matches.Dequeue();
+                matches.Enqueue(e);
+            }
+
+            foreach (var e in matches.Reverse())
+            {
+                if (page.Entries.Count == take)
+                {
+                    page.NextCursor = page.Entries[^1].Id;
+                    return page;
+                }
+
+                page.Entries.Add(e);
+            }
+        }
+
+        return page;
+    }
+
+    public LogStats GetStats()
+    {
+        var files = GetFilesForReading();
+        var totals = new LogStats();
+
+        foreach (var file in files)
+        {
+            LogStats? stats;
+
+            lock (_lock)
+            {
+                stats = file.Equals(_currentFile, StringComparison.OrdinalIgnoreCase)
+                    ? Clone(_currentStats)
+                    : _fileStats.GetValueOrDefault(file);
+            }
+
+            if (stats is null)
+            {
+                stats = new LogStats();
+                foreach (var e in EnumerateEntries(file))
+                    CountEntry(stats, e);
+
+                lock (_lock)
+                {
+                    _fileStats[file] = stats;
+                }
+            }
+
+            totals.TotalEntries += stats.TotalEntries;
+            totals.InfoCount += stats.InfoCount;
+            totals.WarningCount += stats.WarningCount;
+            totals.ErrorCount += stats.ErrorCount;
+            totals.OldestEntry ??= stats.OldestEntry;
+            if (stats.NewestEntry.HasValue)
+                totals.NewestEntry = stats.NewestEntry;
+        }
+
+        return totals;
+    }
+
+    /// <summary>
+    ///     Пишет zip со всеми логами прямо в output, не собирая архив в памяти
+    /// </summary>
+    public async Task ExportAsZipAsync(Stream output)
+    {
+        var files = GetFilesForReading();
+
+        using var zip = new ZipArchive(output, ZipArchiveMode.Create, true);
+        var entry = zip.CreateEntry(
+            $"logs-{DateTime.UtcNow:yyyyMMdd-HHmmss}.txt",
+            CompressionLevel.Fastest);
+
+        await using var writer = new StreamWriter(entry.Open());
+
+        // Файлы и строки в них уже идут по возрастанию времени
+        foreach (var file in files)
+        foreach (var log in EnumerateEntries(file))
+            await writer.WriteLineAsync(
+                $"{log.Timestamp:O}\t{log.Level}\t{log.Source}\t{log.Message}\t{log.Exception}");
+    }
+
+    public LogRetentionSettings GetRetention()
+    {
+        lock (_lock)
+        {
+            return CloneSettings(_settings);
+        }
+    }
+
+    /// <summary>
+    ///     Сохраняет настройки хранения и сразу удаляет то, что под них не попадает
+    /// </summary>
+    public async Task UpdateRetentionAsync(LogRetentionSettings settings)
+    {
+        Validate(settings);
+
+        var json = JsonSerializer.Serialize(settings, new JsonSerializerOptions {WriteIndented = true});
+        await File.WriteAllTextAsync(_settingsFile, json);
+
+        lock (_lock)
+        {
+            _settings = CloneSettings(settings);
+            ApplyRetentionLocked();
+        }
+    }
+
+    public (int files, long sizeBytes) GetDiskUsage()
+    {
+        var files = GetFilesForReading().Select(f => new FileInfo(f)).Where(f => f.Exists).ToList();
+        return (files.Count, files.Sum(f => f.Length));
+    }
+
+    private void Flush()
+    {
+        lock (_lock)
+        {
+            if (_disposed)
+                return;
+
+            try
+            {
+                _writer?.Flush();
+
+                if (DateTime.UtcNow - _lastRetentionRun > RetentionInterval)
+                    ApplyRetentionLocked();
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[LOGSTORE] Flush failed: {ex.Message}");
+            }
+        }
+    }
+
+    // Сбрасывает буфер, чтобы читатели видели последние записи
+    private List<string> GetFilesForReading()
+    {
+        lock (_lock)
+        {
+            _writer?.Flush();
+            return GetLogFiles();
+        }
+    }
+
+    // Файлы журнала по возрастанию: имя содержит дату и порядковый номер
+    private List<string> GetLogFiles()
+    {
+        return Directory.Exists(_logDir)
+            ? Directory.GetFiles(_logDir, $"{FilePrefix}*{FileExtension}")
+                .OrderBy(f => Path.GetFileName(f), StringComparer.OrdinalIgnoreCase)
+                .ToList()
+            : [];
+    }
+
+    // Продолжаем сегодняшний файл после перезапуска, иначе только восстанавливаем счётчик Id
+    private void OpenExistingFile()
+    {
+        var files = GetLogFiles();
+        var last = files.LastOrDefault();
+        if (last is null)
+            return;
+
+        // Самый новый файл может быть пустым (создан перед остановкой) — Id ищем по файлам с записями
+        foreach (var file in Enumerable.Reverse(files))
+        {
+            _lastId = EnumerateEntries(file).Select(e => e.Id).DefaultIfEmpty(0).Max();
+            if (_lastId > 0)
+                break;
+        }
+
+        var size = new FileInfo(last).Length;
+        if (GetFileDate(last) != DateTime.UtcNow.Date || size >= _settings.MaxFileSizeMb * BytesPerMb)
+            return;
+
+        try
+        {
+            var stream = new FileStream(last, FileMode.Append, FileAccess.Write, FileShare.ReadWrite | FileShare.Delete);
+            _writer = new StreamWriter(stream, new UTF8Encoding(false));
+
+            // Последняя строка могла оборваться при аварийном завершении
+            if (size > 0 && !EndsWithNewLine(last))
+                _writer.WriteLine();
+
+            _currentFile = last;
+            _currentDate = GetFileDate(last);
+            _currentSize = size;
+            _currentStats = new LogStats();
+            foreach (var e in EnumerateEntries(last))
+                CountEntry(_currentStats, e);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"[LOGSTORE] Failed to reopen {last}: {ex.Message}");
+            _writer = null;
+        }
+    }
+
+    // Вызывается только под _lock
+    private void EnsureWriterLocked()
+    {
+        var today = DateTime.UtcNow.Date;
+        if (_writer is not null &&
+            _currentDate == today &&
+            _currentSize < _settings.MaxFileSizeMb * BytesPerMb)
+            return;
+
+        CloseWriterLocked();
+
+        var prefix = $"{FilePrefix}{today:yyyyMMdd}-";
+        var sequence = GetLogFiles()
+            .Select(Path.GetFileNameWithoutExtension)
+            .Where(n => n!.StartsWith(prefix, StringComparison.OrdinalIgnoreCase))
+            .Select(n => int.TryParse(n![prefix.Length..], out var s) ? s : 0)
+            .DefaultIfEmpty(0)
+            .Max() + 1;
+
+        _currentFile = Path.Combine(_logDir, $"{prefix}{sequence:000}{FileExtension}");
+        _currentDate = today;
+        _currentSize = 0;
+        _currentStats = new LogStats();
+
+        var stream = new FileStream(
+            _currentFile,
+            FileMode.Append,
+            FileAccess.Write,
+            FileShare.ReadWrite | FileShare.Delete);
+        _writer = new StreamWriter(stream, new UTF8Encoding(false));
+
+        ApplyRetentionLocked();
+    }
+
+    // Вызывается только под _lock
+    private void CloseWriterLocked()
+    {
+        if (_writer is null)
+            return;
+
+        try
+        {
+            _writer.Dispose();
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"[LOGSTORE] Failed to close {_currentFile}: {ex.Message}");
+        }
+
+        // Закрытый файл больше не меняется — его счётчики можно кэшировать
+        if (_currentFile is not null)
+            _fileStats[_currentFile] = _currentStats;
+
+        _writer = null;
+        _currentFile = null;
+    }
+
+    // Вызывается только под _lock
+    private void ApplyRetentionLocked()
+    {
+        _lastRetentionRun = DateTime.UtcNow;
+
+        var cutoff = DateTime.UtcNow.Date.AddDays(-_settings.RetentionDays);
+        var maxTotal = _settings.MaxTotalSizeMb * BytesPerMb;
+
+        var files = GetLogFiles()
+            .Where(f => !f.Equals(_currentFile, StringComparison.OrdinalIgnoreCase))
+            .Select(f => new FileInfo(f))
+            .ToList();
+        var total = files.Sum(f => f.Length) + _currentSize;
+
+        // Самые старые — первыми
+        foreach (var file in files)
+        {
+            if (GetFileDate(file.FullName) >= cutoff && total <= maxTotal)
+                break;
+
+            try
+            {
+                file.Delete();
+                _fileStats.Remove(file.FullName);
+                total -= file.Length;
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[LOGSTORE] Failed to delete {file.FullName}: {ex.Message}");
+            }
+        }
+    }
+
+    private LogRetentionSettings LoadSettings(IConfiguration config)
+    {
+        var settings = new LogRetentionSettings();
+        config.GetSection("LogStore").Bind(settings);
+
+        // Настройки из UI перекрывают appsettings.json
+        if (File.Exists(_settingsFile))
+            try
+            {
+                settings = JsonSerializer.Deserialize<LogRetentionSettings>(File.ReadAllText(_settingsFile)) ??
+                           settings;
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[LOGSTORE] Failed to read {_settingsFile}: {ex.Message}");
+            }
+
+        try
+        {
+            Validate(settings);
+            return settings;
+        }
+        catch (ArgumentException ex)
+        {
+            Console.WriteLine($"[LOGSTORE] Invalid retention settings, using defaults: {ex.Message}");
+            return new LogRetentionSettings();
+        }
+    }
+
+    private static void Validate(LogRetentionSettings settings)
+    {
+        if (settings.RetentionDays is < 1 or > 3650)
+            throw new ArgumentException("RetentionDays must be between 1 and 3650");
+        if (settings.MaxFileSizeMb is < 1 or > 1024)
+            throw new ArgumentException("MaxFileSizeMb must be between 1 and 1024");
+        if (settings.MaxTotalSizeMb < settings.MaxFileSizeMb || settings.MaxTotalSizeMb > 100_000)
+            throw new ArgumentException("MaxTotalSizeMb must be between MaxFileSizeMb and 100000");
+    }
+
+    // Записи файла по строкам, без загрузки файла целиком
+    private static IEnumerable<LogEntry> EnumerateEntries(string file)
+    {
+        StreamReader reader;
+        try
+        {
+            reader = new StreamReader(OpenForReading(file), Encoding.UTF8);
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            // Файл могли удалить по retention
+            yield break;
+        }
+
+        using (reader)
+        {
+            while (true)
+            {
+                string? line;
+                try
+                {
+                    line = reader.ReadLine();
+                }
+                catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+                {
+                    yield break;
+                }
+
+                if (line is null)
+                    yield break;
+
+                if (ParseLine(line) is { } entry)
+                    yield return entry;
+            }
+        }
+    }
+
+    private static long ReadFirstId(string file)
+    {
+        return EnumerateEntries(file).FirstOrDefault()?.Id ?? long.MaxValue;
+    }
+
+    private static LogEntry? ParseLine(string line)
+    {
+        if (string.IsNullOrWhiteSpace(line))
+            return null;
+
+        try
+        {
+            return JsonSerializer.Deserialize<LogEntry>(line);
+        }
+        catch (JsonException)
+        {
+            // Оборванная строка после аварийного завершения
+            return null;
+        }
+    }
+
+    private static FileStream OpenForReading(string file)
+    {
+        return new FileStream(file, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete);
+    }
+
+    private static bool EndsWithNewLine(string file)
+    {
+        using var stream = OpenForReading(file);
+        if (stream.Length == 0)
+            return true;
+
+        stream.Seek(-1, SeekOrigin.End);
+        return stream.ReadByte() == '\n';
+    }
+
+    private static DateTime GetFileDate(string file)
+    {
+        var name = Path.GetFileNameWithoutExtension(file);
+        return name.Length >= FilePrefix.Length + 8 &&
+               DateTime.TryParseExact(
+                   name.AsSpan(FilePrefix.Length, 8),
+                   "yyyyMMdd",
+                   CultureInfo.InvariantCulture,
+                   DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal,
+                   out var date)
+            ? date
+            : DateTime.MinValue;
+    }
+
+    private static void CountEntry(LogStats stats, LogEntry e)
+    {
+        stats.TotalEntries++;
+
+        if (string.Equals(e.Level, "Information", StringComparison.OrdinalIgnoreCase))
+            stats.InfoCount++;
+        else if (string.Equals(e.Level, "Warning", StringComparison.OrdinalIgnoreCase))
+            stats.WarningCount++;
+        else if (string.Equals(e.Level, "Error", StringComparison.OrdinalIgnoreCase))
+            stats.ErrorCount++;
+
+        if (stats.OldestEntry is null || e.Timestamp < stats.OldestEntry)
+            stats.OldestEntry = e.Timestamp;
+        if (stats.NewestEntry is null || e.Timestamp > stats.NewestEntry)
+            stats.NewestEntry = e.Timestamp;
+    }
+
+    private static LogStats Clone(LogStats stats)
+    {
+        return new LogStats
+        {
+            TotalEntries = stats.TotalEntries,
+            InfoCount = stats.InfoCount,
+            WarningCount = stats.WarningCount,
+            ErrorCount = stats.ErrorCount,
+            OldestEntry = stats.OldestEntry,
+            NewestEntry = stats.NewestEntry
+        };
+    }
+
+    private static LogRetentionSettings CloneSettings(LogRetentionSettings settings)
+    {
+        return new LogRetentionSettings
+        {
+            RetentionDays = settings.RetentionDays,
+            MaxTotalSizeMb = settings.MaxTotalSizeMb,
+            MaxFileSizeMb = settings.MaxFileSizeMb
+        };
+    }
+}
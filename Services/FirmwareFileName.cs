@@ -0,0 +1,91 @@
+﻿using System.Diagnostics.CodeAnalysis;
+using System.Text.RegularExpressions;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Разбор имён файлов прошивок MikroTik:
+///     routeros-7.16.1-arm64.npk (v7), routeros-mipsbe-6.49.10.npk (v6),
+///     wireless-6.49.10-mipsbe.npk, all_packages-arm-6.49.10.zip, routeros-7.16.npk (x86)
+/// </summary>
+public static partial class FirmwareFileName
+{
+    // Не больше 4 цифр в части версии: числа должны помещаться в int при сравнении
+    private const string VersionPattern = @"\d{1,4}\.\d{1,4}(?:\.\d{1,4})?(?:(?:beta|rc)\d{1,4})?";
+
+    public record Info(string Package, string Version, string Arch, bool IsBundleZip)
+    {
+        public int Major => int.TryParse(Version.Split('.')[0], out var major) ? major : 0;
+    }
+
+    public static bool TryParse(string? fileName, [NotNullWhen(true)] out Info? info)
+    {
+        info = null;
+        if (string.IsNullOrWhiteSpace(fileName))
+            return false;
+
+        var name = Path.GetFileName(fileName).ToLowerInvariant();
+
+        var match = BundleZipRegex().Match(name);
+        if (match.Success)
+        {
+            info = new Info("all_packages", match.Groups["ver"].Value, match.Groups["arch"].Value, true);
+            return true;
+        }
+
+        // {package}-{version}-{arch}.npk
+        match = VersionArchRegex().Match(name);
+        if (match.Success)
+        {
+            info = new Info(match.Groups["pkg"].Value, match.Groups["ver"].Value, match.Groups["arch"].Value, false);
+            return true;
+        }
+
+        // {package}-{arch}-{version}.npk (основной пакет v6)
+        match = ArchVersionRegex().Match(name);
+        if (match.Success)
+        {
+            info = new Info(match.Groups["pkg"].Value, match.Groups["ver"].Value, match.Groups["arch"].Value, false);
+            return true;
+        }
+
+        // {package}-{version}.npk — x86 публикуется без суффикса архитектуры
+        match = NoArchRegex().Match(name);
+        if (match.Success)
+        {
+            info = new Info(match.Groups["pkg"].Value, match.Groups["ver"].Value, "x86", false);
+            return true;
+        }
+
+        return false;
+    }
+
+    // container-7.16.1-arm64.npk; x86 публикуется без суффикса архитектуры
+    public static string BuildNpk(string package, string version, string arch)
+    {
+        return arch.Equals("x86", StringComparison.OrdinalIgnoreCase)
+            ? $"{package}-{version}.npk"
+            : $"{package}-{version}-{arch}.npk";
+    }
+
+    // 7.16.1, 6.49.10, 7.17beta2, 7.18rc1
+    public static bool IsVersion([NotNullWhen(true)] string? version)
+    {
+        return !string.IsNullOrWhiteSpace(version) && VersionRegex().IsMatch(version);
+    }
+
+    [GeneratedRegex($@"^{VersionPattern}$")]
+    private static partial Regex VersionRegex();
+
+    [GeneratedRegex($@"^all_packages-(?<arch>[a-z0-9]+)-(?<ver>{VersionPattern})\.zip$")]
+    private static partial Regex BundleZipRegex();
+
+    [GeneratedRegex($@"^(?<pkg>[a-z0-9_-]+?)-(?<ver>{VersionPattern})-(?<arch>[a-z0-9]+)\.npk$")]
+    private static partial Regex VersionArchRegex();
+
+    [GeneratedRegex($@"^(?<pkg>[a-z0-9_-]+?)-(?<arch>[a-z][a-z0-9]*)-(?<ver>{VersionPattern})\.npk$")]
+    private static partial Regex ArchVersionRegex();
+
+    [GeneratedRegex($@"^(?<pkg>[a-z0-9_-]+?)-(?<ver>{VersionPattern})\.npk$")]
+    private static partial Regex NoArchRegex();
+}
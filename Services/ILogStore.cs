@@ -5,7 +5,7 @@ namespace MikroTik.UpdateServer.Services;
 public interface ILogStore
 {
     void Add(LogEntry entry);
-    IReadOnlyList<LogEntry> Query(string? level, string? search, int take);
+    LogPage Query(LogQuery query);
     LogStats GetStats();
-    byte[] ExportAsZip();
+    Task ExportAsZipAsync(Stream output);
 }
\ No newline at end of file
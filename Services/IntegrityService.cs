@@ -0,0 +1,313 @@
+﻿using System.Buffers.Binary;
+using System.IO.Compression;
+using System.Security.Cryptography;
+using System.Text.Json;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Проверка целостности npk/zip: размер против Content-Length, SHA-256 из manifest.json
+///     и структура файла. Файлы, не прошедшие проверку, роутерам не отдаются.
+/// </summary>
+public class IntegrityService(ILogger<IntegrityService> logger)
+{
+    public const string ManifestFileName = "manifest.json";
+
+    // Заголовок npk: магия 1E F1 D0 BA + длина оставшейся части файла (uint32 LE)
+    private static readonly byte[] NpkMagic = [0x1E, 0xF1, 0xD0, 0xBA];
+
+    private readonly Lock _lock = new();
+    private readonly Dictionary<string, VersionManifest> _manifests = new(StringComparer.OrdinalIgnoreCase);
+
+    public static bool IsFirmwareFile(string fileName)
+    {
+        var ext = Path.GetExtension(fileName);
+        return ext.Equals(".npk", StringComparison.OrdinalIgnoreCase) ||
+               ext.Equals(".zip", StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    ///     Проверяет только что скачанный файл и записывает его контрольную сумму и источник в манифест
+    /// </summary>
+    public async Task<ManifestFile> RecordFileAsync(
+        string filePath,
+        long? expectedSize,
+        string? source = null,
+        string? sourceUrl = null)
+    {
+        var entry = await CheckFileAsync(filePath, expectedSize, null);
+        entry.RecordedUtc = DateTime.UtcNow;
+        entry.Source = source;
+        entry.SourceUrl = sourceUrl;
+
+        SaveEntry(filePath, entry);
+
+        if (entry.Status == IntegrityStatus.Failed)
+            logger.LogWarning("Integrity check failed for {File}: {Error}", filePath, entry.Error);
+
+        return entry;
+    }
+
+    /// <summary>
+    ///     Перепроверяет все npk/zip версии против манифеста
+    /// </summary>
+    public async Task<VersionIntegrity> VerifyVersionAsync(string versionDir)
+    {
+        var known = GetManifestFiles(versionDir).ToDictionary(f => f.FileName, StringComparer.OrdinalIgnoreCase);
+        var files = new List<ManifestFile>();
+
+        foreach (var filePath in GetFirmwareFiles(versionDir))
+        {
+            var fileName = Path.GetFileName(filePath);
+            known.TryGetValue(fileName, out var previous);
+
+            // Файл без записи в манифесте (скачан до появления проверки) — запоминаем текущий хэш
+            var entry = await CheckFileAsync(filePath, previous?.ExpectedSize, previous?.Sha256);
+            entry.RecordedUtc = previous?.RecordedUtc ?? DateTime.UtcNow;
+            entry.Source = previous?.Source;
+            entry.SourceUrl = previous?.SourceUrl;
+            files.Add(entry);
+        }
+
+        lock (_lock)
+        {
+            var manifest = GetManifestLocked(versionDir);
+            manifest.Files = files;
+            SaveManifestLocked(versionDir, manifest);
+        }
+
+        var result = BuildIntegrity(versionDir, files);
+
+        logger.LogInformation(
+            "Verified version {Version}: {Ok} ok, {Failed} failed",
+            result.Version, result.Ok, result.Failed);
+
+        return result;
+    }
+
+    /// <summary>
+    ///     Последний известный результат проверки (без пересчёта хэшей)
+    /// </summary>
+    public VersionIntegrity GetVersionIntegrity(string versionDir)
+    {
+        var known = GetManifestFiles(versionDir).ToDictionary(f => f.FileName, StringComparer.OrdinalIgnoreCase);
+
+        var files = GetFirmwareFiles(versionDir)
+            .Select(Path.GetFileName)
+            .Select(fileName => known.TryGetValue(fileName!, out var entry)
+                ? entry
+                : new ManifestFile {FileName = fileName!, Status = IntegrityStatus.Unverified})
+            .ToList();
+
+        return BuildIntegrity(versionDir, files);
+    }
+
+    public string GetFileStatus(string filePath)
+    {
+        var fileName = Path.GetFileName(filePath);
+        var entry = GetManifestFiles(Path.GetDirectoryName(filePath)!)
+            .FirstOrDefault(f => f.FileName.Equals(fileName, StringComparison.OrdinalIgnoreCase));
+
+        return entry?.Status ?? IntegrityStatus.Unverified;
+    }
+
+    // Непроверенные (старые) файлы отдаём, заведомо битые — нет
+    public bool IsServable(string filePath)
+    {
+        return !IsFirmwareFile(filePath) || GetFileStatus(filePath) != IntegrityStatus.Failed;
+    }
+
+    public void RemoveFile(string filePath)
+    {
+        var versionDir = Path.GetDirectoryName(filePath)!;
+        var fileName = Path.GetFileName(filePath);
+
+        lock (_lock)
+        {
+            var manifest = GetManifestLocked(versionDir);
+            if (manifest.Files.RemoveAll(f => f.FileName.Equals(fileName, StringComparison.OrdinalIgnoreCase)) > 0)
+                SaveManifestLocked(versionDir, manifest);
+        }
+    }
+
+    // Версию удалили с диска — забываем закэшированный манифест
+    public void Forget(string versionDir)
+    {
+        lock (_lock)
+        {
+            _manifests.Remove(Path.GetFullPath(versionDir));
+        }
+    }
+
+    private async Task<ManifestFile> CheckFileAsync(string filePath, long? expectedSize, string? expectedSha256)
+    {
+        var entry = new ManifestFile
+        {
+            FileName = Path.GetFileName(filePath),
+            ExpectedSize = expectedSize,
+            VerifiedUtc = DateTime.UtcNow
+        };
+
+        try
+        {
+            entry.Size = new FileInfo(filePath).Length;
+
+            await using (var stream = File.OpenRead(filePath))
+            {
+                entry.Sha256 = Convert.ToHexString(await SHA256.HashDataAsync(stream)).ToLowerInvariant();
+            }
+
+            if (expectedSize.HasValue && entry.Size != expectedSize.Value)
+                entry.Error = $"Size mismatch: {entry.Size} of {expectedSize.Value} bytes";
+            else if (expectedSha256 is not null &&
+                     !expectedSha256.Equals(entry.Sha256, StringComparison.OrdinalIgnoreCase))
+                entry.Error = "SHA-256 does not match manifest";
+            else
+                entry.Error = CheckStructure(filePath);
+
+            // Эталонный хэш не перезаписываем, иначе битый файл «починится» сам собой
+            if (expectedSha256 is not null)
+                entry.Sha256 = expectedSha256;
+        }
+        catch (Exception ex)
+        {
+            entry.Error = ex.Message;
+        }
+
+        entry.Status = entry.Error is null ? IntegrityStatus.Ok : IntegrityStatus.Failed;
+        return entry;
+    }
+
+    private static string? CheckStructure(string filePath)
+    {
+        if (filePath.EndsWith(".zip", StringComparison.OrdinalIgnoreCase))
+            try
+            {
+                // Читаем все записи целиком — битые данные дадут InvalidDataException
+                using var archive = ZipFile.OpenRead(filePath);
+                foreach (var zipEntry in archive.Entries)
+                {
+                    using var entryStream = zipEntry.Open();
+                    entryStream.CopyTo(Stream.Null);
+                }
+
+                return null;
+            }
+            catch (InvalidDataException ex)
+            {
+                return $"Invalid zip: {ex.Message}";
+            }
+
+        if (filePath.EndsWith(".npk", StringComparison.OrdinalIgnoreCase))
+        {
+            using var stream = File.OpenRead(filePath);
+            Span<byte> header = stackalloc byte[8];
+            if (stream.ReadAtLeast(header, header.Length, false) < header.Length ||
+                !header[..4].SequenceEqual(NpkMagic))
+                return "Invalid npk header";
+
+            var payloadLength = BinaryPrimitives.ReadUInt32LittleEndian(header[4..]);
+            if (payloadLength != stream.Length - header.Length)
+                return $"Truncated npk: header declares {payloadLength + 8} bytes, file has {stream.Length}";
+        }
+
+        return null;
+    }
+
+    private static IEnumerable<string> GetFirmwareFiles(string versionDir)
+    {
+        return Directory.Exists(versionDir)
+            ? Directory.GetFiles(versionDir).Where(IsFirmwareFile).OrderBy(f => f, StringComparer.OrdinalIgnoreCase)
+            : [];
+    }
+
+    private static VersionIntegrity BuildIntegrity(string versionDir, List<ManifestFile> files)
+    {
+        var result = new VersionIntegrity
+        {
+            Version = Path.GetFileName(versionDir),
+            Ok = files.Count(f => f.Status == IntegrityStatus.Ok),
+            Failed = files.Count(f => f.Status == IntegrityStatus.Failed),
+            Unverified = files.Count(f => f.Status == IntegrityStatus.Unverified),
+            VerifiedUtc = files.Min(f => f.VerifiedUtc),
+            Sources = files
+                .Select(f => f.Source)
+                .OfType<string>()
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList(),
+            Files = files
+        };
+
+        result.Status = result.Failed > 0
+            ? IntegrityStatus.Failed
+            : result.Unverified > 0 || files.Count == 0
+                ? IntegrityStatus.Unverified
+                : IntegrityStatus.Ok;
+
+        return result;
+    }
+
+    private void SaveEntry(string filePath, ManifestFile entry)
+    {
+        var versionDir = Path.GetDirectoryName(filePath)!;
+
+        lock (_lock)
+        {
+            var manifest = GetManifestLocked(versionDir);
+            manifest.Files.RemoveAll(f => f.FileName.Equals(entry.FileName, StringComparison.OrdinalIgnoreCase));
+            manifest.Files.Add(entry);
+            SaveManifestLocked(versionDir, manifest);
+        }
+    }
+
+    private List<ManifestFile> GetManifestFiles(string versionDir)
+    {
+        lock (_lock)
+        {
+            return GetManifestLocked(versionDir).Files.ToList();
+        }
+    }
+
+    // Вызывается только под _lock
+    private VersionManifest GetManifestLocked(string versionDir)
+    {
+        var key = Path.GetFullPath(versionDir);
+        if (_manifests.TryGetValue(key, out var manifest))
+            return manifest;
+
+        manifest = new VersionManifest {Version = Path.GetFileName(key)};
+
+        var manifestPath = Path.Combine(key, ManifestFileName);
+        if (File.Exists(manifestPath))
+            try
+            {
+                manifest = JsonSerializer.Deserialize<VersionManifest>(File.ReadAllText(manifestPath)) ?? manifest;
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Failed to read manifest {Path}", manifestPath);
+            }
+
+        _manifests[key] = manifest;
+        return manifest;
+    }
+
+    // Вызывается только под _lock
+    private void SaveManifestLocked(string versionDir, VersionManifest manifest)
+    {
+        var manifestPath = Path.Combine(versionDir, ManifestFileName);
+
+        try
+        {
+            manifest.Files = manifest.Files.OrderBy(f => f.FileName, StringComparer.OrdinalIgnoreCase).ToList();
+            File.WriteAllText(manifestPath, JsonSerializer.Serialize(
+                manifest,
+                new JsonSerializerOptions {WriteIndented = true}));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Failed to write manifest {Path}", manifestPath);
+        }
+    }
+}
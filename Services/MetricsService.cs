@@ -0,0 +1,138 @@
+﻿using System.Collections.Concurrent;
+using System.Globalization;
+using System.Text;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Счётчики для Prometheus (/metrics, text format 0.0.4).
+///     Живут только в памяти и обнуляются при перезапуске — Prometheus это переживает.
+///     Без ILogger: FileLogStore сам отчитывается сюда о каждой записи.
+/// </summary>
+public class MetricsService
+{
+    // Метка для запросов pointer-файлов с неизвестным именем
+    public const string UnknownChannel = "unknown";
+
+    private readonly ConcurrentDictionary<string, long> _checks = new();
+    private readonly Lock _durationLock = new();
+    private readonly ConcurrentDictionary<string, long> _logEntries = new();
+    private readonly ConcurrentDictionary<string, long> _pointerRequests = new();
+    private readonly ConcurrentDictionary<(string version, string arch), long> _servedBytes = new();
+    private readonly ConcurrentDictionary<(string version, string arch), long> _servedFiles = new();
+
+    private long _checkDurationCount;
+    private double _checkDurationSum;
+    private long _upstreamBytes;
+
+    /// <summary>
+    ///     Проверка обновлений завершилась со статусом из CheckAndDownloadUpdatesAsync.
+    ///     duration = null — проверка не запускалась (already_in_progress).
+    /// </summary>
+    public void RecordCheck(string status, TimeSpan? duration = null)
+    {
+        _checks.AddOrUpdate(status, 1, (_, count) => count + 1);
+
+        if (duration is null)
+            return;
+
+        lock (_durationLock)
+        {
+            _checkDurationCount++;
+            _checkDurationSum += duration.Value.TotalSeconds;
+        }
+    }
+
+    public void AddUpstreamBytes(long bytes)
+    {
+        Interlocked.Add(ref _upstreamBytes, bytes);
+    }
+
+    public void RecordServedFile(string version, string arch, long bytes)
+    {
+        _servedFiles.AddOrUpdate((version, arch), 1, (_, count) => count + 1);
+        _servedBytes.AddOrUpdate((version, arch), bytes, (_, total) => total + bytes);
+    }
+
+    public void RecordPointerRequest(string channel)
+    {
+        _pointerRequests.AddOrUpdate(channel, 1, (_, count) => count + 1);
+    }
+
+    public void RecordLogEntry(string level)
+    {
+        _logEntries.AddOrUpdate(level, 1, (_, count) => count + 1);
+    }
+
+    /// <summary>
+    ///     Текст для /metrics. cacheBytes: ветка (v6 / v7) -> размер на диске, считается вызывающим на момент запроса.
+    /// </summary>
+    public string Render(IReadOnlyDictionary<string, long> cacheBytes)
+    {
+        var sb = new StringBuilder();
+
+        WriteHeader(sb, "mikrotik_update_checks_total", "counter", "Update check runs by outcome");
+        foreach (var (status, count) in _checks.OrderBy(c => c.Key))
+            WriteSample(sb, "mikrotik_update_checks_total", count, ("status", status));
+
+        long durationCount;
+        double durationSum;
+        lock (_durationLock)
+        {
+            durationCount = _checkDurationCount;
+            durationSum = _checkDurationSum;
+        }
+
+        WriteHeader(sb, "mikrotik_update_check_duration_seconds", "summary", "Update check duration");
+        WriteSample(sb, "mikrotik_update_check_duration_seconds_sum", durationSum);
+        WriteSample(sb, "mikrotik_update_check_duration_seconds_count", durationCount);
+
+        WriteHeader(sb, "mikrotik_upstream_downloaded_bytes_total", "counter", "Bytes downloaded from upstream sources");
+        WriteSample(sb, "mikrotik_upstream_downloaded_bytes_total", Interlocked.Read(ref _upstreamBytes));
+
+        WriteHeader(sb, "mikrotik_served_files_total", "counter", "Files served to routers by version and arch");
+        foreach (var ((version, arch), count) in _servedFiles.OrderBy(f => f.Key))
+            WriteSample(sb, "mikrotik_served_files_total", count, ("version", version), ("arch", arch));
+
+        WriteHeader(sb, "mikrotik_served_bytes_total", "counter", "Bytes served to routers by version and arch");
+        foreach (var ((version, arch), bytes) in _servedBytes.OrderBy(f => f.Key))
+            WriteSample(sb, "mikrotik_served_bytes_total", bytes, ("version", version), ("arch", arch));
+
+        WriteHeader(sb, "mikrotik_cache_size_bytes", "gauge", "Cached firmware size on disk by branch");
+        foreach (var (branch, bytes) in cacheBytes.OrderBy(c => c.Key))
+            WriteSample(sb, "mikrotik_cache_size_bytes", bytes, ("branch", branch));
+
+        WriteHeader(sb, "mikrotik_pointer_requests_total", "counter", "Pointer file requests by channel");
+        foreach (var (channel, count) in _pointerRequests.OrderBy(p => p.Key))
+            WriteSample(sb, "mikrotik_pointer_requests_total", count, ("channel", channel));
+
+        WriteHeader(sb, "mikrotik_log_entries_total", "counter", "Log entries written by level");
+        foreach (var (level, count) in _logEntries.OrderBy(l => l.Key))
+            WriteSample(sb, "mikrotik_log_entries_total", count, ("level", level));
+
+        return sb.ToString();
+    }
+
+    private static void WriteHeader(StringBuilder sb, string name, string type, string help)
+    {
+        sb.Append("# HELP ").Append(name).Append(' ').Append(help).Append('\n');
+        sb.Append("# TYPE ").Append(name).Append(' ').Append(type).Append('\n');
+    }
+
+    private static void WriteSample(StringBuilder sb, string name, double value, params (string name, string value)[] labels)
+    {
+        sb.Append(name);
+
+        if (labels.Length > 0)
+            sb.Append('{')
+                .AppendJoin(',', labels.Select(l => $"{l.name}=\"{EscapeLabel(l.value)}\""))
+                .Append('}');
+
+        sb.Append(' ').Append(value.ToString(CultureInfo.InvariantCulture)).Append('\n');
+    }
+
+    private static string EscapeLabel(string value)
+    {
+        return value.Replace("\\", "\\\\").Replace("\"", "\\\"").Replace("\n", "\\n");
+    }
+}
@@ -1,15 +1,29 @@
-﻿using System.Diagnostics;
+﻿using System.Collections.Concurrent;
+using System.Diagnostics;
 using System.Globalization;
 using System.IO.Compression;
 using System.Net;
-using System.Net.Sockets;
+using System.Net.Http.Headers;
+using System.Security.Cryptography;
 using System.Text.Json;
+using MikroTik.UpdateServer.Models;
 
 namespace MikroTik.UpdateServer.Services;
 
 public class MikroTikUpdateService
 {
     private const int _diskUsageCacheSeconds = 30; // кэш на 30 секунд
+    private const string DefaultV7FixedVersion = "7.12.1";
+
+    // Сколько раз докачиваем файл после обрыва в рамках одной загрузки
+    private const int MaxDownloadAttempts = 5;
+    private const string PartialFileExtension = ".part";
+
+    // Сколько ждём очередной кусок тела ответа, прежде чем считать соединение зависшим
+    private static readonly TimeSpan DownloadIdleTimeout = TimeSpan.FromSeconds(60);
+
+    // Каналы v7, из которых предлагаем версии для fixed-трека
+    private static readonly string[] UpstreamV7Channels = ["stable", "long-term", "testing", "development"];
 
     private static readonly string[] DefaultAllowedArches =
     [
@@ -26,19 +40,43 @@ public class MikroTikUpdateService
 
     private readonly string _baseFolder;
     private readonly string _deleteJsonFile;
+    private readonly ExtraPackageService _extraPackages;
     private readonly HttpClient _httpClient;
+    private readonly IntegrityService _integrity;
 
     private readonly string _lastCheckFile;
+
+    // Файлы, которых не нашлось ни на одном доступном апстриме: version/file -> когда. Только до перезапуска
+    private readonly ConcurrentDictionary<string, DateTime> _notOnUpstream = new(StringComparer.OrdinalIgnoreCase);
     private readonly ILogger<MikroTikUpdateService> _logger;
+    private readonly NotificationService _notifications;
+    private readonly PointerMapService _pointerMap;
+    private readonly UpdateProgressService _progress;
+    private readonly RunJournalService _journal;
+    private readonly MetricsService _metrics;
+    private readonly PinService _pins;
+    private readonly RetentionService _retention;
+    private readonly RolloutService _rollout;
+    private readonly string _tracksFile;
+    private readonly UpstreamService _upstreams;
     private readonly string _versionsFile;
 
     private string _activeV6Version = "";
     private string _activeV7Fixed = "";
     private string _activeV7Latest = "";
     private string[] _allowedArches;
+    private string _v7FixedTrack;
+
+    // Latest, выбранный вручную, и стабильная версия апстрима на момент выбора.
+    // Держится, пока апстрим не выпустит новую стабильную версию
+    private string? _v7LatestOverride;
+    private string? _v7LatestOverrideUpstream;
 
     private int _isChecking = 0;
 
+    // Что апстримы ответили в текущем запуске — для журнала; меняется только при занятом _isChecking
+    private Dictionary<string, string> _runUpstreamVersions = [];
+
     private DateTime _lastCheck = DateTime.MinValue;
 
     private DateTime _lastCpuCheck = DateTime.MinValue;
@@ -50,9 +88,32 @@ public class MikroTikUpdateService
     private long _totalDownloaded;
     private int _totalFiles;
 
-    public MikroTikUpdateService(ILogger<MikroTikUpdateService> logger)
+    public MikroTikUpdateService(
+        ILogger<MikroTikUpdateService> logger,
+        UpdateProgressService progress,
+        PointerMapService pointerMap,
+        IntegrityService integrity,
+        UpstreamService upstreams,
+        NotificationService notifications,
+        RetentionService retention,
+        RolloutService rollout,
+        PinService pins,
+        MetricsService metrics,
+        RunJournalService journal,
+        ExtraPackageService extraPackages)
     {
         _logger = logger;
+        _progress = progress;
+        _pointerMap = pointerMap;
+        _integrity = integrity;
+        _upstreams = upstreams;
+        _notifications = notifications;
+        _retention = retention;
+        _rollout = rollout;
+        _pins = pins;
+        _metrics = metrics;
+        _journal = journal;
+        _extraPackages = extraPackages;
 
         var baseDir = AppContext.BaseDirectory;
 
@@ -74,6 +135,10 @@ public class MikroTikUpdateService
         _allowedArchesFile = Path.Combine(baseDir, "allowed_arches.json");
         _allowedArches = LoadAllowedArches();
 
+        _tracksFile = Path.Combine(baseDir, "tracks.json");
+        _v7FixedTrack = LoadV7FixedTrack();
+        LoadV7LatestOverride();
+
         _logger.LogInformation("Service initialized. Base folder: {BaseFolder}", _baseFolder);
         _logger.LogInformation("Updates folder: routeros");
     }
@@ -161,57 +226,218 @@ public class MikroTikUpdateService
         }
     }
 
-    /// <summary>
-    ///     Проверяет доступность MikroTik серверов
-    /// </summary>
-    private async Task<bool> CheckMikroTikConnectivityAsync()
+    private Dictionary<string, string>? LoadTracks()
     {
         try
         {
-            _logger.LogDebug("Checking connectivity to upgrade.mikrotik.com...");
-            using var request =
-                new HttpRequestMessage(HttpMethod.Head, "https://upgrade.mikrotik.com/routeros/LATEST.6");
-            var response = await _httpClient.SendAsync(request);
-            var isConnected = response.IsSuccessStatusCode;
+            if (File.Exists(_tracksFile))
+                return JsonSerializer.Deserialize<Dictionary<string, string>>(File.ReadAllText(_tracksFile));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load v7 tracks from {File}, using defaults", _tracksFile);
+        }
 
-            _logger.LogDebug(
-                "MikroTik server connectivity: {Status} (HTTP {Code})",
-                isConnected ? "OK" : "FAILED",
-                (int) response.StatusCode);
+        return null;
+    }
 
-            return isConnected;
+    private string LoadV7FixedTrack()
+    {
+        if (LoadTracks()?.TryGetValue("v7Fixed", out var version) == true && IsV7Version(version))
+        {
+            _logger.LogInformation("Loaded fixed v7 track: {Version}", version);
+            return version;
         }
-        catch (HttpRequestException ex) when (ex.InnerException is SocketException
-                                              {
-                                                  SocketErrorCode: SocketError.ConnectionRefused
-                                              })
+
+        return DefaultV7FixedVersion;
+    }
+
+    private void LoadV7LatestOverride()
+    {
+        var tracks = LoadTracks();
+        if (tracks is null || !tracks.TryGetValue("v7Latest", out var version) || !IsV7Version(version))
+            return;
+
+        _v7LatestOverride = version;
+        _v7LatestOverrideUpstream = tracks.GetValueOrDefault("v7LatestUpstream");
+
+        if (Directory.Exists(Path.Combine(_baseFolder, "v7", version)))
+            _activeV7Latest = version;
+
+        _logger.LogInformation("Loaded manual v7 latest: {Version}", version);
+    }
+
+    private async Task SaveTracksAsync()
+    {
+        var payload = new Dictionary<string, string> {["v7Fixed"] = _v7FixedTrack};
+        if (_v7LatestOverride is not null)
         {
-            // Специальный случай: 10061 — просто предупреждение без стэка
-            _logger.LogWarning(
-                "MikroTik server refused connection (SocketError 10061): {Message}",
-                ex.Message);
-            return false;
+            payload["v7Latest"] = _v7LatestOverride;
+            if (_v7LatestOverrideUpstream is not null)
+                payload["v7LatestUpstream"] = _v7LatestOverrideUpstream;
         }
-        catch (HttpRequestException ex)
+
+        var json = JsonSerializer.Serialize(payload, new JsonSerializerOptions {WriteIndented = true});
+        await File.WriteAllTextAsync(_tracksFile, json);
+    }
+
+    public string GetV7FixedTrack()
+    {
+        return _v7FixedTrack;
+    }
+
+    /// <summary>
+    ///     Меняет версию fixed-трека v7. Если версия уже в кэше — сразу делает её активной,
+    ///     иначе она скачается при следующей проверке обновлений.
+    /// </summary>
+    public async Task SetV7FixedTrackAsync(string version)
+    {
+        version = version?.Trim() ?? "";
+        if (!IsV7Version(version))
+            throw new ArgumentException($"Invalid v7 version: {version}");
+
+        _v7FixedTrack = version;
+        await SaveTracksAsync();
+
+        _logger.LogInformation("Fixed v7 track set to: {Version}", version);
+
+        if (Directory.Exists(Path.Combine(_baseFolder, "v7", version)))
         {
-            // Другие сетевые ошибки — пишем кратко, без стэктрейса
-            _logger.LogWarning(
-                "HTTP error checking MikroTik connectivity: {Message}",
-                ex.Message);
-            return false;
+            _activeV7Fixed = version;
+            await RewritePointerFilesAsync();
         }
-        catch (TaskCanceledException ex)
+    }
+
+    /// <summary>
+    ///     Версии-кандидаты для fixed-трека: из кэша и из каналов апстрима
+    /// </summary>
+    public async Task<object> GetV7FixedCandidatesAsync()
+    {
+        var v7Dir = Path.Combine(_baseFolder, "v7");
+        var cached = Directory.Exists(v7Dir)
+            ? Directory.GetDirectories(v7Dir)
+                .Select(d => new DirectoryInfo(d).Name)
+                .Where(IsV7Version)
+                .OrderByDescending(v => v, Comparer<string>.Create(ChangelogParser.CompareVersions))
+                .ToList()
+            : [];
+
+        var upstream = await Task.WhenAll(UpstreamV7Channels.Select(async channel =>
         {
-            _logger.LogWarning(
-                "MikroTik connectivity check timeout: {Message}",
-                ex.Message);
-            return false;
+            var (version, _) = await GetVersionFromUpstreamAsync($"NEWESTa7.{channel}");
+            return new {channel, version};
+        }));
+
+        return new
+        {
+            current = _v7FixedTrack,
+            cached,
+            upstream = upstream.Where(u => u.version is not null).ToList()
+        };
+    }
+
+    private static bool IsV7Version(string? version)
+    {
+        return FirmwareFileName.IsVersion(version) && version.StartsWith("7.");
+    }
+
+    /// <summary>
+    ///     Проверяет доступность источников обновлений: достаточно одного живого
+    /// </summary>
+    private async Task<bool> CheckMikroTikConnectivityAsync()
+    {
+        _logger.LogDebug("Checking connectivity to upstream sources...");
+
+        var isConnected = await _upstreams.CheckHealthAsync();
+
+        _logger.LogDebug("Upstream connectivity: {Status}", isConnected ? "OK" : "FAILED");
+        return isConnected;
+    }
+
+    /// <summary>
+    ///     Скачивает текстовый файл (pointer, CHANGELOG, packages.csv), перебирая источники по порядку.
+    ///     404 — не сбой источника: у зеркала может просто не быть этой версии.
+    /// </summary>
+    private async Task<(string? content, UpstreamSource? source)> GetUpstreamStringAsync(string relativePath)
+    {
+        foreach (var source in _upstreams.GetCandidates())
+        {
+            var url = source.GetUrl(relativePath);
+            var started = Stopwatch.GetTimestamp();
+
+            try
+            {
+                using var response = await _httpClient.GetAsync(url);
+
+                if (response.StatusCode == HttpStatusCode.NotFound)
+                {
+                    _upstreams.ReportSuccess(source.Id, Stopwatch.GetElapsedTime(started));
+                    _logger.LogDebug("{Path} not found on upstream {Source}", relativePath, source.Id);
+                    continue;
+                }
+
+                response.EnsureSuccessStatusCode();
+                var content = await response.Content.ReadAsStringAsync();
+
+                _upstreams.ReportSuccess(source.Id, Stopwatch.GetElapsedTime(started));
+                return (content, source);
+            }
+            catch (Exception ex) when (ex is HttpRequestException or TaskCanceledException)
+            {
+                _upstreams.ReportFailure(source.Id, ex.Message);
+                _logger.LogWarning(
+                    "Upstream {Source} failed for {Path}: {Message}",
+                    source.Id, relativePath, ex.Message);
+            }
         }
-        catch (Exception ex)
+
+        return (null, null);
+    }
+
+    /// <summary>
+    ///     Источники, у которых есть файл (HEAD), в порядке опроса.
+    ///     reachable = false — ни один источник не ответил.
+    /// </summary>
+    private async Task<(List<UpstreamSource> sources, bool reachable)> FindUpstreamFileAsync(
+        string relativePath,
+        bool isDownload)
+    {
+        var found = new List<UpstreamSource>();
+        var reachable = false;
+
+        foreach (var source in _upstreams.GetCandidates())
         {
-            _logger.LogError(ex, "Unexpected error checking MikroTik connectivity");
-            return false;
+            var url = isDownload ? source.GetDownloadUrl(relativePath) : source.GetUrl(relativePath);
+            var started = Stopwatch.GetTimestamp();
+
+            try
+            {
+                using var request = new HttpRequestMessage(HttpMethod.Head, url);
+                using var response = await _httpClient.SendAsync(request);
+
+                if (response.IsSuccessStatusCode || response.StatusCode == HttpStatusCode.NotFound)
+                {
+                    reachable = true;
+                    _upstreams.ReportSuccess(source.Id, Stopwatch.GetElapsedTime(started));
+                }
+                else
+                {
+                    _upstreams.ReportFailure(source.Id, $"HTTP {(int) response.StatusCode}");
+                }
+
+                if (response.IsSuccessStatusCode)
+                    found.Add(source);
+            }
+            catch (Exception ex) when (ex is HttpRequestException or TaskCanceledException)
+            {
+                _upstreams.ReportFailure(source.Id, ex.Message);
+                _logger.LogWarning(
+                    "Upstream {Source} failed for {Path}: {Message}",
+                    source.Id, relativePath, ex.Message);
+            }
         }
+
+        return (found, reachable);
     }
 
     private void LoadLastCheck()
@@ -352,49 +578,25 @@ public class MikroTikUpdateService
             return;
         }
 
-        var url = $"https://upgrade.mikrotik.com/routeros/{branchVersion}/packages.csv";
-
         try
         {
-            _logger.LogInformation("Downloading packages.csv for branch {Branch} from {Url}", branchVersion, url);
+            _logger.LogInformation("Downloading packages.csv for branch {Branch}", branchVersion);
 
-            using var request = new HttpRequestMessage(HttpMethod.Head, url);
-            var headResponse = await _httpClient.SendAsync(request);
+            var (csv, source) = await GetUpstreamStringAsync($"{branchVersion}/packages.csv");
 
-            // Проверяем наличие файла перед попыткой скачивания
-            if (!headResponse.IsSuccessStatusCode)
+            // Проверяем наличие файла: у fixed и старых веток его нет
+            if (csv is null)
             {
                 _logger.LogWarning(
-                    "packages.csv not available for branch {Branch} (HTTP {StatusCode}). This is normal for fixed or old versions.",
-                    branchVersion,
-                    (int) headResponse.StatusCode);
+                    "packages.csv not available for branch {Branch}. This is normal for fixed or old versions.",
+                    branchVersion);
                 return;
             }
 
-            var csv = await _httpClient.GetStringAsync(url);
             await File.WriteAllTextAsync(localPath, csv);
-            _logger.LogInformation("Saved packages.csv for branch {Branch} to {Path}", branchVersion, localPath);
-        }
-        catch (HttpRequestException ex) when (ex.StatusCode == HttpStatusCode.NotFound)
-        {
-            _logger.LogWarning(
-                "packages.csv not found for branch {Branch}. This is normal for fixed or old versions. Error: {Message}",
-                branchVersion,
-                ex.Message);
-        }
-        catch (HttpRequestException ex)
-        {
-            _logger.LogWarning(
-                ex,
-                "HTTP error downloading packages.csv for branch {Branch}",
-                branchVersion);
-        }
-        catch (TaskCanceledException ex)
-        {
-            _logger.LogWarning(
-                ex,
-                "Timeout downloading packages.csv for branch {Branch}",
-                branchVersion);
+            _logger.LogInformation(
+                "Saved packages.csv for branch {Branch} from {Source} to {Path}",
+                branchVersion, source!.Id, localPath);
         }
         catch (Exception ex)
         {
@@ -427,43 +629,103 @@ public class MikroTikUpdateService
             : Task.FromResult<string?>(null);
     }
 
-    public async Task<(int downloaded, string[] versions, string status)> CheckAndDownloadUpdatesAsync()
+    public async Task<(int downloaded, string[] versions, string status)> CheckAndDownloadUpdatesAsync(
+        string trigger = UpdateTriggers.Manual)
     {
         // Проверяем, не запущена ли уже проверка
         if (Interlocked.Exchange(ref _isChecking, 1) != 0)
         {
+            // В журнал пропуски не пишем: при частом интервале они вытеснили бы настоящие запуски
             _logger.LogWarning("Update check already in progress, skipping");
+            _metrics.RecordCheck("already_in_progress");
             return (0, [], "already_in_progress");
         }
 
+        _progress.BeginRun(trigger);
+        _runUpstreamVersions = [];
+        (int downloaded, string[] versions, string status) result = (0, [], "error");
+        var started = Stopwatch.GetTimestamp();
+
+        try
+        {
+            result = await RunUpdateCheckAsync(trigger);
+
+            // Рассылаем в фоне, чтобы медленный канал не задерживал ответ
+            _ = _notifications.NotifyUpdateCheckAsync(trigger, result.downloaded, result.versions, result.status);
+            _ = _notifications.CheckDiskSpaceAsync(_baseFolder);
+
+            return result;
+        }
+        finally
+        {
+            _progress.EndRun(result.status, result.downloaded);
+            _metrics.RecordCheck(result.status, Stopwatch.GetElapsedTime(started));
+            _ = _journal.AddAsync(BuildCheckRun(result.status, result.versions));
+            Interlocked.Exchange(ref _isChecking, 0);
+        }
+    }
+
+    private async Task<(int downloaded, string[] versions, string status)> RunUpdateCheckAsync(string trigger)
+    {
         var downloadedCount = 0;
         var processedVersions = new List<string>();
 
         try
         {
-            _logger.LogInformation("=== Starting update check at {Time} ===", DateTime.Now);
+            _logger.LogInformation(
+                "=== Starting update check at {Time} (trigger: {Trigger}) ===",
+                DateTime.Now,
+                trigger);
 
             // Проверяем доступность сервера
             var isConnected = await CheckMikroTikConnectivityAsync();
             if (!isConnected)
             {
-                _logger.LogWarning("Cannot reach MikroTik servers. Using cached versions if available.");
+                _logger.LogWarning("Cannot reach any upstream source. Using cached versions if available.");
                 return (0, [], "network_unavailable");
             }
 
-            var (v6Version, v6Build) =
-                await GetVersionFromUrlAsync("https://upgrade.mikrotik.com/routeros/LATEST.6");
-            var (v7Latest, v7LatestBuild) =
-                await GetVersionFromUrlAsync("https://upgrade.mikrotik.com/routeros/NEWESTa7.stable");
-            const string v7Fixed = "7.12.1";
+            _progress.SetStage("resolving");
+
+            var (v6Version, v6Build) = await GetVersionFromUpstreamAsync("LATEST.6");
+            var (v7Latest, v7LatestBuild) = await GetVersionFromUpstreamAsync("NEWESTa7.stable");
+            var v7Fixed = _v7FixedTrack;
             const long v7FixedBuild = 0L;
 
+            _runUpstreamVersions = new Dictionary<string, string>
+            {
+                ["v6"] = v6Version ?? "-",
+                ["v7"] = v7Latest ?? "-",
+                ["v7Fixed"] = v7Fixed
+            };
+
             if (v6Version == null || v7Latest == null)
             {
-                _logger.LogWarning("Could not fetch version information from MikroTik");
+                _logger.LogWarning("Could not fetch version information from upstream sources");
                 return (0, [], "fetch_failed");
             }
 
+            if (_v7LatestOverride is not null)
+            {
+                _v7LatestOverrideUpstream ??= v7Latest;
+
+                if (v7Latest.Equals(_v7LatestOverrideUpstream, StringComparison.OrdinalIgnoreCase))
+                {
+                    v7Latest = _v7LatestOverride;
+                    v7LatestBuild = ReadPointerBuilds().GetValueOrDefault(v7Latest);
+                }
+                else
+                {
+                    _logger.LogInformation(
+                        "Upstream released v7 {Version}, manual latest {Override} is dropped",
+                        v7Latest, _v7LatestOverride);
+                    _v7LatestOverride = null;
+                    _v7LatestOverrideUpstream = null;
+                }
+
+                await SaveTracksAsync();
+            }
+
             _logger.LogInformation(
                 "Latest versions - v6: {V6}, v7Fixed: {V7Fixed}, v7Latest: {V7Latest}",
                 v6Version, v7Fixed, v7Latest);
@@ -475,7 +737,6 @@ public class MikroTikUpdateService
                 var v6Dir = Path.Combine(_baseFolder, "v6", v6Version);
                 downloadedCount += await ProcessVersionAsync(v6Version, v6Dir, true, false);
                 _activeV6Version = v6Version;
-                CleanupOldVersions(Path.Combine(_baseFolder, "v6"), 3, v6Version);
                 processedVersions.Add($"v6:{v6Version}");
             }
             else
@@ -506,7 +767,6 @@ public class MikroTikUpdateService
                 var v7LatestDir = Path.Combine(_baseFolder, "v7", v7Latest);
                 downloadedCount += await ProcessVersionAsync(v7Latest, v7LatestDir, false, false);
                 _activeV7Latest = v7Latest;
-                CleanupOldVersions(Path.Combine(_baseFolder, "v7"), 3, v7Latest, v7Fixed);
                 processedVersions.Add($"v7-latest:{v7Latest}");
             }
             else
@@ -515,9 +775,13 @@ public class MikroTikUpdateService
                 processedVersions.Add($"v7-latest:{v7Latest}(existing)");
             }
 
+            _progress.SetStage("finalizing");
             await UpdatePointerFilesAsync(v6Version, v7Fixed, v7Latest, v6Build, v7FixedBuild, v7LatestBuild);
             await LogVersionsAsync(v6Version, v7Fixed, v7Latest);
 
+            // Старые версии убираем по политике хранения, когда pointer-файлы уже на новых
+            ApplyRetentionCore();
+
             _lastCheck = DateTime.UtcNow;
             SaveLastCheck();
 
@@ -539,125 +803,930 @@ public class MikroTikUpdateService
             _logger.LogError(ex, "=== Error during update check ===");
             return (0, [], "error");
         }
-        finally
+    }
+
+    /// <summary>
+    ///     Есть ли версия хотя бы у одного источника. null — ни один источник недоступен.
+    /// </summary>
+    public async Task<bool?> VersionExistsUpstreamAsync(string version)
+    {
+        // CHANGELOG публикуется для каждой версии и не зависит от архитектуры
+        var (sources, reachable) = await FindUpstreamFileAsync($"{version}/CHANGELOG", false);
+
+        if (!reachable)
         {
-            Interlocked.Exchange(ref _isChecking, 0);
+            _logger.LogWarning("Cannot check version {Version} upstream: no source is reachable", version);
+            return null;
         }
+
+        return sources.Count > 0;
     }
 
-    // Проверяет, все ли файлы для версии существуют
-    private Task<bool> IsVersionCompleteAsync(string version, bool isV6Extra)
+    /// <summary>
+    ///     Скачивает произвольную версию для разрешённых архитектур.
+    ///     Ждёт, пока закончится текущая проверка обновлений (или другая загрузка).
+    /// </summary>
+    public async Task<(int downloaded, bool complete)> FetchVersionAsync(
+        string version,
+        Action onStarted,
+        CancellationToken ct)
     {
-        var archs = _allowedArches;
-        var versionDir = Path.Combine(_baseFolder, isV6Extra ? "v6" : "v7", version);
+        while (Interlocked.CompareExchange(ref _isChecking, 1, 0) != 0)
+            await Task.Delay(TimeSpan.FromSeconds(5), ct);
 
-        if (!Directory.Exists(versionDir))
-            return Task.FromResult(false);
+        var isV6 = version.StartsWith("6.");
+        (int downloaded, bool complete) result = (0, false);
+
+        onStarted();
+        _progress.BeginRun(UpdateTriggers.Fetch);
+        _runUpstreamVersions = [];
 
-        foreach (var arch in archs)
+        try
         {
-            var fileName = isV6Extra
-                ? $"all_packages-{arch}-{version}.zip"
-                : $"routeros-{version}-{arch}.npk"; // <-- совпадает с именем при скачивании
+            _logger.LogInformation("=== Fetching version {Version} on demand ===", version);
 
-            var filePath = Path.Combine(versionDir, fileName);
+            var downloadDir = Path.Combine(_baseFolder, isV6 ? "v6" : "v7", version);
+            var downloaded = await ProcessVersionAsync(version, downloadDir, isV6, false);
 
-            if (!File.Exists(filePath))
-                return Task.FromResult(false);
+            // Ничего не скачалось — папка без прошивок не должна появиться в списке версий
+            if (downloaded == 0)
+                RemoveVersionDirWithoutFirmware(downloadDir);
 
-            // Дополнительная проверка, что файл не пустой
-            var fileInfo = new FileInfo(filePath);
-            if (fileInfo.Length == 0)
-                return Task.FromResult(false);
+            result = (downloaded, await IsVersionCompleteAsync(version, isV6));
+            return result;
         }
-
-        return Task.FromResult(true);
-    }
-
-    private async Task<int> ProcessVersionAsync(string version, string downloadDir, bool isV6Extra, bool skipIfExists)
-    {
-        if (skipIfExists && await IsVersionCompleteAsync(version, isV6Extra))
+        finally
         {
-            _logger.LogInformation("Version {Version} already exists and complete, skipping", version);
-            return 0;
+            var status = result.complete ? "success" : "incomplete";
+            _progress.EndRun(status, result.downloaded);
+            _ = _journal.AddAsync(BuildCheckRun(status, [version]));
+            Interlocked.Exchange(ref _isChecking, 0);
         }
+    }
 
-        Directory.CreateDirectory(downloadDir);
+    /// <summary>
+    ///     Матрица версия × архитектура по всем скачанным версиям
+    /// </summary>
+    public ArchCoverage GetArchCoverage()
+    {
+        var allowed = _allowedArches.ToList();
+        var seen = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var rows = new List<ArchCoverageRow>();
 
-        var archs = _allowedArches;
+        foreach (var branch in new[] {"v7", "v6"})
+        {
+            var branchDir = Path.Combine(_baseFolder, branch);
+            if (!Directory.Exists(branchDir))
+                continue;
 
-        var fileUrls = archs.Select(arch => isV6Extra
-                ? $"all_packages-{arch}-{version}.zip"
-                : $"routeros-{version}-{arch}.npk")
-            .Select(fileName => $"https://download.mikrotik.com/routeros/{version}/{fileName}")
-            .ToList();
+            var versions = Directory.GetDirectories(branchDir)
+                .Select(Path.GetFileName)
+                .Where(FirmwareFileName.IsVersion)
+                .Select(v => v!)
+                .OrderByDescending(v => v, Comparer<string>.Create(ChangelogParser.CompareVersions));
 
-        _logger.LogInformation(
-            "Processing {Type} version {Version}, {Count} files to check",
-            isV6Extra ? "v6" : "v7",
-            version,
-            fileUrls.Count);
+            foreach (var version in versions)
+            {
+                foreach (var file in Directory.EnumerateFiles(Path.Combine(branchDir, version)))
+                    if (FirmwareFileName.TryParse(file, out var info))
+                        seen.Add(info.Arch);
 
-        List<string>? deletePrefixes = null;
-        if (isV6Extra)
-            deletePrefixes = LoadDeletePrefixes();
+                rows.Add(new ArchCoverageRow {Version = version, Branch = branch});
+            }
+        }
 
-        var tasks = fileUrls
-            .Select(url => DownloadFileAsync(url, downloadDir, isV6Extra, deletePrefixes))
+        var arches = allowed
+            .Concat(seen.Where(a => !allowed.Contains(a)).Order(StringComparer.Ordinal))
             .ToList();
 
-        var results = await Task.WhenAll(tasks);
-        var successCount = results.Count(r => r);
-
-        // Скачиваем CHANGELOG для этой версии
-        await DownloadChangelogAsync(version, downloadDir);
-
-        // Для RouterOS 7 дополнительно тянем packages.csv в папку версии
-        if (!isV6Extra)
+        foreach (var row in rows)
         {
-            await DownloadPackagesCsvForVersionAsync(version, downloadDir);
-        }
+            var versionDir = Path.Combine(_baseFolder, row.Branch, row.Version);
+            var isV6 = row.Branch == "v6";
+            var listed = isV6 ? [] : ReadPackagesCsv(row.Version, versionDir);
+            var extras = isV6 ? [] : GetExtraPackageFiles(row.Version, versionDir, true);
 
-        _logger.LogInformation(
-            "Version {Version} processing completed. Downloaded: {Success}/{Total}",
-            version,
-            successCount,
-            fileUrls.Count);
+            foreach (var arch in arches)
+                row.Cells[arch] = GetArchCell(row.Version, versionDir, isV6, arch, listed, extras);
+        }
 
-        return successCount;
+        return new ArchCoverage {Arches = arches, AllowedArches = allowed, Versions = rows};
     }
 
-    private async Task DownloadChangelogAsync(string version, string downloadDir)
+    private ArchCell GetArchCell(
+        string version,
+        string versionDir,
+        bool isV6,
+        string arch,
+        List<PackageInfo> listed,
+        List<string> extras)
     {
-        try
+        var main = GetMainFileName(version, arch, isV6);
+
+        // packages.csv перечисляет всё, что выпущено под версию; для v6 знаем только о неудачных попытках скачать
+        if (!File.Exists(Path.Combine(versionDir, main)) &&
+            (listed.Count > 0 && !listed.Any(p => p.FileName.Equals(main, StringComparison.OrdinalIgnoreCase)) ||
+             _notOnUpstream.ContainsKey($"{version}/{main}")))
+            return new ArchCell {State = ArchCellStates.Unavailable};
+
+        var cell = new ArchCell
         {
-            var changelogUrl = $"https://upgrade.mikrotik.com/routeros/{version}/CHANGELOG";
-            var changelogPath = Path.Combine(downloadDir, "CHANGELOG");
+            Files = extras
+                .Where(f => FirmwareFileName.TryParse(f, out var info) && info.Arch == arch)
+                .Prepend(main)
+                .ToList()
+        };
 
-            // Если файл уже существует, пропускаем загрузку
-            if (File.Exists(changelogPath))
+        foreach (var fileName in cell.Files)
+        {
+            var filePath = Path.Combine(versionDir, fileName);
+            var file = new FileInfo(filePath);
+
+            var state = !file.Exists ? ArchCellStates.Missing
+                : file.Length == 0 ? ArchCellStates.Empty
+                : _integrity.GetFileStatus(filePath) == IntegrityStatus.Failed ? ArchCellStates.Corrupt
+                : ArchCellStates.Present;
+
+            if (state == ArchCellStates.Present)
             {
-                _logger.LogDebug("CHANGELOG already exists for version {Version}", version);
-                return;
+                cell.SizeBytes += file.Length;
+                continue;
             }
 
-            _logger.LogInformation("Downloading CHANGELOG for version {Version}", version);
-            var changelogContent = await _httpClient.GetStringAsync(changelogUrl);
+            // Дополнительного пакета уже не нашлось на апстриме — повторять бессмысленно
+            if (state == ArchCellStates.Missing && _notOnUpstream.ContainsKey($"{version}/{fileName}"))
+                continue;
 
-            await File.WriteAllTextAsync(changelogPath, changelogContent);
-            _logger.LogInformation("Downloaded CHANGELOG for version {Version}", version);
-        }
-        catch (Exception ex)
-        {
-            _logger.LogWarning(ex, "Failed to download CHANGELOG for version {Version}", version);
+            cell.Missing.Add(fileName);
+            if (cell.State == ArchCellStates.Present)
+                cell.State = state;
         }
+
+        return cell;
     }
 
-    private async Task DownloadPackagesCsvForVersionAsync(string version, string downloadDir)
+    /// <summary>
+    ///     Докачивает недостающие, пустые и битые файлы выбранных архитектур во всех скачанных версиях
+    ///     (или только в version). null — уже идёт проверка обновлений.
+    /// </summary>
+    public async Task<ArchRepairResult?> RepairArchCoverageAsync(string? version)
     {
-        try
+        if (Interlocked.CompareExchange(ref _isChecking, 1, 0) != 0)
+            return null;
+
+        var result = new ArchRepairResult();
+
+        _progress.BeginRun(UpdateTriggers.Repair);
+        _runUpstreamVersions = [];
+
+        try
+        {
+            var coverage = GetArchCoverage();
+            var rows = coverage.Versions
+                .Where(r => version is null || r.Version.Equals(version, StringComparison.OrdinalIgnoreCase));
+
+            foreach (var row in rows)
+            {
+                var fileNames = coverage.AllowedArches
+                    .Where(row.Cells.ContainsKey)
+                    .SelectMany(a => row.Cells[a].Missing)
+                    .ToList();
+                if (fileNames.Count == 0)
+                    continue;
+
+                var isV6 = row.Branch == "v6";
+                var versionDir = Path.Combine(_baseFolder, row.Branch, row.Version);
+
+                _logger.LogInformation(
+                    "Repairing {Version}: {Count} files missing for selected architectures",
+                    row.Version, fileNames.Count);
+
+                // Пустой файл DownloadFileAsync посчитал бы уже скачанным
+                foreach (var fileName in fileNames)
+                {
+                    var filePath = Path.Combine(versionDir, fileName);
+                    if (File.Exists(filePath) && new FileInfo(filePath).Length == 0)
+                    {
+                        File.Delete(filePath);
+                        _integrity.RemoveFile(filePath);
+                    }
+                }
+
+                _progress.SetStage("downloading", row.Version);
+                foreach (var fileName in fileNames)
+                    _progress.FileQueued(row.Version, fileName);
+
+                var deletePrefixes = isV6 ? LoadDeletePrefixes() : null;
+                var results = await Task.WhenAll(fileNames
+                    .Select(fileName => DownloadFileAsync(fileName, row.Version, versionDir, isV6, deletePrefixes)));
+
+                result.Versions.Add(row.Version);
+                result.Downloaded += results.Count(r => r);
+                result.Failed += results.Count(r => !r);
+            }
+
+            var after = GetArchCoverage();
+            after.Versions.RemoveAll(r =>
+                version is not null && !r.Version.Equals(version, StringComparison.OrdinalIgnoreCase));
+            result.RemainingCells = after.MissingCells;
+
+            _logger.LogInformation(
+                "Architecture repair completed. Downloaded {Downloaded}, failed {Failed}, {Remaining} cells still missing",
+                result.Downloaded, result.Failed, result.RemainingCells);
+
+            return result;
+        }
+        finally
+        {
+            var status = result.RemainingCells == 0 && result.Failed == 0 ? "success" : "incomplete";
+            _progress.EndRun(status, result.Downloaded);
+            _ = _journal.AddAsync(BuildCheckRun(status, result.Versions));
+            Interlocked.Exchange(ref _isChecking, 0);
+        }
+    }
+
+    /// <summary>
+    ///     Архитектуры, под которые MikroTik выпускает RouterOS: по packages.csv самой новой скачанной v7,
+    ///     без него — по packages.csv активной latest с апстрима, иначе встроенный список.
+    /// </summary>
+    public async Task<UpstreamArches> GetUpstreamArchesAsync()
+    {
+        var v7Dir = Path.Combine(_baseFolder, "v7");
+        var cached = Directory.Exists(v7Dir)
+            ? Directory.GetDirectories(v7Dir)
+                .Select(Path.GetFileName)
+                .Where(FirmwareFileName.IsVersion)
+                .Select(v => v!)
+                .OrderByDescending(v => v, Comparer<string>.Create(ChangelogParser.CompareVersions))
+                .ToList()
+            : [];
+
+        foreach (var version in cached)
+        {
+            var arches = GetRouterOsArches(ReadPackagesCsv(version, Path.Combine(v7Dir, version)));
+            if (arches.Count > 0)
+                return new UpstreamArches {Arches = arches, Source = $"packages.csv of {version}"};
+        }
+
+        if (!string.IsNullOrEmpty(_activeV7Latest))
+        {
+            var (csv, source) = await GetUpstreamStringAsync($"{_activeV7Latest}/packages.csv");
+            var arches = GetRouterOsArches(PackagesCsvParser.Parse(csv, _activeV7Latest));
+            if (arches.Count > 0)
+                return new UpstreamArches
+                {
+                    Arches = arches,
+                    Source = $"packages.csv of {_activeV7Latest} from {source!.Id}"
+                };
+        }
+
+        return new UpstreamArches {Arches = DefaultAllowedArches.ToList(), Source = "built-in list"};
+    }
+
+    private static List<string> GetRouterOsArches(List<PackageInfo> packages)
+    {
+        return packages
+            .Where(p => p.Package == "routeros")
+            .Select(p => p.Arch)
+            .Distinct()
+            .Order(StringComparer.Ordinal)
+            .ToList();
+    }
+
+    // Вызывается после _progress.EndRun: в снапшоте уже итог запуска
+    private CheckRun BuildCheckRun(string status, IEnumerable<string> versions)
+    {
+        var snapshot = _progress.GetSnapshot();
+        var finished = snapshot.FinishedUtc ?? DateTime.UtcNow;
+        var started = snapshot.StartedUtc ?? finished;
+
+        return new CheckRun
+        {
+            Id = snapshot.RunId ?? Guid.NewGuid().ToString("N"),
+            Trigger = snapshot.Trigger,
+            Status = status,
+            StartedUtc = started,
+            FinishedUtc = finished,
+            DurationMs = (long) (finished - started).TotalMilliseconds,
+            FilesDownloaded = snapshot.Downloaded,
+            FilesSkipped = snapshot.FilesSkipped,
+            FilesFailed = snapshot.FilesFailed,
+            BytesDownloaded = snapshot.BytesDownloaded,
+            UpstreamVersions = new Dictionary<string, string>(_runUpstreamVersions),
+            Versions = versions.ToList(),
+            Failures = snapshot.Files
+                .Where(f => f.Status == "failed")
+                .Select(f => new CheckRunFile {Version = f.Version, FileName = f.FileName, Error = f.Error})
+                .ToList()
+        };
+    }
+
+    /// <summary>
+    ///     Офлайн-импорт: раскладывает загруженные npk/zip, CHANGELOG и packages.csv (или архив-сборку с ними)
+    ///     по папкам версий. version нужна для CHANGELOG и packages.csv, если её не понять по остальным файлам.
+    ///     Файлы сборки сверяются с её bundle.json; restorePointers — вернуть pointer-файлы из сборки.
+    ///     null — сейчас идёт проверка обновлений или загрузка версии.
+    /// </summary>
+    public async Task<ImportResult?> ImportFilesAsync(
+        IReadOnlyList<(string fileName, Stream content)> uploads,
+        string? version,
+        bool restorePointers = false)
+    {
+        if (Interlocked.CompareExchange(ref _isChecking, 1, 0) != 0)
+            return null;
+
+        // Временная папка на том же диске, чтобы файлы переезжали в версии без копирования
+        var stagingDir = Path.Combine(_baseFolder, ".import", Guid.NewGuid().ToString("N"));
+        var result = new ImportResult();
+
+        try
+        {
+            Directory.CreateDirectory(stagingDir);
+
+            var staged = new List<(string fileName, string path, string? dirVersion)>();
+            var manifests = new List<BundleManifest>();
+            foreach (var (fileName, content) in uploads)
+                await StageUploadAsync(fileName, content, stagingDir, staged, manifests, result);
+
+            // version/файл -> SHA-256 из bundle.json
+            var checksums = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var file in manifests.SelectMany(m => m.Files.Select(f => (m.Version, f))))
+                checksums[$"{file.Version}/{Path.GetFileName(file.f.Path)}"] = file.f.Sha256;
+
+            // CHANGELOG и packages.csv без папки версии относим к явно указанной
+            // или к единственной версии среди прошивок
+            var versions = staged
+                .Select(s => FirmwareFileName.TryParse(s.fileName, out var info) ? info.Version : s.dirVersion)
+                .OfType<string>()
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+            var defaultVersion = version ?? (versions.Count == 1 ? versions[0] : null);
+
+            var deletePrefixes = LoadDeletePrefixes();
+            foreach (var (fileName, path, dirVersion) in staged)
+                result.Files.Add(await ImportFileAsync(
+                    fileName, path, dirVersion ?? defaultVersion, deletePrefixes, checksums));
+
+            result.Versions = result.Files
+                .Where(f => f.Status == ImportedFile.StatusImported)
+                .Select(f => f.Version!)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .OrderByDescending(v => v, Comparer<string>.Create(ChangelogParser.CompareVersions))
+                .ToList();
+
+            if (restorePointers)
+                result.RestoredPointers = await RestoreBundlePointersAsync(manifests, result.Versions);
+
+            _logger.LogInformation(
+                "Import finished: {Imported} imported, {Failed} failed, versions: {Versions}",
+                result.Imported, result.Failed, string.Join(", ", result.Versions));
+
+            return result;
+        }
+        finally
+        {
+            try
+            {
+                Directory.Delete(stagingDir, true);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to remove import staging folder {Path}", stagingDir);
+            }
+
+            Interlocked.Exchange(ref _isChecking, 0);
+        }
+    }
+
+    // Сохраняет загрузку во временную папку; архив-сборку распаковывает, запоминая папку версии у каждого файла
+    private async Task StageUploadAsync(
+        string fileName,
+        Stream content,
+        string stagingDir,
+        List<(string fileName, string path, string? dirVersion)> staged,
+        List<BundleManifest> manifests,
+        ImportResult result)
+    {
+        fileName = Path.GetFileName(fileName);
+        var slotDir = Path.Combine(stagingDir, Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(slotDir);
+
+        var path = Path.Combine(slotDir, fileName);
+        await using (var output = File.Create(path))
+        {
+            await content.CopyToAsync(output);
+        }
+
+        var isBundle = fileName.EndsWith(".zip", StringComparison.OrdinalIgnoreCase) &&
+                       !(FirmwareFileName.TryParse(fileName, out var info) && info.IsBundleZip);
+        if (!isBundle)
+        {
+            staged.Add((fileName, path, null));
+            return;
+        }
+
+        try
+        {
+            using var archive = ZipFile.OpenRead(path);
+            foreach (var entry in archive.Entries.Where(e => e.Name.Length > 0))
+            {
+                if (entry.FullName.Equals(BundleManifest.FileName, StringComparison.OrdinalIgnoreCase))
+                {
+                    await using var manifestStream = entry.Open();
+                    var manifest = await JsonSerializer.DeserializeAsync<BundleManifest>(manifestStream);
+                    if (manifest is not null)
+                        manifests.Add(manifest);
+                    continue;
+                }
+
+                // Берём только имя записи — пути из архива наружу не пускаем
+                var entryDir = Path.Combine(slotDir, Guid.NewGuid().ToString("N"));
+                Directory.CreateDirectory(entryDir);
+
+                var entryPath = Path.Combine(entryDir, entry.Name);
+                entry.ExtractToFile(entryPath);
+
+                var dirVersion = entry.FullName
+                    .Split('/', '\\')
+                    .SkipLast(1)
+                    .LastOrDefault(FirmwareFileName.IsVersion);
+
+                staged.Add((entry.Name, entryPath, dirVersion));
+            }
+
+            _logger.LogInformation("Unpacked bundle {File}: {Count} entries", fileName, archive.Entries.Count);
+        }
+        catch (Exception ex) when (ex is InvalidDataException or JsonException)
+        {
+            result.Files.Add(new ImportedFile
+            {
+                FileName = fileName,
+                Status = ImportedFile.StatusFailed,
+                Error = $"Invalid bundle: {ex.Message}"
+            });
+        }
+    }
+
+    private async Task<ImportedFile> ImportFileAsync(
+        string fileName,
+        string stagedPath,
+        string? version,
+        List<string> deletePrefixes,
+        Dictionary<string, string> checksums)
+    {
+        var entry = new ImportedFile {FileName = fileName};
+        string targetName;
+
+        if (FirmwareFileName.TryParse(fileName, out var info))
+        {
+            entry.Version = info.Version;
+            entry.Arch = info.Arch;
+            targetName = fileName.ToLowerInvariant();
+        }
+        else if (fileName.Equals("CHANGELOG", StringComparison.OrdinalIgnoreCase) ||
+                 fileName.Equals("packages.csv", StringComparison.OrdinalIgnoreCase))
+        {
+            entry.Version = version;
+            targetName = fileName.Equals("CHANGELOG", StringComparison.OrdinalIgnoreCase)
+                ? "CHANGELOG"
+                : "packages.csv";
+        }
+        else
+        {
+            entry.Status = ImportedFile.StatusSkipped;
+            entry.Error = "Not a RouterOS firmware file";
+            return entry;
+        }
+
+        if (entry.Version is null)
+            return FailImport(entry, "Cannot tell which version this file belongs to, specify the version");
+
+        var isV6 = entry.Version.StartsWith("6.");
+        if (!isV6 && !entry.Version.StartsWith("7."))
+            return FailImport(entry, "Only RouterOS v6 and v7 are supported");
+
+        var versionDir = Path.Combine(_baseFolder, isV6 ? "v6" : "v7", entry.Version);
+        var targetPath = Path.Combine(versionDir, targetName);
+
+        try
+        {
+            if (checksums.TryGetValue($"{entry.Version}/{fileName}", out var expectedSha256))
+            {
+                string actualSha256;
+                await using (var stream = File.OpenRead(stagedPath))
+                {
+                    actualSha256 = Convert.ToHexString(await SHA256.HashDataAsync(stream));
+                }
+
+                if (!actualSha256.Equals(expectedSha256, StringComparison.OrdinalIgnoreCase))
+                    return FailImport(entry, "SHA-256 does not match bundle manifest");
+            }
+
+            Directory.CreateDirectory(versionDir);
+
+            // Импорт — явное действие: то, что уже лежит в версии, заменяем
+            _integrity.RemoveFile(targetPath);
+            File.Move(stagedPath, targetPath, true);
+
+            if (!IntegrityService.IsFirmwareFile(targetName))
+                return entry;
+
+            var integrity = await _integrity.RecordFileAsync(targetPath, null, UpstreamService.ImportSourceId);
+            if (integrity.Status == IntegrityStatus.Failed)
+            {
+                _integrity.RemoveFile(targetPath);
+                File.Delete(targetPath);
+                RemoveVersionDirIfEmpty(versionDir);
+                return FailImport(entry, $"Integrity check failed: {integrity.Error}");
+            }
+
+            if (info!.IsBundleZip)
+            {
+                // Та же обработка, что и после скачивания: чистка по префиксам и распаковка .npk
+                if (deletePrefixes.Count > 0)
+                {
+                    CleanupZipFile(targetPath, deletePrefixes);
+                    await _integrity.RecordFileAsync(targetPath, null, UpstreamService.ImportSourceId);
+                }
+
+                await RecordExtractedAsync(
+                    ExtractZipToVersionDir(targetPath, versionDir),
+                    UpstreamService.ImportSourceId);
+            }
+
+            _logger.LogInformation("Imported {File} into version {Version}", targetName, entry.Version);
+            return entry;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error importing {File}", fileName);
+            return FailImport(entry, ex.Message);
+        }
+    }
+
+    // Pointer-файлы из сборки закрепляем на импортированной версии через override
+    private async Task<List<string>> RestoreBundlePointersAsync(
+        List<BundleManifest> manifests,
+        List<string> importedVersions)
+    {
+        var current = _pointerMap.GetConfig();
+        var config = new PointerMapConfig
+        {
+            Channels = new Dictionary<string, string>(current.Channels, StringComparer.OrdinalIgnoreCase),
+            Overrides = new Dictionary<string, string>(current.Overrides, StringComparer.OrdinalIgnoreCase)
+        };
+
+        var restored = new List<string>();
+        foreach (var manifest in manifests.Where(m =>
+                     importedVersions.Contains(m.Version, StringComparer.OrdinalIgnoreCase)))
+        foreach (var pointer in manifest.Pointers)
+        {
+            var fileName = PointerMapService.GetCanonicalFileName(pointer.FileName);
+            if (fileName is null)
+                continue;
+
+            config.Overrides[fileName] = manifest.Version;
+            restored.Add(fileName);
+        }
+
+        if (restored.Count == 0)
+            return restored;
+
+        try
+        {
+            await UpdatePointerMapAsync(config);
+            _logger.LogInformation("Restored pointer files from bundle: {Files}", string.Join(", ", restored));
+            return restored;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to restore pointer files from bundle");
+            return [];
+        }
+    }
+
+    /// <summary>
+    ///     Пишет закэшированную версию в zip-сборку для переноса на изолированный сервер:
+    ///     файлы всех архитектур, CHANGELOG, packages.csv и bundle.json с контрольными суммами
+    ///     и pointer-файлами, указывающими на версию. false — версии нет в кэше.
+    /// </summary>
+    public async Task<bool> WriteBundleAsync(string version, Stream output)
+    {
+        var versionDir = GetVersionDir(version);
+        if (versionDir is null)
+            return false;
+
+        var branch = Path.GetFileName(Path.GetDirectoryName(versionDir)!);
+        var manifest = new BundleManifest
+        {
+            Version = version,
+            Branch = branch,
+            Pointers = GetPointerFilesInfo()
+                .Where(p => version.Equals(p.Version, StringComparison.OrdinalIgnoreCase))
+                .Select(p => new BundlePointer {FileName = p.FileName, Content = p.Content ?? ""})
+                .ToList()
+        };
+
+        var integrity = _integrity.GetVersionIntegrity(versionDir).Files
+            .ToDictionary(f => f.FileName, StringComparer.OrdinalIgnoreCase);
+
+        using var archive = new ZipArchive(output, ZipArchiveMode.Create, true);
+        var buffer = new byte[81920];
+
+        foreach (var filePath in Directory.GetFiles(versionDir).OrderBy(f => f, StringComparer.OrdinalIgnoreCase))
+        {
+            var fileName = Path.GetFileName(filePath);
+            integrity.TryGetValue(fileName, out var fileIntegrity);
+
+            if (fileName.Equals(IntegrityService.ManifestFileName, StringComparison.OrdinalIgnoreCase) ||
+                fileName.EndsWith(PartialFileExtension, StringComparison.OrdinalIgnoreCase))
+                continue;
+
+            // Битые файлы не везём — на той стороне их всё равно не примут
+            if (fileIntegrity?.Status == IntegrityStatus.Failed)
+            {
+                _logger.LogWarning("Skipping {File} in bundle: failed integrity check", fileName);
+                continue;
+            }
+
+            var entryPath = $"routeros/{branch}/{version}/{fileName}";
+
+            // npk и zip уже сжаты, повторно не жмём
+            var entry = archive.CreateEntry(
+                entryPath,
+                IntegrityService.IsFirmwareFile(fileName) ? CompressionLevel.NoCompression : CompressionLevel.Optimal);
+            entry.LastWriteTime = File.GetLastWriteTimeUtc(filePath);
+
+            using var hash = IncrementalHash.CreateHash(HashAlgorithmName.SHA256);
+            long size = 0;
+
+            await using (var input = File.OpenRead(filePath))
+            await using (var entryStream = entry.Open())
+            {
+                int read;
+                while ((read = await input.ReadAsync(buffer)) > 0)
+                {
+                    hash.AppendData(buffer, 0, read);
+                    await entryStream.WriteAsync(buffer.AsMemory(0, read));
+                    size += read;
+                }
+            }
+
+            manifest.Files.Add(new BundleFile
+            {
+                Path = entryPath,
+                Size = size,
+                Sha256 = Convert.ToHexString(hash.GetHashAndReset()).ToLowerInvariant(),
+                Source = fileIntegrity?.Source
+            });
+        }
+
+        // Манифест последним — контрольные суммы считаются на лету
+        await using (var manifestStream = archive.CreateEntry(BundleManifest.FileName).Open())
+        {
+            await JsonSerializer.SerializeAsync(
+                manifestStream,
+                manifest,
+                new JsonSerializerOptions {WriteIndented = true});
+        }
+
+        _logger.LogInformation(
+            "Exported bundle for version {Version}: {Count} files, {Pointers} pointer files",
+            version, manifest.Files.Count, manifest.Pointers.Count);
+
+        return true;
+    }
+
+    public bool IsVersionCached(string version)
+    {
+        return GetVersionDir(version) is not null;
+    }
+
+    private static ImportedFile FailImport(ImportedFile entry, string error)
+    {
+        entry.Status = ImportedFile.StatusFailed;
+        entry.Error = error;
+        return entry;
+    }
+
+    // Папка, созданная под отклонённый файл, не должна появиться в списке версий
+    private void RemoveVersionDirIfEmpty(string versionDir)
+    {
+        if (Directory.EnumerateFiles(versionDir)
+            .Any(f => !Path.GetFileName(f).Equals(IntegrityService.ManifestFileName, StringComparison.OrdinalIgnoreCase)))
+            return;
+
+        Directory.Delete(versionDir, true);
+        _integrity.Forget(versionDir);
+    }
+
+    // Как RemoveVersionDirIfEmpty, но CHANGELOG и packages.csv папку не держат; .part оставляем для докачки
+    private void RemoveVersionDirWithoutFirmware(string versionDir)
+    {
+        if (!Directory.Exists(versionDir) ||
+            Directory.EnumerateFiles(versionDir).Any(f =>
+                IntegrityService.IsFirmwareFile(f) ||
+                f.EndsWith(PartialFileExtension, StringComparison.OrdinalIgnoreCase)))
+            return;
+
+        Directory.Delete(versionDir, true);
+        _integrity.Forget(versionDir);
+    }
+
+    // Проверяет, все ли файлы для версии существуют
+    private Task<bool> IsVersionCompleteAsync(string version, bool isV6Extra)
+    {
+        var archs = _allowedArches;
+        var versionDir = Path.Combine(_baseFolder, isV6Extra ? "v6" : "v7", version);
+
+        if (!Directory.Exists(versionDir))
+            return Task.FromResult(false);
+
+        var fileNames = archs.Select(arch => GetMainFileName(version, arch, isV6Extra)).ToList();
+
+        if (!isV6Extra)
+            fileNames.AddRange(GetExtraPackageFiles(version, versionDir, true));
+
+        foreach (var fileName in fileNames)
+        {
+            var filePath = Path.Combine(versionDir, fileName);
+
+            if (!File.Exists(filePath))
+                return Task.FromResult(false);
+
+            // Дополнительная проверка, что файл не пустой
+            var fileInfo = new FileInfo(filePath);
+            if (fileInfo.Length == 0)
+                return Task.FromResult(false);
+
+            // Файл, не прошедший проверку целостности, надо скачать заново
+            if (_integrity.GetFileStatus(filePath) == IntegrityStatus.Failed)
+                return Task.FromResult(false);
+        }
+
+        return Task.FromResult(true);
+    }
+
+    private async Task<int> ProcessVersionAsync(string version, string downloadDir, bool isV6Extra, bool skipIfExists)
+    {
+        if (skipIfExists && await IsVersionCompleteAsync(version, isV6Extra))
+        {
+            _logger.LogInformation("Version {Version} already exists and complete, skipping", version);
+            return 0;
+        }
+
+        Directory.CreateDirectory(downloadDir);
+
+        var archs = _allowedArches;
+
+        var fileNames = archs.Select(arch => GetMainFileName(version, arch, isV6Extra)).ToList();
+
+        // Для RouterOS 7 сначала тянем packages.csv: по нему видно, под какие архитектуры есть дополнительные пакеты
+        if (!isV6Extra)
+        {
+            await DownloadPackagesCsvForVersionAsync(version, downloadDir);
+            fileNames.AddRange(GetExtraPackageFiles(version, downloadDir, false));
+        }
+
+        _logger.LogInformation(
+            "Processing {Type} version {Version}, {Count} files to check",
+            isV6Extra ? "v6" : "v7",
+            version,
+            fileNames.Count);
+
+        _progress.SetStage("downloading", version);
+        foreach (var fileName in fileNames)
+            _progress.FileQueued(version, fileName);
+
+        List<string>? deletePrefixes = null;
+        if (isV6Extra)
+            deletePrefixes = LoadDeletePrefixes();
+
+        var tasks = fileNames
+            .Select(fileName => DownloadFileAsync(fileName, version, downloadDir, isV6Extra, deletePrefixes))
+            .ToList();
+
+        var results = await Task.WhenAll(tasks);
+        var successCount = results.Count(r => r);
+
+        // Скачиваем CHANGELOG для этой версии
+        await DownloadChangelogAsync(version, downloadDir);
+
+        _logger.LogInformation(
+            "Version {Version} processing completed. Downloaded: {Success}/{Total}",
+            version,
+            successCount,
+            fileNames.Count);
+
+        return successCount;
+    }
+
+    /// <summary>
+    ///     Пакеты из packages.csv версии v7: что скачано и что мы зеркалируем. null — версии нет в кэше.
+    /// </summary>
+    public VersionPackages? GetVersionPackages(string version)
+    {
+        var versionDir = GetVersionDir(version);
+        if (versionDir is null)
+            return null;
+
+        var extra = _extraPackages.GetPackages();
+        var packages = ReadPackagesCsv(version, versionDir);
+
+        foreach (var package in packages)
+        {
+            package.Cached = File.Exists(Path.Combine(versionDir, package.FileName));
+            package.Mirrored = _allowedArches.Contains(package.Arch) &&
+                               (package.Package == "routeros" || extra.Contains(package.Package));
+        }
+
+        return new VersionPackages
+        {
+            Version = version,
+            CsvAvailable = File.Exists(Path.Combine(versionDir, "packages.csv")),
+            Packages = packages
+        };
+    }
+
+    // Дополнительные пакеты v7 для версии. По packages.csv — только выпущенные под нужные архитектуры;
+    // без него либо пробуем все сочетания (при скачивании), либо ничего не требуем (для проверки полноты)
+    private List<string> GetExtraPackageFiles(string version, string versionDir, bool requireCsv)
+    {
+        var extra = _extraPackages.GetPackages();
+        if (extra.Count == 0)
+            return [];
+
+        var listed = ReadPackagesCsv(version, versionDir);
+        if (listed.Count > 0)
+            return listed
+                .Where(p => extra.Contains(p.Package) && _allowedArches.Contains(p.Arch))
+                .Select(p => p.FileName)
+                .ToList();
+
+        if (requireCsv)
+            return [];
+
+        return extra
+            .SelectMany(package => _allowedArches.Select(arch => FirmwareFileName.BuildNpk(package, version, arch)))
+            .ToList();
+    }
+
+    // Основной файл версии под архитектуру: zip со всеми пакетами для v6, routeros npk для v7
+    private static string GetMainFileName(string version, string arch, bool isV6)
+    {
+        return isV6 ? $"all_packages-{arch}-{version}.zip" : FirmwareFileName.BuildNpk("routeros", version, arch);
+    }
+
+    private List<PackageInfo> ReadPackagesCsv(string version, string versionDir)
+    {
+        var path = Path.Combine(versionDir, "packages.csv");
+
+        try
+        {
+            return File.Exists(path) ? PackagesCsvParser.Parse(File.ReadAllText(path), version) : [];
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "Failed to read {Path}", path);
+            return [];
+        }
+    }
+
+    private async Task DownloadChangelogAsync(string version, string downloadDir)
+    {
+        try
+        {
+            var changelogPath = Path.Combine(downloadDir, "CHANGELOG");
+
+            // Если файл уже существует, пропускаем загрузку
+            if (File.Exists(changelogPath))
+            {
+                _logger.LogDebug("CHANGELOG already exists for version {Version}", version);
+                return;
+            }
+
+            _logger.LogInformation("Downloading CHANGELOG for version {Version}", version);
+            var (changelogContent, source) = await GetUpstreamStringAsync($"{version}/CHANGELOG");
+
+            if (changelogContent is null)
+            {
+                _logger.LogWarning("CHANGELOG for version {Version} not found on any upstream", version);
+                return;
+            }
+
+            await File.WriteAllTextAsync(changelogPath, changelogContent);
+            _logger.LogInformation("Downloaded CHANGELOG for version {Version} from {Source}", version, source!.Id);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to download CHANGELOG for version {Version}", version);
+        }
+    }
+
+    private async Task DownloadPackagesCsvForVersionAsync(string version, string downloadDir)
+    {
+        try
         {
-            var url = $"https://upgrade.mikrotik.com/routeros/{version}/packages.csv";
             var localPath = Path.Combine(downloadDir, "packages.csv");
 
             // Уже есть и не пустой — не трогаем
@@ -667,40 +1736,23 @@ public class MikroTikUpdateService
                 return;
             }
 
-            _logger.LogInformation("Checking packages.csv for version {Version} at {Url}", version, url);
-
-            using var request = new HttpRequestMessage(HttpMethod.Head, url);
-            var headResponse = await _httpClient.SendAsync(request);
+            _logger.LogInformation("Downloading packages.csv for version {Version}", version);
+            var (csv, source) = await GetUpstreamStringAsync($"{version}/packages.csv");
 
             // Если файла нет — считаем нормальной ситуацией (не для всех билдов он есть)
-            if (!headResponse.IsSuccessStatusCode)
+            if (csv is null)
             {
                 _logger.LogWarning(
-                    "packages.csv not available for version {Version} (HTTP {StatusCode}). This is normal for some builds.",
-                    version,
-                    (int)headResponse.StatusCode);
+                    "packages.csv not available for version {Version}. This is normal for some builds.",
+                    version);
                 return;
             }
 
-            _logger.LogInformation("Downloading packages.csv for version {Version}", version);
-            var csv = await _httpClient.GetStringAsync(url);
             await File.WriteAllTextAsync(localPath, csv);
 
-            _logger.LogInformation("Saved packages.csv for version {Version} to {Path}", version, localPath);
-        }
-        catch (HttpRequestException ex) when (ex.StatusCode == HttpStatusCode.NotFound)
-        {
-            _logger.LogWarning(
-                ex,
-                "packages.csv not found for version {Version}. This is normal for some builds.",
-                version);
-        }
-        catch (TaskCanceledException ex)
-        {
-            _logger.LogWarning(
-                ex,
-                "Timeout downloading packages.csv for version {Version}",
-                version);
+            _logger.LogInformation(
+                "Saved packages.csv for version {Version} from {Source} to {Path}",
+                version, source!.Id, localPath);
         }
         catch (Exception ex)
         {
@@ -767,14 +1819,22 @@ public class MikroTikUpdateService
     }
 
     private async Task<bool> DownloadFileAsync(
-        string fileUrl,
+        string fileName,
+        string version,
         string downloadDir,
         bool isV6Extra,
         List<string>? deletePrefixes)
     {
-        var fileName = Path.GetFileName(fileUrl);
         var filePath = Path.Combine(downloadDir, fileName);
 
+        // Битый файл удаляем и качаем заново
+        if (File.Exists(filePath) && _integrity.GetFileStatus(filePath) == IntegrityStatus.Failed)
+        {
+            _logger.LogWarning("File {File} failed integrity check, downloading again", fileName);
+            File.Delete(filePath);
+            _integrity.RemoveFile(filePath);
+        }
+
         // Файл уже скачан
         if (File.Exists(filePath))
         {
@@ -783,61 +1843,235 @@ public class MikroTikUpdateService
             // Для v6 extra гарантируем, что .npk распакованы из уже имеющегося архива
             if (isV6Extra &&
                 fileName.EndsWith(".zip", StringComparison.OrdinalIgnoreCase))
-                ExtractZipToVersionDir(filePath, downloadDir);
+                await RecordExtractedAsync(ExtractZipToVersionDir(filePath, downloadDir));
 
+            _progress.FileSkipped(version, fileName, "Already exists");
             return false;
         }
 
-        if (!await FileExistsAsync(fileUrl))
+        var relativePath = $"{version}/{fileName}";
+        var (sources, reachable) = await FindUpstreamFileAsync(relativePath, true);
+
+        if (sources.Count == 0)
         {
-            _logger.LogWarning("File not found on server: {Url}", fileUrl);
+            if (reachable)
+                _notOnUpstream[relativePath] = DateTime.UtcNow;
+
+            _logger.LogWarning("File not found on any upstream: {Path}", relativePath);
+            _progress.FileFailed(
+                version,
+                fileName,
+                reachable ? "Not found on server" : "No upstream source is reachable");
             return false;
         }
 
-        try
+        string? lastError = null;
+
+        foreach (var source in sources)
         {
-            _logger.LogInformation("Downloading: {File}", fileName);
-            var bytes = await _httpClient.GetByteArrayAsync(fileUrl);
+            var fileUrl = source.GetDownloadUrl(relativePath);
 
-            await File.WriteAllBytesAsync(filePath, bytes);
+            // Недокачанный кусок с другого источника не продолжаем: файлы могут отличаться
+            if (source != sources[0])
+                File.Delete(filePath + PartialFileExtension);
 
-            // Потокобезопасно обновляем глобальные счётчики
-            Interlocked.Add(ref _totalDownloaded, bytes.Length);
-            Interlocked.Increment(ref _totalFiles);
+            try
+            {
+                _logger.LogInformation("Downloading: {File} from {Source}", fileName, source.Id);
 
-            _logger.LogInformation(
-                "Downloaded: {File} ({Size} MB)",
-                fileName,
-                (bytes.Length / 1024.0 / 1024.0).ToString("F2"));
+                var (totalBytes, bytes) = await DownloadToFileAsync(fileUrl, version, filePath);
 
-            if (isV6Extra &&
-                fileName.EndsWith(".zip", StringComparison.OrdinalIgnoreCase))
+                // Потокобезопасно обновляем глобальные счётчики
+                Interlocked.Add(ref _totalDownloaded, bytes);
+                Interlocked.Increment(ref _totalFiles);
+                _metrics.AddUpstreamBytes(bytes);
+
+                _logger.LogInformation(
+                    "Downloaded: {File} ({Size} MB) from {Source}",
+                    fileName,
+                    (bytes / 1024.0 / 1024.0).ToString("F2"),
+                    source.Id);
+
+                // Размер против Content-Length, SHA-256 в манифест, структура npk/zip
+                var integrity = await _integrity.RecordFileAsync(filePath, totalBytes, source.Id, fileUrl);
+                if (integrity.Status == IntegrityStatus.Failed)
+                {
+                    _integrity.RemoveFile(filePath);
+                    File.Delete(filePath);
+                    _upstreams.ReportFailure(source.Id, $"{fileName}: {integrity.Error}");
+                    lastError = $"Integrity check failed: {integrity.Error}";
+                    continue;
+                }
+
+                if (isV6Extra &&
+                    fileName.EndsWith(".zip", StringComparison.OrdinalIgnoreCase))
+                {
+                    // сначала чистим архив от мусора, как и раньше
+                    if (deletePrefixes is {Count: > 0})
+                    {
+                        CleanupZipFile(filePath, deletePrefixes);
+
+                        // Архив пересобран — размер апстрима к нему больше не относится
+                        await _integrity.RecordFileAsync(filePath, null, source.Id, fileUrl);
+                    }
+
+                    // затем распаковываем .npk в папку версии
+                    await RecordExtractedAsync(ExtractZipToVersionDir(filePath, downloadDir), source.Id, fileUrl);
+                }
+
+                _progress.FileCompleted(version, fileName, bytes);
+                return true;
+            }
+            catch (Exception ex)
             {
-                // сначала чистим архив от мусора, как и раньше
-                if (deletePrefixes is not null)
-                    CleanupZipFile(filePath, deletePrefixes);
+                // .part не трогаем — следующая проверка докачает его с места обрыва
+                _logger.LogError(ex, "Error downloading {File} from {Source}", fileName, source.Id);
+                _upstreams.ReportFailure(source.Id, ex.Message);
+                lastError = ex.Message;
+            }
+        }
+
+        _progress.FileFailed(version, fileName, lastError ?? "Download failed");
+        return false;
+    }
+
+    /// <summary>
+    ///     Качает файл потоком во временный .part, после обрыва докачивает через Range,
+    ///     в конце атомарно переименовывает в целевой файл.
+    /// </summary>
+    private async Task<(long? totalBytes, long bytes)> DownloadToFileAsync(
+        string fileUrl,
+        string version,
+        string filePath)
+    {
+        var fileName = Path.GetFileName(filePath);
+        var partPath = filePath + PartialFileExtension;
+
+        long? totalBytes = null;
+        EntityTagHeaderValue? etag = null;
+        var started = false;
+
+        for (var attempt = 1;; attempt++)
+        {
+            var existing = File.Exists(partPath) ? new FileInfo(partPath).Length : 0;
+
+            try
+            {
+                using var request = new HttpRequestMessage(HttpMethod.Get, fileUrl);
+                if (existing > 0)
+                {
+                    request.Headers.Range = new RangeHeaderValue(existing, null);
+
+                    // Если файл на сервере поменялся, вместо куска придёт весь файл заново
+                    if (etag is not null)
+                        request.Headers.IfRange = new RangeConditionHeaderValue(etag);
+                }
+
+                using var response = await _httpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead);
+
+                if (response.StatusCode == HttpStatusCode.RequestedRangeNotSatisfiable)
+                {
+                    // .part уже целиком или больше файла на сервере — начинаем с нуля
+                    _logger.LogWarning("Range not satisfiable for {File}, restarting download", fileName);
+                    File.Delete(partPath);
+                    continue;
+                }
+
+                response.EnsureSuccessStatusCode();
+
+                var resumed = response.StatusCode == HttpStatusCode.PartialContent;
+                if (!resumed)
+                    existing = 0;
+
+                totalBytes = resumed
+                    ? response.Content.Headers.ContentRange?.Length
+                    : response.Content.Headers.ContentLength;
+                etag = response.Headers.ETag?.IsWeak == false ? response.Headers.ETag : null;
+
+                if (!started)
+                {
+                    _progress.FileStarted(version, fileName, totalBytes);
+                    started = true;
+                }
+
+                if (resumed)
+                    _logger.LogInformation(
+                        "Resuming {File} from {Offset} bytes (attempt {Attempt})",
+                        fileName, existing, attempt);
+
+                await using (var output = new FileStream(
+                                 partPath,
+                                 resumed ? FileMode.Append : FileMode.Create,
+                                 FileAccess.Write,
+                                 FileShare.None,
+                                 81920,
+                                 true))
+                {
+                    // Пишем кусками прямо на диск и отдаём прогресс по байтам
+                    await using var content = await response.Content.ReadAsStreamAsync();
+                    var chunk = new byte[81920];
+                    var received = existing;
+                    using var idle = new CancellationTokenSource();
+                    while (true)
+                    {
+                        // Таймаут на каждое чтение: зависшее соединение не должно держать проверку вечно
+                        idle.CancelAfter(DownloadIdleTimeout);
+                        int read;
+                        try
+                        {
+                            read = await content.ReadAsync(chunk, idle.Token);
+                        }
+                        catch (OperationCanceledException) when (idle.IsCancellationRequested)
+                        {
+                            throw new IOException(
+                                $"No data received for {DownloadIdleTimeout.TotalSeconds}s after {received} bytes");
+                        }
+
+                        if (read == 0)
+                            break;
+
+                        await output.WriteAsync(chunk.AsMemory(0, read));
+                        received += read;
+                        _progress.FileProgress(version, fileName, received);
+                    }
+                }
 
-                // затем распаковываем .npk в папку версии
-                ExtractZipToVersionDir(filePath, downloadDir);
-            }
+                var length = new FileInfo(partPath).Length;
+                if (totalBytes.HasValue && length < totalBytes.Value)
+                    throw new IOException($"Connection closed after {length} of {totalBytes.Value} bytes");
 
-            return true;
-        }
-        catch (Exception ex)
-        {
-            _logger.LogError(ex, "Error downloading {File}", fileName);
-            if (File.Exists(filePath))
-                File.Delete(filePath);
-            return false;
+                File.Move(partPath, filePath, true);
+                return (totalBytes, length);
+            }
+            catch (Exception ex) when (ex is HttpRequestException or IOException or TaskCanceledException &&
+                                       attempt < MaxDownloadAttempts)
+            {
+                var delay = TimeSpan.FromSeconds(Math.Pow(2, attempt));
+                _logger.LogWarning(
+                    "Download of {File} interrupted ({Error}), retrying in {Delay}s (attempt {Attempt}/{Max})",
+                    fileName, ex.Message, delay.TotalSeconds, attempt, MaxDownloadAttempts);
+                await Task.Delay(delay);
+            }
         }
     }
 
-    private void ExtractZipToVersionDir(string zipPath, string destinationDir)
+    private async Task RecordExtractedAsync(
+        List<(string path, long size)> extracted,
+        string? source = null,
+        string? sourceUrl = null)
+    {
+        foreach (var (path, size) in extracted)
+            await _integrity.RecordFileAsync(path, size, source, sourceUrl);
+    }
+
+    private List<(string path, long size)> ExtractZipToVersionDir(string zipPath, string destinationDir)
     {
+        var extracted = new List<(string path, long size)>();
+
         try
         {
             if (!File.Exists(zipPath))
-                return;
+                return extracted;
 
             Directory.CreateDirectory(destinationDir);
 
@@ -856,6 +2090,7 @@ public class MikroTikUpdateService
                 using var outStream = File.Create(targetPath);
                 entryStream.CopyTo(outStream);
 
+                extracted.Add((targetPath, entry.Length));
                 extractedCount++;
             }
 
@@ -869,19 +2104,28 @@ public class MikroTikUpdateService
         {
             _logger.LogError(ex, "Error extracting .npk files from zip {Path}", zipPath);
         }
+
+        return extracted;
     }
 
-    private async Task<(string? version, long build)> GetVersionFromUrlAsync(string url)
+    private async Task<(string? version, long build)> GetVersionFromUpstreamAsync(string pointerFile)
     {
         try
         {
-            _logger.LogDebug("Fetching version from {Url}", url);
-            var response = await _httpClient.GetStringAsync(url);
+            _logger.LogDebug("Fetching version from {File}", pointerFile);
+            var (response, source) = await GetUpstreamStringAsync(pointerFile);
+
+            if (response is null)
+            {
+                _logger.LogError("Pointer file {File} is not available on any upstream", pointerFile);
+                return (null, 0L);
+            }
+
             var parts = response.Trim().Split([' ', '\t'], StringSplitOptions.RemoveEmptyEntries);
 
             if (parts.Length == 0)
             {
-                _logger.LogWarning("Empty response from {Url}", url);
+                _logger.LogWarning("Empty response for {File} from {Source}", pointerFile, source!.Id);
                 return (null, 0L);
             }
 
@@ -892,44 +2136,24 @@ public class MikroTikUpdateService
 
             if (string.IsNullOrWhiteSpace(v))
             {
-                _logger.LogWarning("Invalid version format from {Url}: {Response}", url, response);
+                _logger.LogWarning(
+                    "Invalid version format for {File} from {Source}: {Response}",
+                    pointerFile, source!.Id, response);
                 return (null, 0L);
             }
 
-            _logger.LogInformation("Successfully fetched version {Version} (build {Build}) from {Url}", v, build, url);
+            _logger.LogInformation(
+                "Successfully fetched version {Version} (build {Build}) from {File} on {Source}",
+                v, build, pointerFile, source!.Id);
             return (v, build);
         }
-        catch (HttpRequestException ex)
-        {
-            _logger.LogError(ex, "HTTP error fetching version from {Url}", url);
-            return (null, 0L);
-        }
-        catch (TaskCanceledException ex)
-        {
-            _logger.LogError(ex, "Timeout fetching version from {Url}", url);
-            return (null, 0L);
-        }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error getting version from {Url}", url);
+            _logger.LogError(ex, "Error getting version from {File}", pointerFile);
             return (null, 0L);
         }
     }
 
-    private async Task<bool> FileExistsAsync(string url)
-    {
-        try
-        {
-            using var request = new HttpRequestMessage(HttpMethod.Head, url);
-            var response = await _httpClient.SendAsync(request);
-            return response.IsSuccessStatusCode;
-        }
-        catch
-        {
-            return false;
-        }
-    }
-
     private List<string> LoadDeletePrefixes()
     {
         if (!File.Exists(_deleteJsonFile))
@@ -1027,39 +2251,124 @@ public class MikroTikUpdateService
         }
     }
 
-    private void CleanupOldVersions(string folder, int keepCount, params string[] protectVersions)
+    /// <summary>
+    ///     План очистки кэша по политике хранения. Ничего не удаляет.
+    /// </summary>
+    public RetentionPlan PreviewRetention()
     {
-        if (!Directory.Exists(folder))
-            return;
+        return BuildRetentionPlan(true);
+    }
+
+    /// <summary>
+    ///     Удаляет версии по политике хранения. null — идёт проверка обновлений или загрузка.
+    /// </summary>
+    public RetentionPlan? ApplyRetention()
+    {
+        if (Interlocked.CompareExchange(ref _isChecking, 1, 0) != 0)
+            return null;
 
         try
         {
-            var dirs = Directory.GetDirectories(folder)
-                .Select(d => new DirectoryInfo(d).Name)
-                .Where(d => !protectVersions.Contains(d))
-                .OrderByDescending(d => Version.TryParse(d, out var v) ? v : new Version())
-                .Skip(keepCount)
-                .ToList();
+            return ApplyRetentionCore();
+        }
+        finally
+        {
+            Interlocked.Exchange(ref _isChecking, 0);
+        }
+    }
 
-            foreach (var dir in dirs)
-            {
-                var fullPath = Path.Combine(folder, dir);
-                var size = Directory
-                    .GetFiles(fullPath, "*", SearchOption.AllDirectories)
-                    .Sum(f => new FileInfo(f).Length);
+    // Вызывается только при занятом _isChecking
+    private RetentionPlan ApplyRetentionCore()
+    {
+        var plan = BuildRetentionPlan(false);
+
+        foreach (var item in plan.Items.Where(i => i.Remove))
+        {
+            var versionDir = Path.Combine(_baseFolder, item.Branch, item.Version);
 
-                Directory.Delete(fullPath, true);
+            try
+            {
+                Directory.Delete(versionDir, true);
+                _integrity.Forget(versionDir);
 
                 _logger.LogInformation(
-                    "Removed old version: {Version} (freed {Size} MB)",
-                    dir,
-                    (size / 1024.0 / 1024.0).ToString("F2"));
+                    "Removed {Branch} version {Version}: {Reason} (freed {Size} MB)",
+                    item.Branch,
+                    item.Version,
+                    item.Reason,
+                    (item.SizeBytes / 1024.0 / 1024.0).ToString("F2"));
+            }
+            catch (Exception ex)
+            {
+                item.Remove = false;
+                plan.Warnings.Add($"{item.Version}: {ex.Message}");
+                _logger.LogError(ex, "Error removing version {Version}", item.Version);
             }
         }
-        catch (Exception ex)
+
+        return plan;
+    }
+
+    private RetentionPlan BuildRetentionPlan(bool dryRun)
+    {
+        // Версии, на которые сейчас смотрят роутеры, не удаляем ни при каких настройках
+        var protectedReasons = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+
+        void Protect(string? version, string reason)
+        {
+            if (!string.IsNullOrEmpty(version))
+                protectedReasons.TryAdd(version, reason);
+        }
+
+        Protect(_activeV6Version, "Active v6");
+        Protect(_activeV7Fixed, "Active v7 (fixed)");
+        Protect(_activeV7Latest, "Active v7 (latest)");
+
+        foreach (var pin in _pins.GetPins())
+            Protect(pin.Version, string.IsNullOrEmpty(pin.Note) ? "Pinned" : $"Pinned: {pin.Note}");
+
+        var pointerConfig = _pointerMap.GetConfig();
+        foreach (var version in pointerConfig.Channels.Values.Concat(pointerConfig.Overrides.Values))
+            Protect(version, "Pointer map");
+
+        foreach (var rule in _rollout.GetRules())
         {
-            _logger.LogError(ex, "Error cleaning up old versions");
+            Protect(rule.V6Version, $"Rollout rule {rule.Name}");
+            Protect(rule.V7Version, $"Rollout rule {rule.Name}");
         }
+
+        var cached = new List<RetentionItem>();
+        foreach (var branch in new[] {"v6", "v7"})
+        {
+            var branchDir = Path.Combine(_baseFolder, branch);
+            if (!Directory.Exists(branchDir))
+                continue;
+
+            foreach (var versionDir in Directory.GetDirectories(branchDir))
+            {
+                var version = Path.GetFileName(versionDir);
+                if (!FirmwareFileName.IsVersion(version))
+                    continue;
+
+                var files = Directory
+                    .GetFiles(versionDir, "*", SearchOption.AllDirectories)
+                    .Select(f => new FileInfo(f))
+                    .ToList();
+
+                cached.Add(new RetentionItem
+                {
+                    Branch = branch,
+                    Version = version,
+                    SizeBytes = files.Sum(f => f.Length),
+                    // Время каталога меняет любая докачка или запись манифеста — берём самый старый файл
+                    CachedUtc = files.Count > 0
+                        ? files.Min(f => f.LastWriteTimeUtc)
+                        : Directory.GetLastWriteTimeUtc(versionDir)
+                });
+            }
+        }
+
+        return _retention.BuildPlan(cached, protectedReasons, dryRun);
     }
 
     // Обновляем глобальный CHANGELOG (суммарный)
@@ -1137,22 +2446,7 @@ public class MikroTikUpdateService
 
             // Используем карту pointer-файлов
             var pointerMap = BuildPointerMap(v6Version, v6Build, v7Fixed, v7FixedBuild, v7Latest, v7LatestBuild);
-
-            foreach (var (fileName, (version, build)) in pointerMap)
-            {
-                var filePath = Path.Combine(_baseFolder, fileName);
-                var content = $"{version} {build}\n";
-
-                try
-                {
-                    await File.WriteAllTextAsync(filePath, content);
-                    _logger.LogInformation("Created pointer file: {File} -> {Version}", fileName, version);
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogError(ex, "Error writing pointer file: {File}", fileName);
-                }
-            }
+            await WritePointerFilesAsync(pointerMap);
 
             // Скачиваем packages.csv для веток RouterOS 7
             var branches = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
@@ -1175,6 +2469,113 @@ public class MikroTikUpdateService
         }
     }
 
+    private async Task WritePointerFilesAsync(Dictionary<string, (string version, long build)> pointerMap)
+    {
+        foreach (var (fileName, (version, build)) in pointerMap)
+        {
+            if (string.IsNullOrWhiteSpace(version))
+                continue;
+
+            var filePath = Path.Combine(_baseFolder, fileName);
+            var content = $"{version} {build}\n";
+
+            try
+            {
+                await File.WriteAllTextAsync(filePath, content);
+                _logger.LogInformation("Created pointer file: {File} -> {Version}", fileName, version);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error writing pointer file: {File}", fileName);
+            }
+        }
+    }
+
+    /// <summary>
+    ///     Эффективное содержимое всех pointer-файлов (то, что получат роутеры)
+    /// </summary>
+    public IReadOnlyList<PointerFileInfo> GetPointerFilesInfo()
+    {
+        return PointerMapService.PointerFiles
+            .Select(fileName =>
+            {
+                var resolved = _pointerMap.Resolve(fileName);
+                var content = GetPointerFileContent(fileName);
+
+                return new PointerFileInfo
+                {
+                    FileName = fileName,
+                    Channel = PointerMapService.GetChannel(fileName),
+                    Target = resolved?.target ?? "",
+                    IsOverride = resolved?.isOverride ?? false,
+                    Version = content?.Split(' ', 2)[0].Trim(),
+                    Content = content?.TrimEnd()
+                };
+            })
+            .ToList();
+    }
+
+    /// <summary>
+    ///     Сохраняет карту pointer-файлов и сразу перезаписывает физические pointer-файлы
+    /// </summary>
+    public async Task UpdatePointerMapAsync(PointerMapConfig config)
+    {
+        var normalized = PointerMapService.Normalize(config);
+
+        var missing = normalized.Channels.Values
+            .Concat(normalized.Overrides.Values)
+            .Where(t => !PointerTargets.IsTrack(t))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .Where(v => !Directory.Exists(Path.Combine(_baseFolder, "v6", v)) &&
+                        !Directory.Exists(Path.Combine(_baseFolder, "v7", v)))
+            .ToList();
+
+        if (missing.Count > 0)
+            throw new ArgumentException($"Versions not cached: {string.Join(", ", missing)}");
+
+        await _pointerMap.UpdateConfigAsync(normalized);
+        await RewritePointerFilesAsync();
+    }
+
+    // Перезаписывает pointer-файлы под текущие активные версии и карту
+    private async Task RewritePointerFilesAsync()
+    {
+        // Build берём из текущих pointer-файлов, чтобы не сбрасывать его при смене цели
+        var builds = ReadPointerBuilds();
+        var pointerMap = BuildPointerMap(
+            _activeV6Version, builds.GetValueOrDefault(_activeV6Version),
+            _activeV7Fixed, builds.GetValueOrDefault(_activeV7Fixed),
+            _activeV7Latest, builds.GetValueOrDefault(_activeV7Latest));
+
+        await WritePointerFilesAsync(pointerMap);
+    }
+
+    // version -> build из уже записанных pointer-файлов
+    private Dictionary<string, long> ReadPointerBuilds()
+    {
+        var builds = new Dictionary<string, long>(StringComparer.OrdinalIgnoreCase);
+
+        foreach (var fileName in PointerMapService.PointerFiles)
+        {
+            var filePath = Path.Combine(_baseFolder, fileName);
+            if (!File.Exists(filePath))
+                continue;
+
+            try
+            {
+                var parts = File.ReadAllText(filePath).Split([' ', '\t', '\n'], StringSplitOptions.RemoveEmptyEntries);
+                if (parts.Length > 1 && long.TryParse(parts[1], out var build) && build > 0)
+                    builds.TryAdd(parts[0], build);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Error reading pointer file: {File}", fileName);
+            }
+        }
+
+        return builds;
+    }
+
     // Обновляет CHANGELOG
     private async Task LogVersionsAsync(string v6, string v7Fixed, string v7Latest)
     {
@@ -1219,7 +2620,7 @@ public class MikroTikUpdateService
             ? Directory.GetDirectories(v6Dir)
                 .Select(d => new DirectoryInfo(d).Name)
                 .Where(d => d != "LATEST.6")
-                .OrderByDescending(Version.Parse)
+                .OrderByDescending(v => v, Comparer<string>.Create(ChangelogParser.CompareVersions))
                 .ToList()
             : [];
 
@@ -1227,20 +2628,83 @@ public class MikroTikUpdateService
             ? Directory.GetDirectories(v7Dir)
                 .Select(d => new DirectoryInfo(d).Name)
                 .Where(d => !d.StartsWith("NEWEST", StringComparison.OrdinalIgnoreCase))
-                .OrderByDescending(Version.Parse)
+                .OrderByDescending(v => v, Comparer<string>.Create(ChangelogParser.CompareVersions))
                 .ToList()
             : [];
 
+        // Статус проверки целостности по каждой версии (из манифестов, без пересчёта хэшей)
+        var integrity = v6Versions
+            .Select(v => _integrity.GetVersionIntegrity(Path.Combine(v6Dir, v)))
+            .Concat(v7Versions.Select(v => _integrity.GetVersionIntegrity(Path.Combine(v7Dir, v))))
+            .ToDictionary(i => i.Version, i => new {i.Status, i.Ok, i.Failed, i.Unverified, i.VerifiedUtc, i.Sources});
+
+        var storage = v6Versions
+            .Select(v => (v, GetVersionStorage(Path.Combine(v6Dir, v))))
+            .Concat(v7Versions.Select(v => (v, GetVersionStorage(Path.Combine(v7Dir, v)))))
+            .ToDictionary(s => s.v, s => s.Item2);
+
         object payload = new
         {
             v6 = new {active = _activeV6Version, versions = v6Versions},
-            v7 = new {activeFixed = _activeV7Fixed, activeLatest = _activeV7Latest, versions = v7Versions},
+            v7 = new
+            {
+                activeFixed = _activeV7Fixed,
+                activeLatest = _activeV7Latest,
+                fixedTrack = _v7FixedTrack,
+                versions = v7Versions
+            },
+            integrity,
+            storage,
+            pins = _pins.GetPins().ToDictionary(p => p.Version, p => new {p.Note, p.PinnedUtc}),
             lastCheck = _lastCheck
         };
 
         return Task.FromResult(payload);
     }
 
+    /// <summary>
+    ///     Размер кэша по веткам (v6 / v7) для /metrics
+    /// </summary>
+    public Dictionary<string, long> GetCacheSizes()
+    {
+        return new[] {"v6", "v7"}.ToDictionary(
+            branch => branch,
+            branch =>
+            {
+                var branchDir = Path.Combine(_baseFolder, branch);
+                return Directory.Exists(branchDir)
+                    ? new DirectoryInfo(branchDir).EnumerateFiles("*", SearchOption.AllDirectories).Sum(f => f.Length)
+                    : 0L;
+            });
+    }
+
+    private static VersionStorage GetVersionStorage(string versionDir)
+    {
+        var storage = new VersionStorage
+        {
+            DownloadedUtc = Directory.GetCreationTimeUtc(versionDir),
+            ModifiedUtc = Directory.GetLastWriteTimeUtc(versionDir)
+        };
+
+        var files = new DirectoryInfo(versionDir).GetFiles("*", SearchOption.AllDirectories);
+        foreach (var file in files)
+        {
+            var arch = FirmwareFileName.TryParse(file.Name, out var info) ? info.Arch : VersionStorage.OtherArch;
+
+            storage.SizeBytes += file.Length;
+            storage.Files++;
+            storage.Arches[arch] = storage.Arches.GetValueOrDefault(arch) + file.Length;
+        }
+
+        if (files.Length > 0)
+        {
+            storage.DownloadedUtc = files.Min(f => f.LastWriteTimeUtc);
+            storage.ModifiedUtc = files.Max(f => f.LastWriteTimeUtc);
+        }
+
+        return storage;
+    }
+
     public async Task<object> GetStatusAsync()
     {
         var process = Process.GetCurrentProcess();
@@ -1336,7 +2800,11 @@ public class MikroTikUpdateService
         }
     }
 
-    public Task<bool> SetActiveVersionAsync(string version)
+    /// <summary>
+    ///     Делает версию активной. Для v7 track = "fixed" / "latest";
+    ///     без track версия fixed-трека остаётся fixed, остальные становятся latest.
+    /// </summary>
+    public async Task<bool> SetActiveVersionAsync(string version, string? track = null)
     {
         var v6Dir = Path.Combine(_baseFolder, "v6", version);
         var v7Dir = Path.Combine(_baseFolder, "v7", version);
@@ -1345,21 +2813,58 @@ public class MikroTikUpdateService
         {
             _activeV6Version = version;
             _logger.LogInformation("Active v6 version set to: {Version}", version);
-            return Task.FromResult(true);
+            await RewritePointerFilesAsync();
+            return true;
         }
 
         if (Directory.Exists(v7Dir))
         {
-            if (version == "7.12.1")
-                _activeV7Fixed = version;
-            else
-                _activeV7Latest = version;
+            track = string.IsNullOrWhiteSpace(track)
+                ? version == _v7FixedTrack ? "fixed" : "latest"
+                : track.Trim().ToLowerInvariant();
+
+            switch (track)
+            {
+                case "fixed":
+                    await SetV7FixedTrackAsync(version);
+                    break;
+                case "latest":
+                    await SetV7LatestOverrideAsync(version);
+                    break;
+                default:
+                    throw new ArgumentException($"Unknown v7 track: {track}");
+            }
 
-            _logger.LogInformation("Active v7 version set to: {Version}", version);
-            return Task.FromResult(true);
+            _logger.LogInformation("Active v7 {Track} version set to: {Version}", track, version);
+            return true;
         }
 
-        return Task.FromResult(false);
+        return false;
+    }
+
+    /// <summary>
+    ///     Ручной выбор latest сохраняется в tracks.json и переживает перезапуск и проверки,
+    ///     пока апстрим не опубликует новую стабильную версию. Выбор текущей версии апстрима снимает его.
+    /// </summary>
+    private async Task SetV7LatestOverrideAsync(string version)
+    {
+        var upstream = _v7LatestOverrideUpstream ?? _activeV7Latest;
+
+        if (version.Equals(upstream, StringComparison.OrdinalIgnoreCase))
+        {
+            _v7LatestOverride = null;
+            _v7LatestOverrideUpstream = null;
+        }
+        else
+        {
+            _v7LatestOverride = version;
+            _v7LatestOverrideUpstream = string.IsNullOrEmpty(upstream) ? null : upstream;
+        }
+
+        await SaveTracksAsync();
+
+        _activeV7Latest = version;
+        await RewritePointerFilesAsync();
     }
 
     public Task<bool> RemoveVersionAsync(string version)
@@ -1372,6 +2877,31 @@ public class MikroTikUpdateService
             return Task.FromResult(false);
         }
 
+        var pointerConfig = _pointerMap.GetConfig();
+        if (pointerConfig.Channels.Values.Concat(pointerConfig.Overrides.Values)
+            .Contains(version, StringComparer.OrdinalIgnoreCase))
+        {
+            _logger.LogWarning("Attempted to remove version referenced by pointer map: {Version}", version);
+            return Task.FromResult(false);
+        }
+
+        if (_pins.IsPinned(version))
+        {
+            _logger.LogWarning("Attempted to remove pinned version: {Version}", version);
+            return Task.FromResult(false);
+        }
+
+        var rolloutRule = _rollout.GetRules().FirstOrDefault(r =>
+            version.Equals(r.V6Version, StringComparison.OrdinalIgnoreCase) ||
+            version.Equals(r.V7Version, StringComparison.OrdinalIgnoreCase));
+        if (rolloutRule is not null)
+        {
+            _logger.LogWarning(
+                "Attempted to remove version used by rollout rule {Rule}: {Version}",
+                rolloutRule.Name, version);
+            return Task.FromResult(false);
+        }
+
         var v6Dir = Path.Combine(_baseFolder, "v6", version);
         var v7Dir = Path.Combine(_baseFolder, "v7", version);
 
@@ -1384,6 +2914,7 @@ public class MikroTikUpdateService
                     .Sum(f => new FileInfo(f).Length);
 
                 Directory.Delete(v6Dir, true);
+                _integrity.Forget(v6Dir);
 
                 _logger.LogInformation(
                     "Removed v6 version: {Version} (freed {Size} MB)",
@@ -1399,6 +2930,7 @@ public class MikroTikUpdateService
                     .Sum(f => new FileInfo(f).Length);
 
                 Directory.Delete(v7Dir, true);
+                _integrity.Forget(v7Dir);
 
                 _logger.LogInformation(
                     "Removed v7 version: {Version} (freed {Size} MB)",
@@ -1415,6 +2947,51 @@ public class MikroTikUpdateService
         return Task.FromResult(false);
     }
 
+    /// <summary>
+    ///     Перепроверяет целостность всех файлов версии. null — версии нет в кэше.
+    /// </summary>
+    public async Task<VersionIntegrity?> VerifyVersionAsync(string version)
+    {
+        var versionDir = GetVersionDir(version);
+        return versionDir is null ? null : await _integrity.VerifyVersionAsync(versionDir);
+    }
+
+    public VersionIntegrity? GetVersionIntegrity(string version)
+    {
+        var versionDir = GetVersionDir(version);
+        return versionDir is null ? null : _integrity.GetVersionIntegrity(versionDir);
+    }
+
+    /// <summary>
+    ///     Скачанные версии, у которых есть CHANGELOG
+    /// </summary>
+    public List<string> GetChangelogVersions()
+    {
+        return new[] {"v6", "v7"}
+            .Select(branch => Path.Combine(_baseFolder, branch))
+            .Where(Directory.Exists)
+            .SelectMany(Directory.GetDirectories)
+            .Where(dir => File.Exists(Path.Combine(dir, "CHANGELOG")))
+            .Select(Path.GetFileName)
+            .Where(FirmwareFileName.IsVersion)
+            .Select(v => v!)
+            .ToList();
+    }
+
+    private string? GetVersionDir(string version)
+    {
+        if (string.IsNullOrWhiteSpace(version) || version.IndexOfAny(Path.GetInvalidFileNameChars()) >= 0 ||
+            version.Contains(".."))
+            return null;
+
+        var v6Dir = Path.Combine(_baseFolder, "v6", version);
+        if (Directory.Exists(v6Dir))
+            return v6Dir;
+
+        var v7Dir = Path.Combine(_baseFolder, "v7", version);
+        return Directory.Exists(v7Dir) ? v7Dir : null;
+    }
+
     public Task<string?> GetFilePathAsync(string path)
     {
         // Склеиваем и нормализуем путь
@@ -1542,53 +3119,82 @@ public class MikroTikUpdateService
     }
 
     /// <summary>
-    ///     Строит карту pointer-файлов с соответствующими версиями
+    ///     Строит карту pointer-файлов с соответствующими версиями по настройкам PointerMapService
     /// </summary>
-    private static Dictionary<string, (string version, long build)> BuildPointerMap(
+    private Dictionary<string, (string version, long build)> BuildPointerMap(
         string v6Version, long v6Build,
         string v7Fixed, long v7FixedBuild,
         string v7Latest, long v7LatestBuild)
     {
-        var map = new Dictionary<string, (string, long)>(StringComparer.OrdinalIgnoreCase)
-        {
-            // v6 стабильные и long-term версии
-            ["LATEST.6"] = (v6Version, v6Build),
-            ["NEWEST6.stable"] = (v6Version, v6Build),
-            ["NEWESTa6.stable"] = (v6Version, v6Build),
-            ["NEWESTa6.long-term"] = (v6Version, v6Build),
-            ["NEWEST6.long-term"] = (v6Version, v6Build),
-
-            // Upgrade с v6 на v7 — используем v7 latest
-            ["NEWEST6.upgrade"] = (v7Latest, v7LatestBuild),
-            ["NEWESTa6.upgrade"] = (v7Latest, v7LatestBuild),
-
-            // v7 стабильные
-            ["NEWEST7.stable"] = (v7Fixed, v7FixedBuild),
-            ["NEWESTa7.stable"] = (v7Latest, v7LatestBuild),
-            ["LATEST.7"] = (v7Latest, v7LatestBuild),
-
-            // Development каналы
-            ["NEWESTa6.development"] = (v7Latest, v7LatestBuild),
-            ["NEWEST6.development"] = (v7Latest, v7LatestBuild),
-            ["NEWESTa7.development"] = (v7Latest, v7LatestBuild),
-            ["NEWEST7.development"] = (v7Latest, v7LatestBuild),
-
-            // Testing каналы
-            ["NEWESTa6.testing"] = (v7Latest, v7LatestBuild),
-            ["NEWEST6.testing"] = (v7Latest, v7LatestBuild),
-            ["NEWESTa7.testing"] = (v7Latest, v7LatestBuild),
-            ["NEWEST7.testing"] = (v7Latest, v7LatestBuild),
-
-            // RC каналы
-            ["NEWESTa6.release-candidate"] = (v7Latest, v7LatestBuild),
-            ["NEWEST6.release-candidate"] = (v7Latest, v7LatestBuild),
-            ["NEWESTa7.release-candidate"] = (v7Latest, v7LatestBuild),
-            ["NEWEST7.release-candidate"] = (v7Latest, v7LatestBuild)
-        };
+        var map = new Dictionary<string, (string, long)>(StringComparer.OrdinalIgnoreCase);
+        Dictionary<string, long>? builds = null;
+
+        foreach (var fileName in PointerMapService.PointerFiles)
+        {
+            var resolved = _pointerMap.Resolve(fileName);
+            if (resolved is null)
+                continue;
+
+            map[fileName] = resolved.Value.target switch
+            {
+                PointerTargets.V6 => (v6Version, v6Build),
+                PointerTargets.V7Fixed => (v7Fixed, v7FixedBuild),
+                PointerTargets.V7Latest => (v7Latest, v7LatestBuild),
+                var version => (version, GetCachedVersionBuild(version, builds ??= ReadPointerBuilds()))
+            };
+        }
 
         return map;
     }
 
+    /// <summary>
+    ///     Build явной версии из кэша, как Unix-время у MikroTik: из уже записанных pointer-файлов,
+    ///     иначе дата релиза из CHANGELOG версии. Только если CHANGELOG нет (или в нём нет даты) —
+    ///     время скачивания версии (самый старый файл), оно может быть сильно позже релиза.
+    /// </summary>
+    private long GetCachedVersionBuild(string version, Dictionary<string, long> builds)
+    {
+        if (builds.TryGetValue(version, out var build))
+            return build;
+
+        var versionDir = new[] {"v6", "v7"}
+            .Select(branch => Path.Combine(_baseFolder, branch, version))
+            .FirstOrDefault(Directory.Exists);
+        if (versionDir is null)
+            return 0;
+
+        var releasedAt = ReadChangelogReleaseDate(versionDir, version);
+        if (releasedAt is not null)
+            return new DateTimeOffset(DateTime.SpecifyKind(releasedAt.Value, DateTimeKind.Utc)).ToUnixTimeSeconds();
+
+        var oldest = Directory
+            .GetFiles(versionDir, "*", SearchOption.AllDirectories)
+            .Select(File.GetLastWriteTimeUtc)
+            .DefaultIfEmpty(Directory.GetLastWriteTimeUtc(versionDir))
+            .Min();
+
+        return new DateTimeOffset(oldest).ToUnixTimeSeconds();
+    }
+
+    private DateTime? ReadChangelogReleaseDate(string versionDir, string version)
+    {
+        var path = Path.Combine(versionDir, "CHANGELOG");
+        if (!File.Exists(path))
+            return null;
+
+        try
+        {
+            return ChangelogParser.Parse(File.ReadAllText(path))
+                .FirstOrDefault(r => r.Version.Equals(version, StringComparison.OrdinalIgnoreCase))
+                ?.ReleasedAt;
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "Failed to read CHANGELOG for {Version}", version);
+            return null;
+        }
+    }
+
     /// <summary>
     ///     Получает версию и build для pointer-файла через карту
     /// </summary>
@@ -0,0 +1,496 @@
+﻿using System.Diagnostics;
+using System.Net;
+using System.Net.Mail;
+using System.Text;
+using System.Text.Json;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Каналы уведомлений (notifications.json) и журнал доставки.
+///     Какие события отправлять, решают флаги NotifyOnCompletion / NotifyOnError расписания.
+/// </summary>
+public class NotificationService
+{
+    public const string HttpClientName = "Notifications";
+
+    private const int MaxDeliveries = 200;
+    private const int SmtpTimeoutMs = 15000;
+
+    private static readonly JsonSerializerOptions PayloadJsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly string _configPath;
+    private readonly List<NotificationDelivery> _deliveries = [];
+    private readonly IHttpClientFactory _httpClientFactory;
+    private readonly Lock _lock = new();
+    private readonly ILogger<NotificationService> _logger;
+    private readonly ScheduleService _schedule;
+
+    private bool _lastCheckFailed;
+    private bool _lowDiskReported;
+    private NotificationSettings _settings;
+
+    public NotificationService(
+        IHttpClientFactory httpClientFactory,
+        ScheduleService schedule,
+        ILogger<NotificationService> logger)
+    {
+        _httpClientFactory = httpClientFactory;
+        _schedule = schedule;
+        _logger = logger;
+        _configPath = Path.Combine(AppContext.BaseDirectory, "notifications.json");
+        _settings = LoadSettings();
+    }
+
+    /// <summary>
+    ///     Настройки для UI и API — без секретов, см. Mask
+    /// </summary>
+    public NotificationSettings GetSettings()
+    {
+        lock (_lock)
+        {
+            return new NotificationSettings
+            {
+                Channels = _settings.Channels.Select(Mask).ToList(),
+                LowDiskThresholdMb = _settings.LowDiskThresholdMb
+            };
+        }
+    }
+
+    // Новые записи первыми
+    public IReadOnlyList<NotificationDelivery> GetDeliveries()
+    {
+        lock (_lock)
+        {
+            return _deliveries.ToList();
+        }
+    }
+
+    /// <summary>
+    ///     Пустой Url и SmtpPassword = null у сохранённого канала означают «оставить как было»
+    /// </summary>
+    public async Task UpdateSettingsAsync(NotificationSettings? settings)
+    {
+        foreach (var channel in settings?.Channels ?? [])
+            RestoreSecrets(channel);
+
+        var normalized = Normalize(settings);
+
+        var json = JsonSerializer.Serialize(normalized, new JsonSerializerOptions {WriteIndented = true});
+        await File.WriteAllTextAsync(_configPath, json);
+
+        lock (_lock)
+        {
+            _settings = normalized;
+        }
+
+        _logger.LogInformation(
+            "Notification channels updated: {Channels}",
+            string.Join(", ", normalized.Channels.Where(c => c.Enabled).Select(c => $"{c.Id} ({c.Type})")));
+    }
+
+    /// <summary>
+    ///     Отправляет тестовое сообщение в канал, в том числе ещё не сохранённый
+    /// </summary>
+    public async Task<NotificationDelivery> SendTestAsync(NotificationChannel? channel)
+    {
+        if (channel is null)
+            throw new ArgumentException("Channel is required");
+
+        RestoreSecrets(channel);
+        var normalized = NormalizeChannel(channel, 0);
+
+        return await DeliverAsync(normalized, new NotificationMessage
+        {
+            Event = NotificationEvents.Test,
+            Title = "Test notification",
+            Text = $"Test message from MikroTik Update Server on {Environment.MachineName}."
+        });
+    }
+
+    /// <summary>
+    ///     Итог проверки обновлений. Об успехе сообщаем только для плановых запусков
+    ///     (фоновая проверка идёт каждые несколько минут), об ошибке — для плановых
+    ///     и для первой ошибки подряд у остальных.
+    /// </summary>
+    public async Task NotifyUpdateCheckAsync(string trigger, int downloaded, string[] versions, string status)
+    {
+        if (status == "already_in_progress")
+            return;
+
+        var schedule = _schedule.GetConfig();
+        var isScheduled = trigger == UpdateTriggers.Scheduled;
+
+        bool firstFailure;
+        lock (_lock)
+        {
+            firstFailure = status != "success" && !_lastCheckFailed;
+            _lastCheckFailed = status != "success";
+        }
+
+        if (status != "success")
+        {
+            if (schedule.NotifyOnError && (isScheduled || firstFailure))
+                await PublishAsync(new NotificationMessage
+                {
+                    Event = NotificationEvents.CheckFailed,
+                    Title = "Update check failed",
+                    Text = $"Update check ({trigger}) finished with status '{status}'.",
+                    Data = new {trigger, status}
+                });
+
+            return;
+        }
+
+        if (!schedule.NotifyOnCompletion)
+            return;
+
+        var newVersions = versions.Where(v => !v.EndsWith("(existing)")).ToArray();
+
+        if (downloaded > 0 && newVersions.Length > 0)
+            await PublishAsync(new NotificationMessage
+            {
+                Event = NotificationEvents.VersionsDownloaded,
+                Title = "New RouterOS versions downloaded",
+                Text = $"Downloaded {downloaded} files: {string.Join(", ", newVersions)}.",
+                Data = new {trigger, downloaded, versions = newVersions}
+            });
+        else if (isScheduled)
+            await PublishAsync(new NotificationMessage
+            {
+                Event = NotificationEvents.CheckSucceeded,
+                Title = "Scheduled update check completed",
+                Text = $"No new files. Versions: {string.Join(", ", versions)}.",
+                Data = new {trigger, downloaded, versions}
+            });
+    }
+
+    /// <summary>
+    ///     Сообщает, когда свободное место опускается ниже порога. Повторно — только
+    ///     после того, как место освободится.
+    /// </summary>
+    public async Task CheckDiskSpaceAsync(string path)
+    {
+        var thresholdMb = GetSettings().LowDiskThresholdMb;
+        if (thresholdMb <= 0)
+            return;
+
+        long freeBytes;
+        try
+        {
+            // На Windows DriveInfo принимает только корень диска, на Unix — любой путь на нужной ФС
+            var fullPath = Path.GetFullPath(path);
+            freeBytes = new DriveInfo(OperatingSystem.IsWindows() ? Path.GetPathRoot(fullPath)! : fullPath)
+                .AvailableFreeSpace;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug(ex, "Cannot determine free space for {Path}", path);
+            return;
+        }
+
+        var isLow = freeBytes < thresholdMb * 1024L * 1024L;
+
+        bool report;
+        lock (_lock)
+        {
+            report = isLow && !_lowDiskReported;
+            _lowDiskReported = isLow;
+        }
+
+        if (!report)
+            return;
+
+        var freeMb = freeBytes / 1024 / 1024;
+        _logger.LogWarning("Low disk space: {Free} MB free in {Path}", freeMb, path);
+
+        if (_schedule.GetConfig().NotifyOnError)
+            await PublishAsync(new NotificationMessage
+            {
+                Event = NotificationEvents.LowDisk,
+                Title = "Low disk space",
+                Text = $"{freeMb} MB free in {path} (threshold {thresholdMb} MB).",
+                Data = new {path, freeMb, thresholdMb}
+            });
+    }
+
+    /// <summary>
+    ///     Проверяет настройки. Бросает ArgumentException при ошибке.
+    /// </summary>
+    public static NotificationSettings Normalize(NotificationSettings? settings)
+    {
+        if (settings is null)
+            throw new ArgumentException("Notification settings are required");
+
+        if (settings.LowDiskThresholdMb < 0)
+            throw new ArgumentException("Low disk threshold must not be negative");
+
+        var channels = new List<NotificationChannel>();
+        foreach (var channel in settings.Channels ?? [])
+        {
+            var normalized = NormalizeChannel(channel, channels.Count);
+            if (channels.Any(c => c.Id == normalized.Id))
+                throw new ArgumentException($"Duplicate channel id: {normalized.Id}");
+
+            channels.Add(normalized);
+        }
+
+        return new NotificationSettings
+        {
+            Channels = channels,
+            LowDiskThresholdMb = settings.LowDiskThresholdMb
+        };
+    }
+
+    private static NotificationChannel NormalizeChannel(NotificationChannel channel, int index)
+    {
+        var type = channel.Type?.Trim().ToLowerInvariant() ?? "";
+        var name = string.IsNullOrWhiteSpace(channel.Name) ? $"Channel {index + 1}" : channel.Name.Trim();
+
+        var normalized = new NotificationChannel
+        {
+            Id = string.IsNullOrWhiteSpace(channel.Id) ? Guid.NewGuid().ToString("N")[..8] : channel.Id.Trim(),
+            Name = name,
+            Type = type,
+            Enabled = channel.Enabled
+        };
+
+        switch (type)
+        {
+            case NotificationChannelTypes.Webhook:
+            case NotificationChannelTypes.Bot:
+                if (!Uri.TryCreate(channel.Url?.Trim(), UriKind.Absolute, out var uri) ||
+                    (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+                    throw new ArgumentException($"{name}: URL must be an absolute http(s) URL");
+
+                normalized.Url = uri.ToString();
+                if (type == NotificationChannelTypes.Bot && !string.IsNullOrWhiteSpace(channel.ChatId))
+                    normalized.ChatId = channel.ChatId.Trim();
+                break;
+
+            case NotificationChannelTypes.Smtp:
+                if (string.IsNullOrWhiteSpace(channel.SmtpHost))
+                    throw new ArgumentException($"{name}: SMTP host is required");
+
+                if (channel.SmtpPort is < 1 or > 65535)
+                    throw new ArgumentException($"{name}: invalid SMTP port {channel.SmtpPort}");
+
+                if (!MailAddress.TryCreate(channel.From?.Trim(), out var from))
+                    throw new ArgumentException($"{name}: invalid sender address '{channel.From}'");
+
+                var to = (channel.To ?? [])
+                    .Select(a => a.Trim())
+                    .Where(a => a.Length > 0)
+                    .Distinct(StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+
+                if (to.Count == 0)
+                    throw new ArgumentException($"{name}: at least one recipient is required");
+
+                foreach (var address in to)
+                    if (!MailAddress.TryCreate(address, out _))
+                        throw new ArgumentException($"{name}: invalid recipient address '{address}'");
+
+                normalized.SmtpHost = channel.SmtpHost.Trim();
+                normalized.SmtpPort = channel.SmtpPort;
+                normalized.SmtpSsl = channel.SmtpSsl;
+                normalized.SmtpUser = string.IsNullOrWhiteSpace(channel.SmtpUser) ? null : channel.SmtpUser.Trim();
+                normalized.SmtpPassword = normalized.SmtpUser is null ? null : channel.SmtpPassword;
+                normalized.From = from.Address;
+                normalized.To = to;
+                break;
+
+            default:
+                throw new ArgumentException($"{name}: unknown channel type '{channel.Type}'");
+        }
+
+        return normalized;
+    }
+
+    private async Task PublishAsync(NotificationMessage message)
+    {
+        List<NotificationChannel> channels;
+        lock (_lock)
+        {
+            channels = _settings.Channels.Where(c => c.Enabled).ToList();
+        }
+
+        if (channels.Count == 0)
+            return;
+
+        await Task.WhenAll(channels.Select(c => DeliverAsync(c, message)));
+    }
+
+    private async Task<NotificationDelivery> DeliverAsync(NotificationChannel channel, NotificationMessage message)
+    {
+        var delivery = new NotificationDelivery
+        {
+            ChannelId = channel.Id,
+            ChannelName = channel.Name,
+            Event = message.Event,
+            Title = message.Title
+        };
+
+        var started = Stopwatch.GetTimestamp();
+
+        try
+        {
+            switch (channel.Type)
+            {
+                case NotificationChannelTypes.Webhook:
+                    await PostJsonAsync(channel.Url!, new
+                    {
+                        @event = message.Event,
+                        title = message.Title,
+                        text = message.Text,
+                        timeUtc = message.TimeUtc,
+                        server = Environment.MachineName,
+                        data = message.Data
+                    });
+                    break;
+
+                case NotificationChannelTypes.Bot:
+                    var text = $"{message.Title}\n{message.Text}";
+                    await PostJsonAsync(channel.Url!, channel.ChatId is null
+                        ? new {text}
+                        : new {chat_id = channel.ChatId, text});
+                    break;
+
+                case NotificationChannelTypes.Smtp:
+                    await SendMailAsync(channel, message);
+                    break;
+            }
+
+            delivery.Success = true;
+        }
+        catch (Exception ex)
+        {
+            // SmtpException и HttpRequestException прячут причину во внутреннем исключении
+            var inner = ex.InnerException?.Message;
+            delivery.Error = inner is null || ex.Message.Contains(inner) ? ex.Message : $"{ex.Message} {inner}";
+            _logger.LogWarning(
+                "Failed to deliver {Event} notification to {Channel}: {Message}",
+                message.Event, channel.Id, delivery.Error);
+        }
+
+        delivery.DurationMs = (long) Stopwatch.GetElapsedTime(started).TotalMilliseconds;
+
+        lock (_lock)
+        {
+            _deliveries.Insert(0, delivery);
+            if (_deliveries.Count > MaxDeliveries)
+                _deliveries.RemoveRange(MaxDeliveries, _deliveries.Count - MaxDeliveries);
+        }
+
+        return delivery;
+    }
+
+    private async Task PostJsonAsync(string url, object payload)
+    {
+        var client = _httpClientFactory.CreateClient(HttpClientName);
+        // Готовая строка вместо потоковой сериализации: с Content-Length, без chunked, — так понимают все приёмники
+        using var content = new StringContent(
+            JsonSerializer.Serialize(payload, PayloadJsonOptions),
+            Encoding.UTF8,
+            "application/json");
+
+        using var response = await client.PostAsync(url, content);
+        response.EnsureSuccessStatusCode();
+    }
+
+    private static async Task SendMailAsync(NotificationChannel channel, NotificationMessage message)
+    {
+        using var client = new SmtpClient(channel.SmtpHost, channel.SmtpPort);
+        client.EnableSsl = channel.SmtpSsl;
+        client.Timeout = SmtpTimeoutMs;
+        if (channel.SmtpUser is not null)
+            client.Credentials = new NetworkCredential(channel.SmtpUser, channel.SmtpPassword);
+
+        using var mail = new MailMessage();
+        mail.From = new MailAddress(channel.From!);
+        foreach (var to in channel.To)
+            mail.To.Add(to);
+
+        mail.Subject = $"[MikroTik Update Server] {message.Title}";
+        mail.Body = $"{message.Text}\n\n{message.TimeUtc:u} · {Environment.MachineName}";
+
+        await client.SendMailAsync(mail);
+    }
+
+    private NotificationSettings LoadSettings()
+    {
+        try
+        {
+            if (File.Exists(_configPath))
+                return Normalize(JsonSerializer.Deserialize<NotificationSettings>(File.ReadAllText(_configPath)));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load {Path}, notifications disabled", _configPath);
+        }
+
+        return new NotificationSettings();
+    }
+
+    // Подставляет сохранённые секреты в канал из UI, если их не прислали заново
+    private void RestoreSecrets(NotificationChannel channel)
+    {
+        NotificationChannel? saved;
+        lock (_lock)
+        {
+            saved = _settings.Channels.FirstOrDefault(c => c.Id == channel.Id?.Trim() &&
+                                                           c.Type == channel.Type?.Trim().ToLowerInvariant());
+        }
+
+        if (saved is null)
+            return;
+
+        if (string.IsNullOrWhiteSpace(channel.Url))
+            channel.Url = saved.Url;
+
+        // Пароль подходит только к тому же серверу и логину — иначе его можно отправить на чужой SMTP
+        if (channel.SmtpPassword is null &&
+            string.Equals(channel.SmtpHost?.Trim(), saved.SmtpHost, StringComparison.OrdinalIgnoreCase) &&
+            string.Equals(NullIfBlank(channel.SmtpUser), saved.SmtpUser, StringComparison.Ordinal))
+            channel.SmtpPassword = saved.SmtpPassword;
+    }
+
+    private static string? NullIfBlank(string? value)
+    {
+        return string.IsNullOrWhiteSpace(value) ? null : value.Trim();
+    }
+
+    private static NotificationChannel Mask(NotificationChannel channel)
+    {
+        var masked = Clone(channel);
+
+        if (Uri.TryCreate(channel.Url, UriKind.Absolute, out var uri))
+            masked.UrlHint = $"{uri.GetLeftPart(UriPartial.Authority)}/…";
+
+        masked.Url = null;
+        masked.SmtpPasswordSet = channel.SmtpPassword is not null;
+        masked.SmtpPassword = null;
+        return masked;
+    }
+
+    private static NotificationChannel Clone(NotificationChannel channel)
+    {
+        return new NotificationChannel
+        {
+            Id = channel.Id,
+            Name = channel.Name,
+            Type = channel.Type,
+            Enabled = channel.Enabled,
+            Url = channel.Url,
+            ChatId = channel.ChatId,
+            SmtpHost = channel.SmtpHost,
+            SmtpPort = channel.SmtpPort,
+            SmtpSsl = channel.SmtpSsl,
+            SmtpUser = channel.SmtpUser,
+            SmtpPassword = channel.SmtpPassword,
+            From = channel.From,
+            To = channel.To.ToList()
+        };
+    }
+}
@@ -0,0 +1,142 @@
+﻿using System.Text;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Разбор packages.csv RouterOS 7. Колонки ищутся по заголовку (name/package/file, arch, size);
+///     если в строке есть имя .npk, пакет и архитектура берутся из него.
+/// </summary>
+public static class PackagesCsvParser
+{
+    public static List<PackageInfo> Parse(string? csv, string version)
+    {
+        var rows = (csv ?? "")
+            .Split('\n')
+            .Select(line => SplitLine(line.TrimEnd('\r')))
+            .Where(row => row.Any(cell => cell.Length > 0))
+            .ToList();
+
+        if (rows.Count == 0)
+            return [];
+
+        // Без заголовка считаем, что первая колонка — пакет, вторая — архитектура
+        int nameColumn = 0, archColumn = 1, sizeColumn = -1;
+        if (IsHeader(rows[0]))
+        {
+            var header = rows[0].Select(c => c.ToLowerInvariant()).ToList();
+            nameColumn = header.FindIndex(c => c is "name" or "package" or "file" or "filename");
+            archColumn = header.FindIndex(c => c.StartsWith("arch"));
+            sizeColumn = header.FindIndex(c => c.StartsWith("size"));
+            rows.RemoveAt(0);
+        }
+
+        var packages = new Dictionary<string, PackageInfo>(StringComparer.OrdinalIgnoreCase);
+        foreach (var row in rows)
+        {
+            var package = Cell(row, nameColumn);
+            var arch = Cell(row, archColumn);
+            var npkCell = row.FirstOrDefault(c => c.EndsWith(".npk", StringComparison.OrdinalIgnoreCase));
+
+            if (FirmwareFileName.TryParse(npkCell, out var info))
+            {
+                // Файл другой версии в packages.csv этой версии — мусор
+                if (!info.Version.Equals(version, StringComparison.OrdinalIgnoreCase))
+                    continue;
+
+                package = info.Package;
+                arch ??= info.Arch;
+            }
+
+            if (package is null || arch is null)
+                continue;
+
+            // Строки с именами не по формату RouterOS пропускаем: они попадают в пути и разметку UI
+            package = package.ToLowerInvariant();
+            arch = arch.ToLowerInvariant();
+            if (!ExtraPackageService.IsValidPackageName(package) || !ExtraPackageService.IsValidPackageName(arch))
+                continue;
+
+            // Имя файла собираем сами: ячейка может содержать путь, а он уходит в Path.Combine
+            var fileName = FirmwareFileName.BuildNpk(package, version, arch);
+
+            packages.TryAdd(fileName, new PackageInfo
+            {
+                Package = package,
+                Arch = arch,
+                FileName = fileName,
+                SizeBytes = ParseSize(row, sizeColumn)
+            });
+        }
+
+        return packages.Values
+            .OrderBy(p => p.Package, StringComparer.Ordinal)
+            .ThenBy(p => p.Arch, StringComparer.Ordinal)
+            .ToList();
+    }
+
+    // Заголовок — строка без чисел и имён .npk
+    private static bool IsHeader(List<string> row)
+    {
+        return !row.Any(c => long.TryParse(c, out _) || c.EndsWith(".npk", StringComparison.OrdinalIgnoreCase));
+    }
+
+    private static string? Cell(List<string> row, int column)
+    {
+        if (column < 0 || column >= row.Count)
+            return null;
+
+        var value = row[column];
+        return value.Length > 0 ? value : null;
+    }
+
+    // Колонка size, а без неё — первое целое число в строке
+    private static long? ParseSize(List<string> row, int sizeColumn)
+    {
+        if (sizeColumn >= 0)
+            return long.TryParse(Cell(row, sizeColumn), out var size) ? size : null;
+
+        foreach (var cell in row)
+            if (long.TryParse(cell, out var size))
+                return size;
+
+        return null;
+    }
+
+    private static List<string> SplitLine(string line)
+    {
+        var cells = new List<string>();
+        var current = new StringBuilder();
+        var quoted = false;
+
+        for (var i = 0; i < line.Length; i++)
+        {
+            var c = line[i];
+            if (c == '"')
+            {
+                // "" внутри кавычек — сама кавычка
+                if (quoted && i + 1 < line.Length && line[i + 1] == '"')
+                {
+                    current.Append('"');
+                    i++;
+                }
+                else
+                {
+                    quoted = !quoted;
+                }
+            }
+            else if (c == ',' && !quoted)
+            {
+                cells.Add(current.ToString().Trim());
+                current.Clear();
+            }
+            else
+            {
+                current.Append(c);
+            }
+        }
+
+        cells.Add(current.ToString().Trim());
+        return cells;
+    }
+}
@@ -0,0 +1,121 @@
+﻿using System.Text.Json;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Закреплённые версии с заметками (pins.json)
+/// </summary>
+public class PinService
+{
+    public const int MaxNoteLength = 200;
+
+    private readonly string _configPath;
+    private readonly Lock _lock = new();
+    private readonly ILogger<PinService> _logger;
+
+    private List<PinnedVersion> _pins;
+
+    public PinService(ILogger<PinService> logger)
+    {
+        _logger = logger;
+        _configPath = Path.Combine(AppContext.BaseDirectory, "pins.json");
+        _pins = LoadPins();
+    }
+
+    public List<PinnedVersion> GetPins()
+    {
+        lock (_lock)
+        {
+            return _pins.Select(Clone).ToList();
+        }
+    }
+
+    public bool IsPinned(string version)
+    {
+        lock (_lock)
+        {
+            return _pins.Any(p => p.Version.Equals(version, StringComparison.OrdinalIgnoreCase));
+        }
+    }
+
+    /// <summary>
+    ///     Закрепляет версию или меняет заметку у уже закреплённой. Бросает ArgumentException при ошибке.
+    /// </summary>
+    public async Task<PinnedVersion> PinAsync(string version, string? note)
+    {
+        if (!FirmwareFileName.IsVersion(version))
+            throw new ArgumentException($"Invalid RouterOS version: '{version}'");
+
+        note = note?.Trim() ?? "";
+        if (note.Length > MaxNoteLength)
+            throw new ArgumentException($"Note must be at most {MaxNoteLength} characters");
+
+        PinnedVersion pin;
+        List<PinnedVersion> snapshot;
+        lock (_lock)
+        {
+            var existing = _pins.FirstOrDefault(p => p.Version.Equals(version, StringComparison.OrdinalIgnoreCase));
+            pin = existing is null
+                ? new PinnedVersion {Version = version, Note = note}
+                : new PinnedVersion {Version = existing.Version, Note = note, PinnedUtc = existing.PinnedUtc};
+
+            _pins = _pins.Where(p => p != existing).Append(pin).ToList();
+            snapshot = _pins.ToList();
+        }
+
+        await SaveAsync(snapshot);
+        _logger.LogInformation("Version {Version} pinned: {Note}", pin.Version, note);
+
+        return Clone(pin);
+    }
+
+    public async Task<bool> UnpinAsync(string version)
+    {
+        List<PinnedVersion> snapshot;
+        lock (_lock)
+        {
+            var remaining = _pins
+                .Where(p => !p.Version.Equals(version, StringComparison.OrdinalIgnoreCase))
+                .ToList();
+            if (remaining.Count == _pins.Count)
+                return false;
+
+            _pins = remaining;
+            snapshot = _pins.ToList();
+        }
+
+        await SaveAsync(snapshot);
+        _logger.LogInformation("Version {Version} unpinned", version);
+
+        return true;
+    }
+
+    private async Task SaveAsync(List<PinnedVersion> pins)
+    {
+        var json = JsonSerializer.Serialize(pins, new JsonSerializerOptions {WriteIndented = true});
+        await File.WriteAllTextAsync(_configPath, json);
+    }
+
+    private List<PinnedVersion> LoadPins()
+    {
+        try
+        {
+            if (File.Exists(_configPath))
+                return (JsonSerializer.Deserialize<List<PinnedVersion>>(File.ReadAllText(_configPath)) ?? [])
+                    .Where(p => FirmwareFileName.IsVersion(p.Version))
+                    .ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load {Path}, no pinned versions", _configPath);
+        }
+
+        return [];
+    }
+
+    private static PinnedVersion Clone(PinnedVersion pin)
+    {
+        return new PinnedVersion {Version = pin.Version, Note = pin.Note, PinnedUtc = pin.PinnedUtc};
+    }
+}
@@ -0,0 +1,207 @@
+﻿using System.Text.Json;
+using System.Text.RegularExpressions;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Карта pointer-файлов: какой канал (и какой конкретный файл) какую версию отдаёт.
+///     Хранится в pointer_map.json.
+/// </summary>
+public partial class PointerMapService
+{
+    // Все pointer-файлы, которые сервер публикует
+    public static readonly string[] PointerFiles =
+    [
+        "LATEST.6",
+        "NEWEST6.stable",
+        "NEWESTa6.stable",
+        "NEWEST6.long-term",
+        "NEWESTa6.long-term",
+        "NEWEST6.upgrade",
+        "NEWESTa6.upgrade",
+        "NEWEST6.development",
+        "NEWESTa6.development",
+        "NEWEST6.testing",
+        "NEWESTa6.testing",
+        "NEWEST6.release-candidate",
+        "NEWESTa6.release-candidate",
+        "LATEST.7",
+        "NEWEST7.stable",
+        "NEWESTa7.stable",
+        "NEWEST7.development",
+        "NEWESTa7.development",
+        "NEWEST7.testing",
+        "NEWESTa7.testing",
+        "NEWEST7.release-candidate",
+        "NEWESTa7.release-candidate"
+    ];
+
+    private readonly string _configPath;
+    private readonly SemaphoreSlim _lock = new(1, 1);
+    private readonly ILogger<PointerMapService> _logger;
+
+    private PointerMapConfig _config;
+
+    public PointerMapService(ILogger<PointerMapService> logger)
+    {
+        _logger = logger;
+        _configPath = Path.Combine(AppContext.BaseDirectory, "pointer_map.json");
+        _config = LoadConfig();
+    }
+
+    public static IReadOnlyList<string> Channels { get; } = PointerFiles
+        .Select(GetChannel)
+        .Distinct(StringComparer.OrdinalIgnoreCase)
+        .ToArray();
+
+    public PointerMapConfig GetConfig()
+    {
+        return _config;
+    }
+
+    /// <summary>
+    ///     Цель для pointer-файла: сначала override файла, потом канал
+    /// </summary>
+    public (string target, bool isOverride)? Resolve(string fileName)
+    {
+        var canonical = GetCanonicalFileName(fileName);
+        if (canonical is null)
+            return null;
+
+        var config = _config;
+        if (config.Overrides.TryGetValue(canonical, out var target))
+            return (target, true);
+
+        return config.Channels.TryGetValue(GetChannel(canonical), out target)
+            ? (target, false)
+            : null;
+    }
+
+    /// <summary>
+    ///     Проверяет и нормализует конфигурацию. Бросает ArgumentException при ошибке.
+    /// </summary>
+    public static PointerMapConfig Normalize(PointerMapConfig? config)
+    {
+        config ??= new PointerMapConfig();
+
+        var defaults = CreateDefaultConfig();
+        var normalized = new PointerMapConfig();
+        var channels = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+
+        foreach (var (channel, target) in config.Channels ?? new Dictionary<string, string>())
+        {
+            var key = Channels.FirstOrDefault(c => c.Equals(channel?.Trim(), StringComparison.OrdinalIgnoreCase))
+                      ?? throw new ArgumentException($"Unknown channel: {channel}");
+
+            channels[key] = NormalizeTarget(target, key);
+        }
+
+        // Не указанные каналы берём по умолчанию
+        foreach (var channel in Channels)
+            normalized.Channels[channel] = channels.GetValueOrDefault(channel, defaults.Channels[channel]);
+
+        foreach (var (fileName, target) in config.Overrides ?? new Dictionary<string, string>())
+        {
+            var key = GetCanonicalFileName(fileName?.Trim())
+                      ?? throw new ArgumentException($"Unknown pointer file: {fileName}");
+
+            normalized.Overrides[key] = NormalizeTarget(target, key);
+        }
+
+        return normalized;
+    }
+
+    public async Task UpdateConfigAsync(PointerMapConfig config)
+    {
+        var normalized = Normalize(config);
+
+        await _lock.WaitAsync().ConfigureAwait(false);
+        try
+        {
+            _config = normalized;
+
+            var json = JsonSerializer.Serialize(_config, new JsonSerializerOptions {WriteIndented = true});
+            await File.WriteAllTextAsync(_configPath, json).ConfigureAwait(false);
+
+            _logger.LogInformation(
+                "Pointer map updated: {Channels} channels, {Overrides} overrides",
+                _config.Channels.Count,
+                _config.Overrides.Count);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    // LATEST.6 -> 6.stable, NEWESTa7.testing -> 7.testing
+    public static string GetChannel(string fileName)
+    {
+        var match = PointerFileRegex().Match(fileName);
+        if (!match.Success)
+            return fileName;
+
+        if (match.Groups["latest"].Success)
+            return $"{match.Groups["latest"].Value}.stable";
+
+        return $"{match.Groups["major"].Value}.{match.Groups["channel"].Value.ToLowerInvariant()}";
+    }
+
+    public static string? GetCanonicalFileName(string? fileName)
+    {
+        return PointerFiles.FirstOrDefault(f => f.Equals(fileName, StringComparison.OrdinalIgnoreCase));
+    }
+
+    private static string NormalizeTarget(string? target, string key)
+    {
+        var value = target?.Trim() ?? "";
+
+        var track = PointerTargets.Tracks.FirstOrDefault(t => t.Equals(value, StringComparison.OrdinalIgnoreCase));
+        if (track is not null)
+            return track;
+
+        if (FirmwareFileName.IsVersion(value))
+            return value;
+
+        throw new ArgumentException($"Invalid target '{target}' for {key}");
+    }
+
+    public static PointerMapConfig CreateDefaultConfig()
+    {
+        var config = new PointerMapConfig();
+
+        // v6 stable/long-term — на v6, всё остальное (upgrade, testing, rc...) — на v7 latest
+        foreach (var channel in Channels)
+            config.Channels[channel] = channel is "6.stable" or "6.long-term"
+                ? PointerTargets.V6
+                : PointerTargets.V7Latest;
+
+        config.Overrides["NEWEST7.stable"] = PointerTargets.V7Fixed;
+        return config;
+    }
+
+    private PointerMapConfig LoadConfig()
+    {
+        try
+        {
+            if (File.Exists(_configPath))
+            {
+                var json = File.ReadAllText(_configPath);
+                var config = JsonSerializer.Deserialize<PointerMapConfig>(json);
+                if (config is not null)
+                    return Normalize(config);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error loading pointer map, using defaults");
+        }
+
+        return CreateDefaultConfig();
+    }
+
+    [GeneratedRegex(@"^(?:LATEST\.(?<latest>[67])|NEWESTa?(?<major>[67])\.(?<channel>[a-z-]+))$",
+        RegexOptions.IgnoreCase)]
+    private static partial Regex PointerFileRegex();
+}
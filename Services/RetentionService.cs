@@ -0,0 +1,219 @@
+﻿using System.Text.Json;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Политика хранения скачанных версий (retention.json) и расчёт плана очистки.
+///     Удаляет сами каталоги MikroTikUpdateService — по плану, который строится здесь.
+/// </summary>
+public class RetentionService
+{
+    private readonly string _configPath;
+    private readonly Lock _lock = new();
+    private readonly ILogger<RetentionService> _logger;
+
+    private RetentionSettings _settings;
+
+    public RetentionService(ILogger<RetentionService> logger)
+    {
+        _logger = logger;
+        _configPath = Path.Combine(AppContext.BaseDirectory, "retention.json");
+        _settings = LoadSettings();
+    }
+
+    public RetentionSettings GetSettings()
+    {
+        lock (_lock)
+        {
+            return Clone(_settings);
+        }
+    }
+
+    public async Task UpdateSettingsAsync(RetentionSettings? settings)
+    {
+        var normalized = Normalize(settings);
+
+        var json = JsonSerializer.Serialize(normalized, new JsonSerializerOptions {WriteIndented = true});
+        await File.WriteAllTextAsync(_configPath, json);
+
+        lock (_lock)
+        {
+            _settings = normalized;
+        }
+
+        _logger.LogInformation(
+            "Version retention updated: v6 keep {V6Keep}, v7 keep {V7Keep}, {Protected} protected",
+            normalized.V6.KeepCount, normalized.V7.KeepCount, normalized.ProtectedVersions.Count);
+    }
+
+    /// <summary>
+    ///     Решает, какие версии удалить. protectedReasons: версия -> почему её трогать нельзя.
+    /// </summary>
+    public RetentionPlan BuildPlan(
+        IEnumerable<RetentionItem> cached,
+        IReadOnlyDictionary<string, string> protectedReasons,
+        bool dryRun)
+    {
+        var settings = GetSettings();
+        var plan = new RetentionPlan {DryRun = dryRun};
+        var now = DateTime.UtcNow;
+
+        foreach (var branch in cached.GroupBy(i => i.Branch).OrderBy(g => g.Key))
+        {
+            var policy = branch.Key == "v6" ? settings.V6 : settings.V7;
+            var items = branch
+                .OrderByDescending(i => i.Version, Comparer<string>.Create(ChangelogParser.CompareVersions))
+                .ToList();
+
+            // Количество считаем только среди незащищённых, как и раньше
+            var position = 0;
+            foreach (var item in items)
+            {
+                if (protectedReasons.TryGetValue(item.Version, out var reason) ||
+                    settings.ProtectedVersions.Contains(item.Version, StringComparer.OrdinalIgnoreCase))
+                {
+                    item.Protected = true;
+                    item.Reason = reason ?? "Protected";
+                    continue;
+                }
+
+                position++;
+                if (policy.KeepCount > 0 && position <= policy.KeepCount)
+                {
+                    item.Reason = $"Within newest {policy.KeepCount}";
+                }
+                else if (policy.KeepNewerThanDays > 0 &&
+                         now - item.CachedUtc < TimeSpan.FromDays(policy.KeepNewerThanDays))
+                {
+                    item.Reason = $"Cached within {policy.KeepNewerThanDays} days";
+                }
+                else if (policy.KeepCount == 0 && policy.KeepNewerThanDays == 0)
+                {
+                    item.Reason = "No count or age limit";
+                }
+                else
+                {
+                    // Без ограничения по количеству остаётся только ограничение по возрасту
+                    item.Remove = true;
+                    item.Reason = policy.KeepCount == 0
+                        ? $"Cached more than {policy.KeepNewerThanDays} days ago"
+                        : $"Beyond newest {policy.KeepCount}";
+                }
+            }
+
+            if (policy.MaxTotalSizeMb > 0)
+                ApplyQuota(branch.Key, items, policy.MaxTotalSizeMb * 1024L * 1024L, plan);
+
+            plan.Items.AddRange(items);
+        }
+
+        return plan;
+    }
+
+    /// <summary>
+    ///     Проверяет настройки. Бросает ArgumentException при ошибке.
+    /// </summary>
+    public static RetentionSettings Normalize(RetentionSettings? settings)
+    {
+        if (settings is null)
+            throw new ArgumentException("Retention settings are required");
+
+        var protectedVersions = (settings.ProtectedVersions ?? [])
+            .Select(v => v.Trim())
+            .Where(v => v.Length > 0)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        foreach (var version in protectedVersions)
+            if (!FirmwareFileName.IsVersion(version))
+                throw new ArgumentException($"Invalid RouterOS version: '{version}'");
+
+        return new RetentionSettings
+        {
+            V6 = NormalizeBranch(settings.V6, "v6"),
+            V7 = NormalizeBranch(settings.V7, "v7"),
+            ProtectedVersions = protectedVersions
+        };
+    }
+
+    private static BranchRetention NormalizeBranch(BranchRetention? policy, string branch)
+    {
+        if (policy is null)
+            return new BranchRetention();
+
+        if (policy.KeepCount is < 0 or > 1000)
+            throw new ArgumentException($"{branch}: versions to keep must be between 0 and 1000");
+
+        if (policy.KeepNewerThanDays is < 0 or > 3650)
+            throw new ArgumentException($"{branch}: days must be between 0 and 3650");
+
+        if (policy.MaxTotalSizeMb < 0)
+            throw new ArgumentException($"{branch}: quota must not be negative");
+
+        return new BranchRetention
+        {
+            KeepCount = policy.KeepCount,
+            KeepNewerThanDays = policy.KeepNewerThanDays,
+            MaxTotalSizeMb = policy.MaxTotalSizeMb
+        };
+    }
+
+    // Сверх квоты удаляем самые старые незащищённые версии, даже попавшие под KeepCount и KeepNewerThanDays
+    private static void ApplyQuota(string branch, List<RetentionItem> newestFirst, long quotaBytes, RetentionPlan plan)
+    {
+        var total = newestFirst.Where(i => !i.Remove).Sum(i => i.SizeBytes);
+
+        foreach (var item in Enumerable.Reverse(newestFirst))
+        {
+            if (total <= quotaBytes)
+                break;
+
+            if (item.Protected || item.Remove)
+                continue;
+
+            item.Remove = true;
+            item.Reason = "Over quota";
+            total -= item.SizeBytes;
+        }
+
+        if (total > quotaBytes)
+            plan.Warnings.Add(
+                $"{branch}: protected versions take {total / 1024 / 1024} MB, more than the {quotaBytes / 1024 / 1024} MB quota");
+    }
+
+    private RetentionSettings LoadSettings()
+    {
+        try
+        {
+            if (File.Exists(_configPath))
+                return Normalize(JsonSerializer.Deserialize<RetentionSettings>(File.ReadAllText(_configPath)));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load {Path}, using default retention", _configPath);
+        }
+
+        return new RetentionSettings();
+    }
+
+    private static RetentionSettings Clone(RetentionSettings settings)
+    {
+        return new RetentionSettings
+        {
+            V6 = Clone(settings.V6),
+            V7 = Clone(settings.V7),
+            ProtectedVersions = settings.ProtectedVersions.ToList()
+        };
+    }
+
+    private static BranchRetention Clone(BranchRetention policy)
+    {
+        return new BranchRetention
+        {
+            KeepCount = policy.KeepCount,
+            KeepNewerThanDays = policy.KeepNewerThanDays,
+            MaxTotalSizeMb = policy.MaxTotalSizeMb
+        };
+    }
+}
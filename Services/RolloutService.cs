@@ -0,0 +1,272 @@
+﻿using System.Net;
+using System.Net.Sockets;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Поэтапное обновление (rollout.json): разным подсетям и группам роутеров
+///     pointer-файлы отдают разные версии, чтобы новый релиз сначала получали тестовые устройства.
+/// </summary>
+public class RolloutService
+{
+    private readonly string _configPath;
+    private readonly Lock _lock = new();
+    private readonly ILogger<RolloutService> _logger;
+
+    // Правила вместе с разобранными сетями, чтобы не парсить CIDR на каждый запрос
+    private List<(RolloutRule rule, List<IPNetwork> networks)> _rules = [];
+
+    public RolloutService(ILogger<RolloutService> logger)
+    {
+        _logger = logger;
+        _configPath = Path.Combine(AppContext.BaseDirectory, "rollout.json");
+        LoadRules();
+    }
+
+    public IReadOnlyList<RolloutRule> GetRules()
+    {
+        lock (_lock)
+        {
+            return _rules.Select(r => Clone(r.rule)).ToList();
+        }
+    }
+
+    /// <summary>
+    ///     Подменяет версию в содержимом pointer-файла, если клиент попадает в правило.
+    ///     Ветка определяется по версии, которую файл отдаёт всем остальным,
+    ///     а если общей версии нет — по каналу файла.
+    /// </summary>
+    public string? ApplyToPointer(string fileName, string? content, string clientIp)
+    {
+        var parts = content?.Trim().Split(' ', 2);
+        var globalVersion = parts?[0];
+        var branch = globalVersion ?? PointerMapService.GetChannel(fileName);
+
+        var rule = Match(clientIp);
+        var version = branch.StartsWith("6.") ? rule?.V6Version
+            : branch.StartsWith("7.") ? rule?.V7Version
+            : null;
+        if (version is null || version.Equals(globalVersion, StringComparison.OrdinalIgnoreCase))
+            return content;
+
+        _logger.LogDebug(
+            "Rollout rule {Rule} serves {Version} instead of {Global} in {File} to {Ip}",
+            rule!.Name, version, globalVersion ?? "nothing", fileName, clientIp);
+
+        var epoch = parts is {Length: > 1} ? parts[1].Trim() : DateTimeOffset.UtcNow.ToUnixTimeSeconds().ToString();
+        return $"{version} {epoch}\n";
+    }
+
+    /// <summary>
+    ///     Первое включённое правило, в которое попадает клиент
+    /// </summary>
+    public RolloutRule? Match(string clientIp)
+    {
+        if (!TryParseAddress(clientIp, out var address))
+            return null;
+
+        lock (_lock)
+        {
+            return MatchRule(_rules, address);
+        }
+    }
+
+    /// <summary>
+    ///     Раскладывает известных клиентов по группам правил
+    /// </summary>
+    public List<RolloutGroup> GetGroups(IEnumerable<string> clientIps)
+    {
+        List<(RolloutRule rule, List<IPNetwork> networks)> rules;
+        lock (_lock)
+        {
+            rules = _rules.ToList();
+        }
+
+        var groups = rules
+            .Select(r => new RolloutGroup {RuleId = r.rule.Id, Name = r.rule.Name})
+            .Append(new RolloutGroup {Name = "Everyone else"})
+            .ToList();
+
+        foreach (var ip in clientIps)
+        {
+            var rule = TryParseAddress(ip, out var address) ? MatchRule(rules, address) : null;
+            groups.First(g => g.RuleId == rule?.Id).Clients.Add(ip);
+        }
+
+        return groups;
+    }
+
+    public async Task UpdateRulesAsync(List<RolloutRule>? rules)
+    {
+        var normalized = Normalize(rules);
+        var parsed = normalized.Select(r => (r, ParseNetworks(r.Addresses))).ToList();
+
+        var json = JsonSerializer.Serialize(normalized, new JsonSerializerOptions {WriteIndented = true});
+        await File.WriteAllTextAsync(_configPath, json);
+
+        lock (_lock)
+        {
+            _rules = parsed;
+        }
+
+        _logger.LogInformation(
+            "Rollout rules updated: {Count} rules, {Enabled} enabled",
+            normalized.Count, normalized.Count(r => r.Enabled));
+    }
+
+    /// <summary>
+    ///     Проверяет правила. Бросает ArgumentException при ошибке.
+    /// </summary>
+    public static List<RolloutRule> Normalize(List<RolloutRule>? rules)
+    {
+        var normalized = new List<RolloutRule>();
+
+        foreach (var rule in rules ?? [])
+        {
+            var id = string.IsNullOrWhiteSpace(rule.Id) ? Guid.NewGuid().ToString("N")[..8] : rule.Id.Trim();
+            var name = string.IsNullOrWhiteSpace(rule.Name) ? $"Rule {normalized.Count + 1}" : rule.Name.Trim();
+
+            if (normalized.Any(r => r.Id == id))
+                throw new ArgumentException($"Duplicate rule id: {id}");
+
+            if (rule.Percent is < 1 or > 100)
+                throw new ArgumentException($"{name}: percent must be between 1 and 100");
+
+            var addresses = (rule.Addresses ?? [])
+                .Select(a => a.Trim())
+                .Where(a => a.Length > 0)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            foreach (var address in addresses)
+                if (!TryParseNetwork(address, out _))
+                    throw new ArgumentException($"{name}: invalid IP or CIDR '{address}'");
+
+            var v6 = NormalizeVersion(rule.V6Version, "6.", name);
+            var v7 = NormalizeVersion(rule.V7Version, "7.", name);
+
+            if (v6 is null && v7 is null)
+                throw new ArgumentException($"{name}: set a v6 or v7 version");
+
+            normalized.Add(new RolloutRule
+            {
+                Id = id,
+                Name = name,
+                Enabled = rule.Enabled,
+                Addresses = addresses,
+                Percent = rule.Percent,
+                V6Version = v6,
+                V7Version = v7
+            });
+        }
+
+        return normalized;
+    }
+
+    private static RolloutRule? MatchRule(
+        List<(RolloutRule rule, List<IPNetwork> networks)> rules,
+        IPAddress address)
+    {
+        foreach (var (rule, networks) in rules)
+        {
+            if (!rule.Enabled)
+                continue;
+
+            if (networks.Count > 0 && !networks.Any(n => n.Contains(address)))
+                continue;
+
+            if (rule.Percent < 100 && GetBucket(rule.Id, address) >= rule.Percent)
+                continue;
+
+            return rule;
+        }
+
+        return null;
+    }
+
+    // 0..99, одинаковый для IP при каждом запросе и после перезапуска
+    private static int GetBucket(string ruleId, IPAddress address)
+    {
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes($"{ruleId}:{address}"));
+        return (int) (BitConverter.ToUInt32(hash, 0) % 100);
+    }
+
+    private static string? NormalizeVersion(string? version, string prefix, string name)
+    {
+        var value = version?.Trim();
+        if (string.IsNullOrEmpty(value))
+            return null;
+
+        if (!FirmwareFileName.IsVersion(value) || !value.StartsWith(prefix))
+            throw new ArgumentException($"{name}: invalid RouterOS {prefix[0]} version '{value}'");
+
+        return value;
+    }
+
+    private static List<IPNetwork> ParseNetworks(IEnumerable<string> addresses)
+    {
+        return addresses
+            .Select(a => TryParseNetwork(a, out var network) ? network : (IPNetwork?) null)
+            .OfType<IPNetwork>()
+            .ToList();
+    }
+
+    private static bool TryParseNetwork(string value, out IPNetwork network)
+    {
+        if (value.Contains('/'))
+            return IPNetwork.TryParse(value, out network);
+
+        network = default;
+        if (!TryParseAddress(value, out var address))
+            return false;
+
+        network = new IPNetwork(address, address.AddressFamily == AddressFamily.InterNetwork ? 32 : 128);
+        return true;
+    }
+
+    // IPv4, пришедший как ::ffff:a.b.c.d, сравниваем как IPv4
+    private static bool TryParseAddress(string? value, out IPAddress address)
+    {
+        if (!IPAddress.TryParse(value?.Trim(), out address!))
+            return false;
+
+        if (address.IsIPv4MappedToIPv6)
+            address = address.MapToIPv4();
+
+        return true;
+    }
+
+    private void LoadRules()
+    {
+        try
+        {
+            if (!File.Exists(_configPath))
+                return;
+
+            var rules = Normalize(JsonSerializer.Deserialize<List<RolloutRule>>(File.ReadAllText(_configPath)));
+            _rules = rules.Select(r => (r, ParseNetworks(r.Addresses))).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load {Path}, rollout rules disabled", _configPath);
+        }
+    }
+
+    private static RolloutRule Clone(RolloutRule rule)
+    {
+        return new RolloutRule
+        {
+            Id = rule.Id,
+            Name = rule.Name,
+            Enabled = rule.Enabled,
+            Addresses = rule.Addresses.ToList(),
+            Percent = rule.Percent,
+            V6Version = rule.V6Version,
+            V7Version = rule.V7Version
+        };
+    }
+}
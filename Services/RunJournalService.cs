@@ -0,0 +1,80 @@
+﻿using System.Text.Json;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Журнал запусков проверки обновлений (check_runs.json), новые в конце.
+///     В отличие от versions.json пишется при любом исходе, а не только при успехе.
+/// </summary>
+public class RunJournalService
+{
+    private const int MaxRuns = 500;
+
+    private readonly string _journalPath;
+    private readonly SemaphoreSlim _lock = new(1, 1);
+    private readonly ILogger<RunJournalService> _logger;
+
+    private List<CheckRun> _runs;
+
+    public RunJournalService(ILogger<RunJournalService> logger)
+    {
+        _logger = logger;
+        _journalPath = Path.Combine(AppContext.BaseDirectory, "check_runs.json");
+        _runs = LoadRuns();
+    }
+
+    /// <summary>
+    ///     Последние запуски, новые первыми. Пустой фильтр — без ограничения.
+    /// </summary>
+    public List<CheckRun> GetRuns(string? trigger, string? status, int take)
+    {
+        return _runs
+            .Where(r => string.IsNullOrEmpty(trigger) || r.Trigger.Equals(trigger, StringComparison.OrdinalIgnoreCase))
+            .Where(r => string.IsNullOrEmpty(status) || r.Status.Equals(status, StringComparison.OrdinalIgnoreCase))
+            .Reverse()
+            .Take(Math.Clamp(take, 1, MaxRuns))
+            .ToList();
+    }
+
+    public CheckRun? GetRun(string id)
+    {
+        return _runs.FirstOrDefault(r => r.Id == id);
+    }
+
+    public async Task AddAsync(CheckRun run)
+    {
+        await _lock.WaitAsync();
+        try
+        {
+            // Новый список вместо изменения старого: читатели берут ссылку без блокировки
+            _runs = _runs.Append(run).TakeLast(MaxRuns).ToList();
+
+            var json = JsonSerializer.Serialize(_runs, new JsonSerializerOptions {WriteIndented = true});
+            await File.WriteAllTextAsync(_journalPath, json);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save check run {Id}", run.Id);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    private List<CheckRun> LoadRuns()
+    {
+        try
+        {
+            if (File.Exists(_journalPath))
+                return JsonSerializer.Deserialize<List<CheckRun>>(File.ReadAllText(_journalPath)) ?? [];
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load {Path}, starting a new check journal", _journalPath);
+        }
+
+        return [];
+    }
+}
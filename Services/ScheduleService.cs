@@ -5,15 +5,35 @@ namespace MikroTik.UpdateServer.Services;
 
 public class ScheduleService
 {
+    // Дальше четырёх недель предпросмотр не ищет, чтобы расписание «раз в неделю» показало несколько запусков
+    private static readonly TimeSpan PreviewHorizon = TimeSpan.FromDays(28);
+
+    private const int MinIntervalMinutes = 10;
+    private const int MaxIntervalMinutes = 1440;
+
     private readonly string _configPath;
     private readonly SemaphoreSlim _lock = new(1, 1);
     private readonly ILogger<ScheduleService> _logger;
 
+    // UpdateCheckIntervalMinutes: интервал нового schedule.json и перенесённого из старого формата
+    private readonly int _defaultIntervalMinutes;
+
+    // Состояние запусков — отдельно от _lock, который держится на время записи файла
+    private readonly Lock _runLock = new();
+    private readonly TimeZoneService _timeZone;
+
     private ScheduleConfig _config;
+    private DateTime? _lastRunUtc;
+    private DateTime? _lastWindowStart; // начало окна (локальное время), в котором уже была проверка
 
-    public ScheduleService(ILogger<ScheduleService> logger)
+    public ScheduleService(ILogger<ScheduleService> logger, TimeZoneService timeZone, IConfiguration config)
     {
         _logger = logger;
+        _timeZone = timeZone;
+        _defaultIntervalMinutes = Math.Clamp(
+            config.GetValue("UpdateCheckIntervalMinutes", MinIntervalMinutes),
+            MinIntervalMinutes,
+            MaxIntervalMinutes);
         _configPath = Path.Combine(AppContext.BaseDirectory, "schedule.json");
         _config = LoadConfig();
     }
@@ -24,12 +44,14 @@ public class ScheduleService
         return _config;
     }
 
-    public ScheduleStatus GetStatus()
+    public ScheduleStatus GetStatus(int previewCount = 5)
     {
-        var nextCheck = CalculateNextCheckTime();
+        var runs = GetUpcomingRuns(previewCount);
         return new ScheduleStatus(_config)
         {
-            NextScheduledCheck = nextCheck
+            NextScheduledCheck = runs.FirstOrDefault()?.TimeUtc ?? DateTime.MaxValue,
+            TimeZone = _timeZone.Current.Id,
+            UpcomingRuns = runs
         };
     }
 
@@ -38,10 +60,12 @@ public class ScheduleService
         if (newConfig is null)
             throw new ArgumentNullException(nameof(newConfig));
 
+        // Ошибки проверки — ArgumentException для 400, их не логируем
+        NormalizeConfig(newConfig);
+
         await _lock.WaitAsync().ConfigureAwait(false);
         try
         {
-            NormalizeConfig(newConfig);
             _config = newConfig;
             await SaveConfigAsync().ConfigureAwait(false);
             _logger.LogInformation("Schedule configuration updated");
@@ -100,62 +124,120 @@ public class ScheduleService
         }
     }
 
-    public bool ShouldRunNow()
+    /// <summary>
+    ///     Триггер проверки, которую пора запустить (Scheduled — первая в окне, Interval — по интервалу),
+    ///     или null. Вызывается раз в минуту.
+    /// </summary>
+    public string? GetDueTrigger(DateTime utcNow)
     {
-        if (!_config.Enabled)
-            return false;
+        lock (_runLock)
+        {
+            return Evaluate(_config, _timeZone.Current, utcNow, _lastRunUtc, _lastWindowStart);
+        }
+    }
 
-        var now = DateTime.UtcNow;
+    /// <summary>
+    ///     Запоминает проверку (в том числе стартовую), от которой отсчитываются интервал и окно
+    /// </summary>
+    public void MarkRun(DateTime utcNow)
+    {
+        var local = TimeZoneInfo.ConvertTimeFromUtc(utcNow, _timeZone.Current);
 
-        if (_config.PausedUntil.HasValue && _config.PausedUntil > now)
-            return false;
+        lock (_runLock)
+        {
+            _lastRunUtc = utcNow;
+            _lastWindowStart = FindWindowStart(_config, local) ?? _lastWindowStart;
+        }
+    }
 
-        var today = now.Date;
-        var scheduledTime = today.Add(_config.CheckTime);
+    /// <summary>
+    ///     Ближайшие запуски: прогоняет расписание поминутно, как это делает UpdateCheckService
+    /// </summary>
+    public List<ScheduledRun> GetUpcomingRuns(int count)
+    {
+        var config = _config;
+        var tz = _timeZone.Current;
 
-        // Добавьте проверку на время выполнения
-        var timeWindowEnd = scheduledTime.AddMinutes(5);
+        DateTime? lastRun, lastWindow;
+        lock (_runLock)
+        {
+            lastRun = _lastRunUtc;
+            lastWindow = _lastWindowStart;
+        }
 
-        // Исправьте условие времени
-        if (now >= scheduledTime && now < timeWindowEnd)
+        var runs = new List<ScheduledRun>();
+        var now = DateTime.UtcNow;
+        var horizon = now + PreviewHorizon;
+
+        // С начала следующей минуты
+        var time = new DateTime(now.Ticks - now.Ticks % TimeSpan.TicksPerMinute, DateTimeKind.Utc).AddMinutes(1);
+
+        for (; time < horizon && runs.Count < count; time = time.AddMinutes(1))
         {
-            var todayName = now.DayOfWeek.ToString();
-            return _config.DaysOfWeek.Contains(todayName);
+            var trigger = Evaluate(config, tz, time, lastRun, lastWindow);
+            if (trigger is null)
+                continue;
+
+            var local = TimeZoneInfo.ConvertTimeFromUtc(time, tz);
+            runs.Add(new ScheduledRun {TimeUtc = time, LocalTime = local, Trigger = trigger});
+
+            lastRun = time;
+            lastWindow = FindWindowStart(config, local) ?? lastWindow;
         }
 
-        return false;
+        return runs;
     }
 
-    private DateTime CalculateNextCheckTime()
+    private static string? Evaluate(
+        ScheduleConfig config,
+        TimeZoneInfo tz,
+        DateTime utcNow,
+        DateTime? lastRunUtc,
+        DateTime? lastWindowStart)
     {
-        if (!_config.Enabled)
-            return DateTime.MaxValue;
+        if (!config.Enabled)
+            return null;
 
-        var now = DateTime.UtcNow;
+        if (config.PausedUntil.HasValue && config.PausedUntil > utcNow)
+            return null;
 
-        if (_config.PausedUntil.HasValue && _config.PausedUntil > now)
-            return _config.PausedUntil.Value;
+        var local = TimeZoneInfo.ConvertTimeFromUtc(utcNow, tz);
+        var intervalElapsed = lastRunUtc is null ||
+                              utcNow - lastRunUtc.Value >= TimeSpan.FromMinutes(config.IntervalMinutes);
 
-        var today = now.Date;
-        var scheduledTime = today.Add(_config.CheckTime);
-        var todayName = now.DayOfWeek.ToString();
+        if (config.Mode == ScheduleModes.Interval)
+            return intervalElapsed && IsAllowedDay(config, local.DayOfWeek) ? UpdateTriggers.Interval : null;
 
-        // Если сегодня подходящий день и время еще не наступило
-        if (now < scheduledTime && _config.DaysOfWeek.Contains(todayName))
-            return scheduledTime;
+        var windowStart = FindWindowStart(config, local);
+        if (windowStart is null)
+            return null;
 
-        // Если сегодня подходящий день, но время прошло - ищем следующий день
-        var currentDay = today;
-        for (var i = 1; i <= 7; i++)
+        // Первая проверка в окне — плановая, остальные (режим both) — по интервалу
+        if (windowStart != lastWindowStart)
+            return UpdateTriggers.Scheduled;
+
+        return config.Mode == ScheduleModes.Both && intervalElapsed ? UpdateTriggers.Interval : null;
+    }
+
+    // Начало окна, внутри которого находится local, с учётом окон, перешедших через полночь
+    private static DateTime? FindWindowStart(ScheduleConfig config, DateTime local)
+    {
+        foreach (var window in config.Windows)
+        foreach (var day in new[] {local.Date, local.Date.AddDays(-1)})
         {
-            var nextDay = currentDay.AddDays(i);
-            var nextDayName = nextDay.DayOfWeek.ToString();
+            var start = day + window.Start;
+            var end = window.End > window.Start ? day + window.End : day.AddDays(1) + window.End;
 
-            if (_config.DaysOfWeek.Contains(nextDayName))
-                return nextDay.Add(_config.CheckTime);
+            if (local >= start && local < end && IsAllowedDay(config, day.DayOfWeek))
+                return start;
         }
 
-        return DateTime.MaxValue;
+        return null;
+    }
+
+    private static bool IsAllowedDay(ScheduleConfig config, DayOfWeek day)
+    {
+        return config.DaysOfWeek.Contains(day.ToString());
     }
 
     private ScheduleConfig LoadConfig()
@@ -164,7 +246,7 @@ public class ScheduleService
         {
             if (!File.Exists(_configPath))
             {
-                var defaultConfig = new ScheduleConfig();
+                var defaultConfig = new ScheduleConfig {IntervalMinutes = _defaultIntervalMinutes};
                 NormalizeConfig(defaultConfig);
                 SaveConfigToDisk(defaultConfig);
                 _logger.LogInformation("Schedule configuration file not found. Created default at {Path}", _configPath);
@@ -173,13 +255,23 @@ public class ScheduleService
 
             var json = File.ReadAllText(_configPath);
             var config = JsonSerializer.Deserialize<ScheduleConfig>(json) ?? new ScheduleConfig();
+
+            if (config.Mode is null && config.CheckTime.HasValue)
+            {
+                MigrateLegacyConfig(config);
+                NormalizeConfig(config);
+                SaveConfigToDisk(config);
+                return config;
+            }
+
+            RepairLoadedConfig(config);
             NormalizeConfig(config);
             return config;
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error loading schedule configuration, using defaults");
-            var fallback = new ScheduleConfig();
+            var fallback = new ScheduleConfig {IntervalMinutes = _defaultIntervalMinutes};
             NormalizeConfig(fallback);
             return fallback;
         }
@@ -219,12 +311,105 @@ public class ScheduleService
         }
     }
 
+    /// <summary>
+    ///     schedule.json до появления режимов: фоновая проверка каждые UpdateCheckIntervalMinutes
+    ///     и плановая раз в день в CheckTime. То же даёт режим both с окном почти на сутки от CheckTime.
+    /// </summary>
+    private void MigrateLegacyConfig(ScheduleConfig config)
+    {
+        var start = TimeSpan.FromTicks(Math.Abs(config.CheckTime!.Value.Ticks) % TimeSpan.TicksPerDay);
+        var end = TimeSpan.FromTicks((start + TimeSpan.FromDays(1) - TimeSpan.FromMinutes(1)).Ticks %
+                                     TimeSpan.TicksPerDay);
+
+        config.Mode = ScheduleModes.Both;
+        config.Windows = [new ScheduleWindow {Start = start, End = end}];
+        config.IntervalMinutes = _defaultIntervalMinutes;
+        config.CheckTime = null;
+
+        _logger.LogInformation(
+            "Migrated legacy schedule: daily check at {CheckTime:hh\\:mm}, every {Interval} minutes in between",
+            start, config.IntervalMinutes);
+    }
+
+    /// <summary>
+    ///     Значения из файла вне допустимых пределов поправляем, а не отбрасываем весь файл
+    /// </summary>
+    private void RepairLoadedConfig(ScheduleConfig config)
+    {
+        var interval = Math.Clamp(config.IntervalMinutes, MinIntervalMinutes, MaxIntervalMinutes);
+        if (interval != config.IntervalMinutes)
+        {
+            _logger.LogWarning(
+                "Schedule interval {Interval} is out of range, using {Clamped} minutes",
+                config.IntervalMinutes, interval);
+            config.IntervalMinutes = interval;
+        }
+
+        var mode = config.Mode?.Trim().ToLowerInvariant();
+        if (mode is not (null or ScheduleModes.Interval or ScheduleModes.Windows or ScheduleModes.Both))
+        {
+            _logger.LogWarning("Unknown schedule mode '{Mode}', using interval", config.Mode);
+            config.Mode = ScheduleModes.Interval;
+        }
+
+        config.DaysOfWeek = config.DaysOfWeek?
+            .Where(day => Enum.TryParse<DayOfWeek>(day, false, out _))
+            .ToArray() ?? [];
+
+        config.Windows = config.Windows?
+            .Where(w => w.Start >= TimeSpan.Zero && w.Start < TimeSpan.FromDays(1) &&
+                        w.End >= TimeSpan.Zero && w.End < TimeSpan.FromDays(1) &&
+                        w.Start != w.End)
+            .ToList() ?? [];
+    }
+
+    /// <summary>
+    ///     Приводит настройки к рабочему виду. Бросает ArgumentException при ошибке.
+    /// </summary>
     private static void NormalizeConfig(ScheduleConfig config)
     {
         // DaysOfWeek: гарантируем, что не null и не пустой
         if (config.DaysOfWeek == null || config.DaysOfWeek.Length == 0)
             config.DaysOfWeek = Enum.GetNames(typeof(DayOfWeek));
 
+        foreach (var day in config.DaysOfWeek)
+            if (!Enum.TryParse<DayOfWeek>(day, false, out _))
+                throw new ArgumentException($"Unknown day of week: '{day}'");
+
+        config.Mode = config.Mode?.Trim().ToLowerInvariant() ?? ScheduleModes.Interval;
+        if (config.Mode is not (ScheduleModes.Interval or ScheduleModes.Windows or ScheduleModes.Both))
+            throw new ArgumentException($"Unknown schedule mode: '{config.Mode}'");
+
+        if (config.IntervalMinutes is < MinIntervalMinutes or > MaxIntervalMinutes)
+            throw new ArgumentException(
+                $"Check interval must be between {MinIntervalMinutes} and {MaxIntervalMinutes} minutes");
+
+        // Старый CheckTime превращаем в окно на час; без окон вообще — окно по умолчанию
+        config.Windows ??= [];
+        if (config.Windows.Count == 0)
+        {
+            var start = config.CheckTime ?? new ScheduleWindow().Start;
+            config.Windows.Add(new ScheduleWindow
+            {
+                Start = start,
+                End = TimeSpan.FromTicks((start + TimeSpan.FromHours(1)).Ticks % TimeSpan.TicksPerDay)
+            });
+        }
+
+        config.CheckTime = null;
+
+        foreach (var window in config.Windows)
+        {
+            if (window.Start < TimeSpan.Zero || window.Start >= TimeSpan.FromDays(1) ||
+                window.End < TimeSpan.Zero || window.End >= TimeSpan.FromDays(1))
+                throw new ArgumentException("Window times must be within a day (00:00–23:59)");
+
+            if (window.Start == window.End)
+                throw new ArgumentException($"Window {window.Start:hh\\:mm} starts and ends at the same time");
+        }
+
+        config.Windows = config.Windows.OrderBy(w => w.Start).ToList();
+
         // PausedUntil: нормализуем к UTC, если вдруг сохранили локальное время
         if (config.PausedUntil is {Kind: DateTimeKind.Local})
             config.PausedUntil = config.PausedUntil.Value.ToUniversalTime();
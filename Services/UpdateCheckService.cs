@@ -1,28 +1,28 @@
-﻿namespace MikroTik.UpdateServer.Services;
+﻿using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
 
 public class UpdateCheckService(
     MikroTikUpdateService updateService,
     ScheduleService scheduleService,
-    ILogger<UpdateCheckService> logger,
-    IConfiguration config)
+    ILogger<UpdateCheckService> logger)
     : BackgroundService
 {
-    // Дата последнего ИМЕННО планового запуска (по расписанию)
-    private DateOnly? _lastScheduledCheckDate;
+    // Раз в минуту спрашиваем расписание, не пора ли проверять
+    private static readonly TimeSpan TickInterval = TimeSpan.FromMinutes(1);
+
     private PeriodicTimer? _timer;
 
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
     {
         logger.LogInformation("Update check service starting...");
 
-        // Интервал проверки из конфигурации (по умолчанию 10 минут)
-        var intervalMinutes = config.GetValue("UpdateCheckIntervalMinutes", 10);
-        logger.LogInformation("Update check interval: {Interval} minutes", intervalMinutes);
+        // Первичная проверка при старте. Интервал и окно расписания отсчитываются и от неё
+        scheduleService.MarkRun(DateTime.UtcNow);
 
-        // Первичная проверка при старте
         try
         {
-            var initialResult = await updateService.CheckAndDownloadUpdatesAsync();
+            var initialResult = await updateService.CheckAndDownloadUpdatesAsync(UpdateTriggers.Startup);
             if (initialResult.downloaded > 0)
                 logger.LogInformation(
                     "Initial update check completed. Downloaded {Count} files",
@@ -42,7 +42,7 @@ public class UpdateCheckService(
             logger.LogError(ex, "Initial update check failed");
         }
 
-        _timer = new PeriodicTimer(TimeSpan.FromMinutes(intervalMinutes));
+        _timer = new PeriodicTimer(TickInterval);
 
         try
         {
@@ -56,20 +56,25 @@ public class UpdateCheckService(
 
     private async Task RunSingleIterationAsync(CancellationToken stoppingToken)
     {
-        var today = DateOnly.FromDateTime(DateTime.Today);
+        var startedUtc = DateTime.UtcNow;
+        var trigger = scheduleService.GetDueTrigger(startedUtc);
+        if (trigger is null)
+            return;
 
-        // Определяем, считается ли этот запуск "плановым"
-        var isScheduledRun = scheduleService.ShouldRunNow() &&
-                             _lastScheduledCheckDate != today;
+        var isScheduledRun = trigger == UpdateTriggers.Scheduled;
 
         try
         {
-            var result = await updateService.CheckAndDownloadUpdatesAsync();
+            var result = await updateService.CheckAndDownloadUpdatesAsync(trigger);
+
+            // Занято ручной проверкой или загрузкой — попробуем на следующем тике
+            if (result.status == "already_in_progress")
+                return;
+
+            scheduleService.MarkRun(startedUtc);
 
             if (isScheduledRun)
             {
-                _lastScheduledCheckDate = today;
-
                 if (result.downloaded > 0)
                     logger.LogInformation(
                         "Scheduled update check downloaded {Count} files",
@@ -97,6 +102,7 @@ public class UpdateCheckService(
         }
         catch (Exception ex)
         {
+            scheduleService.MarkRun(startedUtc);
             logger.LogError(
                 ex,
                 "Error during {RunType} update check",
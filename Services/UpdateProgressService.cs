@@ -0,0 +1,243 @@
+﻿using System.Threading.Channels;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Хранит состояние текущей (или последней) проверки обновлений
+///     и рассылает снапшоты подписчикам (SSE /api/update-check/progress/stream).
+/// </summary>
+public class UpdateProgressService
+{
+    // Не чаще, чем раз в полсекунды, шлём прогресс по байтам
+    private static readonly TimeSpan ProgressPublishInterval = TimeSpan.FromMilliseconds(500);
+
+    private readonly Lock _lock = new();
+    private readonly Dictionary<Guid, Channel<UpdateProgressSnapshot>> _subscribers = new();
+    private readonly Dictionary<string, FileProgress> _files = new(StringComparer.OrdinalIgnoreCase);
+
+    private DateTime _lastProgressPublish = DateTime.MinValue;
+    private UpdateProgressSnapshot _state = new();
+
+    public UpdateProgressSnapshot GetSnapshot()
+    {
+        lock (_lock)
+        {
+            return CloneState();
+        }
+    }
+
+    public (Guid id, ChannelReader<UpdateProgressSnapshot> reader) Subscribe()
+    {
+        // Медленному клиенту достаточно последнего снапшота
+        var channel = Channel.CreateBounded<UpdateProgressSnapshot>(
+            new BoundedChannelOptions(1) {FullMode = BoundedChannelFullMode.DropOldest});
+
+        var id = Guid.NewGuid();
+
+        lock (_lock)
+        {
+            _subscribers[id] = channel;
+        }
+
+        return (id, channel.Reader);
+    }
+
+    public void Unsubscribe(Guid id)
+    {
+        lock (_lock)
+        {
+            if (_subscribers.Remove(id, out var channel))
+                channel.Writer.TryComplete();
+        }
+    }
+
+    public void BeginRun(string trigger)
+    {
+        lock (_lock)
+        {
+            _files.Clear();
+            _state = new UpdateProgressSnapshot
+            {
+                IsRunning = true,
+                RunId = Guid.NewGuid().ToString("N"),
+                Trigger = trigger,
+                Stage = "connecting",
+                StartedUtc = DateTime.UtcNow
+            };
+
+            PublishLocked();
+        }
+    }
+
+    public void SetStage(string stage, string? version = null)
+    {
+        lock (_lock)
+        {
+            _state.Stage = stage;
+            if (version is not null)
+                _state.CurrentVersion = version;
+
+            PublishLocked();
+        }
+    }
+
+    public void FileQueued(string version, string fileName)
+    {
+        lock (_lock)
+        {
+            GetOrAddFile(version, fileName);
+            PublishLocked();
+        }
+    }
+
+    public void FileStarted(string version, string fileName, long? totalBytes)
+    {
+        lock (_lock)
+        {
+            var file = GetOrAddFile(version, fileName);
+            file.Status = "downloading";
+            file.TotalBytes = totalBytes;
+            file.BytesReceived = 0;
+            file.StartedUtc = DateTime.UtcNow;
+            PublishLocked();
+        }
+    }
+
+    public void FileProgress(string version, string fileName, long bytesReceived)
+    {
+        lock (_lock)
+        {
+            var file = GetOrAddFile(version, fileName);
+            file.BytesReceived = bytesReceived;
+            file.SpeedBytesPerSecond = CalculateSpeed(file);
+
+            var now = DateTime.UtcNow;
+            if (now - _lastProgressPublish < ProgressPublishInterval)
+                return;
+
+            PublishLocked();
+        }
+    }
+
+    public void FileCompleted(string version, string fileName, long bytes)
+    {
+        lock (_lock)
+        {
+            var file = GetOrAddFile(version, fileName);
+            file.Status = "completed";
+            file.BytesReceived = bytes;
+            file.TotalBytes ??= bytes;
+            file.SpeedBytesPerSecond = CalculateSpeed(file);
+            file.FinishedUtc = DateTime.UtcNow;
+            _state.BytesDownloaded += bytes;
+            PublishLocked();
+        }
+    }
+
+    public void FileSkipped(string version, string fileName, string reason)
+    {
+        lock (_lock)
+        {
+            var file = GetOrAddFile(version, fileName);
+            file.Status = "skipped";
+            file.Error = reason;
+            file.FinishedUtc = DateTime.UtcNow;
+            PublishLocked();
+        }
+    }
+
+    public void FileFailed(string version, string fileName, string error)
+    {
+        lock (_lock)
+        {
+            var file = GetOrAddFile(version, fileName);
+            file.Status = "failed";
+            file.Error = error;
+            file.FinishedUtc = DateTime.UtcNow;
+            PublishLocked();
+        }
+    }
+
+    public void EndRun(string status, int downloaded)
+    {
+        lock (_lock)
+        {
+            _state.IsRunning = false;
+            _state.Stage = "completed";
+            _state.Status = status;
+            _state.Downloaded = downloaded;
+            _state.FinishedUtc = DateTime.UtcNow;
+            PublishLocked();
+        }
+    }
+
+    private FileProgress GetOrAddFile(string version, string fileName)
+    {
+        var key = $"{version}/{fileName}";
+        if (_files.TryGetValue(key, out var file))
+            return file;
+
+        file = new FileProgress {Version = version, FileName = fileName};
+        _files[key] = file;
+        return file;
+    }
+
+    private static double CalculateSpeed(FileProgress file)
+    {
+        if (file.StartedUtc is null)
+            return 0;
+
+        var end = file.FinishedUtc ?? DateTime.UtcNow;
+        var seconds = (end - file.StartedUtc.Value).TotalSeconds;
+        return seconds > 0 ? file.BytesReceived / seconds : 0;
+    }
+
+    // Вызывается только под _lock
+    private void PublishLocked()
+    {
+        _lastProgressPublish = DateTime.UtcNow;
+
+        var snapshot = CloneState();
+        foreach (var channel in _subscribers.Values)
+            channel.Writer.TryWrite(snapshot);
+    }
+
+    // Вызывается только под _lock
+    private UpdateProgressSnapshot CloneState()
+    {
+        var files = _files.Values
+            .Select(f => new FileProgress
+            {
+                Version = f.Version,
+                FileName = f.FileName,
+                Status = f.Status,
+                BytesReceived = f.BytesReceived,
+                TotalBytes = f.TotalBytes,
+                SpeedBytesPerSecond = f.SpeedBytesPerSecond,
+                Error = f.Error,
+                StartedUtc = f.StartedUtc,
+                FinishedUtc = f.FinishedUtc
+            })
+            .ToList();
+
+        return new UpdateProgressSnapshot
+        {
+            IsRunning = _state.IsRunning,
+            RunId = _state.RunId,
+            Trigger = _state.Trigger,
+            Stage = _state.Stage,
+            CurrentVersion = _state.CurrentVersion,
+            Status = _state.Status,
+            StartedUtc = _state.StartedUtc,
+            FinishedUtc = _state.FinishedUtc,
+            Downloaded = _state.Downloaded,
+            FilesTotal = files.Count,
+            FilesCompleted = files.Count(f => f.Status == "completed"),
+            FilesSkipped = files.Count(f => f.Status == "skipped"),
+            FilesFailed = files.Count(f => f.Status == "failed"),
+            BytesDownloaded = _state.BytesDownloaded,
+            Files = files
+        };
+    }
+}
@@ -0,0 +1,290 @@
+﻿using System.Diagnostics;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Упорядоченный список источников обновлений (upstreams.json) и их состояние.
+///     Источник после нескольких сбоев подряд уходит в конец очереди, пока не остынет.
+/// </summary>
+public partial class UpstreamService
+{
+    public const string OfficialId = "official";
+
+    // Источник файлов, загруженных через офлайн-импорт
+    public const string ImportSourceId = "import";
+
+    private const int FailureThreshold = 3;
+    private static readonly TimeSpan Cooldown = TimeSpan.FromMinutes(5);
+
+    private readonly string _configPath;
+    private readonly Dictionary<string, UpstreamHealth> _health = new(StringComparer.OrdinalIgnoreCase);
+    private readonly IHttpClientFactory _httpClientFactory;
+    private readonly Lock _lock = new();
+    private readonly ILogger<UpstreamService> _logger;
+
+    private List<UpstreamSource> _sources;
+
+    public UpstreamService(IHttpClientFactory httpClientFactory, ILogger<UpstreamService> logger)
+    {
+        _httpClientFactory = httpClientFactory;
+        _logger = logger;
+        _configPath = Path.Combine(AppContext.BaseDirectory, "upstreams.json");
+        _sources = LoadSources();
+    }
+
+    public static List<UpstreamSource> CreateDefaultSources()
+    {
+        return
+        [
+            new UpstreamSource
+            {
+                Id = OfficialId,
+                Name = "MikroTik (official)",
+                BaseUrl = "https://upgrade.mikrotik.com/routeros",
+                DownloadUrl = "https://download.mikrotik.com/routeros"
+            }
+        ];
+    }
+
+    public IReadOnlyList<UpstreamSource> GetSources()
+    {
+        lock (_lock)
+        {
+            return _sources.Select(Clone).ToList();
+        }
+    }
+
+    /// <summary>
+    ///     Включённые источники в порядке опроса: сначала здоровые по порядку из настроек,
+    ///     затем те, что недавно падали (на случай, если живых не осталось)
+    /// </summary>
+    public IReadOnlyList<UpstreamSource> GetCandidates()
+    {
+        lock (_lock)
+        {
+            var enabled = _sources.Where(s => s.Enabled).Select(Clone).ToList();
+            return enabled
+                .OrderBy(s => IsCoolingDownLocked(s.Id) ? 1 : 0)
+                .ToList();
+        }
+    }
+
+    public IReadOnlyList<UpstreamHealth> GetHealth()
+    {
+        lock (_lock)
+        {
+            return _sources
+                .Select(s => _health.TryGetValue(s.Id, out var h)
+                    ? CloneHealth(h)
+                    : new UpstreamHealth {SourceId = s.Id})
+                .ToList();
+        }
+    }
+
+    public void ReportSuccess(string sourceId, TimeSpan latency)
+    {
+        lock (_lock)
+        {
+            var health = GetHealthLocked(sourceId);
+            health.Status = UpstreamStatus.Healthy;
+            health.ConsecutiveFailures = 0;
+            health.LatencyMs = (long) latency.TotalMilliseconds;
+            health.LastSuccessUtc = DateTime.UtcNow;
+        }
+    }
+
+    public void ReportFailure(string sourceId, string error)
+    {
+        lock (_lock)
+        {
+            var health = GetHealthLocked(sourceId);
+            health.ConsecutiveFailures++;
+            health.LastError = error;
+            health.LastFailureUtc = DateTime.UtcNow;
+
+            if (health.ConsecutiveFailures >= FailureThreshold || health.Status != UpstreamStatus.Healthy)
+                health.Status = UpstreamStatus.Unhealthy;
+        }
+    }
+
+    /// <summary>
+    ///     Опрашивает все включённые источники (HEAD LATEST.6). true — хотя бы один доступен.
+    /// </summary>
+    public async Task<bool> CheckHealthAsync()
+    {
+        var results = await Task.WhenAll(GetCandidates().Select(ProbeAsync));
+        return results.Any(ok => ok);
+    }
+
+    public async Task UpdateSourcesAsync(List<UpstreamSource>? sources)
+    {
+        var normalized = Normalize(sources);
+
+        var json = JsonSerializer.Serialize(normalized, new JsonSerializerOptions {WriteIndented = true});
+        await File.WriteAllTextAsync(_configPath, json);
+
+        lock (_lock)
+        {
+            _sources = normalized;
+
+            // Состояние удалённых источников больше не нужно
+            foreach (var id in _health.Keys.Where(id => normalized.All(s => s.Id != id)).ToList())
+                _health.Remove(id);
+        }
+
+        _logger.LogInformation(
+            "Upstream sources updated: {Sources}",
+            string.Join(" -> ", normalized.Where(s => s.Enabled).Select(s => s.Id)));
+    }
+
+    /// <summary>
+    ///     Проверяет список источников. Бросает ArgumentException при ошибке.
+    /// </summary>
+    public static List<UpstreamSource> Normalize(List<UpstreamSource>? sources)
+    {
+        if (sources is not {Count: > 0})
+            throw new ArgumentException("At least one upstream source is required");
+
+        var normalized = new List<UpstreamSource>();
+
+        foreach (var source in sources)
+        {
+            var id = source.Id?.Trim().ToLowerInvariant() ?? "";
+            if (!SourceIdRegex().IsMatch(id))
+                throw new ArgumentException($"Invalid source id: '{source.Id}'");
+
+            if (id == ImportSourceId)
+                throw new ArgumentException($"Source id '{ImportSourceId}' is reserved for offline imports");
+
+            if (normalized.Any(s => s.Id == id))
+                throw new ArgumentException($"Duplicate source id: {id}");
+
+            normalized.Add(new UpstreamSource
+            {
+                Id = id,
+                Name = string.IsNullOrWhiteSpace(source.Name) ? id : source.Name.Trim(),
+                BaseUrl = NormalizeUrl(source.BaseUrl, id)!,
+                DownloadUrl = string.IsNullOrWhiteSpace(source.DownloadUrl)
+                    ? null
+                    : NormalizeUrl(source.DownloadUrl, id),
+                Enabled = source.Enabled
+            });
+        }
+
+        if (!normalized.Any(s => s.Enabled))
+            throw new ArgumentException("At least one upstream source must be enabled");
+
+        return normalized;
+    }
+
+    private async Task<bool> ProbeAsync(UpstreamSource source)
+    {
+        var client = _httpClientFactory.CreateClient("MikroTikDiagnostics");
+        var started = Stopwatch.GetTimestamp();
+
+        try
+        {
+            using var request = new HttpRequestMessage(HttpMethod.Head, source.GetUrl("LATEST.6"));
+            using var response = await client.SendAsync(request);
+
+            if (response.IsSuccessStatusCode)
+            {
+                ReportSuccess(source.Id, Stopwatch.GetElapsedTime(started));
+                return true;
+            }
+
+            ReportFailure(source.Id, $"HTTP {(int) response.StatusCode}");
+            _logger.LogWarning(
+                "Upstream {Source} is unhealthy: HTTP {Code}",
+                source.Id,
+                (int) response.StatusCode);
+        }
+        catch (Exception ex) when (ex is HttpRequestException or TaskCanceledException)
+        {
+            // Сетевые ошибки — кратко, без стэктрейса
+            ReportFailure(source.Id, ex.Message);
+            _logger.LogWarning("Upstream {Source} is unreachable: {Message}", source.Id, ex.Message);
+        }
+
+        return false;
+    }
+
+    private List<UpstreamSource> LoadSources()
+    {
+        try
+        {
+            if (File.Exists(_configPath))
+            {
+                var sources = JsonSerializer.Deserialize<List<UpstreamSource>>(File.ReadAllText(_configPath));
+                return Normalize(sources);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load {Path}, using official upstream", _configPath);
+        }
+
+        return CreateDefaultSources();
+    }
+
+    // Вызывается только под _lock
+    private UpstreamHealth GetHealthLocked(string sourceId)
+    {
+        if (!_health.TryGetValue(sourceId, out var health))
+        {
+            health = new UpstreamHealth {SourceId = sourceId};
+            _health[sourceId] = health;
+        }
+
+        return health;
+    }
+
+    // Вызывается только под _lock
+    private bool IsCoolingDownLocked(string sourceId)
+    {
+        return _health.TryGetValue(sourceId, out var health) &&
+               health.ConsecutiveFailures >= FailureThreshold &&
+               DateTime.UtcNow - health.LastFailureUtc < Cooldown;
+    }
+
+    private static string? NormalizeUrl(string? url, string id)
+    {
+        if (!Uri.TryCreate(url?.Trim(), UriKind.Absolute, out var uri) ||
+            (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            throw new ArgumentException($"Source {id}: URL must be an absolute http(s) URL");
+
+        return uri.ToString().TrimEnd('/');
+    }
+
+    private static UpstreamSource Clone(UpstreamSource source)
+    {
+        return new UpstreamSource
+        {
+            Id = source.Id,
+            Name = source.Name,
+            BaseUrl = source.BaseUrl,
+            DownloadUrl = source.DownloadUrl,
+            Enabled = source.Enabled
+        };
+    }
+
+    private static UpstreamHealth CloneHealth(UpstreamHealth health)
+    {
+        return new UpstreamHealth
+        {
+            SourceId = health.SourceId,
+            Status = health.Status,
+            ConsecutiveFailures = health.ConsecutiveFailures,
+            LatencyMs = health.LatencyMs,
+            LastError = health.LastError,
+            LastSuccessUtc = health.LastSuccessUtc,
+            LastFailureUtc = health.LastFailureUtc
+        };
+    }
+
+    [GeneratedRegex("^[a-z0-9][a-z0-9_-]{0,31}$")]
+    private static partial Regex SourceIdRegex();
+}
@@ -0,0 +1,154 @@
+﻿using System.Threading.Channels;
+using MikroTik.UpdateServer.Models;
+
+namespace MikroTik.UpdateServer.Services;
+
+/// <summary>
+///     Очередь фоновых загрузок версий (Fetch version в UI).
+///     Задачи выполняются по одной и не пересекаются с проверкой обновлений.
+/// </summary>
+public class VersionFetchService(
+    MikroTikUpdateService updateService,
+    ILogger<VersionFetchService> logger)
+    : BackgroundService
+{
+    private const int MaxJobsHistory = 50;
+
+    private readonly List<FetchJob> _jobs = [];
+    private readonly Lock _lock = new();
+    private readonly Channel<FetchJob> _queue = Channel.CreateUnbounded<FetchJob>();
+
+    public IReadOnlyList<FetchJob> GetJobs()
+    {
+        lock (_lock)
+        {
+            return _jobs
+                .OrderByDescending(j => j.CreatedUtc)
+                .Select(Clone)
+                .ToList();
+        }
+    }
+
+    public FetchJob? GetJob(string id)
+    {
+        lock (_lock)
+        {
+            var job = _jobs.FirstOrDefault(j => j.Id == id);
+            return job is null ? null : Clone(job);
+        }
+    }
+
+    /// <summary>
+    ///     Ставит версию в очередь. Если она уже в очереди или качается — возвращает существующую задачу.
+    /// </summary>
+    public FetchJob Enqueue(string version)
+    {
+        FetchJob job;
+
+        lock (_lock)
+        {
+            var existing = _jobs.FirstOrDefault(j =>
+                j.IsActive && j.Version.Equals(version, StringComparison.OrdinalIgnoreCase));
+            if (existing is not null)
+                return Clone(existing);
+
+            job = new FetchJob {Version = version};
+            _jobs.Add(job);
+
+            // Старые завершённые задачи не копим
+            var finished = _jobs.Where(j => !j.IsActive).OrderBy(j => j.CreatedUtc).ToList();
+            foreach (var old in finished.Take(Math.Max(0, _jobs.Count - MaxJobsHistory)))
+                _jobs.Remove(old);
+        }
+
+        _queue.Writer.TryWrite(job);
+        logger.LogInformation("Fetch job {JobId} queued for version {Version}", job.Id, version);
+
+        return Clone(job);
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        try
+        {
+            await foreach (var job in _queue.Reader.ReadAllAsync(stoppingToken))
+                await RunJobAsync(job, stoppingToken);
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+            logger.LogInformation("Version fetch service cancelled");
+        }
+    }
+
+    private async Task RunJobAsync(FetchJob job, CancellationToken stoppingToken)
+    {
+        Update(job, j =>
+        {
+            j.Status = "waiting";
+            j.StartedUtc = DateTime.UtcNow;
+        });
+
+        try
+        {
+            var (downloaded, complete) = await updateService.FetchVersionAsync(
+                job.Version,
+                () => Update(job, j => j.Status = "running"),
+                stoppingToken);
+
+            Update(job, j =>
+            {
+                j.Downloaded = downloaded;
+                j.Status = complete ? "completed" : "failed";
+                j.Error = complete ? null : "Some files could not be downloaded";
+                j.FinishedUtc = DateTime.UtcNow;
+            });
+
+            logger.LogInformation(
+                "Fetch job {JobId} for version {Version} finished: {Status}, downloaded {Count} files",
+                job.Id, job.Version, complete ? "completed" : "incomplete", downloaded);
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+            Update(job, j =>
+            {
+                j.Status = "failed";
+                j.Error = "Server is shutting down";
+                j.FinishedUtc = DateTime.UtcNow;
+            });
+            throw;
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Fetch job {JobId} for version {Version} failed", job.Id, job.Version);
+            Update(job, j =>
+            {
+                j.Status = "failed";
+                j.Error = ex.Message;
+                j.FinishedUtc = DateTime.UtcNow;
+            });
+        }
+    }
+
+    private void Update(FetchJob job, Action<FetchJob> update)
+    {
+        lock (_lock)
+        {
+            update(job);
+        }
+    }
+
+    private static FetchJob Clone(FetchJob job)
+    {
+        return new FetchJob
+        {
+            Id = job.Id,
+            Version = job.Version,
+            Status = job.Status,
+            Downloaded = job.Downloaded,
+            Error = job.Error,
+            CreatedUtc = job.CreatedUtc,
+            StartedUtc = job.StartedUtc,
+            FinishedUtc = job.FinishedUtc
+        };
+    }
+}
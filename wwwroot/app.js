@@ -17,20 +17,181 @@ const timers = {
 // Auto-refresh intervals
 let autoRefreshInterval = null;
 
+// Signed-in user (null until /api/auth/me confirms the session)
+let currentUser = null;
+
 /**
  * Initialize application on DOM ready
  */
-document.addEventListener("DOMContentLoaded", () => {
-  loadDashboard();
-  loadVersions();
-  startPeriodicUpdates();
-
+document.addEventListener("DOMContentLoaded", async () => {
   const scheduleForm = document.getElementById("schedule-form");
   if (scheduleForm) {
     scheduleForm.addEventListener("submit", saveSchedule);
   }
+
+  const loginForm = document.getElementById("login-form");
+  if (loginForm) {
+    loginForm.addEventListener("submit", submitLogin);
+  }
+
+  initImportDropzone();
+
+  if (await checkAuth()) {
+    startApp();
+  }
 });
 
+/**
+ * Start data loading and polling. Called on page load and again after
+ * re-login, when the expired session had stopped everything.
+ */
+function startApp() {
+  loadDashboard();
+  loadVersions();
+  initUpdateProgress();
+  startPeriodicUpdates();
+
+  const activeTab = document.querySelector(".tab-pane.active");
+  if (activeTab && activeTab.id !== "dashboard") {
+    handleTabSwitch(activeTab.id);
+  }
+}
+
+/**
+ * ============================================================================
+ * AUTHENTICATION
+ * ============================================================================
+ */
+
+/**
+ * fetch() for the management API: always sends the session cookie and
+ * brings up the login screen when the server answers 401.
+ */
+async function apiFetch(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "same-origin",
+    ...options,
+  });
+
+  if (response.status === 401 && !String(url).startsWith(`${API_BASE}/auth/`)) {
+    showLoginScreen("Your session has expired. Please sign in again.");
+  }
+
+  return response;
+}
+
+async function checkAuth() {
+  try {
+    const response = await apiFetch(`${API_BASE}/auth/me`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+    configureLoginForm(data);
+
+    if (!data.authenticated) {
+      showLoginScreen();
+      return false;
+    }
+
+    setCurrentUser(data);
+    return true;
+  } catch (error) {
+    console.error("Failed to check authentication:", error);
+    showLoginScreen("Server is unavailable. Try again later.");
+    return false;
+  }
+}
+
+// Show only the sign-in methods the server has configured
+function configureLoginForm(info) {
+  const passwordFields = document.getElementById("login-password-fields");
+  const apiKeyField = document.getElementById("login-apikey-field");
+
+  if (passwordFields) passwordFields.hidden = !info.passwordLogin;
+  if (apiKeyField) apiKeyField.hidden = !info.apiKeyLogin;
+}
+
+function setCurrentUser(user) {
+  currentUser = user;
+
+  const userLabel = document.getElementById("current-user");
+  const logoutButton = document.getElementById("logout-button");
+
+  if (userLabel) {
+    userLabel.textContent = user.authEnabled ? `👤 ${user.username}` : "";
+  }
+  if (logoutButton) logoutButton.hidden = !user.authEnabled;
+}
+
+function showLoginScreen(message = "") {
+  const screen = document.getElementById("login-screen");
+  if (!screen || !screen.hidden) return;
+
+  // Nothing works without a session, so stop polling until sign-in
+  stopPeriodicUpdates();
+  if (progressSource) {
+    progressSource.close();
+    progressSource = null;
+  }
+
+  document.getElementById("login-error").textContent = message;
+  screen.hidden = false;
+
+  const firstInput = screen.querySelector(".form-group:not([hidden]) input");
+  if (firstInput) firstInput.focus();
+}
+
+async function submitLogin(event) {
+  event.preventDefault();
+
+  const errorEl = document.getElementById("login-error");
+  const submitButton = event.target.querySelector("button[type=submit]");
+
+  const body = {
+    username: document.getElementById("login-username").value.trim(),
+    password: document.getElementById("login-password").value,
+    apiKey: document.getElementById("login-apikey").value.trim(),
+  };
+
+  submitButton.disabled = true;
+  errorEl.textContent = "";
+
+  try {
+    const response = await apiFetch(`${API_BASE}/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      errorEl.textContent = data.message || `HTTP ${response.status}`;
+      return;
+    }
+
+    event.target.reset();
+    document.getElementById("login-screen").hidden = true;
+    setCurrentUser({ ...data, authEnabled: true });
+    startApp();
+  } catch (error) {
+    console.error("Login failed:", error);
+    errorEl.textContent = "Server is unavailable. Try again later.";
+  } finally {
+    submitButton.disabled = false;
+  }
+}
+
+async function logout() {
+  try {
+    await apiFetch(`${API_BASE}/auth/logout`, { method: "POST" });
+  } catch (error) {
+    console.error("Logout failed:", error);
+  }
+
+  currentUser = null;
+  showLoginScreen();
+}
+
 /**
  * ============================================================================
  * DASHBOARD & STATUS
@@ -39,7 +200,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
 async function loadDashboard() {
   try {
-    const response = await fetch(`${API_BASE}/status`);
+    const response = await apiFetch(`${API_BASE}/status`);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
     const data = await response.json();
@@ -91,21 +252,40 @@ function setOfflineStatus() {
  * ============================================================================
  */
 
+let versionsIntegrity = {};
+let versionsPins = {};
+let versionsStorage = {};
+let versionsData = null;
+let versionsSort = { key: "version", desc: true };
+
+const STORAGE_COLORS = [
+  "#ff6b00",
+  "#1976d2",
+  "#388e3c",
+  "#7b1fa2",
+  "#fbc02d",
+  "#00838f",
+  "#c2185b",
+  "#5d4037",
+  "#455a64",
+  "#afb42b",
+];
+
 async function loadVersions() {
   try {
-    const response = await fetch(`${API_BASE}/versions`);
+    const response = await apiFetch(`${API_BASE}/versions`);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
     const data = await response.json();
+    versionsIntegrity = data.integrity || {};
+    versionsPins = data.pins || {};
+    versionsStorage = data.storage || {};
+    versionsData = data;
     updateVersionBadges(data);
-    updateVersionTable("v6", data.v6.versions, data.v6.active);
-    updateVersionTable(
-      "v7",
-      data.v7.versions,
-      data.v7.activeFixed,
-      data.v7.activeLatest
-    );
+    renderVersionTables();
+    renderStorageBreakdown(data);
     populateVersionSelect();
+    loadArchCoverage();
   } catch (error) {
     console.error("Error loading versions:", error);
   }
@@ -125,13 +305,65 @@ function updateVersionBadges(data) {
   document.getElementById("v6-active").textContent = v6Active;
   document.getElementById("v7-fixed").textContent = v7Fixed;
   document.getElementById("v7-latest").textContent = v7Latest;
+
+  // Track already changed, but the version is not cached yet
+  const fixedTrack = data.v7.fixedTrack;
+  document.getElementById("v7-fixed-track").textContent =
+    fixedTrack && fixedTrack !== v7Fixed
+      ? `→ ${fixedTrack} (pending download)`
+      : "";
+}
+
+function sortVersions(key) {
+  if (versionsSort.key === key) {
+    versionsSort.desc = !versionsSort.desc;
+  } else {
+    versionsSort = { key, desc: true };
+  }
+  renderVersionTables();
+}
+
+function renderVersionTables() {
+  if (!versionsData) return;
+
+  const { v6, v7 } = versionsData;
+  updateVersionTable("v6", v6.versions, v6.active);
+  updateVersionTable("v7", v7.versions, v7.activeFixed, v7.activeLatest);
+
+  document.querySelectorAll(".versions-table th[data-sort]").forEach((th) => {
+    th.classList.toggle("sorted", th.dataset.sort === versionsSort.key);
+    th.classList.toggle(
+      "desc",
+      th.dataset.sort === versionsSort.key && versionsSort.desc
+    );
+  });
 }
 
 function updateVersionTable(branch, versions, ...active) {
   const tbody = document.getElementById(`${branch}-list`);
   tbody.innerHTML = "";
 
-  versions.forEach((version) => {
+  // The server returns versions newest first
+  const { key, desc } = versionsSort;
+  const ordered = versions.slice();
+  if (key === "version") {
+    if (!desc) ordered.reverse();
+  } else {
+    ordered.sort((a, b) => {
+      const left = versionsStorage[a]?.[key] ?? "";
+      const right = versionsStorage[b]?.[key] ?? "";
+      const result = left < right ? -1 : left > right ? 1 : 0;
+      return desc ? -result : result;
+    });
+  }
+
+  // Pinned versions always go first
+  const sorted = [
+    ...ordered.filter((v) => isPinned(v)),
+    ...ordered.filter((v) => !isPinned(v)),
+  ];
+
+  sorted.forEach((version) => {
     const cleanVersion = version.replace(/[^\d.-]/g, "").trim();
     const cleanActive = active.map((a) =>
       a ? a.replace(/[^\d.-]/g, "").trim() : a
@@ -143,12 +375,268 @@ function updateVersionTable(branch, versions, ...active) {
       row.innerHTML = renderV6Row(version, isActive);
     } else {
       row.innerHTML = renderV7Row(version, isActive, cleanActive);
+      row
+        .querySelectorAll("button[data-packages-version]")
+        .forEach((btn) =>
+          btn.addEventListener("click", () =>
+            showPackages(btn.dataset.packagesVersion)
+          )
+        );
     }
 
     tbody.appendChild(row);
   });
 }
 
+function isPinned(version) {
+  return Object.hasOwn(versionsPins, version.replace(/[^\d.-]/g, "").trim());
+}
+
+function renderPinNote(version) {
+  const pin = versionsPins[version];
+  if (!pin) return "";
+
+  return `<div class="badge-note" title="Pinned ${formatDateTime(
+    pin.pinnedUtc
+  )}">📌 ${escapeHtml(pin.note || "Pinned")}</div>`;
+}
+
+function renderPinButton(version) {
+  return isPinned(version)
+    ? `<button class="btn-set" onclick="unpinVersion('${version}')">Unpin</button>`
+    : `<button class="btn-set" onclick="pinVersion('${version}')" title="Keep this version at the top and out of cleanup">Pin</button>`;
+}
+
+function renderStorageCells(version) {
+  const storage = versionsStorage[version];
+  if (!storage) return "<td>-</td><td>-</td>";
+
+  const arches = Object.entries(storage.arches)
+    .sort((a, b) => b[1] - a[1])
+    .map(([arch, size]) => `${arch}: ${formatBytes(size)}`)
+    .join("\n");
+  const title = escapeHtml(`${storage.files} files\n${arches}`);
+
+  return `
+    <td title="${title}">${formatBytes(storage.sizeBytes)}</td>
+    <td title="Modified ${formatDateTime(
+      storage.modifiedUtc
+    )}">${formatDateTime(storage.downloadedUtc)}</td>
+  `;
+}
+
+function renderStorageBreakdown(data) {
+  const container = document.getElementById("storage-breakdown");
+  const branches = { v6: data.v6.versions, v7: data.v7.versions };
+
+  const totals = {};
+  Object.entries(branches).forEach(([branch, versions]) => {
+    totals[branch] = {};
+    versions.forEach((version) =>
+      Object.entries(versionsStorage[version]?.arches || {}).forEach(
+        ([arch, size]) => {
+          totals[branch][arch] = (totals[branch][arch] || 0) + size;
+        }
+      )
+    );
+  });
+
+  // Same arch — same colour in both branches
+  const allArches = [
+    ...new Set(Object.values(totals).flatMap((t) => Object.keys(t))),
+  ].sort();
+  const colorOf = (arch) =>
+    STORAGE_COLORS[allArches.indexOf(arch) % STORAGE_COLORS.length];
+
+  container.innerHTML = Object.entries(totals)
+    .map(([branch, arches]) => {
+      const entries = Object.entries(arches).sort((a, b) => b[1] - a[1]);
+      const total = entries.reduce((sum, [, size]) => sum + size, 0);
+      const count = branches[branch].length;
+
+      const segments = entries
+        .map(
+          ([arch, size]) =>
+            `<div class="storage-segment" style="width: ${
+              (size / total) * 100
+            }%; background: ${colorOf(arch)}" title="${escapeHtml(
+              `${arch}: ${formatBytes(size)}`
+            )}"></div>`
+        )
+        .join("");
+      const legend = entries
+        .map(
+          ([arch, size]) =>
+            `<span><span class="storage-swatch" style="background: ${colorOf(
+              arch
+            )}"></span>${escapeHtml(arch)} ${formatBytes(size)}</span>`
+        )
+        .join("");
+
+      return `
+        <div class="storage-branch">
+          <div class="storage-branch-title">
+            <strong>${branch}</strong>
+            <span>${count} versions · ${formatBytes(total)}</span>
+          </div>
+          <div class="storage-bar">${segments}</div>
+          <div class="storage-legend">${legend}</div>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+const COVERAGE_STATES = {
+  present: { badge: "active", label: "✓" },
+  missing: { badge: "error", label: "missing" },
+  empty: { badge: "warning", label: "empty" },
+  corrupt: { badge: "error", label: "corrupt" },
+  unavailable: { badge: "inactive", label: "n/a" },
+};
+
+async function loadArchCoverage() {
+  const container = document.getElementById("arch-coverage");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/versions/coverage`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    renderArchCoverage(await resp.json());
+  } catch (error) {
+    console.error("Error loading architecture coverage:", error);
+    container.innerHTML = `<p class="progress-file-error">${escapeHtml(
+      error.message
+    )}</p>`;
+  }
+}
+
+function renderArchCoverage(coverage) {
+  const container = document.getElementById("arch-coverage");
+  const summary = document.getElementById("arch-coverage-summary");
+
+  summary.textContent =
+    coverage.missingCells > 0
+      ? `${coverage.missingCells} version/arch cells miss files`
+      : "All selected architectures are complete";
+  summary.className = `config-status ${
+    coverage.missingCells > 0 ? "error" : "success"
+  }`;
+
+  if (coverage.versions.length === 0) {
+    container.innerHTML = '<p style="color: #999;">No cached versions</p>';
+    return;
+  }
+
+  // Columns of arches that are not selected are shown for reference only
+  const allowed = new Set(coverage.allowedArches);
+  const header = coverage.arches
+    .map(
+      (arch) =>
+        `<th class="${allowed.has(arch) ? "" : "coverage-off"}" title="${
+          allowed.has(arch) ? "Selected" : "Not selected, not downloaded"
+        }">${escapeHtml(arch)}</th>`
+    )
+    .join("");
+
+  const rows = coverage.versions
+    .map(
+      (row) => `
+    <tr>
+      <td>
+        <strong>${escapeHtml(row.version)}</strong>
+        <span class="status-badge inactive">${escapeHtml(row.branch)}</span>
+      </td>
+      ${coverage.arches
+        .map((arch) => renderCoverageCell(row.cells[arch], allowed.has(arch)))
+        .join("")}
+    </tr>
+  `
+    )
+    .join("");
+
+  container.innerHTML = `
+    <table class="versions-table coverage-table">
+      <thead>
+        <tr><th>Version</th>${header}</tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderCoverageCell(cell, allowed) {
+  const state = COVERAGE_STATES[cell.state] || COVERAGE_STATES.missing;
+  const details =
+    cell.state === "present"
+      ? `${cell.files.join("\n")}\n${formatBytes(cell.sizeBytes)}`
+      : cell.state === "unavailable"
+      ? "Not published upstream for this architecture"
+      : cell.missing.join("\n");
+
+  return `<td class="${allowed ? "" : "coverage-off"}" title="${escapeHtml(
+    details
+  )}"><span class="status-badge ${state.badge}">${state.label}</span></td>`;
+}
+
+async function repairArchCoverage(event) {
+  const btn = event.target;
+  btn.disabled = true;
+  btn.textContent = "Repairing...";
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/versions/coverage/repair`, {
+      method: "POST",
+    });
+
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || `HTTP ${resp.status}`);
+
+    const problems = [
+      data.failed > 0 ? `${data.failed} failed` : "",
+      data.remainingCells > 0
+        ? `${data.remainingCells} cells still miss files`
+        : "",
+    ].filter(Boolean);
+
+    showToast(
+      `Downloaded ${data.downloaded} files${
+        problems.length ? `, ${problems.join(", ")}` : ""
+      }`,
+      problems.length ? "warning" : "success"
+    );
+    await loadVersions();
+  } catch (error) {
+    console.error("Repair error:", error);
+    showToast(`Repair failed: ${error.message}`, "error");
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "🛠️ Fill missing";
+  }
+}
+
+function renderIntegrityBadge(version) {
+  const integrity = versionsIntegrity[version];
+  if (!integrity) return "-";
+
+  const checked = integrity.verifiedUtc
+    ? `Checked ${formatDateTime(integrity.verifiedUtc)}`
+    : "Never verified";
+
+  const sources = integrity.sources?.length
+    ? ` · from ${integrity.sources.join(", ")}`
+    : "";
+  const title = escapeHtml(checked + sources);
+
+  if (integrity.status === "ok") {
+    return `<span class="status-badge active" title="${title}">✓ ${integrity.ok} ok</span>`;
+  }
+  if (integrity.status === "failed") {
+    return `<span class="status-badge error" title="${title}">✗ ${integrity.failed} failed</span>`;
+  }
+  return `<span class="status-badge warning" title="${title}">? ${integrity.unverified} unverified</span>`;
+}
+
 function renderV6Row(version, isActive) {
   const cleanVersion = version.replace(/[^\d.-]/g, "").trim();
   const statusBadge = `<span class="status-badge ${
@@ -157,17 +645,26 @@ function renderV6Row(version, isActive) {
     ${isActive ? "✓" : "✗"}
   </span>`;
 
-  const deleteBtn = !isActive
-    ? `<button class="btn-delete" onclick="removeVersion('${cleanVersion}')">Delete</button>`
-    : "";
+  const deleteBtn =
+    !isActive && !isPinned(cleanVersion)
+      ? `<button class="btn-delete" onclick="removeVersion('${cleanVersion}')">Delete</button>`
+      : "";
 
   return `
     <td title="${version}" style="cursor: pointer;" onclick="copyVersionToClipboard('${cleanVersion}')">
       <strong data-version="${cleanVersion}">📋 ${version}</strong>
+      ${renderPinNote(cleanVersion)}
     </td>
     <td>${statusBadge}</td>
+    ${renderStorageCells(version)}
+    <td>${renderIntegrityBadge(cleanVersion)}</td>
     <td>
       <button class="btn-set" onclick="setVersion('${cleanVersion}')">Set</button>
+      <button class="btn-set" onclick="verifyVersion('${cleanVersion}', event)">Verify</button>
+      <a class="btn-set" href="${API_BASE}/versions/${encodeURIComponent(
+    cleanVersion
+  )}/bundle" download title="Download a portable bundle for offline import">Bundle</a>
+      ${renderPinButton(cleanVersion)}
       ${deleteBtn}
     </td>
   `;
@@ -185,29 +682,49 @@ function renderV7Row(version, isActive, active) {
     ${isActive ? "✓" : "✗"}
   </span>`;
 
-  const deleteBtn = !isActive
-    ? `<button class="btn-delete" onclick="removeVersion('${cleanVersion}')">Delete</button>`
+  const deleteBtn =
+    !isActive && !isPinned(cleanVersion)
+      ? `<button class="btn-delete" onclick="removeVersion('${cleanVersion}')">Delete</button>`
+      : "";
+  const fixedBtn = !isFixed
+    ? `<button class="btn-set" onclick="setVersion('${cleanVersion}', 'fixed')">Set Fixed</button>`
+    : "";
+  const latestBtn = !isLatest
+    ? `<button class="btn-set" onclick="setVersion('${cleanVersion}', 'latest')">Set Latest</button>`
     : "";
 
   return `
     <td title="${version}" style="cursor: pointer;" onclick="copyVersionToClipboard('${cleanVersion}')">
       <strong data-version="${cleanVersion}">${version}</strong>
+      ${renderPinNote(cleanVersion)}
     </td>
     <td>${type}</td>
     <td>${statusBadge}</td>
+    ${renderStorageCells(version)}
+    <td>${renderIntegrityBadge(cleanVersion)}</td>
     <td>
-      <button class="btn-set" onclick="setVersion('${cleanVersion}')">Set</button>
+      ${fixedBtn}
+      ${latestBtn}
+      <button class="btn-set" onclick="verifyVersion('${cleanVersion}', event)">Verify</button>
+      <button class="btn-set" data-packages-version="${cleanVersion}" title="Packages listed in packages.csv">Packages</button>
+      <a class="btn-set" href="${API_BASE}/versions/${encodeURIComponent(
+    cleanVersion
+  )}/bundle" download title="Download a portable bundle for offline import">Bundle</a>
+      ${renderPinButton(cleanVersion)}
       ${deleteBtn}
     </td>
   `;
 }
 
-async function setVersion(version) {
+async function setVersion(version, track = "") {
   const cleanVersion = version.replace(/[^\d.-]/g, "").trim();
+  const query = track ? `?track=${encodeURIComponent(track)}` : "";
 
   try {
-    const response = await fetch(
-      `${API_BASE}/set-active-version/${encodeURIComponent(cleanVersion)}`,
+    const response = await apiFetch(
+      `${API_BASE}/set-active-version/${encodeURIComponent(
+        cleanVersion
+      )}${query}`,
       {
         method: "POST",
       }
@@ -219,21 +736,125 @@ async function setVersion(version) {
       return;
     }
 
-    showToast(`Version ${cleanVersion} set as active`, "success");
+    showToast(
+      `Version ${cleanVersion} set as active${track ? ` (${track})` : ""}`,
+      "success"
+    );
     await loadVersions();
+    if (track === "fixed") loadV7FixedCandidates();
   } catch (error) {
     console.error("Set version error:", error);
     showToast(`Error: ${error.message}`, "error");
   }
 }
 
+async function verifyVersion(version, event) {
+  const btn = event?.target;
+  if (btn) {
+    btn.disabled = true;
+    btn.textContent = "Verifying...";
+  }
+
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/versions/${encodeURIComponent(version)}/verify`,
+      {
+        method: "POST",
+      }
+    );
+
+    const data = await response.json();
+    if (!response.ok) {
+      showToast(`Error: ${data.message || data.code || data.detail}`, "error");
+      return;
+    }
+
+    if (data.failed > 0) {
+      const failed = data.files
+        .filter((f) => f.status === "failed")
+        .map((f) => `${f.fileName}: ${f.error}`)
+        .join("; ");
+      showToast(
+        `${version}: ${data.failed} file(s) failed — ${failed}`,
+        "error"
+      );
+    } else {
+      showToast(`${version}: all ${data.ok} file(s) verified`, "success");
+    }
+
+    await loadVersions();
+  } catch (error) {
+    console.error("Verify version error:", error);
+    showToast(`Error: ${error.message}`, "error");
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = "Verify";
+    }
+  }
+}
+
+async function pinVersion(version) {
+  const note = prompt(
+    `Note for pinned version ${version} (optional):`,
+    versionsPins[version]?.note || ""
+  );
+  if (note === null) return;
+
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/versions/${encodeURIComponent(version)}/pin`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ note }),
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      showToast(`Error: ${error.message || error.code}`, "error");
+      return;
+    }
+
+    showToast(`Version ${version} pinned`, "success");
+    await loadVersions();
+  } catch (error) {
+    console.error("Pin version error:", error);
+    showToast(`Error: ${error.message}`, "error");
+  }
+}
+
+async function unpinVersion(version) {
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/versions/${encodeURIComponent(version)}/pin`,
+      {
+        method: "DELETE",
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      showToast(`Error: ${error.message || error.code}`, "error");
+      return;
+    }
+
+    showToast(`Version ${version} unpinned`, "success");
+    await loadVersions();
+  } catch (error) {
+    console.error("Unpin version error:", error);
+    showToast(`Error: ${error.message}`, "error");
+  }
+}
+
 async function removeVersion(version) {
   const cleanVersion = version.replace(/[^\d.-]/g, "").trim();
 
   if (!confirm(`Delete version ${cleanVersion}?`)) return;
 
   try {
-    const response = await fetch(
+    const response = await apiFetch(
       `${API_BASE}/remove-version/${encodeURIComponent(cleanVersion)}`,
       {
         method: "DELETE",
@@ -254,22 +875,274 @@ async function removeVersion(version) {
   }
 }
 
-async function checkUpdates(event) {
-  const btn = event.target;
-  const originalText = btn.textContent;
-  btn.disabled = true;
-  btn.textContent = "⟳ Checking...";
+async function loadV7FixedCandidates() {
+  const select = document.getElementById("v7-fixed-select");
 
   try {
-    const response = await fetch(`${API_BASE}/update-check`, {
-      method: "POST",
-    });
+    const response = await apiFetch(`${API_BASE}/settings/v7-fixed`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-    handleCheckUpdatesResponse(response);
+    const data = await response.json();
+    const upstream = data.upstream.filter(
+      (u) => !data.cached.includes(u.version)
+    );
 
-    if (response.ok) {
-      const result = await response.json();
-      showToast(
+    const option = (value, label) =>
+      `<option value="${escapeHtml(value)}" ${
+        value === data.current ? "selected" : ""
+      }>${escapeHtml(label)}</option>`;
+
+    let html = "";
+    if (
+      !data.cached.includes(data.current) &&
+      !upstream.some((u) => u.version === data.current)
+    ) {
+      html += option(data.current, `${data.current} (current)`);
+    }
+    if (data.cached.length > 0) {
+      html += `<optgroup label="Cached">${data.cached
+        .map((v) => option(v, v))
+        .join("")}</optgroup>`;
+    }
+    if (upstream.length > 0) {
+      html += `<optgroup label="Upstream">${upstream
+        .map((u) => option(u.version, `${u.version} (${u.channel})`))
+        .join("")}</optgroup>`;
+    }
+
+    select.innerHTML = html;
+  } catch (error) {
+    console.error("Error loading fixed v7 candidates:", error);
+    select.innerHTML = `<option value="">Error loading versions</option>`;
+  }
+}
+
+async function saveV7FixedTrack() {
+  const version = document.getElementById("v7-fixed-select").value;
+  if (!version) return;
+
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/settings/v7-fixed/${encodeURIComponent(version)}`,
+      {
+        method: "POST",
+      }
+    );
+
+    const data = await response.json();
+    if (!response.ok) {
+      showToast(`Error: ${data.message || data.code}`, "error");
+      return;
+    }
+
+    showToast(`Fixed v7 track set to ${version}`, "success");
+    await loadVersions();
+  } catch (error) {
+    console.error("Save fixed v7 track error:", error);
+    showToast(`Error: ${error.message}`, "error");
+  }
+}
+
+let fetchJobsTimer = null;
+
+async function fetchVersion() {
+  const input = document.getElementById("fetch-version-input");
+  const version = input.value.trim();
+  if (!version) return;
+
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/versions/${encodeURIComponent(version)}/fetch`,
+      {
+        method: "POST",
+      }
+    );
+
+    const data = await response.json();
+    if (!response.ok) {
+      showToast(`Error: ${data.message || data.code}`, "error");
+      return;
+    }
+
+    input.value = "";
+    showToast(`Fetching ${data.version} in background`, "info");
+    await loadFetchJobs();
+  } catch (error) {
+    console.error("Fetch version error:", error);
+    showToast(`Error: ${error.message}`, "error");
+  }
+}
+
+async function loadFetchJobs() {
+  clearTimeout(fetchJobsTimer);
+
+  try {
+    const response = await apiFetch(`${API_BASE}/versions/fetch-jobs`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const jobs = await response.json();
+    const container = document.getElementById("fetch-jobs");
+    const wasActive = container.dataset.active === "true";
+    const isActive = jobs.some((j) => j.isActive);
+
+    container.dataset.active = isActive;
+    container.innerHTML = jobs.slice(0, 5).map(renderFetchJob).join("");
+
+    // A job just finished — the new version is now on disk
+    if (wasActive && !isActive) loadVersions();
+    if (isActive) fetchJobsTimer = setTimeout(loadFetchJobs, 3000);
+  } catch (error) {
+    console.error("Error loading fetch jobs:", error);
+  }
+}
+
+function renderFetchJob(job) {
+  const badge =
+    job.status === "completed"
+      ? "active"
+      : job.status === "failed"
+      ? "error"
+      : "warning";
+  const time = formatDateTime(
+    job.finishedUtc || job.startedUtc || job.createdUtc
+  );
+
+  return `
+    <div class="fetch-job">
+      <strong>${escapeHtml(job.version)}</strong>
+      <span class="status-badge ${badge}">${escapeHtml(job.status)}</span>
+      <span>${job.downloaded} files</span>
+      <span class="fetch-job-time">${time}</span>
+      ${
+        job.error
+          ? `<span class="progress-file-error">${escapeHtml(job.error)}</span>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+/**
+ * ============================================================================
+ * OFFLINE IMPORT
+ * ============================================================================
+ */
+
+function initImportDropzone() {
+  const zone = document.getElementById("import-dropzone");
+  const input = document.getElementById("import-files");
+  if (!zone || !input) return;
+
+  ["dragenter", "dragover"].forEach((type) =>
+    zone.addEventListener(type, (event) => {
+      event.preventDefault();
+      zone.classList.add("dragover");
+    })
+  );
+
+  ["dragleave", "drop"].forEach((type) =>
+    zone.addEventListener(type, (event) => {
+      event.preventDefault();
+      zone.classList.remove("dragover");
+    })
+  );
+
+  zone.addEventListener("drop", (event) =>
+    importFiles(event.dataTransfer.files)
+  );
+
+  input.addEventListener("change", () => {
+    importFiles(input.files);
+    input.value = "";
+  });
+}
+
+async function importFiles(files) {
+  if (!files || files.length === 0) return;
+
+  const zone = document.getElementById("import-dropzone");
+  const version = document.getElementById("import-version").value.trim();
+
+  const form = new FormData();
+  Array.from(files).forEach((file) => form.append("files", file, file.name));
+  if (version) form.append("version", version);
+  if (document.getElementById("import-restore-pointers").checked) {
+    form.append("restorePointers", "true");
+  }
+
+  zone.classList.add("busy");
+  showToast(`Importing ${files.length} file(s)...`, "info");
+
+  try {
+    const response = await apiFetch(`${API_BASE}/versions/import`, {
+      method: "POST",
+      body: form,
+    });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.message || `HTTP ${response.status}`);
+    }
+
+    renderImportResult(data);
+    const pointers = data.restoredPointers.length
+      ? `, restored ${data.restoredPointers.length} pointer file(s)`
+      : "";
+    showToast(
+      `Imported ${data.imported} file(s)${
+        data.versions.length ? ` into ${data.versions.join(", ")}` : ""
+      }${pointers}`,
+      data.failed > 0 ? "warning" : "success"
+    );
+    await loadVersions();
+  } catch (error) {
+    console.error("Import error:", error);
+    showToast(`Import failed: ${error.message}`, "error");
+  } finally {
+    zone.classList.remove("busy");
+  }
+}
+
+function renderImportResult(result) {
+  const badges = { imported: "active", skipped: "warning", failed: "error" };
+
+  document.getElementById("import-results").innerHTML = result.files
+    .map(
+      (file) => `
+    <div class="fetch-job">
+      <strong>${escapeHtml(file.fileName)}</strong>
+      <span class="status-badge ${
+        badges[file.status] || "warning"
+      }">${escapeHtml(file.status)}</span>
+      ${file.version ? `<span>${escapeHtml(file.version)}</span>` : ""}
+      ${file.arch ? `<span>${escapeHtml(file.arch)}</span>` : ""}
+      ${
+        file.error
+          ? `<span class="progress-file-error">${escapeHtml(file.error)}</span>`
+          : ""
+      }
+    </div>
+  `
+    )
+    .join("");
+}
+
+async function checkUpdates(event) {
+  const btn = event.target;
+  const originalText = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = "⟳ Checking...";
+
+  try {
+    const response = await apiFetch(`${API_BASE}/update-check`, {
+      method: "POST",
+    });
+
+    handleCheckUpdatesResponse(response);
+
+    if (response.ok) {
+      const result = await response.json();
+      showToast(
         `Update check completed! Downloaded: ${result.downloaded} files`,
         "success"
       );
@@ -300,9 +1173,6 @@ function handleCheckUpdatesResponse(response) {
 }
 
 function populateVersionSelect() {
-  const select = document.getElementById("version-select");
-  if (!select) return;
-
   const allVersions = new Set();
 
   document
@@ -317,21 +1187,375 @@ function populateVersionSelect() {
       allVersions.add(el.getAttribute("data-version"));
     });
 
-  const currentValue = select.value;
-  select.innerHTML = '<option value="">Select a version...</option>';
+  const sorted = Array.from(allVersions).sort();
+  const ordered = [
+    ...sorted.filter((v) => isPinned(v)),
+    ...sorted.filter((v) => !isPinned(v)),
+  ];
 
-  Array.from(allVersions)
-    .sort()
-    .forEach((version) => {
+  const placeholders = {
+    "version-select": "Select a version...",
+    "compare-from": "From...",
+    "compare-to": "To...",
+  };
+
+  Object.entries(placeholders).forEach(([id, placeholder]) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    const currentValue = select.value;
+    select.innerHTML = `<option value="">${placeholder}</option>`;
+
+    ordered.forEach((version) => {
       const option = document.createElement("option");
       option.value = version;
-      option.textContent = version;
+      option.textContent = isPinned(version) ? `📌 ${version}` : version;
+      option.title = versionsPins[version]?.note || "";
       select.appendChild(option);
     });
 
-  if (currentValue && allVersions.has(currentValue)) {
-    select.value = currentValue;
+    if (currentValue && allVersions.has(currentValue)) {
+      select.value = currentValue;
+    }
+  });
+}
+
+/**
+ * ============================================================================
+ * VERSION RETENTION
+ * ============================================================================
+ */
+
+const RETENTION_FIELDS = ["keep", "days", "quota"];
+const RETENTION_KEYS = {
+  keep: "keepCount",
+  days: "keepNewerThanDays",
+  quota: "maxTotalSizeMb",
+};
+
+async function loadVersionRetention() {
+  const status = document.getElementById("version-retention-status");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/retention`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    const data = await resp.json();
+    ["v6", "v7"].forEach((branch) =>
+      RETENTION_FIELDS.forEach((field) => {
+        document.getElementById(`retention-${branch}-${field}`).value =
+          data[branch][RETENTION_KEYS[field]];
+      })
+    );
+    document.getElementById("retention-protected").value =
+      data.protectedVersions.join(", ");
+
+    status.textContent = "";
+    status.className = "config-status";
+  } catch (error) {
+    console.error("Error loading version retention:", error);
+    status.textContent = `Error loading: ${error.message}`;
+    status.className = "config-status error";
+  }
+}
+
+async function saveVersionRetention() {
+  const status = document.getElementById("version-retention-status");
+
+  const settings = {
+    protectedVersions: document
+      .getElementById("retention-protected")
+      .value.split(/[\s,]+/)
+      .filter((v) => v),
+  };
+  ["v6", "v7"].forEach((branch) => {
+    settings[branch] = {};
+    RETENTION_FIELDS.forEach((field) => {
+      settings[branch][RETENTION_KEYS[field]] =
+        parseInt(
+          document.getElementById(`retention-${branch}-${field}`).value,
+          10
+        ) || 0;
+    });
+  });
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/retention`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(settings),
+    });
+
+    if (!resp.ok) {
+      const err = await resp.json().catch(() => null);
+      throw new Error(err?.message || `HTTP ${resp.status}`);
+    }
+
+    status.textContent = "Saved";
+    status.className = "config-status success";
+    showToast("Version retention saved", "success");
+  } catch (error) {
+    console.error("Error saving version retention:", error);
+    status.textContent = `Error: ${error.message}`;
+    status.className = "config-status error";
+    showToast(`Error saving version retention: ${error.message}`, "error");
+  }
+}
+
+async function previewCleanup() {
+  try {
+    const resp = await apiFetch(`${API_BASE}/versions/cleanup/preview`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    renderCleanupPlan(await resp.json());
+  } catch (error) {
+    console.error("Cleanup preview error:", error);
+    showToast(`Error: ${error.message}`, "error");
+  }
+}
+
+async function runCleanup(event) {
+  if (!confirm("Remove cached versions according to the retention policy?"))
+    return;
+
+  const btn = event.target;
+  btn.disabled = true;
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/versions/cleanup`, {
+      method: "POST",
+    });
+
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || `HTTP ${resp.status}`);
+
+    renderCleanupPlan(data);
+    showToast(
+      `Removed ${data.removeCount} versions, freed ${formatBytes(
+        data.freedBytes
+      )}`,
+      "success"
+    );
+    await loadVersions();
+  } catch (error) {
+    console.error("Cleanup error:", error);
+    showToast(`Cleanup failed: ${error.message}`, "error");
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderCleanupPlan(plan) {
+  const removed = plan.items.filter((item) => item.remove);
+  const summary = plan.dryRun
+    ? `Would remove ${plan.removeCount} versions and free ${formatBytes(
+        plan.freedBytes
+      )}`
+    : `Removed ${plan.removeCount} versions, freed ${formatBytes(
+        plan.freedBytes
+      )}`;
+
+  document.getElementById("cleanup-preview").innerHTML = `
+    <div class="fetch-job"><strong>${summary}</strong></div>
+    ${removed
+      .map(
+        (item) => `
+    <div class="fetch-job">
+      <strong>${escapeHtml(item.version)}</strong>
+      <span class="status-badge warning">${escapeHtml(item.branch)}</span>
+      <span>${formatBytes(item.sizeBytes)}</span>
+      <span>${escapeHtml(item.reason)}</span>
+      <span class="fetch-job-time">${formatDateTime(item.cachedUtc)}</span>
+    </div>
+  `
+      )
+      .join("")}
+    ${plan.warnings
+      .map(
+        (warning) => `
+    <div class="fetch-job">
+      <span class="progress-file-error">${escapeHtml(warning)}</span>
+    </div>
+  `
+      )
+      .join("")}
+  `;
+}
+
+/**
+ * ============================================================================
+ * UPDATE CHECK PROGRESS (SSE)
+ * ============================================================================
+ */
+
+let progressSource = null;
+let lastProgressRunning = false;
+
+const PROGRESS_STAGES = {
+  idle: "Idle",
+  connecting: "Checking connectivity",
+  resolving: "Resolving versions",
+  downloading: "Downloading",
+  finalizing: "Updating pointer files",
+  completed: "Completed",
+};
+
+/**
+ * Subscribe to the server-side progress feed. The server keeps the state of
+ * the current (or last) run, so a reloaded page picks it up immediately,
+ * including runs started by the background scheduler.
+ */
+function initUpdateProgress() {
+  if (!window.EventSource) {
+    loadUpdateProgress();
+    return;
+  }
+
+  if (progressSource) progressSource.close();
+
+  progressSource = new EventSource(`${API_BASE}/update-check/progress/stream`);
+  progressSource.onmessage = (event) => {
+    try {
+      renderUpdateProgress(JSON.parse(event.data));
+    } catch (error) {
+      console.error("Invalid progress message:", error);
+    }
+  };
+  progressSource.onerror = () => {
+    // EventSource reconnects on its own
+    console.warn("Progress stream disconnected, reconnecting...");
+  };
+}
+
+async function loadUpdateProgress() {
+  try {
+    const response = await apiFetch(`${API_BASE}/update-check/progress`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    renderUpdateProgress(await response.json());
+  } catch (error) {
+    console.error("Error loading update progress:", error);
+  }
+}
+
+function renderUpdateProgress(progress) {
+  const container = document.getElementById("update-progress");
+  if (!container) return;
+
+  if (!progress.runId) {
+    container.innerHTML =
+      '<p class="progress-empty">No update check has run since the server started.</p>';
+    return;
+  }
+
+  const files = progress.files || [];
+  const finished =
+    progress.filesCompleted + progress.filesSkipped + progress.filesFailed;
+  const percent =
+    progress.filesTotal > 0
+      ? Math.round((finished / progress.filesTotal) * 100)
+      : progress.isRunning
+      ? 0
+      : 100;
+
+  const stageText = progress.isRunning
+    ? PROGRESS_STAGES[progress.stage] || progress.stage
+    : `Finished: ${progress.status || "unknown"}`;
+
+  const versionText = progress.currentVersion
+    ? ` · ${escapeHtml(progress.currentVersion)}`
+    : "";
+
+  const timeText = progress.isRunning
+    ? `Started ${formatDateTime(progress.startedUtc)}`
+    : `Finished ${formatDateTime(progress.finishedUtc)}`;
+
+  const statusClass = progress.isRunning
+    ? "running"
+    : progress.status === "success"
+    ? "success"
+    : "failed";
+
+  const order = {
+    downloading: 0,
+    failed: 1,
+    pending: 2,
+    completed: 3,
+    skipped: 4,
+  };
+  const rows = files
+    .slice()
+    .sort((a, b) => (order[a.status] ?? 9) - (order[b.status] ?? 9))
+    .map(renderProgressFile)
+    .join("");
+
+  container.innerHTML = `
+    <div class="progress-summary ${statusClass}">
+      <span class="progress-stage">${escapeHtml(stageText)}${versionText}</span>
+      <span class="progress-meta">
+        ${escapeHtml(progress.trigger || "-")} · ${timeText}
+      </span>
+    </div>
+    <div class="progress-bar"><div class="progress-bar-fill ${statusClass}" style="width: ${percent}%"></div></div>
+    <div class="progress-counters">
+      <span>Files: ${finished}/${progress.filesTotal}</span>
+      <span>Downloaded: ${progress.filesCompleted}</span>
+      <span>Skipped: ${progress.filesSkipped}</span>
+      <span class="${
+        progress.filesFailed > 0 ? "progress-failed" : ""
+      }">Failed: ${progress.filesFailed}</span>
+      <span>${formatBytes(progress.bytesDownloaded)}</span>
+    </div>
+    ${rows ? `<div class="progress-file-list">${rows}</div>` : ""}
+  `;
+
+  // The run has just finished: refresh counters and version tables
+  if (lastProgressRunning && !progress.isRunning) {
+    loadDashboard();
+    loadVersions();
   }
+  lastProgressRunning = progress.isRunning;
+}
+
+function renderProgressFile(file) {
+  const percent =
+    file.totalBytes > 0
+      ? Math.min(100, Math.round((file.bytesReceived / file.totalBytes) * 100))
+      : file.status === "completed"
+      ? 100
+      : 0;
+
+  const sizeText = file.totalBytes
+    ? `${formatBytes(file.bytesReceived)} / ${formatBytes(file.totalBytes)}`
+    : file.bytesReceived
+    ? formatBytes(file.bytesReceived)
+    : "";
+
+  const speedText =
+    file.status === "downloading" && file.speedBytesPerSecond > 0
+      ? `${formatBytes(file.speedBytesPerSecond)}/s`
+      : "";
+
+  const errorText = file.error
+    ? `<span class="progress-file-error" title="${escapeHtml(
+        file.error
+      )}">${escapeHtml(truncateText(file.error, 60))}</span>`
+    : "";
+
+  return `
+    <div class="progress-file ${file.status}">
+      <span class="progress-file-name" title="${escapeHtml(
+        file.version
+      )}/${escapeHtml(file.fileName)}">
+        ${escapeHtml(file.fileName)}
+      </span>
+      <span class="progress-file-status">${file.status}</span>
+      <div class="progress-bar small"><div class="progress-bar-fill" style="width: ${percent}%"></div></div>
+      <span class="progress-file-size">${sizeText}</span>
+      <span class="progress-file-speed">${speedText}</span>
+      ${errorText}
+    </div>
+  `;
 }
 
 /**
@@ -342,6 +1566,12 @@ function populateVersionSelect() {
 
 let searchTimeout = null;
 
+// Cursor for "Load older": id of the oldest entry shown, null when there is no more
+let logsCursor = null;
+
+// Entries currently shown, by id, for the detail pane
+const logEntries = new Map();
+
 function debounceLoadLogs() {
   clearTimeout(searchTimeout);
   searchTimeout = setTimeout(loadLogs, 500);
@@ -350,6 +1580,10 @@ function debounceLoadLogs() {
 function clearLogFilters() {
   document.getElementById("log-level").value = "";
   document.getElementById("log-search").value = "";
+  document.getElementById("log-source").value = "";
+  document.getElementById("log-exception").value = "";
+  document.getElementById("log-from").value = "";
+  document.getElementById("log-to").value = "";
   document.getElementById("log-limit").value = "100";
   loadLogs();
 }
@@ -368,32 +1602,83 @@ function toggleAutoRefresh() {
   }
 }
 
-async function loadLogs() {
+function buildLogParams() {
   const level = document.getElementById("log-level").value;
   const search = document.getElementById("log-search").value;
+  const source = document.getElementById("log-source").value.trim();
+  const hasException = document.getElementById("log-exception").value;
+  const from = document.getElementById("log-from").value;
+  const to = document.getElementById("log-to").value;
   const limit = document.getElementById("log-limit").value;
 
   const params = new window.URLSearchParams();
   if (level) params.append("level", level);
   if (search) params.append("search", search);
+  if (source) params.append("source", source);
+  if (hasException) params.append("hasException", hasException);
+  // datetime-local is browser time; the server expects an absolute instant
+  if (from) params.append("from", new Date(from).toISOString());
+  if (to) params.append("to", new Date(to).toISOString());
   if (limit) params.append("take", limit);
 
+  return params;
+}
+
+async function loadLogs() {
+  const params = buildLogParams();
+
   try {
-    const response = await fetch(`${API_BASE}/logs?${params}`);
+    const response = await apiFetch(`${API_BASE}/logs?${params}`);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
     const data = await response.json();
     displayLogs(data.logs);
+    setLogsCursor(data);
     await loadLogStats();
   } catch (error) {
     console.error("Error loading logs:", error);
     displayLogsError(error.message);
+    setLogsCursor({ hasMore: false });
+  }
+}
+
+async function loadOlderLogs() {
+  if (logsCursor === null) return;
+
+  const params = buildLogParams();
+  params.append("before", logsCursor);
+
+  try {
+    const response = await apiFetch(`${API_BASE}/logs?${params}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+    const logs = data.logs || [];
+    rememberLogEntries(logs);
+    document
+      .getElementById("logs-content")
+      .insertAdjacentHTML(
+        "beforeend",
+        logs.map((log) => renderLogEntry(log)).join("")
+      );
+    setLogsCursor(data);
+  } catch (error) {
+    console.error("Error loading older logs:", error);
+    showToast(`Error loading older logs: ${error.message}`, "error");
   }
 }
 
+function setLogsCursor(page) {
+  logsCursor = page.hasMore ? page.nextCursor : null;
+  document.getElementById("logs-more").hidden = logsCursor === null;
+}
+
 function displayLogs(logs) {
   const container = document.getElementById("logs-content");
 
+  logEntries.clear();
+  rememberLogEntries(logs || []);
+
   if (!logs || logs.length === 0) {
     container.innerHTML = '<div class="log-entry">No logs found</div>';
     return;
@@ -402,6 +1687,24 @@ function displayLogs(logs) {
   container.innerHTML = logs.map((log) => renderLogEntry(log)).join("");
 }
 
+function rememberLogEntries(logs) {
+  logs.forEach((log) => logEntries.set(log.id, log));
+
+  // Offer the categories seen so far as source filter suggestions
+  const datalist = document.getElementById("log-sources");
+  if (!datalist) return;
+
+  const sources = new Set(
+    Array.from(datalist.options).map((option) => option.value)
+  );
+  logs.forEach((log) => log.source && sources.add(log.source));
+
+  datalist.innerHTML = Array.from(sources)
+    .sort()
+    .map((source) => `<option value="${escapeHtml(source)}"></option>`)
+    .join("");
+}
+
 function renderLogEntry(log) {
   const levelClass = log.level.toLowerCase();
   const exceptionIndicator = log.exception
@@ -411,7 +1714,9 @@ function renderLogEntry(log) {
   const displayTime = log.timestampLocal || log.timestampUtc || log.timestamp;
 
   return `
-    <div class="log-entry ${levelClass}">
+    <div class="log-entry ${levelClass}" data-log-id="${
+    log.id
+  }" onclick="toggleLogDetail(${log.id})" title="Click for details">
       <span class="log-col timestamp">${formatDateTime(displayTime)}</span>
       <span class="log-col level">
         <span class="level-badge ${levelClass}">${log.level}</span>
@@ -427,6 +1732,70 @@ function renderLogEntry(log) {
   `;
 }
 
+/**
+ * Expand/collapse the full entry below its row: complete message, source
+ * category and the stored exception stack.
+ */
+function toggleLogDetail(id) {
+  const row = document.querySelector(`.log-entry[data-log-id="${id}"]`);
+  if (!row) return;
+
+  const existing = row.nextElementSibling;
+  if (existing && existing.classList.contains("log-detail")) {
+    existing.remove();
+    row.classList.remove("expanded");
+    return;
+  }
+
+  const log = logEntries.get(id);
+  if (!log) return;
+
+  const exceptionBlock = log.exception
+    ? `<div class="log-detail-label">Exception</div>
+       <pre class="log-detail-text exception">${escapeHtml(
+         log.exception
+       )}</pre>`
+    : "";
+
+  row.classList.add("expanded");
+  row.insertAdjacentHTML(
+    "afterend",
+    `
+    <div class="log-detail">
+      <div class="log-detail-meta">
+        <span><strong>Time (UTC):</strong> ${escapeHtml(
+          log.timestampUtc || ""
+        )}</span>
+        <span><strong>Level:</strong> ${escapeHtml(log.level)}</span>
+        <span><strong>Source:</strong> ${escapeHtml(log.source || "")}</span>
+        <span><strong>Id:</strong> ${log.id}</span>
+      </div>
+      <div class="log-detail-label">Message</div>
+      <pre class="log-detail-text">${escapeHtml(log.message || "")}</pre>
+      ${exceptionBlock}
+      <button type="button" class="btn btn-secondary btn-sm" onclick="copyLogEntry(${id})">
+        📋 Copy
+      </button>
+    </div>
+  `
+  );
+}
+
+function copyLogEntry(id) {
+  const log = logEntries.get(id);
+  if (!log) return;
+
+  const text = [
+    `${log.timestampUtc}\t${log.level}\t${log.source}`,
+    log.message,
+    log.exception,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  copyToClipboard(text);
+}
+
 function displayLogsError(message) {
   document.getElementById(
     "logs-content"
@@ -437,7 +1806,7 @@ function displayLogsError(message) {
 
 async function loadLogStats() {
   try {
-    const response = await fetch(`${API_BASE}/logs/stats`);
+    const response = await apiFetch(`${API_BASE}/logs/stats`);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
     const stats = await response.json();
@@ -488,35 +1857,396 @@ function displayLogStats(stats) {
   `;
 }
 
-async function downloadLogs() {
+async function downloadLogs() {
+  try {
+    const response = await apiFetch(`${API_BASE}/logs/download`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const blob = await response.blob();
+    const fileName = `logs-${new Date()
+      .toISOString()
+      .slice(0, 19)
+      .replace(/:/g, "-")}.zip`;
+    downloadBlob(blob, fileName);
+    showToast("Logs downloaded successfully", "success");
+  } catch (error) {
+    console.error("Error downloading logs:", error);
+    showToast(`Error downloading logs: ${error.message}`, "error");
+  }
+}
+
+function downloadBlob(blob, fileName) {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * ============================================================================
+ * DEVICE INVENTORY
+ * ============================================================================
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let devicesCache = [];
+let devicesSort = { key: "lastSeenUtc", desc: true };
+
+async function loadDevices() {
+  try {
+    const response = await apiFetch(`${API_BASE}/devices`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+    devicesCache = data.devices || [];
+    renderDevices();
+  } catch (error) {
+    console.error("Error loading devices:", error);
+    document.getElementById(
+      "devices-list"
+    ).innerHTML = `<tr><td colspan="8" style="text-align: center; color: #d32f2f;">Error: ${escapeHtml(
+      error.message
+    )}</td></tr>`;
+  }
+}
+
+function sortDevices(key) {
+  if (devicesSort.key === key) {
+    devicesSort.desc = !devicesSort.desc;
+  } else {
+    devicesSort = { key, desc: false };
+  }
+  renderDevices();
+}
+
+function renderDevices() {
+  const tbody = document.getElementById("devices-list");
+  const search = document
+    .getElementById("device-search")
+    .value.trim()
+    .toLowerCase();
+  const staleDays = parseInt(
+    document.getElementById("device-stale-days").value,
+    10
+  );
+  const staleBefore = Date.now() - staleDays * DAY_MS;
+
+  const devices = devicesCache.filter(
+    (d) =>
+      !search ||
+      [d.ip, d.channel, d.arch, d.lastVersionFetched, d.userAgent].some(
+        (value) => value && value.toLowerCase().includes(search)
+      )
+  );
+
+  const { key, desc } = devicesSort;
+  devices.sort((a, b) => {
+    const left = a[key] || "";
+    const right = b[key] || "";
+    const result =
+      key === "ip"
+        ? left.localeCompare(right, undefined, { numeric: true })
+        : String(left).localeCompare(String(right));
+    return desc ? -result : result;
+  });
+
+  document.querySelectorAll(".devices-table th[data-sort]").forEach((th) => {
+    th.classList.toggle("sorted", th.dataset.sort === key);
+    th.classList.toggle("desc", th.dataset.sort === key && desc);
+  });
+
+  const staleCount = devicesCache.filter(
+    (d) => new Date(d.lastSeenUtc).getTime() < staleBefore
+  ).length;
+  document.getElementById(
+    "devices-summary"
+  ).textContent = `${devicesCache.length} devices · ${staleCount} stale`;
+
+  if (devices.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="8" style="text-align: center; color: #999">No devices</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = devices
+    .map((d) => renderDeviceRow(d, staleBefore))
+    .join("");
+
+  tbody.querySelectorAll("button[data-ip]").forEach((btn) => {
+    btn.addEventListener("click", () => removeDevice(btn.dataset.ip));
+  });
+}
+
+function renderDeviceRow(device, staleBefore) {
+  const isStale = new Date(device.lastSeenUtc).getTime() < staleBefore;
+  const download = device.lastFileFetched
+    ? `<span class="status-badge ${
+        device.lastDownloadCompleted ? "active" : "warning"
+      }" title="${escapeHtml(device.lastFileFetched)}">
+        ${device.lastDownloadCompleted ? "✓ Completed" : "⚠ Incomplete"}
+      </span>`
+    : "-";
+
+  return `
+    <tr class="${isStale ? "device-stale" : ""}" title="${escapeHtml(
+    device.userAgent || ""
+  )}">
+      <td><strong>${escapeHtml(device.ip)}</strong></td>
+      <td>${formatDateTime(device.firstSeenUtc)}</td>
+      <td>${formatDateTime(device.lastSeenUtc)}${isStale ? " ⏳" : ""}</td>
+      <td>${escapeHtml(device.channel || "-")}</td>
+      <td>${escapeHtml(device.arch || "-")}</td>
+      <td>${escapeHtml(device.lastVersionFetched || "-")}</td>
+      <td>${download}</td>
+      <td>
+        <button class="btn-delete" data-ip="${escapeHtml(
+          device.ip
+        )}">Forget</button>
+      </td>
+    </tr>
+  `;
+}
+
+async function removeDevice(ip) {
+  if (!confirm(`Forget device ${ip}?`)) return;
+
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/devices/${encodeURIComponent(ip)}`,
+      {
+        method: "DELETE",
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      showToast(`Error: ${error.message || error.code}`, "error");
+      return;
+    }
+
+    showToast(`Device ${ip} removed`, "success");
+    await loadDevices();
+  } catch (error) {
+    console.error("Remove device error:", error);
+    showToast(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * ============================================================================
+ * ROLLOUT RULES
+ * ============================================================================
+ */
+
+let rolloutRules = [];
+let rolloutGroups = [];
+let rolloutVersions = { v6: [], v7: [] };
+
+async function loadRollout() {
+  const status = document.getElementById("rollout-status");
+
+  try {
+    const [rolloutResp, versionsResp] = await Promise.all([
+      apiFetch(`${API_BASE}/rollout`),
+      apiFetch(`${API_BASE}/versions`),
+    ]);
+    if (!rolloutResp.ok) throw new Error(`HTTP ${rolloutResp.status}`);
+    if (!versionsResp.ok) throw new Error(`HTTP ${versionsResp.status}`);
+
+    const data = await rolloutResp.json();
+    const versions = await versionsResp.json();
+
+    rolloutRules = data.rules;
+    rolloutGroups = data.groups;
+    rolloutVersions = {
+      v6: versions.v6.versions,
+      v7: versions.v7.versions,
+    };
+
+    renderRollout();
+    status.textContent = "";
+  } catch (error) {
+    console.error("Error loading rollout rules:", error);
+    status.textContent = `Error loading: ${error.message}`;
+    status.className = "config-status error";
+  }
+}
+
+function renderRolloutVersionOptions(versions, selected) {
+  // Версия могла пропасть из кэша — всё равно показываем её
+  const list =
+    selected && !versions.includes(selected)
+      ? [selected, ...versions]
+      : versions;
+
+  return [
+    `<option value="">(active)</option>`,
+    ...list.map(
+      (v) =>
+        `<option value="${escapeHtml(v)}" ${
+          v === selected ? "selected" : ""
+        }>${escapeHtml(v)}</option>`
+    ),
+  ].join("");
+}
+
+function renderRolloutClients(ruleId) {
+  const group = rolloutGroups.find((g) => g.ruleId === ruleId);
+  if (!group) return '<span class="status-badge inactive">unsaved</span>';
+
+  return `<span class="status-badge info" title="${escapeHtml(
+    group.clients.join(", ")
+  )}">${group.clients.length}</span>`;
+}
+
+function renderRollout() {
+  const tbody = document.getElementById("rollout-list");
+  const rest = rolloutGroups.find((g) => !g.ruleId);
+  const restRow = `
+    <tr>
+      <td colspan="7"><em>Everyone else — active versions</em></td>
+      <td>${
+        rest
+          ? `<span class="status-badge inactive" title="${escapeHtml(
+              rest.clients.join(", ")
+            )}">${rest.clients.length}</span>`
+          : "-"
+      }</td>
+      <td></td>
+    </tr>
+  `;
+
+  tbody.innerHTML =
+    rolloutRules
+      .map(
+        (rule, index) => `
+      <tr data-rollout-index="${index}">
+        <td>
+          <button type="button" class="btn btn-secondary btn-sm" onclick="moveRolloutRule(${index}, -1)" ${
+          index === 0 ? "disabled" : ""
+        }>↑</button>
+          <button type="button" class="btn btn-secondary btn-sm" onclick="moveRolloutRule(${index}, 1)" ${
+          index === rolloutRules.length - 1 ? "disabled" : ""
+        }>↓</button>
+        </td>
+        <td><input type="text" data-field="name" value="${escapeHtml(
+          rule.name
+        )}" placeholder="Lab routers" /></td>
+        <td><textarea data-field="addresses" rows="2" placeholder="10.0.10.0/24&#10;192.168.88.5">${escapeHtml(
+          rule.addresses.join("\n")
+        )}</textarea></td>
+        <td><input type="number" data-field="percent" min="1" max="100" value="${
+          rule.percent
+        }" /></td>
+        <td><select class="form-select" data-field="v6Version">${renderRolloutVersionOptions(
+          rolloutVersions.v6,
+          rule.v6Version
+        )}</select></td>
+        <td><select class="form-select" data-field="v7Version">${renderRolloutVersionOptions(
+          rolloutVersions.v7,
+          rule.v7Version
+        )}</select></td>
+        <td><input type="checkbox" data-field="enabled" ${
+          rule.enabled ? "checked" : ""
+        } /></td>
+        <td>${renderRolloutClients(rule.id)}</td>
+        <td>
+          <button type="button" class="btn-delete" onclick="removeRolloutRule(${index})">Remove</button>
+        </td>
+      </tr>
+    `
+      )
+      .join("") + restRow;
+}
+
+// Забираем правки из полей, чтобы перерисовка их не потеряла
+function collectRollout() {
+  document.querySelectorAll("[data-rollout-index]").forEach((row) => {
+    const rule = rolloutRules[Number(row.dataset.rolloutIndex)];
+    row.querySelectorAll("[data-field]").forEach((input) => {
+      const field = input.dataset.field;
+      if (input.type === "checkbox") {
+        rule[field] = input.checked;
+      } else if (field === "addresses") {
+        rule[field] = input.value
+          .split(/[\s,]+/)
+          .map((a) => a.trim())
+          .filter(Boolean);
+      } else if (field === "percent") {
+        rule[field] = parseInt(input.value, 10) || 100;
+      } else {
+        rule[field] = input.value.trim() || null;
+      }
+    });
+  });
+
+  return rolloutRules;
+}
+
+function addRolloutRule() {
+  collectRollout();
+  rolloutRules.push({
+    id: "",
+    name: "",
+    enabled: true,
+    addresses: [],
+    percent: 100,
+    v6Version: null,
+    v7Version: null,
+  });
+  renderRollout();
+}
+
+function removeRolloutRule(index) {
+  collectRollout();
+  rolloutRules.splice(index, 1);
+  renderRollout();
+}
+
+function moveRolloutRule(index, delta) {
+  collectRollout();
+  const target = index + delta;
+  if (target < 0 || target >= rolloutRules.length) return;
+
+  [rolloutRules[index], rolloutRules[target]] = [
+    rolloutRules[target],
+    rolloutRules[index],
+  ];
+  renderRollout();
+}
+
+async function saveRollout() {
+  const status = document.getElementById("rollout-status");
+
   try {
-    const response = await fetch(`${API_BASE}/logs/download`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const resp = await apiFetch(`${API_BASE}/rollout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(collectRollout()),
+    });
 
-    const blob = await response.blob();
-    const fileName = `logs-${new Date()
-      .toISOString()
-      .slice(0, 19)
-      .replace(/:/g, "-")}.zip`;
-    downloadBlob(blob, fileName);
-    showToast("Logs downloaded successfully", "success");
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(data?.message || `HTTP ${resp.status}`);
+
+    rolloutRules = data.rules;
+    rolloutGroups = data.groups;
+    renderRollout();
+
+    status.textContent = "✓ Saved";
+    status.className = "config-status success";
+    showToast(data.message || "Rollout rules saved", "success");
   } catch (error) {
-    console.error("Error downloading logs:", error);
-    showToast(`Error downloading logs: ${error.message}`, "error");
+    console.error("Error saving rollout rules:", error);
+    status.textContent = `✗ Error: ${error.message}`;
+    status.className = "config-status error";
+    showToast(`Error saving rollout rules: ${error.message}`, "error");
   }
 }
 
-function downloadBlob(blob, fileName) {
-  const url = window.URL.createObjectURL(blob);
-  const link = document.createElement("a");
-  link.href = url;
-  link.download = fileName;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  window.URL.revokeObjectURL(url);
-}
-
 /**
  * ============================================================================
  * SCHEDULE MANAGEMENT
@@ -532,8 +2262,8 @@ async function loadSchedule() {
 
   try {
     const [configResponse, statusResponse] = await Promise.all([
-      fetch(`${API_BASE}/schedule`),
-      fetch(`${API_BASE}/schedule/status`),
+      apiFetch(`${API_BASE}/schedule`),
+      apiFetch(`${API_BASE}/schedule/status`),
     ]);
 
     if (!configResponse.ok || !statusResponse.ok) {
@@ -549,29 +2279,43 @@ async function loadSchedule() {
   }
 }
 
+let scheduleWindows = [];
+
 function displaySchedule(config, status) {
   const statusBadge = document.getElementById("schedule-status-badge");
   statusBadge.textContent = status.status;
   statusBadge.className = `status-badge ${status.status.toLowerCase()}`;
 
-  document.getElementById("next-check-time").textContent =
-    status.nextScheduledCheck
-      ? formatDateTime(status.nextScheduledCheck)
-      : "Never";
+  const nextRun = status.upcomingRuns[0];
+  document.getElementById("next-check-time").textContent = nextRun
+    ? formatScheduleTime(nextRun.localTime)
+    : "Never";
 
-  document.getElementById("time-until-check").textContent =
-    status.timeUntilNextCheck ? formatTimeSpan(status.timeUntilNextCheck) : "-";
+  document.getElementById("time-until-check").textContent = nextRun
+    ? formatTimeSpan(new Date(nextRun.timeUtc) - Date.now())
+    : "-";
 
-  document.getElementById("paused-until").textContent = status.config
-    ?.pausedUntil
-    ? formatDateTime(status.config.pausedUntil)
+  document.getElementById("paused-until").textContent = config.pausedUntil
+    ? formatDateTime(config.pausedUntil)
     : "Not paused";
 
+  document.getElementById("schedule-timezone").textContent = status.timeZone;
+
+  const preview = document.getElementById("schedule-preview-list");
+  preview.innerHTML =
+    status.upcomingRuns.length > 0
+      ? status.upcomingRuns
+          .map(
+            (run) =>
+              `<li>${escapeHtml(formatScheduleTime(run.localTime))} · ${
+                run.trigger
+              }</li>`
+          )
+          .join("")
+      : "<li>No checks in the next four weeks</li>";
+
   document.getElementById("schedule-enabled").checked = config.enabled;
-  document.getElementById("check-time").value = config.checkTime.substring(
-    0,
-    5
-  );
+  document.getElementById("schedule-mode").value = config.mode;
   document.getElementById("check-interval").value = config.intervalMinutes;
   document.getElementById("notify-completion").checked =
     config.notifyOnCompletion;
@@ -580,6 +2324,73 @@ function displaySchedule(config, status) {
   document.querySelectorAll('input[name="days"]').forEach((checkbox) => {
     checkbox.checked = config.daysOfWeek.includes(checkbox.value);
   });
+
+  scheduleWindows = config.windows.map((w) => ({
+    start: w.start.substring(0, 5),
+    end: w.end.substring(0, 5),
+  }));
+  renderScheduleWindows();
+  updateScheduleModeFields();
+}
+
+// Время расписания приходит уже в часовом поясе сервера — показываем как есть
+function formatScheduleTime(localTime) {
+  const [date, time] = localTime.split("T");
+  const day = new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: "short",
+  });
+  return `${day} ${date} ${time.substring(0, 5)}`;
+}
+
+function renderScheduleWindows() {
+  const container = document.getElementById("schedule-windows");
+
+  container.innerHTML = scheduleWindows
+    .map(
+      (item, index) => `
+      <div class="schedule-window" data-window-index="${index}">
+        <input type="time" data-field="start" value="${item.start}" />
+        <span>–</span>
+        <input type="time" data-field="end" value="${item.end}" />
+        <button type="button" class="btn-delete" onclick="removeScheduleWindow(${index})" ${
+        scheduleWindows.length === 1 ? "disabled" : ""
+      }>Remove</button>
+      </div>
+    `
+    )
+    .join("");
+}
+
+// Забираем правки из полей, чтобы перерисовка их не потеряла
+function collectScheduleWindows() {
+  document.querySelectorAll("[data-window-index]").forEach((row) => {
+    const item = scheduleWindows[Number(row.dataset.windowIndex)];
+    row.querySelectorAll("[data-field]").forEach((input) => {
+      item[input.dataset.field] = input.value;
+    });
+  });
+
+  return scheduleWindows;
+}
+
+function addScheduleWindow() {
+  collectScheduleWindows();
+  scheduleWindows.push({ start: "02:00", end: "04:00" });
+  renderScheduleWindows();
+}
+
+function removeScheduleWindow(index) {
+  collectScheduleWindows();
+  scheduleWindows.splice(index, 1);
+  renderScheduleWindows();
+}
+
+function updateScheduleModeFields() {
+  const mode = document.getElementById("schedule-mode").value;
+  document.getElementById("schedule-windows-group").style.display =
+    mode === "interval" ? "none" : "";
+  document.getElementById("schedule-interval-group").style.display =
+    mode === "windows" ? "none" : "";
 }
 
 async function saveSchedule(event) {
@@ -592,7 +2403,11 @@ async function saveSchedule(event) {
 
   const config = {
     enabled: formData.get("enabled") === "on",
-    checkTime: `${formData.get("checkTime")}:00`,
+    mode: formData.get("mode"),
+    windows: collectScheduleWindows().map((w) => ({
+      start: `${w.start}:00`,
+      end: `${w.end}:00`,
+    })),
     intervalMinutes: parseInt(formData.get("intervalMinutes"), 10),
     daysOfWeek: selectedDays,
     notifyOnCompletion: formData.get("notifyOnCompletion") === "on",
@@ -600,7 +2415,7 @@ async function saveSchedule(event) {
   };
 
   try {
-    const response = await fetch(`${API_BASE}/schedule`, {
+    const response = await apiFetch(`${API_BASE}/schedule`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -608,7 +2423,9 @@ async function saveSchedule(event) {
       body: JSON.stringify(config),
     });
 
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json().catch(() => null);
+    if (!response.ok)
+      throw new Error(data?.message || `HTTP ${response.status}`);
 
     showToast("Schedule saved successfully", "success");
     await loadSchedule();
@@ -619,13 +2436,14 @@ async function saveSchedule(event) {
 }
 
 async function pauseSchedule() {
-  const duration = document.getElementById("pause-duration").value;
+  // Варианты в списке — в минутах, API принимает часы
+  const hours = document.getElementById("pause-duration").value / 60;
 
-  if (!confirm(`Pause updates for ${duration} hour(s)?`)) return;
+  if (!confirm(`Pause updates for ${hours} hour(s)?`)) return;
 
   try {
-    const response = await fetch(
-      `${API_BASE}/schedule/pause?hours=${duration}`,
+    const response = await apiFetch(
+      `${API_BASE}/schedule/pause?hours=${hours}`,
       {
         method: "POST",
       }
@@ -633,7 +2451,7 @@ async function pauseSchedule() {
 
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-    showToast(`Updates paused for ${duration} hour(s)`, "warning");
+    showToast(`Updates paused for ${hours} hour(s)`, "warning");
     await loadSchedule();
   } catch (error) {
     console.error("Error pausing schedule:", error);
@@ -643,7 +2461,7 @@ async function pauseSchedule() {
 
 async function resumeSchedule() {
   try {
-    const response = await fetch(`${API_BASE}/schedule/resume`, {
+    const response = await apiFetch(`${API_BASE}/schedule/resume`, {
       method: "POST",
     });
 
@@ -657,6 +2475,285 @@ async function resumeSchedule() {
   }
 }
 
+/**
+ * ============================================================================
+ * NOTIFICATION CHANNELS
+ * ============================================================================
+ */
+
+const NOTIFICATION_TYPES = {
+  webhook: "Webhook",
+  bot: "Chat bot",
+  smtp: "SMTP",
+};
+
+let notificationChannels = [];
+
+async function loadNotifications() {
+  const status = document.getElementById("notifications-status");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/notifications`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    const data = await resp.json();
+    notificationChannels = data.channels;
+    document.getElementById("low-disk-threshold").value =
+      data.lowDiskThresholdMb;
+
+    renderNotificationChannels();
+    status.textContent = "";
+  } catch (error) {
+    console.error("Error loading notification channels:", error);
+    status.textContent = `Error loading: ${error.message}`;
+    status.className = "config-status error";
+  }
+
+  await loadNotificationLog();
+}
+
+function renderNotificationSettings(channel) {
+  // Сервер не отдаёт сохранённый URL и пароль: пустое поле оставляет их как есть
+  const urlPlaceholder = (example) =>
+    channel.urlHint
+      ? `Saved: ${channel.urlHint} (leave empty to keep)`
+      : example;
+  const input = (field, placeholder, type = "text") => {
+    const value = field === "to" ? channel.to.join(", ") : channel[field];
+    return `<input type="${type}" data-field="${field}" value="${escapeHtml(
+      String(value ?? "")
+    )}" placeholder="${escapeHtml(placeholder)}" />`;
+  };
+
+  if (channel.type === "smtp") {
+    return `
+      <div class="notification-settings">
+        ${input("smtpHost", "SMTP relay host")}
+        ${input("smtpPort", "25", "number")}
+        ${input("from", "From: updates@example.com")}
+        ${input("to", "To: admin@example.com, noc@example.com")}
+        ${input("smtpUser", "User (optional)")}
+        ${input(
+          "smtpPassword",
+          channel.smtpPasswordSet ? "Saved (leave empty to keep)" : "Password",
+          "password"
+        )}
+        <label class="checkbox-label">
+          <input type="checkbox" data-field="smtpSsl" ${
+            channel.smtpSsl ? "checked" : ""
+          } /> SSL/TLS
+        </label>
+      </div>`;
+  }
+
+  if (channel.type === "bot") {
+    return `
+      <div class="notification-settings">
+        ${input(
+          "url",
+          urlPlaceholder("https://api.telegram.org/bot<token>/sendMessage")
+        )}
+        ${input("chatId", "Chat id (optional)")}
+      </div>`;
+  }
+
+  return `
+    <div class="notification-settings">
+      ${input("url", urlPlaceholder("https://hooks.example.com/mikrotik"))}
+    </div>`;
+}
+
+function renderNotificationChannels() {
+  const tbody = document.getElementById("notification-channels");
+
+  if (notificationChannels.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: #999">No channels</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = notificationChannels
+    .map(
+      (channel, index) => `
+      <tr data-notification-index="${index}">
+        <td>
+          <select class="form-select" data-field="type" onchange="changeNotificationType()">
+            ${Object.entries(NOTIFICATION_TYPES)
+              .map(
+                ([value, label]) =>
+                  `<option value="${value}" ${
+                    value === channel.type ? "selected" : ""
+                  }>${label}</option>`
+              )
+              .join("")}
+          </select>
+        </td>
+        <td><input type="text" data-field="name" value="${escapeHtml(
+          channel.name || ""
+        )}" /></td>
+        <td>${renderNotificationSettings(channel)}</td>
+        <td><input type="checkbox" data-field="enabled" ${
+          channel.enabled ? "checked" : ""
+        } /></td>
+        <td>
+          <button type="button" class="btn btn-secondary btn-sm" onclick="testNotificationChannel(${index})">Send test</button>
+          <button type="button" class="btn-delete" onclick="removeNotificationChannel(${index})">Remove</button>
+        </td>
+      </tr>
+    `
+    )
+    .join("");
+}
+
+// Забираем правки из полей, чтобы перерисовка их не потеряла
+function collectNotificationChannels() {
+  document.querySelectorAll("[data-notification-index]").forEach((row) => {
+    const channel = notificationChannels[Number(row.dataset.notificationIndex)];
+    row.querySelectorAll("[data-field]").forEach((input) => {
+      const field = input.dataset.field;
+      if (input.type === "checkbox") {
+        channel[field] = input.checked;
+      } else if (field === "to") {
+        channel[field] = input.value.split(/[\s,;]+/).filter(Boolean);
+      } else if (field === "smtpPort") {
+        channel[field] = parseInt(input.value, 10) || 25;
+      } else {
+        channel[field] = input.value.trim() || null;
+      }
+    });
+  });
+
+  return notificationChannels;
+}
+
+function changeNotificationType() {
+  collectNotificationChannels();
+  renderNotificationChannels();
+}
+
+function addNotificationChannel() {
+  collectNotificationChannels();
+  notificationChannels.push({
+    id: "",
+    name: "",
+    type: "webhook",
+    enabled: true,
+    url: null,
+    chatId: null,
+    smtpHost: null,
+    smtpPort: 25,
+    smtpSsl: false,
+    smtpUser: null,
+    smtpPassword: null,
+    from: null,
+    to: [],
+  });
+  renderNotificationChannels();
+}
+
+function removeNotificationChannel(index) {
+  collectNotificationChannels();
+  notificationChannels.splice(index, 1);
+  renderNotificationChannels();
+}
+
+async function saveNotifications() {
+  const status = document.getElementById("notifications-status");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/notifications`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        channels: collectNotificationChannels(),
+        lowDiskThresholdMb:
+          parseInt(document.getElementById("low-disk-threshold").value, 10) ||
+          0,
+      }),
+    });
+
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(data?.message || `HTTP ${resp.status}`);
+
+    showToast(data.message || "Notification channels saved", "success");
+    await loadNotifications();
+    status.textContent = "✓ Saved";
+    status.className = "config-status success";
+  } catch (error) {
+    console.error("Error saving notification channels:", error);
+    status.textContent = `✗ Error: ${error.message}`;
+    status.className = "config-status error";
+    showToast(`Error saving notification channels: ${error.message}`, "error");
+  }
+}
+
+async function testNotificationChannel(index) {
+  const channel = collectNotificationChannels()[index];
+  const status = document.getElementById("notifications-status");
+  status.textContent = "Sending...";
+  status.className = "config-status";
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/notifications/test`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(channel),
+    });
+
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(data?.message || `HTTP ${resp.status}`);
+    if (!data.success) throw new Error(data.error || "Delivery failed");
+
+    status.textContent = `✓ Test sent to ${data.channelName}`;
+    status.className = "config-status success";
+  } catch (error) {
+    console.error("Error sending test notification:", error);
+    status.textContent = `✗ Error: ${error.message}`;
+    status.className = "config-status error";
+  }
+
+  await loadNotificationLog();
+}
+
+async function loadNotificationLog() {
+  const tbody = document.getElementById("notification-log");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/notifications/log`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    const deliveries = await resp.json();
+    if (deliveries.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: #999">No deliveries yet</td></tr>`;
+      return;
+    }
+
+    tbody.innerHTML = deliveries
+      .map(
+        (d) => `
+        <tr>
+          <td>${formatDateTime(d.timeUtc)}</td>
+          <td>${escapeHtml(d.channelName)}</td>
+          <td title="${escapeHtml(d.title)}">${escapeHtml(d.event)}</td>
+          <td>${
+            d.success
+              ? '<span class="status-badge active">✓ delivered</span>'
+              : `<span class="status-badge error">✗ failed</span> <small>${escapeHtml(
+                  d.error || ""
+                )}</small>`
+          }</td>
+          <td>${d.durationMs} ms</td>
+        </tr>
+      `
+      )
+      .join("");
+  } catch (error) {
+    console.error("Error loading notification log:", error);
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: #999">Error loading: ${escapeHtml(
+      error.message
+    )}</td></tr>`;
+  }
+}
+
 /**
  * ============================================================================
  * CHANGELOG MANAGEMENT
@@ -668,7 +2765,7 @@ async function loadGlobalChangelog() {
   contentDiv.innerHTML = '<p style="color: #999;">Loading...</p>';
 
   try {
-    const response = await fetch(`${API_BASE}/changelog`);
+    const response = await apiFetch(`${API_BASE}/changelog`);
 
     if (response.status === 404) {
       contentDiv.innerHTML =
@@ -703,8 +2800,8 @@ async function loadVersionChangelog() {
   contentDiv.innerHTML = '<p style="color: #999;">Loading...</p>';
 
   try {
-    const response = await fetch(
-      `${API_BASE}/changelog/${encodeURIComponent(cleanVersion)}`
+    const response = await apiFetch(
+      `${API_BASE}/changelog/${encodeURIComponent(cleanVersion)}/entries`
     );
 
     if (response.status === 404) {
@@ -714,8 +2811,17 @@ async function loadVersionChangelog() {
 
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-    const text = await response.text();
-    contentDiv.innerHTML = `<pre>${escapeHtml(text)}</pre>`;
+    const data = await response.json();
+    if (data.releases.length > 0) {
+      contentDiv.innerHTML = data.releases.map(renderChangelogRelease).join("");
+      return;
+    }
+
+    // Not in the usual "What's new in" format — show the file as is
+    const raw = await apiFetch(
+      `${API_BASE}/changelog/${encodeURIComponent(cleanVersion)}`
+    );
+    contentDiv.innerHTML = `<pre>${escapeHtml(await raw.text())}</pre>`;
   } catch (error) {
     console.error("Error loading version changelog:", error);
     contentDiv.innerHTML = `<p style="color: #d32f2f;">Error loading changelog: ${escapeHtml(
@@ -724,43 +2830,339 @@ async function loadVersionChangelog() {
   }
 }
 
+function renderChangelogRelease(release) {
+  const date = release.releasedAt
+    ? `<span class="changelog-release-date">${formatDate(
+        release.releasedAt
+      )}</span>`
+    : "";
+
+  return `
+    <div class="changelog-release">
+      <h4>${escapeHtml(release.version)}${date}</h4>
+      <ul>${release.changes
+        .map((c, i) =>
+          renderChangelogChange(c, false, changeAnchor(release.version, i))
+        )
+        .join("")}</ul>
+    </div>
+  `;
+}
+
+function renderChangelogChange(change, showVersion = false, id = "") {
+  const version = showVersion
+    ? `<strong>${escapeHtml(change.version)}</strong> `
+    : "";
+
+  return `<li${id ? ` id="${escapeHtml(id)}"` : ""} class="${
+    change.important ? "changelog-important" : ""
+  }">
+    ${version}<span class="changelog-component">${escapeHtml(
+    change.component
+  )}</span>${change.important ? "❗ " : ""}${escapeHtml(change.text)}
+  </li>`;
+}
+
+async function compareChangelog() {
+  const from = document.getElementById("compare-from").value;
+  const to = document.getElementById("compare-to").value;
+
+  if (!from || !to) {
+    showToast("Select both versions to compare", "warning");
+    return;
+  }
+
+  const contentDiv = document.getElementById("compare-changelog-content");
+  contentDiv.innerHTML = '<p style="color: #999;">Loading...</p>';
+
+  try {
+    const params = new window.URLSearchParams({ from, to });
+    const response = await apiFetch(
+      `${API_BASE}/changelog/compare?${params.toString()}`
+    );
+
+    const data = await response.json();
+    if (!response.ok)
+      throw new Error(data.message || `HTTP ${response.status}`);
+
+    const total = data.groups.reduce((sum, g) => sum + g.changes.length, 0);
+    const releases = data.releases.map((r) => r.version).join(", ");
+    const warnings = data.warnings
+      .map((w) => `<p class="progress-file-error">${escapeHtml(w)}</p>`)
+      .join("");
+
+    contentDiv.innerHTML = `
+      <p>${total} changes in ${
+      data.releases.length
+    } releases after ${escapeHtml(data.from)} up to ${escapeHtml(data.to)}${
+      releases ? `: ${escapeHtml(releases)}` : ""
+    }</p>
+      ${warnings}
+      ${data.groups
+        .map(
+          (group) => `
+        <div class="changelog-release">
+          <h4>${escapeHtml(
+            group.component
+          )}<span class="changelog-release-date">${
+            group.changes.length
+          }</span></h4>
+          <ul>${group.changes
+            .map((c) => renderChangelogChange(c, true))
+            .join("")}</ul>
+        </div>
+      `
+        )
+        .join("")}
+    `;
+  } catch (error) {
+    console.error("Error comparing changelogs:", error);
+    contentDiv.innerHTML = `<p style="color: #d32f2f;">Error: ${escapeHtml(
+      error.message
+    )}</p>`;
+  }
+}
+
+// Anchor of a change inside the Version Specific view
+function changeAnchor(version, index) {
+  return `change-${version}-${index}`;
+}
+
+async function searchChangelog() {
+  const query = document.getElementById("changelog-search-query").value.trim();
+  const contentDiv = document.getElementById("search-changelog-content");
+
+  if (query.length < 2) {
+    showToast("Enter at least 2 characters", "warning");
+    return;
+  }
+
+  contentDiv.innerHTML = '<p style="color: #999;">Searching...</p>';
+
+  try {
+    const params = new window.URLSearchParams({ q: query, take: 200 });
+    const response = await apiFetch(
+      `${API_BASE}/changelog/search?${params.toString()}`
+    );
+
+    const data = await response.json();
+    if (!response.ok)
+      throw new Error(data.message || `HTTP ${response.status}`);
+
+    if (data.hits.length === 0) {
+      contentDiv.innerHTML = `<p style="color: #999;">Nothing found for "${escapeHtml(
+        data.query
+      )}"</p>`;
+      return;
+    }
+
+    const terms = data.query.split(" ");
+    const shown =
+      data.total > data.hits.length
+        ? `first ${data.hits.length} of ${data.total}`
+        : data.total;
+
+    contentDiv.innerHTML = `
+      <p>${shown} changes match "${escapeHtml(data.query)}"</p>
+      <ul class="changelog-search-results">
+        ${data.hits.map((hit) => renderSearchHit(hit, terms)).join("")}
+      </ul>
+    `;
+
+    contentDiv.querySelectorAll("a[data-source]").forEach((link) => {
+      link.addEventListener("click", (event) =>
+        openChangelogHit(event, link.dataset.source, link.dataset.anchor)
+      );
+    });
+    contentDiv.querySelectorAll("a[data-global-changelog]").forEach((link) => {
+      link.addEventListener("click", (event) =>
+        switchChangelogTab(event, "global-changelog")
+      );
+    });
+  } catch (error) {
+    console.error("Error searching changelogs:", error);
+    contentDiv.innerHTML = `<p style="color: #d32f2f;">Error: ${escapeHtml(
+      error.message
+    )}</p>`;
+  }
+}
+
+function renderSearchHit(hit, terms) {
+  // Found only in the global changelog — there is no version file to open
+  const link = hit.source
+    ? `<a href="#" data-source="${escapeHtml(
+        hit.source
+      )}" data-anchor="${escapeHtml(
+        changeAnchor(hit.version, hit.index)
+      )}">${escapeHtml(hit.version)}</a>`
+    : `<a href="#" data-global-changelog>${escapeHtml(hit.version)}</a>`;
+
+  const date = hit.releasedAt
+    ? `<span class="changelog-release-date">${formatDate(
+        hit.releasedAt
+      )}</span>`
+    : "";
+
+  return `<li class="${hit.important ? "changelog-important" : ""}">
+    <strong>${link}</strong>${date}
+    <span class="changelog-component">${highlightTerms(
+      hit.component,
+      terms
+    )}</span>${hit.important ? "❗ " : ""}${highlightTerms(hit.text, terms)}
+  </li>`;
+}
+
+// Escapes text and wraps every occurrence of the terms in <mark>
+function highlightTerms(text, terms) {
+  const pattern = terms
+    .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  if (!pattern) return escapeHtml(text);
+
+  return text
+    .split(new RegExp(`(${pattern})`, "gi"))
+    .map((part, i) =>
+      i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+}
+
+async function openChangelogHit(event, source, anchor) {
+  event.preventDefault();
+
+  const select = document.getElementById("version-select");
+  if (![...select.options].some((o) => o.value === source)) {
+    const option = document.createElement("option");
+    option.value = source;
+    option.textContent = source;
+    select.appendChild(option);
+  }
+  select.value = source;
+
+  showChangelogTab(
+    "version-changelog",
+    document.querySelector(
+      "#changelog .tab-btn[onclick*=\"'version-changelog'\"]"
+    )
+  );
+  await loadVersionChangelog();
+
+  const target = document.getElementById(anchor);
+  if (!target) return;
+
+  target.scrollIntoView({ behavior: "smooth", block: "center" });
+  target.classList.add("changelog-hit");
+  setTimeout(() => target.classList.remove("changelog-hit"), 3000);
+}
+
 async function loadVersionHistory() {
   const contentDiv = document.getElementById("history-list");
   contentDiv.innerHTML =
-    '<tr><td colspan="4" style="text-align: center; color: #999;">Loading...</td></tr>';
+    '<tr><td colspan="6" style="text-align: center; color: #999;">Loading...</td></tr>';
+
+  const params = new window.URLSearchParams({ take: 100 });
+  const trigger = document.getElementById("runs-trigger").value;
+  const status = document.getElementById("runs-status").value;
+  if (trigger) params.append("trigger", trigger);
+  if (status) params.append("status", status);
 
   try {
-    const response = await fetch(`${API_BASE}/versions/history?take=50`);
+    const response = await apiFetch(
+      `${API_BASE}/update-check/runs?${params.toString()}`
+    );
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
     const data = await response.json();
+    const runs = data.data || [];
 
-    if (!data.data || data.data.length === 0) {
+    if (runs.length === 0) {
       contentDiv.innerHTML =
-        '<tr><td colspan="4" style="text-align: center; color: #999;">No history available</td></tr>';
+        '<tr><td colspan="6" style="text-align: center; color: #999;">No check runs recorded</td></tr>';
       return;
     }
 
-    contentDiv.innerHTML = data.data
-      .map(
-        (log) => `
-      <tr>
-        <td>${new Date(log.timestamp).toLocaleString()}</td>
-        <td><strong>${log.v6Stable || "-"}</strong></td>
-        <td>${log.v7Fixed || "-"}</td>
-        <td>${log.v7Stable || "-"}</td>
-      </tr>
-    `
-      )
-      .join("");
+    contentDiv.innerHTML = runs.map(renderCheckRun).join("");
   } catch (error) {
-    console.error("Error loading version history:", error);
-    contentDiv.innerHTML = `<tr><td colspan="4" style="text-align: center; color: #d32f2f;">Error: ${escapeHtml(
+    console.error("Error loading check runs:", error);
+    contentDiv.innerHTML = `<tr><td colspan="6" style="text-align: center; color: #d32f2f;">Error: ${escapeHtml(
       error.message
     )}</td></tr>`;
   }
 }
 
+function renderCheckRun(run, index) {
+  const badge =
+    run.status === "success"
+      ? "active"
+      : ["incomplete", "already_in_progress"].includes(run.status)
+      ? "warning"
+      : "error";
+  const upstream = Object.entries(run.upstreamVersions)
+    .map(([branch, version]) => `${branch}: ${version}`)
+    .join(", ");
+  const failed = run.filesFailed
+    ? ` · <span class="progress-file-error">${run.filesFailed} failed</span>`
+    : "";
+
+  return `
+    <tr class="run-row" onclick="toggleCheckRun(${index})">
+      <td>${formatDateTime(run.startedUtc)}</td>
+      <td>${escapeHtml(run.trigger)}</td>
+      <td><span class="status-badge ${badge}">${escapeHtml(
+    run.status
+  )}</span></td>
+      <td>${formatRunDuration(run.durationMs)}</td>
+      <td>${run.filesDownloaded} files · ${formatBytes(
+    run.bytesDownloaded
+  )}${failed}</td>
+      <td>${escapeHtml(upstream) || "-"}</td>
+    </tr>
+    <tr class="run-details" id="run-details-${index}" hidden>
+      <td colspan="6">${renderCheckRunDetails(run)}</td>
+    </tr>
+  `;
+}
+
+function renderCheckRunDetails(run) {
+  const versions = run.versions.length
+    ? run.versions.map(escapeHtml).join(", ")
+    : "none";
+  const failures = run.failures.length
+    ? `<ul>${run.failures
+        .map(
+          (f) =>
+            `<li><strong>${escapeHtml(f.version)}/${escapeHtml(
+              f.fileName
+            )}</strong> — <span class="progress-file-error">${escapeHtml(
+              f.error || "failed"
+            )}</span></li>`
+        )
+        .join("")}</ul>`
+    : "";
+
+  return `
+    <div>Finished ${formatDateTime(run.finishedUtc)} · ${
+    run.filesSkipped
+  } skipped · run ${escapeHtml(run.id)}</div>
+    <div>Versions: ${versions}</div>
+    ${failures}
+  `;
+}
+
+function toggleCheckRun(index) {
+  const row = document.getElementById(`run-details-${index}`);
+  row.hidden = !row.hidden;
+}
+
+function formatRunDuration(milliseconds) {
+  if (!milliseconds) return "-";
+
+  const seconds = milliseconds / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)} s`;
+
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
+
 /**
  * ============================================================================
  * CONFIGURATION MANAGEMENT
@@ -772,7 +3174,10 @@ async function loadAllowedArches() {
   if (!container) return;
 
   try {
-    const response = await fetch(`${API_BASE}/settings/arches`);
+    const [response, upstreamResponse] = await Promise.all([
+      apiFetch(`${API_BASE}/settings/arches`),
+      apiFetch(`${API_BASE}/settings/arches/upstream`),
+    ]);
     if (!response.ok) {
       console.warn("Failed to load allowed arches:", response.status);
       return;
@@ -780,6 +3185,9 @@ async function loadAllowedArches() {
 
     const arches = await response.json();
     const archSet = new Set(arches.map((a) => a.toLowerCase()));
+    const upstream = upstreamResponse.ok ? await upstreamResponse.json() : null;
+
+    renderArchCheckboxes(container, upstream, archSet);
 
     container.querySelectorAll('input[type="checkbox"]').forEach((cb) => {
       cb.checked = archSet.has(cb.value.toLowerCase());
@@ -798,6 +3206,37 @@ async function loadAllowedArches() {
   }
 }
 
+// Checkboxes follow what upstream publishes; selected arches it no longer lists stay visible
+function renderArchCheckboxes(container, upstream, selected) {
+  const source = document.getElementById("arches-source");
+  if (!upstream) {
+    source.textContent = "";
+    return;
+  }
+
+  source.textContent = `Available architectures from ${upstream.source}.`;
+
+  const published = new Set(upstream.arches);
+  const arches = [
+    ...upstream.arches,
+    ...[...selected].filter((a) => !published.has(a)).sort(),
+  ];
+
+  container.innerHTML = arches
+    .map(
+      (arch) => `
+    <label class="checkbox-label"${
+      published.has(arch) ? "" : ' title="Not published upstream"'
+    }>
+      <input type="checkbox" value="${escapeHtml(arch)}" /> ${escapeHtml(
+        arch
+      )}${published.has(arch) ? "" : " ⚠️"}
+    </label>
+  `
+    )
+    .join("");
+}
+
 async function saveAllowedArches() {
   const container = document.getElementById("arches-container");
   if (!container) return;
@@ -817,7 +3256,7 @@ async function saveAllowedArches() {
   }
 
   try {
-    const response = await fetch(`${API_BASE}/settings/arches`, {
+    const response = await apiFetch(`${API_BASE}/settings/arches`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -835,6 +3274,13 @@ async function saveAllowedArches() {
         selected.length > 0
           ? `Saved: ${selected.join(", ")}`
           : "Saved: default architectures will be used";
+
+      // Newly selected arches are only downloaded for new versions
+      const coverageResp = await apiFetch(`${API_BASE}/versions/coverage`);
+      const coverage = coverageResp.ok ? await coverageResp.json() : null;
+      if (coverage?.missingCells > 0) {
+        statusElem.textContent += ` · cached versions miss ${coverage.missingCells} version/arch cells, see Versions → Architecture Coverage`;
+      }
     }
   } catch (error) {
     console.error("Error saving allowed arches:", error);
@@ -848,13 +3294,76 @@ async function saveAllowedArches() {
  * ============================================================================
  */
 
+async function loadLogRetention() {
+  const status = document.getElementById("log-retention-status");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/log-retention`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    const data = await resp.json();
+    document.getElementById("log-retention-days").value = data.retentionDays;
+    document.getElementById("log-retention-total").value = data.maxTotalSizeMb;
+    document.getElementById("log-retention-file").value = data.maxFileSizeMb;
+
+    status.textContent = `${data.files} files, ${formatBytes(
+      data.sizeBytes
+    )} on disk`;
+    status.className = "config-status";
+  } catch (error) {
+    console.error("Error loading log retention:", error);
+    status.textContent = `Error loading: ${error.message}`;
+    status.className = "config-status error";
+  }
+}
+
+async function saveLogRetention() {
+  const status = document.getElementById("log-retention-status");
+
+  const settings = {
+    retentionDays: parseInt(
+      document.getElementById("log-retention-days").value,
+      10
+    ),
+    maxTotalSizeMb: parseInt(
+      document.getElementById("log-retention-total").value,
+      10
+    ),
+    maxFileSizeMb: parseInt(
+      document.getElementById("log-retention-file").value,
+      10
+    ),
+  };
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/log-retention`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(settings),
+    });
+
+    if (!resp.ok) {
+      const err = await resp.json().catch(() => null);
+      throw new Error(err?.message || `HTTP ${resp.status}`);
+    }
+
+    showToast("Log retention saved", "success");
+    await loadLogRetention();
+  } catch (error) {
+    console.error("Error saving log retention:", error);
+    status.textContent = `Error: ${error.message}`;
+    status.className = "config-status error";
+    showToast(`Error saving log retention: ${error.message}`, "error");
+  }
+}
+
 async function loadDeletePrefixes() {
   const textarea = document.getElementById("delete-prefixes-input");
   const status = document.getElementById("delete-prefixes-status");
   if (!textarea) return;
 
   try {
-    const resp = await fetch(`${API_BASE}/settings/delete-prefixes`);
+    const resp = await apiFetch(`${API_BASE}/settings/delete-prefixes`);
     if (!resp.ok) {
       throw new Error(`HTTP ${resp.status}`);
     }
@@ -892,7 +3401,7 @@ async function saveDeletePrefixes() {
     .filter((s) => s.length > 0);
 
   try {
-    const resp = await fetch(`${API_BASE}/settings/delete-prefixes`, {
+    const resp = await apiFetch(`${API_BASE}/settings/delete-prefixes`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -939,6 +3448,576 @@ async function saveDeletePrefixes() {
   }
 }
 
+/**
+ * ============================================================================
+ * EXTRA PACKAGES
+ * ============================================================================
+ */
+
+let extraPackages = [];
+let packagesVersion = null;
+
+async function fetchExtraPackages() {
+  const resp = await apiFetch(`${API_BASE}/settings/extra-packages`);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+  extraPackages = (await resp.json()).packages;
+  return extraPackages;
+}
+
+async function postExtraPackages(packages) {
+  const resp = await apiFetch(`${API_BASE}/settings/extra-packages`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ packages }),
+  });
+
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(data.message || `HTTP ${resp.status}`);
+
+  return fetchExtraPackages();
+}
+
+async function loadExtraPackages() {
+  const textarea = document.getElementById("extra-packages-input");
+  const status = document.getElementById("extra-packages-status");
+  if (!textarea) return;
+
+  try {
+    const packages = await fetchExtraPackages();
+    textarea.value = packages.join("\n");
+
+    status.textContent =
+      packages.length > 0
+        ? `Mirroring ${packages.length} extra packages`
+        : "Only routeros packages are mirrored";
+    status.className = "config-status";
+  } catch (error) {
+    console.error("Error loading extra packages:", error);
+    status.textContent = `Error loading: ${error.message}`;
+    status.className = "config-status error";
+  }
+}
+
+async function saveExtraPackages() {
+  const textarea = document.getElementById("extra-packages-input");
+  const status = document.getElementById("extra-packages-status");
+
+  const packages = textarea.value
+    .split("\n")
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+  try {
+    const saved = await postExtraPackages(packages);
+    textarea.value = saved.join("\n");
+
+    status.textContent = `✓ Saved ${saved.length} package(s)`;
+    status.className = "config-status success";
+    showToast(
+      "Extra packages saved. They are downloaded on the next update check",
+      "success"
+    );
+  } catch (error) {
+    console.error("Error saving extra packages:", error);
+    status.textContent = `✗ Error: ${error.message}`;
+    status.className = "config-status error";
+    showToast(`Error saving extra packages: ${error.message}`, "error");
+  }
+}
+
+async function showPackages(version) {
+  const section = document.getElementById("packages-section");
+  const view = document.getElementById("packages-view");
+
+  packagesVersion = version;
+  section.hidden = false;
+  document.getElementById(
+    "packages-title"
+  ).textContent = `Packages in ${version}`;
+  view.innerHTML = '<p style="color: #999;">Loading...</p>';
+  section.scrollIntoView({ behavior: "smooth", block: "start" });
+
+  try {
+    const [resp] = await Promise.all([
+      apiFetch(`${API_BASE}/versions/${encodeURIComponent(version)}/packages`),
+      fetchExtraPackages(),
+    ]);
+
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || `HTTP ${resp.status}`);
+
+    renderPackages(data);
+  } catch (error) {
+    console.error("Error loading packages:", error);
+    view.innerHTML = `<p class="progress-file-error">${escapeHtml(
+      error.message
+    )}</p>`;
+  }
+}
+
+function renderPackages(data) {
+  const view = document.getElementById("packages-view");
+
+  if (!data.csvAvailable || data.packages.length === 0) {
+    view.innerHTML = `<p style="color: #999;">${
+      data.csvAvailable
+        ? "packages.csv lists no packages"
+        : "packages.csv is not downloaded for this version"
+    }</p>`;
+    return;
+  }
+
+  const arches = [...new Set(data.packages.map((p) => p.arch))].sort();
+  const byPackage = new Map();
+  data.packages.forEach((p) => {
+    if (!byPackage.has(p.package)) byPackage.set(p.package, {});
+    byPackage.get(p.package)[p.arch] = p;
+  });
+
+  const rows = [...byPackage.entries()]
+    .map(([name, files]) => {
+      const mirror =
+        name === "routeros"
+          ? '<span class="status-badge active">always</span>'
+          : `<input type="checkbox" data-package="${escapeHtml(name)}" ${
+              extraPackages.includes(name) ? "checked" : ""
+            } />`;
+
+      return `
+      <tr>
+        <td><strong>${escapeHtml(name)}</strong></td>
+        <td>${mirror}</td>
+        ${arches.map((arch) => renderPackageCell(files[arch])).join("")}
+      </tr>
+    `;
+    })
+    .join("");
+
+  view.innerHTML = `
+    <table class="versions-table packages-table">
+      <thead>
+        <tr>
+          <th>Package</th>
+          <th>Mirror</th>
+          ${arches.map((arch) => `<th>${escapeHtml(arch)}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+
+  view.querySelectorAll("input[data-package]").forEach((input) => {
+    input.addEventListener("change", () =>
+      toggleExtraPackage(input.dataset.package, input.checked)
+    );
+  });
+}
+
+function renderPackageCell(file) {
+  if (!file) return '<td class="packages-missing">—</td>';
+
+  const size = file.sizeBytes != null ? formatBytes(file.sizeBytes) : "?";
+  const title = escapeHtml(file.fileName);
+
+  if (file.cached) {
+    return `<td title="${title}"><span class="status-badge active">✓ ${size}</span></td>`;
+  }
+  if (file.mirrored) {
+    return `<td title="${title} · not downloaded yet"><span class="status-badge warning">${size}</span></td>`;
+  }
+  return `<td title="${title}" class="packages-missing">${size}</td>`;
+}
+
+async function toggleExtraPackage(name, enabled) {
+  const packages = enabled
+    ? [...extraPackages, name]
+    : extraPackages.filter((p) => p !== name);
+
+  try {
+    await postExtraPackages(packages);
+    showToast(
+      enabled
+        ? `${name} will be mirrored from the next update check`
+        : `${name} is no longer mirrored`,
+      "success"
+    );
+  } catch (error) {
+    console.error("Error updating extra packages:", error);
+    showToast(`Error: ${error.message}`, "error");
+  }
+
+  if (packagesVersion) showPackages(packagesVersion);
+}
+
+/**
+ * ============================================================================
+ * POINTER MAP MANAGEMENT
+ * ============================================================================
+ */
+
+const POINTER_TRACK_LABELS = {
+  v6: "Active v6",
+  "v7-fixed": "Active v7 (Fixed)",
+  "v7-latest": "Latest v7",
+};
+
+let pointerMapData = null;
+let pointerVersions = [];
+
+async function loadPointerMap() {
+  const status = document.getElementById("pointer-map-status");
+
+  try {
+    const [mapResp, versionsResp] = await Promise.all([
+      apiFetch(`${API_BASE}/settings/pointers`),
+      apiFetch(`${API_BASE}/versions`),
+    ]);
+    if (!mapResp.ok) throw new Error(`HTTP ${mapResp.status}`);
+    if (!versionsResp.ok) throw new Error(`HTTP ${versionsResp.status}`);
+
+    pointerMapData = await mapResp.json();
+    const versions = await versionsResp.json();
+    pointerVersions = [...versions.v7.versions, ...versions.v6.versions];
+
+    renderPointerMap(pointerMapData.config, pointerMapData.files);
+    status.textContent = "";
+  } catch (error) {
+    console.error("Error loading pointer map:", error);
+    status.textContent = `Error loading: ${error.message}`;
+    status.className = "config-status error";
+  }
+}
+
+function renderPointerTargetOptions(selected, emptyLabel) {
+  const options = emptyLabel
+    ? [`<option value="">${escapeHtml(emptyLabel)}</option>`]
+    : [];
+
+  pointerMapData.tracks.forEach((track) => {
+    options.push(
+      `<option value="${track}" ${track === selected ? "selected" : ""}>${
+        POINTER_TRACK_LABELS[track] || track
+      }</option>`
+    );
+  });
+
+  // Явная версия могла пропасть из кэша — всё равно показываем её
+  const versions = [...pointerVersions];
+  if (
+    selected &&
+    !pointerMapData.tracks.includes(selected) &&
+    !versions.includes(selected)
+  ) {
+    versions.unshift(selected);
+  }
+
+  if (versions.length > 0) {
+    options.push(
+      `<optgroup label="Cached versions">${versions
+        .map(
+          (v) =>
+            `<option value="${escapeHtml(v)}" ${
+              v === selected ? "selected" : ""
+            }>${escapeHtml(v)}</option>`
+        )
+        .join("")}</optgroup>`
+    );
+  }
+
+  return options.join("");
+}
+
+function renderPointerMap(config, files) {
+  document.getElementById("pointer-channels-list").innerHTML =
+    pointerMapData.channels
+      .map(
+        (channel) => `
+      <tr>
+        <td><strong>${escapeHtml(channel)}</strong></td>
+        <td>
+          <select class="form-select" data-pointer-channel="${escapeHtml(
+            channel
+          )}">
+            ${renderPointerTargetOptions(config.channels[channel])}
+          </select>
+        </td>
+      </tr>
+    `
+      )
+      .join("");
+
+  document.getElementById("pointer-files-list").innerHTML = files
+    .map(
+      (file) => `
+      <tr>
+        <td><strong>${escapeHtml(file.fileName)}</strong></td>
+        <td>${escapeHtml(file.channel)}</td>
+        <td>
+          <select class="form-select" data-pointer-file="${escapeHtml(
+            file.fileName
+          )}">
+            ${renderPointerTargetOptions(
+              config.overrides[file.fileName],
+              "(channel)"
+            )}
+          </select>
+        </td>
+        <td><code class="pointer-content">${escapeHtml(
+          file.content || "not available"
+        )}</code></td>
+      </tr>
+    `
+    )
+    .join("");
+}
+
+function collectPointerMap() {
+  const channels = {};
+  document.querySelectorAll("[data-pointer-channel]").forEach((select) => {
+    channels[select.dataset.pointerChannel] = select.value;
+  });
+
+  const overrides = {};
+  document.querySelectorAll("[data-pointer-file]").forEach((select) => {
+    if (select.value) overrides[select.dataset.pointerFile] = select.value;
+  });
+
+  return { channels, overrides };
+}
+
+async function savePointerMap(config = collectPointerMap()) {
+  const status = document.getElementById("pointer-map-status");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/pointers`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(config),
+    });
+
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || `HTTP ${resp.status}`);
+
+    pointerMapData.config = data.config;
+    pointerMapData.files = data.files;
+    renderPointerMap(data.config, data.files);
+
+    status.textContent = "✓ Saved";
+    status.className = "config-status success";
+    showToast(data.message || "Pointer map saved", "success");
+  } catch (error) {
+    console.error("Error saving pointer map:", error);
+    status.textContent = `✗ Error: ${error.message}`;
+    status.className = "config-status error";
+    showToast(`Error saving pointer map: ${error.message}`, "error");
+  }
+}
+
+async function resetPointerMap() {
+  if (!pointerMapData) return;
+  if (!confirm("Reset all pointer files to the default mapping?")) return;
+
+  await savePointerMap(pointerMapData.defaults);
+}
+
+/**
+ * ============================================================================
+ * UPSTREAM SOURCES
+ * ============================================================================
+ */
+
+let upstreamSources = [];
+let upstreamHealth = [];
+
+async function loadUpstreams() {
+  const status = document.getElementById("upstreams-status");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/upstreams`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    const data = await resp.json();
+    upstreamSources = data.sources;
+    upstreamHealth = data.health;
+
+    renderUpstreams();
+    status.textContent = "";
+  } catch (error) {
+    console.error("Error loading upstream sources:", error);
+    status.textContent = `Error loading: ${error.message}`;
+    status.className = "config-status error";
+  }
+}
+
+function renderUpstreamHealth(sourceId) {
+  const health = upstreamHealth.find((h) => h.sourceId === sourceId);
+  if (!health || health.status === "unknown") {
+    return '<span class="status-badge inactive">unknown</span>';
+  }
+
+  if (health.status === "healthy") {
+    const title = health.lastSuccessUtc
+      ? `Last success ${formatDateTime(health.lastSuccessUtc)}`
+      : "";
+    return `<span class="status-badge active" title="${escapeHtml(title)}">✓ ${
+      health.latencyMs ?? "?"
+    } ms</span>`;
+  }
+
+  const title = `${health.lastError || "Failed"} (${
+    health.consecutiveFailures
+  } in a row)`;
+  return `<span class="status-badge error" title="${escapeHtml(
+    title
+  )}">✗ unhealthy</span>`;
+}
+
+function renderUpstreams() {
+  const tbody = document.getElementById("upstreams-list");
+
+  if (upstreamSources.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="8" style="text-align: center; color: #999">No sources</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = upstreamSources
+    .map(
+      (source, index) => `
+      <tr data-upstream-index="${index}">
+        <td>
+          <button type="button" class="btn btn-secondary btn-sm" onclick="moveUpstreamSource(${index}, -1)" ${
+        index === 0 ? "disabled" : ""
+      }>↑</button>
+          <button type="button" class="btn btn-secondary btn-sm" onclick="moveUpstreamSource(${index}, 1)" ${
+        index === upstreamSources.length - 1 ? "disabled" : ""
+      }>↓</button>
+        </td>
+        <td><input type="text" data-field="id" value="${escapeHtml(
+          source.id
+        )}" placeholder="mirror" /></td>
+        <td><input type="text" data-field="name" value="${escapeHtml(
+          source.name
+        )}" /></td>
+        <td><input type="text" data-field="baseUrl" value="${escapeHtml(
+          source.baseUrl
+        )}" placeholder="https://host/routeros" /></td>
+        <td><input type="text" data-field="downloadUrl" value="${escapeHtml(
+          source.downloadUrl || ""
+        )}" placeholder="(same as base)" /></td>
+        <td><input type="checkbox" data-field="enabled" ${
+          source.enabled ? "checked" : ""
+        } /></td>
+        <td>${renderUpstreamHealth(source.id)}</td>
+        <td>
+          <button type="button" class="btn-delete" onclick="removeUpstreamSource(${index})">Remove</button>
+        </td>
+      </tr>
+    `
+    )
+    .join("");
+}
+
+// Забираем правки из полей, чтобы перерисовка их не потеряла
+function collectUpstreams() {
+  document.querySelectorAll("[data-upstream-index]").forEach((row) => {
+    const source = upstreamSources[Number(row.dataset.upstreamIndex)];
+    row.querySelectorAll("[data-field]").forEach((input) => {
+      source[input.dataset.field] =
+        input.type === "checkbox" ? input.checked : input.value.trim();
+    });
+    source.downloadUrl = source.downloadUrl || null;
+  });
+
+  return upstreamSources;
+}
+
+function addUpstreamSource() {
+  collectUpstreams();
+  upstreamSources.push({
+    id: "",
+    name: "",
+    baseUrl: "",
+    downloadUrl: null,
+    enabled: true,
+  });
+  renderUpstreams();
+}
+
+function removeUpstreamSource(index) {
+  collectUpstreams();
+  upstreamSources.splice(index, 1);
+  renderUpstreams();
+}
+
+function moveUpstreamSource(index, delta) {
+  collectUpstreams();
+  const target = index + delta;
+  if (target < 0 || target >= upstreamSources.length) return;
+
+  [upstreamSources[index], upstreamSources[target]] = [
+    upstreamSources[target],
+    upstreamSources[index],
+  ];
+  renderUpstreams();
+}
+
+async function saveUpstreams() {
+  const status = document.getElementById("upstreams-status");
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/upstreams`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(collectUpstreams()),
+    });
+
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(data?.message || `HTTP ${resp.status}`);
+
+    showToast(data.message || "Upstream sources saved", "success");
+    await loadUpstreams();
+    status.textContent = "✓ Saved";
+    status.className = "config-status success";
+  } catch (error) {
+    console.error("Error saving upstream sources:", error);
+    status.textContent = `✗ Error: ${error.message}`;
+    status.className = "config-status error";
+    showToast(`Error saving upstream sources: ${error.message}`, "error");
+  }
+}
+
+async function checkUpstreams() {
+  const status = document.getElementById("upstreams-status");
+  status.textContent = "Checking...";
+  status.className = "config-status";
+
+  try {
+    const resp = await apiFetch(`${API_BASE}/settings/upstreams/check`, {
+      method: "POST",
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    const data = await resp.json();
+    collectUpstreams();
+    upstreamHealth = data.health;
+    renderUpstreams();
+
+    status.textContent = data.reachable
+      ? "✓ At least one source is reachable"
+      : "✗ No source is reachable";
+    status.className = `config-status ${data.reachable ? "success" : "error"}`;
+  } catch (error) {
+    console.error("Error checking upstream sources:", error);
+    status.textContent = `✗ Error: ${error.message}`;
+    status.className = "config-status error";
+  }
+}
+
 /**
  * ============================================================================
  * TIMEZONE MANAGEMENT
@@ -948,8 +4027,8 @@ async function saveDeletePrefixes() {
 async function loadTimeZones() {
   try {
     const [listResp, currentResp] = await Promise.all([
-      fetch(`${API_BASE}/settings/timezone/list`),
-      fetch(`${API_BASE}/settings/timezone`),
+      apiFetch(`${API_BASE}/settings/timezone/list`),
+      apiFetch(`${API_BASE}/settings/timezone`),
     ]);
 
     if (!listResp.ok || !currentResp.ok) {
@@ -984,7 +4063,7 @@ async function saveTimeZone() {
     const select = document.getElementById("tzSelect");
     const tzId = select.value;
 
-    const response = await fetch(`${API_BASE}/settings/timezone`, {
+    const response = await apiFetch(`${API_BASE}/settings/timezone`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -1039,16 +4118,32 @@ function switchTab(event, tabName) {
 
 function handleTabSwitch(tabName) {
   switch (tabName) {
+    case "versions":
+      loadV7FixedCandidates();
+      loadFetchJobs();
+      break;
+    case "devices":
+      loadDevices();
+      break;
+    case "rollout":
+      loadRollout();
+      break;
     case "logs":
       loadLogs();
       break;
     case "schedule":
       loadSchedule();
+      loadNotifications();
       break;
     case "config":
       loadAllowedArches();
       loadTimeZones();
       loadDeletePrefixes();
+      loadExtraPackages();
+      loadPointerMap();
+      loadUpstreams();
+      loadLogRetention();
+      loadVersionRetention();
       break;
     case "changelog":
       loadGlobalChangelog();
@@ -1071,6 +4166,14 @@ function switchVersionTab(event, tabName) {
 
 function switchChangelogTab(event, tabName) {
   event.preventDefault();
+  showChangelogTab(
+    tabName,
+    event.target.closest(".tab-btn") ||
+      document.querySelector(`#changelog .tab-btn[onclick*="'${tabName}'"]`)
+  );
+}
+
+function showChangelogTab(tabName, button) {
   document
     .querySelectorAll(".changelog-tab")
     .forEach((tab) => tab.classList.remove("active"));
@@ -1079,7 +4182,7 @@ function switchChangelogTab(event, tabName) {
     .forEach((btn) => btn.classList.remove("active"));
 
   document.getElementById(tabName).classList.add("active");
-  event.target.classList.add("active");
+  button?.classList.add("active");
 
   // Load data for selected tab
   loadChangelogTabData(tabName);
@@ -1157,6 +4260,18 @@ function formatTimeSpan(milliseconds) {
   }
 }
 
+function formatBytes(bytes) {
+  if (!bytes || bytes <= 0) return "0 B";
+
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const index = Math.min(
+    units.length - 1,
+    Math.floor(Math.log(bytes) / Math.log(1024))
+  );
+  const value = bytes / Math.pow(1024, index);
+  return `${value.toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+}
+
 function truncateText(text, maxLength) {
   if (!text) return "";
   return text.length > maxLength ? text.substring(0, maxLength) + "..." : text;
@@ -1232,7 +4347,7 @@ let lastDashboardData = null;
 
 async function loadDashboardWithComparison() {
   try {
-    const response = await fetch(`${API_BASE}/status`);
+    const response = await apiFetch(`${API_BASE}/status`);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
     const data = await response.json();
@@ -1556,6 +4671,8 @@ function refreshCurrentTab() {
     loadVersions();
   } else if (tabId === "versions") {
     loadVersions();
+  } else if (tabId === "devices") {
+    loadDevices();
   } else if (tabId === "logs") {
     loadLogs();
   } else if (tabId === "schedule") {